@@ -3,9 +3,9 @@
  * Handles cross-tab communication, storage, and notifications
  */
 
-// Import utilities (ES modules for service workers)
-// Note: Service workers don't support dynamic imports of regular scripts
-// This would need to be adapted for actual Chrome deployment
+// Helper scripts (utils/hash.js, utils/header-leak-detector.js, ...) are loaded
+// before this file: by manifest.json's background.scripts on Firefox, and by
+// the service-worker.js that build.sh generates from that list on Chrome/Edge
 
 class BackgroundService {
     constructor() {
@@ -13,6 +13,10 @@ class BackgroundService {
         this.apiEndpoints = new Map(); // Store API endpoints per tab
         this.settings = null;
         this.requestHeadersCache = new Map(); // Cache for capturing full headers including cookies
+        this.headerLeaks = new Map(); // Credentials sent to third-party hosts, per tab
+        this.frameFindings = new Map(); // Findings reported by subframes, per tab and frame
+        this.headerLeakDetector = typeof HeaderLeakDetector !== 'undefined' ? new HeaderLeakDetector() : null;
+        this.realtimeRecorder = typeof RealtimeRecorder !== 'undefined' ? new RealtimeRecorder() : null; // WebSocket/SSE connections, per tab
         this.debugMode = false; // Will be loaded from settings
 
         this.init();
@@ -30,6 +34,13 @@ class BackgroundService {
     init() {
 // debugLog('🔧 Background service worker initializing...');
 
+        if (!this.headerLeakDetector) {
+            console.warn('FerretWatch: HeaderLeakDetector not loaded; third-party credential leak detection is off');
+        }
+        if (!this.realtimeRecorder) {
+            console.warn('FerretWatch: RealtimeRecorder not loaded; WebSocket/SSE traffic is not recorded');
+        }
+
         // Set up listeners immediately (Synchronous)
         this.setupMessageListeners();
         this.setupStorageListeners();
@@ -64,6 +75,7 @@ class BackgroundService {
             enableSoundAlerts: false,
             scanDelay: 1000,
             trustedDomains: [],
+            detectHeaderLeaks: true,
             cloudBucketScanning: {
                 enabled: true,
                 providers: {
@@ -137,6 +149,11 @@ class BackgroundService {
                     sendResponse({ success: true });
                     break;
 
+                case 'REALTIME_EVENT_CAPTURED':
+                    this.handleRealtimeEvent(message.data, sender.tab?.id);
+                    sendResponse({ success: true });
+                    break;
+
                 case 'REPLAY_REQUEST':
                     this.replayRequest(message.data).then(sendResponse);
                     return true;
@@ -154,9 +171,36 @@ class BackgroundService {
 
                 case 'CLEAR_API_ENDPOINTS':
                     this.apiEndpoints.set(message.tabId, []);
+                    this.realtimeRecorder?.clearTab(message.tabId);
+                    sendResponse({ success: true });
+                    break;
+
+                case 'GET_REALTIME_CONNECTIONS':
+                    sendResponse({ connections: this.realtimeRecorder ? this.realtimeRecorder.getConnections(message.tabId) : [] });
+                    break;
+
+                case 'FETCH_SCRIPT':
+                    // Cross-origin script sources for the secret scanner
+                    this.fetchScriptSource(message.url, message.maxSize).then(sendResponse);
+                    return true;
+
+                case 'GET_HEADER_LEAKS':
+                    sendResponse({ success: true, findings: this.headerLeaks.get(sender.tab?.id) || [] });
+                    break;
+
+                case 'FRAME_FINDINGS':
+                    this.handleFrameFindings(message.findings, sender.tab?.id, sender.frameId);
                     sendResponse({ success: true });
                     break;
 
+                case 'GET_FRAME_FINDINGS':
+                    const frames = this.frameFindings.get(sender.tab?.id) || new Map();
+                    sendResponse({
+                        success: true,
+                        frames: Array.from(frames, ([frameId, findings]) => ({ frameId, findings }))
+                    });
+                    break;
+
                 case 'SCAN_UNUSED_ENDPOINTS':
                     this.handleUnusedEndpointScan(message.tabId, sender.tab?.id).then(sendResponse);
                     return true;
@@ -220,9 +264,14 @@ class BackgroundService {
 
         // Check if we already have this endpoint (deduplication)
         // We consider an endpoint unique by Method + URL
-        const exists = currentEndpoints.some(e => e.method === apiData.method && e.url === apiData.url);
+        const existing = currentEndpoints.find(e => e.method === apiData.method && e.url === apiData.url);
 
-        if (!exists) {
+        // SPA pages call the same endpoint from several routes; remember each of them
+        if (existing) {
+            if (apiData.route && !(existing.routes || []).includes(apiData.route)) {
+                existing.routes = [...(existing.routes || []), apiData.route];
+            }
+        } else {
             // Try to get full headers from cache (including cookies)
             const cacheKey = `${apiData.method}:${apiData.url}`;
             const cachedHeaders = this.requestHeadersCache.get(cacheKey);
@@ -249,6 +298,7 @@ class BackgroundService {
 
             // Mark as live request with source
             apiData.source = 'live';
+            apiData.routes = apiData.route ? [apiData.route] : [];
             apiData.response = null; // Will be filled when response arrives
 
             currentEndpoints.push(apiData);
@@ -308,6 +358,8 @@ class BackgroundService {
                 headers: {},
                 body: null,
                 source: 'live',
+                route: responseData.route,
+                routes: responseData.route ? [responseData.route] : [],
                 response: {
                     status: responseData.status,
                     statusText: responseData.statusText,
@@ -325,6 +377,57 @@ class BackgroundService {
         }
     }
 
+    /**
+     * Fetch a script's source for the content script's secret scanner
+     * The background page is not bound by the page's CORS policy; cookies are
+     * never sent and the HTTP cache is preferred, so this normally re-reads
+     * the copy the page already loaded
+     * @param {string} url - Script URL
+     * @param {number} maxSize - Largest source to return, in characters
+     * @returns {Promise<Object>} { success, content } or { success: false, error, tooLarge }
+     */
+    async fetchScriptSource(url, maxSize = 5 * 1024 * 1024) {
+        let parsed;
+        try {
+            parsed = new URL(url);
+        } catch (error) {
+            return { success: false, error: 'Invalid URL' };
+        }
+        if (parsed.protocol !== 'http:' && parsed.protocol !== 'https:') {
+            return { success: false, error: 'Unsupported protocol' };
+        }
+
+        const controller = new AbortController();
+        const timeout = setTimeout(() => controller.abort(), 15000);
+
+        try {
+            const response = await fetch(parsed.href, {
+                credentials: 'omit',
+                cache: 'force-cache',
+                signal: controller.signal
+            });
+            if (!response.ok) {
+                return { success: false, error: `HTTP ${response.status}` };
+            }
+
+            const declaredSize = parseInt(response.headers.get('content-length'), 10);
+            if (declaredSize > maxSize) {
+                return { success: false, tooLarge: true, error: 'Script too large' };
+            }
+
+            const content = await response.text();
+            if (content.length > maxSize) {
+                return { success: false, tooLarge: true, error: 'Script too large' };
+            }
+            const sourceMap = response.headers.get('SourceMap') || response.headers.get('X-SourceMap');
+            return { success: true, content, sourceMap };
+        } catch (error) {
+            return { success: false, error: error.name === 'AbortError' ? 'Timed out' : error.message };
+        } finally {
+            clearTimeout(timeout);
+        }
+    }
+
     /**
      * Replay/send a request
      */
@@ -423,6 +526,57 @@ class BackgroundService {
         }, 5000);
     }
 
+    /**
+     * Check an outgoing request for credentials leaking to a third-party host
+     * New leaks are kept for the tab and pushed to its content script, which
+     * adds them to the page's findings
+     * @param {Object} details - webRequest.onBeforeSendHeaders details
+     */
+    checkHeaderLeaks(details) {
+        if (!this.headerLeakDetector || this.settings?.detectHeaderLeaks === false) {
+            return;
+        }
+
+        const leaks = this.headerLeakDetector.observe(details);
+        if (leaks.length === 0) {
+            return;
+        }
+
+        const tabLeaks = this.headerLeaks.get(details.tabId) || [];
+        this.headerLeaks.set(details.tabId, [...tabLeaks, ...leaks]);
+        this.debugLog(`[LEAKS] ${leaks.length} credential(s) sent to ${leaks[0].thirdPartyLeak.destinationHost}`);
+
+        const api = typeof browser !== 'undefined' ? browser : chrome;
+        Promise.resolve(api.tabs.sendMessage(details.tabId, { action: 'HEADER_LEAKS_DETECTED', findings: leaks }, { frameId: 0 }))
+            .catch(() => {
+                // Content script not loaded yet; it asks for the leaks after its first scan
+            });
+    }
+
+    /**
+     * Keep the findings of a subframe and pass them to the top frame
+     * Each frame's latest scan replaces its earlier one; the top frame
+     * aggregates them into the tab's result set
+     * @param {Array} findings - Findings from the frame's scan
+     * @param {number} tabId - Tab the frame belongs to
+     * @param {number} frameId - Frame that scanned (0 is the top frame)
+     */
+    handleFrameFindings(findings, tabId, frameId) {
+        if (!tabId || !frameId || !Array.isArray(findings)) {
+            return;
+        }
+
+        const frames = this.frameFindings.get(tabId) || new Map();
+        frames.set(frameId, findings);
+        this.frameFindings.set(tabId, frames);
+
+        const api = typeof browser !== 'undefined' ? browser : chrome;
+        Promise.resolve(api.tabs.sendMessage(tabId, { action: 'FRAME_FINDINGS_DETECTED', frameId, findings }, { frameId: 0 }))
+            .catch(() => {
+                // Top frame not scanning yet; it asks for frame findings during its first scan
+            });
+    }
+
     /**
      * Handle unused endpoint scan request
      */
@@ -522,10 +676,42 @@ class BackgroundService {
         }
     }
 
+    /**
+     * Record a WebSocket or EventSource event and pass it on to open API Explorers
+     * @param {Object} event - Interceptor event (see RealtimeRecorder.record)
+     * @param {number} tabId - Tab the connection belongs to
+     */
+    handleRealtimeEvent(event, tabId) {
+        if (!tabId || !this.realtimeRecorder) {
+            return;
+        }
+
+        const update = this.realtimeRecorder.record(tabId, event);
+        if (update) {
+            this.sendToExplorerTabs(tabId, {
+                type: 'REALTIME_UPDATE',
+                tabId,
+                connection: update.connection,
+                message: update.message
+            });
+        }
+    }
+
     /**
      * Notify all API Explorer tabs that are watching a specific tab about new API calls
      */
     async notifyExplorerTabs(sourceTabId, newEndpoint) {
+        await this.sendToExplorerTabs(sourceTabId, {
+            type: 'NEW_API_ENDPOINT',
+            tabId: sourceTabId,
+            endpoint: newEndpoint
+        });
+    }
+
+    /**
+     * Send a message to all API Explorer tabs that are watching a specific tab
+     */
+    async sendToExplorerTabs(sourceTabId, message) {
         try {
             // Query all tabs to find any that are API Explorer pages
             const allTabs = await (typeof browser !== 'undefined' ? browser : chrome).tabs.query({});
@@ -534,11 +720,7 @@ class BackgroundService {
                 // Check if this is an explorer page for the source tab (support both v1 and v2)
                 if (tab.url && (tab.url.includes('popup/explorer.html') || tab.url.includes('popup/explorer-v2.html')) && tab.url.includes(`tabId=${sourceTabId}`)) {
                     // Send update to the explorer tab
-                    (typeof browser !== 'undefined' ? browser : chrome).tabs.sendMessage(tab.id, {
-                        type: 'NEW_API_ENDPOINT',
-                        tabId: sourceTabId,
-                        endpoint: newEndpoint
-                    }).catch(err => {
+                    (typeof browser !== 'undefined' ? browser : chrome).tabs.sendMessage(tab.id, message).catch(err => {
                         // Explorer might not be ready yet, that's fine
                         console.debug('Could not notify explorer tab:', err.message);
                     });
@@ -796,6 +978,10 @@ class BackgroundService {
         chrome.tabs.onRemoved.addListener((tabId) => {
             this.tabResults.delete(tabId);
             this.apiEndpoints.delete(tabId);
+            this.headerLeaks.delete(tabId);
+            this.frameFindings.delete(tabId);
+            this.realtimeRecorder?.clearTab(tabId);
+            this.headerLeakDetector?.resetTab(tabId);
         });
 
 
@@ -804,6 +990,9 @@ class BackgroundService {
             if (changeInfo.status === 'loading') {
                 this.tabResults.delete(tabId);
                 this.apiEndpoints.delete(tabId);
+                this.headerLeaks.delete(tabId);
+                this.frameFindings.delete(tabId);
+                this.realtimeRecorder?.clearTab(tabId);
                 this.updateBadge(tabId, 0);
             }
 
@@ -933,6 +1122,11 @@ self.activeProxyTargets = activeProxyTargets;
                         return;
                     }
 
+                    // Credentials leaking to third parties can ride on any request type
+                    if (backgroundService && backgroundService.checkHeaderLeaks) {
+                        backgroundService.checkHeaderLeaks(details);
+                    }
+
                     // Skip non-XHR/Fetch requests (only capture API calls)
                     if (details.type !== 'xmlhttprequest' && details.type !== 'fetch' && details.type !== 'other') {
 // debugLog(`⏭️ [HEADERS] Skipping non-API request type: ${details.type} for ${details.url}`);
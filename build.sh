@@ -120,6 +120,26 @@ create_firefox_manifest() {
     cp "manifest.json" "$target_dir/manifest.json"
 }
 
+# Create the MV3 service worker entry point
+# A service worker has no background.scripts list, so it imports the scripts
+# manifest.json lists for Firefox, in the same order and into one scope
+create_service_worker() {
+    local target_dir="$1"
+    local scripts
+
+    scripts=$(jq -r '.background.scripts | map("\u0027" + . + "\u0027") | join(",\n    ")' manifest.json)
+    cat > "$target_dir/service-worker.js" << EOF
+// Generated by build.sh from the background scripts in manifest.json
+// The background scripts export to window, as on a Firefox background page
+self.window = self;
+
+importScripts(
+    $scripts
+);
+EOF
+    print_info "  📝 Service worker imports: $(jq -r '.background.scripts | join(", ")' manifest.json)"
+}
+
 # Create Chrome/Edge manifest (Manifest V3)
 create_chrome_manifest() {
     local target_dir="$1"
@@ -127,9 +147,11 @@ create_chrome_manifest() {
     print_info "📝 Creating Chrome/Edge manifest..."
     
     if [[ "$HAS_JQ" == "true" ]]; then
+        create_service_worker "$target_dir"
+
         # Use jq for precise manifest transformation
         jq '.manifest_version = 3 |
-            .background = {"service_worker": "background.js"} |
+            .background = {"service_worker": "service-worker.js"} |
             del(.background.scripts) |
             .action = .browser_action |
             del(.browser_action) |
@@ -32,12 +32,13 @@
 
     // Global state
     let scannerInstance = null;
+    const isTopFrame = utils.isTopFrame ? utils.isTopFrame() : true;
 
     /**
      * False positive validation function
      * Exposed globally for the ProgressiveScanner
      */
-    window.isValidSecret = function(match, patternConfig) {
+    window.isValidSecret = function(match, patternConfig, matchContext) {
         if (!match) return false;
 
         // Use the patterns from config/patterns.js
@@ -48,6 +49,11 @@
                 }
             }
         }
+
+        // Rule-level entropy and allowlists (imported gitleaks/TruffleHog rules)
+        if (window.patternValidator && patternConfig) {
+            return window.patternValidator.checkRuleConstraints(match, patternConfig, matchContext);
+        }
         return true; // Likely a valid secret
     };
 
@@ -89,6 +95,12 @@
                 return;
             }
 
+            // Leave the traffic of cross-origin frames (ads, widgets) alone
+            if (utils.isSameOriginWithTop && !utils.isSameOriginWithTop()) {
+                debugLog('[FW Content] Cross-origin frame - skipping interceptor injection');
+                return;
+            }
+
             // Inject interceptor before any page scripts can run
             if (interceptor.injectInterceptor) {
                 const injected = interceptor.injectInterceptor(whitelist.isDomainWhitelisted);
@@ -101,6 +113,40 @@
         }
     }
 
+    /**
+     * Handle popup messages in a subframe
+     * Only the top frame answers; subframes rescan or drop dismissed findings
+     * and report back through the background page
+     * @param {Object} message - Runtime message
+     */
+    function handleSubframeMessage(message) {
+        if (!scanner.shouldScanFrame || !scanner.shouldScanFrame()) {
+            return;
+        }
+
+        if ((message.action === 'SCAN_NOW' || message.action === 'rescan') && scanner.runScan) {
+            scanner.runScan().catch(error => debugLog('[FW Content] Frame rescan failed:', error));
+        } else if (message.action === 'dismissFinding' && scanner.dismissFinding) {
+            scanner.dismissFinding(message.fingerprint, message.value, message.ruleId);
+        }
+    }
+
+    /**
+     * Jump to a finding on the page (see HighlightManager.revealFinding)
+     * Every frame gets the message; only the frame the finding was seen in answers
+     * @param {Object} message - { finding, frameUrl }
+     * @param {Function} sendResponse - Response callback
+     */
+    function handleRevealMessage(message, sendResponse) {
+        const frameUrl = message.frameUrl || (isTopFrame ? window.location.href : null);
+        if (frameUrl !== window.location.href) {
+            return;
+        }
+
+        const revealed = window.highlightManager ? window.highlightManager.revealFinding(message.finding) : false;
+        sendResponse({ success: revealed });
+    }
+
     /**
      * Initialize message handlers
      */
@@ -113,6 +159,25 @@
         // Initialize browser runtime message listener for background communication
         if (api.runtime) {
             api.runtime.onMessage.addListener((message, sender, sendResponse) => {
+                if (message.action === 'revealFinding') {
+                    handleRevealMessage(message, sendResponse);
+                    return false;
+                }
+
+                if (!isTopFrame) {
+                    handleSubframeMessage(message);
+                    return false;
+                }
+
+                if (message.action === 'FRAME_FINDINGS_DETECTED') {
+                    // Latest findings of a subframe, relayed by the background page
+                    if (scanner.addFrameFindings) {
+                        scanner.addFrameFindings(message.frameId, message.findings);
+                    }
+                    sendResponse({ success: true });
+                    return false;
+                }
+
                 if (message.action === 'SCAN_NOW') {
                     // Handle manual scan request from popup
                     if (scanner.runScan) {
@@ -127,6 +192,61 @@
                     return true; // Keep channel open for async response
                 }
 
+                if (message.action === 'rescan') {
+                    // Rescan requested from the popup's Rescan button
+                    if (scanner.runScan) {
+                        scanner.runScan().then(() => {
+                            sendResponse({
+                                success: true,
+                                findings: scanner.getLastScanResults(),
+                                truncation: scanner.getLastScanTruncation()
+                            });
+                        }).catch(error => {
+                            sendResponse({ success: false, error: error.message });
+                        });
+                    } else {
+                        sendResponse({ success: false, error: 'Scanner not initialized' });
+                    }
+                    return true; // Keep channel open for async response
+                }
+
+                if (message.action === 'getCurrentFindings') {
+                    // Findings list shown in the popup
+                    if (scanner.getLastScanResults) {
+                        sendResponse({
+                            success: true,
+                            findings: scanner.getLastScanResults(),
+                            truncation: scanner.getLastScanTruncation()
+                        });
+                    } else {
+                        sendResponse({ success: false, error: 'Scanner not initialized' });
+                    }
+                    return false;
+                }
+
+                if (message.action === 'dismissFinding') {
+                    // The popup has already stored the suppression; drop the finding and reload
+                    if (scanner.dismissFinding) {
+                        scanner.dismissFinding(message.fingerprint, message.value, message.ruleId).then(removed => {
+                            sendResponse({ success: true, removed: removed });
+                        }).catch(error => {
+                            sendResponse({ success: false, error: error.message });
+                        });
+                    } else {
+                        sendResponse({ success: false, error: 'Scanner not initialized' });
+                    }
+                    return true; // Keep channel open for async response
+                }
+
+                if (message.action === 'HEADER_LEAKS_DETECTED') {
+                    // Credentials the background page saw sent to a third-party host
+                    if (scanner.addHeaderLeaks) {
+                        scanner.addHeaderLeaks(message.findings);
+                    }
+                    sendResponse({ success: true });
+                    return false;
+                }
+
                 if (message.action === 'GET_LAST_RESULTS') {
                     // Return last scan results
                     if (scanner.getLastScanResults) {
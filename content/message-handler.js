@@ -12,7 +12,9 @@
     // Message types
     const MESSAGE_TYPES = {
         API_CALL: 'FERRETWATCH_API_CALL',
-        API_RESPONSE: 'FERRETWATCH_API_RESPONSE'
+        API_RESPONSE: 'FERRETWATCH_API_RESPONSE',
+        ROUTE_CHANGE: 'FERRETWATCH_ROUTE_CHANGE',
+        REALTIME: 'FERRETWATCH_REALTIME'
     };
 
     /**
@@ -88,6 +90,48 @@
         }
     }
 
+    /**
+     * Send a WebSocket or EventSource event to background script
+     * @param {Object} realtimeEvent - Connection or frame data from interceptor
+     */
+    function sendRealtimeEventToBackground(realtimeEvent) {
+        debugLog(`[Content] ${realtimeEvent.kind} ${realtimeEvent.event} captured: ${realtimeEvent.url}`);
+
+        const message = {
+            type: 'REALTIME_EVENT_CAPTURED',
+            data: realtimeEvent
+        };
+
+        Promise.resolve(api.runtime.sendMessage(message))
+            .catch(err => {
+                console.error('[FW Content] Error sending realtime event to background:', err);
+            });
+    }
+
+    /**
+     * Hand captured traffic to the secret scanner
+     * @param {Object} exchange - API call or response data from interceptor
+     */
+    function scanApiTraffic(exchange) {
+        const scanner = window.FerretWatchScanner;
+        if (scanner && scanner.scanApiExchange) {
+            scanner.scanApiExchange(exchange);
+        }
+    }
+
+    /**
+     * Tag captured traffic with the SPA route it was seen on
+     * @param {Object} exchange - API call or response data from interceptor
+     * @returns {Object} The same exchange
+     */
+    function tagWithRoute(exchange) {
+        const scanner = window.FerretWatchScanner;
+        if (exchange && scanner && scanner.getCurrentRoute) {
+            exchange.route = scanner.getCurrentRoute();
+        }
+        return exchange;
+    }
+
     /**
      * Handle window.postMessage events from interceptor
      * @param {MessageEvent} event - The message event
@@ -98,12 +142,37 @@
 
         // Handle API call (request)
         if (event.data && event.data.type === MESSAGE_TYPES.API_CALL) {
+            tagWithRoute(event.data.data);
             sendApiCallToBackground(event.data.data);
+            scanApiTraffic(event.data.data);
         }
 
         // Handle API response
         if (event.data && event.data.type === MESSAGE_TYPES.API_RESPONSE) {
+            tagWithRoute(event.data.data);
             sendApiResponseToBackground(event.data.data);
+            scanApiTraffic(event.data.data);
+        }
+
+        // Handle WebSocket / EventSource connections and frames
+        if (event.data && event.data.type === MESSAGE_TYPES.REALTIME && event.data.data) {
+            const scanner = window.FerretWatchScanner;
+            if (scanner && scanner.getSetting && !scanner.getSetting('captureRealtime', true)) {
+                return;
+            }
+            tagWithRoute(event.data.data);
+            sendRealtimeEventToBackground(event.data.data);
+            if (event.data.data.event === 'message' && scanner && scanner.scanRealtimeFrame) {
+                scanner.scanRealtimeFrame(event.data.data);
+            }
+        }
+
+        // Handle History API navigation (pushState / replaceState)
+        if (event.data && event.data.type === MESSAGE_TYPES.ROUTE_CHANGE) {
+            const scanner = window.FerretWatchScanner;
+            if (scanner && scanner.handleNavigation && event.data.data) {
+                scanner.handleNavigation(event.data.data.url, event.data.data.trigger);
+            }
         }
     }
 
@@ -128,7 +197,8 @@
         initializeMessageListener,
         removeMessageListener,
         sendApiCallToBackground,
-        sendApiResponseToBackground
+        sendApiResponseToBackground,
+        sendRealtimeEventToBackground
     };
 
 })();
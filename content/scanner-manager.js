@@ -33,18 +33,18 @@
         enableDebounce: true,
         enabledCategories: {
             aws: true,
+            azure: true,
+            gcp: true,
             github: true,
             slack: true,
             discord: true,
             apiKeys: true,
-            azure: true,
-            gcp: true,
-            jwt: true,
-            services: true,
-            passwords: true,
-            keys_and_certificates: true,
             database: true,
-            environment: true
+            auth: true,
+            ssh: true,
+            passwords: true,
+            generic: true,
+            custom: true
         },
         cloudBucketScanning: {
             enabled: true,
@@ -63,9 +63,39 @@
 
     // Scanner state
     let scanner = null;
+    let customRulesLoaded = false; // compiled rule packs, see loadCustomRules
+    let stopWatchingCustomRules = null;
     let lastScanResults = [];
+    let lastScanTruncation = null; // content left out by the maxScanBytes budget, see runScan
     let seenCredentials = new Set();
 
+    // API traffic state; traffic findings survive rescans of the page markup
+    const MAX_PENDING_EXCHANGES = 50;
+    let trafficScanner = null;
+    let trafficFindings = [];
+    let trafficReady = false;
+    let pendingExchanges = [];
+    let trafficQueue = Promise.resolve([]);
+
+    // Credentials the background page saw being sent to third-party hosts
+    let headerLeakFindings = [];
+
+    // Opt-in incremental scanning of DOM changes (see utils/live-scanner.js)
+    let liveScanner = null;
+
+    // Subframes scan their own document and report to the top frame through
+    // the background page; the top frame aggregates the tab's results
+    const isTopFrame = utils.isTopFrame ? utils.isTopFrame() : true;
+    const isSameOriginWithTop = utils.isSameOriginWithTop || function() { return true; };
+    let frameFindings = new Map(); // frameId -> findings (top frame only)
+
+    // Client-side (SPA) route the page is on (see utils/route-tracker.js)
+    let routeTracker = null;
+    let routeRescanTimer = null;
+
+    // Regex matching runs off the page's main thread (see utils/scan-worker-client.js)
+    let matchWorker = null;
+
     /**
      * Load settings from storage into cache
      */
@@ -90,6 +120,138 @@
         }
     }
 
+    /**
+     * Load user-defined rule packs from storage and register them with the pattern manager
+     * Compiling validates every rule (ReDoS analysis, examples), so it runs once
+     * and again only when the stored packs change
+     */
+    async function loadCustomRules() {
+        if (!api.storage || !window.RulePackManager || !window.patternManager) {
+            return;
+        }
+
+        try {
+            const packs = await window.RulePackManager.loadRulePacks();
+            setCustomRules(packs);
+            watchCustomRules();
+        } catch (error) {
+            debugLog('Failed to load custom rule packs:', error);
+        }
+    }
+
+    /**
+     * Compile rule packs and register them with the pattern manager
+     * @param {Array<Object>} packs - Stored rule packs
+     */
+    function setCustomRules(packs) {
+        window.patternManager.setCustomPatterns(window.RulePackManager.compileRulePacks(packs));
+        customRulesLoaded = true;
+        debugLog(`Loaded ${packs.length} custom rule pack(s)`);
+    }
+
+    /**
+     * Recompile the custom rules when a pack is imported or removed
+     */
+    function watchCustomRules() {
+        if (stopWatchingCustomRules || !window.RulePackManager.onRulePacksChanged) {
+            return;
+        }
+
+        stopWatchingCustomRules = window.RulePackManager.onRulePacksChanged(packs => {
+            try {
+                setCustomRules(packs);
+            } catch (error) {
+                debugLog('Failed to reload custom rule packs:', error);
+            }
+        });
+    }
+
+    /**
+     * Register the user's allowlists for built-in and custom rules (userSettings.ruleAllowlists)
+     */
+    function loadRuleAllowlists() {
+        if (!window.RulePackManager || !window.patternManager) {
+            return;
+        }
+
+        window.patternManager.setRuleAllowlists(
+            window.RulePackManager.compileRuleAllowlists(settingsCache.ruleAllowlists));
+    }
+
+    /**
+     * Load dismissed finding hashes from storage into the pattern validator
+     */
+    async function loadSuppressions() {
+        if (!api.storage || !window.SuppressionManager || !window.patternValidator) {
+            return;
+        }
+
+        try {
+            const keys = await window.SuppressionManager.loadSuppressionKeys();
+            window.patternValidator.setSuppressions(keys);
+            debugLog(`Loaded ${keys.length} finding suppression(s)`);
+        } catch (error) {
+            debugLog('Failed to load finding suppressions:', error);
+        }
+    }
+
+    /**
+     * Skip custom rules that went over the time budget on earlier pages
+     */
+    async function loadDisabledRules() {
+        if (!api.storage || !window.RulePackManager || !scanner) {
+            return;
+        }
+
+        const stored = await window.RulePackManager.loadDisabledRules();
+        scanner.setDisabledRules([...scanner.getDisabledRules(), ...stored]);
+    }
+
+    /**
+     * Persist custom rules the scanner disabled during this scan
+     */
+    async function saveDisabledRules() {
+        if (!api.storage || !window.RulePackManager || !scanner) {
+            return;
+        }
+
+        try {
+            const added = await window.RulePackManager.recordDisabledRules(scanner.getDisabledRules());
+            if (added > 0) {
+                debugLog(`Disabled ${added} custom rule(s) for exceeding the time budget`);
+            }
+        } catch (error) {
+            debugLog('Failed to store disabled custom rules:', error);
+        }
+    }
+
+    /**
+     * Drop a dismissed finding from the current results
+     * The popup stores the suppression; later scans honor it via the pattern validator
+     * @param {string} fingerprint - Finding fingerprint
+     * @param {string} value - Finding value (or full URL), for findings without a fingerprint
+     * @param {string} ruleId - Rule that produced the finding
+     * @returns {Promise<boolean>} True if a finding was removed
+     */
+    async function dismissFinding(fingerprint, value, ruleId) {
+        await loadSuppressions();
+
+        const isKept = f => (fingerprint && f.fingerprint ?
+            f.fingerprint !== fingerprint :
+            !((f.value === value || f.fullUrl === value) && (!ruleId || f.ruleId === ruleId)));
+        const remaining = lastScanResults.filter(isKept);
+        const removed = remaining.length !== lastScanResults.length;
+
+        // Traffic and header leak findings are not rescanned, so drop them here too
+        trafficFindings = trafficFindings.filter(isKept);
+        headerLeakFindings = headerLeakFindings.filter(isKept);
+        frameFindings.forEach((findings, frameId) => frameFindings.set(frameId, findings.filter(isKept)));
+
+        lastScanResults = remaining;
+        window.lastScanResults = lastScanResults;
+        return removed;
+    }
+
     /**
      * Get a setting value from cache
      * @param {string} key - Setting key
@@ -100,22 +262,60 @@
         return settingsCache[key] !== undefined ? settingsCache[key] : defaultValue;
     }
 
+    /**
+     * Attach where page findings sit in the DOM (node, attribute, inline script
+     * line/column or HTML comment); the scan itself only sees serialized markup
+     * Findings from scripts, storage, traffic, shadow roots and other frames are skipped
+     * @param {Array} findings - Findings; domLocation is set on each page finding
+     */
+    function locateFindings(findings) {
+        if (!window.DomLocator || !document.documentElement) {
+            return;
+        }
+
+        const pending = findings.filter(f => f.domLocation === undefined && !f.sourceUrl && !f.storage &&
+            !f.apiRequest && !f.realtimeFrame && !f.thirdPartyLeak && !f.hostPath &&
+            (!f.frameUrl || f.frameUrl === window.location.href));
+        if (pending.length === 0) {
+            return;
+        }
+
+        // Decoded findings are located by their encoded span (shortened to a prefix for display)
+        const searchValue = f => (f.decoding ? f.decoding.encoded.replace(/…$/, '') : f.fullUrl || f.value);
+        const locations = new window.DomLocator().locateAll(document, pending.map(searchValue));
+        pending.forEach(f => {
+            f.domLocation = locations.get(searchValue(f)) || null;
+        });
+    }
+
     /**
      * Process scan findings and display notifications
      * @param {Array} findings - Array of findings from scanner
      */
     function processFindings(findings) {
+        locateFindings(findings);
+
         // Store for export
+        // Findings kept from earlier routes keep the route and URL they were seen on
+        const route = getCurrentRoute();
         lastScanResults = findings.map(finding => ({
             ...finding,
             timestamp: new Date().toISOString(),
-            url: window.location.href,
-            domain: window.location.hostname
+            url: finding.route && finding.url ? finding.url : window.location.href,
+            domain: window.location.hostname,
+            route: finding.route || route,
+            frameUrl: finding.frameUrl || window.location.href
         }));
 
         // Update the global window reference
         window.lastScanResults = lastScanResults;
 
+        // Subframes leave notifications to the top frame
+        if (!isTopFrame) {
+            reportFrameFindings(lastScanResults);
+            return;
+        }
+
         if (findings.length === 0) {
             // Only log "no issues" in debug mode to avoid console spam on clean pages
             debugLog("✅ No security issues found on this page.");
@@ -163,7 +363,7 @@
 
         // Detect new credentials (credentials not seen before)
         const newFindings = findings.filter(f => {
-            const key = `${f.type}:${f.value}`;
+            const key = f.fingerprint || `${f.type}:${f.value}`;
             if (seenCredentials.has(key)) {
                 return false;
             } else {
@@ -201,6 +401,337 @@
         }
     }
 
+    /**
+     * Parse and scan the JSON state server-rendered apps embed in the page
+     * (__NEXT_DATA__, window.__NUXT__, Apollo caches, JSON-LD)
+     * @param {string} content - Page markup
+     * @param {Array} patterns - Patterns to run
+     * @returns {Promise<Array>} Findings tagged with their JSON key path
+     */
+    async function scanHydrationState(content, patterns) {
+        if (!getSetting('scanHydrationState', true) || !window.HydrationParser) {
+            return [];
+        }
+
+        try {
+            const parser = new window.HydrationParser(scanner);
+            const findings = await parser.scanHtml(content, patterns);
+            debugLog('Hydration state scan:', parser.getStats());
+            return findings;
+        } catch (error) {
+            debugLog('Hydration state scan failed:', error);
+            return [];
+        }
+    }
+
+    /**
+     * Scan the markup inside shadow roots, which documentElement.innerHTML leaves out
+     * Template content is part of innerHTML already; shadow hosts inside it are followed
+     * Shadow root markup counts against the scan's byte budget (maxScanBytes)
+     * @param {Array} patterns - Patterns to run
+     * @returns {Promise<Array>} Findings tagged with the host element path
+     */
+    async function scanShadowRoots(patterns) {
+        if (!getSetting('scanShadowDom', true) || !window.ShadowDomCollector || !document.documentElement) {
+            return [];
+        }
+
+        try {
+            const collector = new window.ShadowDomCollector({ maxRoots: getSetting('maxShadowRoots', 500) });
+            const segments = collector.collect(document);
+            const findings = [];
+            for (const segment of segments) {
+                const content = scanner.takeScanBudget(segment.content);
+                if (!content) {
+                    continue;
+                }
+                const segmentFindings = await scanner.scanWithPatterns(content, patterns, {});
+                segmentFindings.forEach(finding => {
+                    finding.hostPath = segment.hostPath;
+                });
+                findings.push(...segmentFindings);
+            }
+            debugLog('Shadow DOM scan:', collector.getStats());
+            return findings;
+        } catch (error) {
+            debugLog('Shadow DOM scan failed:', error);
+            return [];
+        }
+    }
+
+    /**
+     * Check whether this subframe should be scanned
+     * Cross-origin frames (ads, widgets, payment forms) are opt-in
+     * @returns {boolean} True if the frame should be scanned
+     */
+    function shouldScanFrame() {
+        if (!getSetting('scanFrames', true)) {
+            return false;
+        }
+        return isSameOriginWithTop() || getSetting('scanCrossOriginFrames', false);
+    }
+
+    /**
+     * Send this subframe's findings to the top frame via the background page
+     * @param {Array} findings - Processed findings
+     */
+    function reportFrameFindings(findings) {
+        if (!api.runtime || !api.runtime.sendMessage) {
+            return;
+        }
+
+        Promise.resolve(api.runtime.sendMessage({ type: 'FRAME_FINDINGS', findings }))
+            .catch(error => debugLog('Failed to report frame findings:', error));
+    }
+
+    /**
+     * Store a subframe's findings under the top frame's current route
+     * @param {number} frameId - Frame the findings came from
+     * @param {Array} findings - The frame's latest findings
+     * @returns {Array} Stored findings
+     */
+    function mergeFrameFindings(frameId, findings) {
+        const route = getCurrentRoute();
+        const stored = (findings || []).map(finding => ({ ...finding, route, url: window.location.href }));
+        frameFindings.set(frameId, stored);
+        return stored;
+    }
+
+    /**
+     * Add findings pushed by a subframe while the page is open
+     * Findings that arrive before the first scan are reported by that scan
+     * @param {number} frameId - Frame the findings came from
+     * @param {Array} findings - The frame's latest findings
+     * @returns {Array} Stored findings
+     */
+    function addFrameFindings(frameId, findings) {
+        const stored = mergeFrameFindings(frameId, findings);
+        if (stored.length > 0 && trafficReady) {
+            processFindings(scanner.combineResults(lastScanResults, stored));
+        }
+        return stored;
+    }
+
+    /**
+     * Fetch the findings subframes reported so far
+     */
+    async function loadFrameFindings() {
+        if (!api.runtime || !api.runtime.sendMessage) {
+            return;
+        }
+
+        try {
+            const response = await api.runtime.sendMessage({ type: 'GET_FRAME_FINDINGS' });
+            if (response && response.success) {
+                response.frames.forEach(frame => {
+                    if (!frameFindings.has(frame.frameId)) {
+                        mergeFrameFindings(frame.frameId, frame.findings);
+                    }
+                });
+            }
+        } catch (error) {
+            debugLog('Failed to load frame findings:', error);
+        }
+    }
+
+    /**
+     * Get the findings of all subframes
+     * @returns {Array} Findings
+     */
+    function getFrameFindings() {
+        return Array.from(frameFindings.values()).flat();
+    }
+
+    /**
+     * Fetch the page's external scripts and scan their source
+     * @param {Array} patterns - Patterns to run
+     * @returns {Promise<Array>} Findings located by script URL, line and column
+     */
+    async function scanExternalScripts(patterns) {
+        if (!getSetting('scanExternalScripts', true) || !window.ExternalScriptScanner) {
+            return [];
+        }
+
+        try {
+            const scriptScanner = new window.ExternalScriptScanner(scanner, {
+                maxScripts: getSetting('maxExternalScripts', 25),
+                maxScriptSize: getSetting('maxScriptSize', 5242880)
+            });
+
+            // Source maps are fetched the same way as the scripts that reference them
+            if (getSetting('scanSourceMaps', true) && window.SourceMapScanner) {
+                scriptScanner.sourceMapScanner = new window.SourceMapScanner(scanner, {
+                    fetchText: (url, maxSize) => scriptScanner.fetchScript(url, maxSize),
+                    maxMaps: getSetting('maxSourceMaps', 10),
+                    maxMapSize: getSetting('maxSourceMapSize', 20971520)
+                });
+            }
+
+            const findings = await scriptScanner.scanScripts(scriptScanner.getScriptUrls(document), patterns);
+            debugLog('External script scan:', scriptScanner.getStats());
+            if (scriptScanner.sourceMapScanner) {
+                debugLog('Source map scan:', scriptScanner.sourceMapScanner.getStats());
+            }
+            return findings;
+        } catch (error) {
+            debugLog('External script scanning failed:', error);
+            return [];
+        }
+    }
+
+    /**
+     * Scan the page's Web Storage, cookies, IndexedDB and Cache Storage
+     * @param {Array} patterns - Patterns to run
+     * @returns {Promise<Array>} Findings with the store name and key path
+     */
+    async function scanBrowserStorage(patterns) {
+        if (!getSetting('scanBrowserStorage', true) || !window.BrowserStorageScanner) {
+            return [];
+        }
+
+        try {
+            const storageScanner = new window.BrowserStorageScanner(scanner, {
+                maxEntries: getSetting('maxStorageEntries', 500)
+            });
+            const findings = await storageScanner.scanStorage(patterns);
+            debugLog('Browser storage scan:', storageScanner.getStats());
+            return findings;
+        } catch (error) {
+            debugLog('Browser storage scanning failed:', error);
+            return [];
+        }
+    }
+
+    /**
+     * Scan a request or response captured by the network interceptor
+     * Exchanges captured before the first scan has loaded rules and
+     * suppressions are held until it has; scans run one at a time
+     * @param {Object} exchange - Interceptor data (API call or API response)
+     * @returns {Promise<Array>} New findings
+     */
+    function scanApiExchange(exchange) {
+        if (!getSetting('scanApiTraffic', true) || !window.TrafficScanner) {
+            return Promise.resolve([]);
+        }
+
+        if (!trafficReady) {
+            if (pendingExchanges.length < MAX_PENDING_EXCHANGES) {
+                pendingExchanges.push(exchange);
+            }
+            return Promise.resolve([]);
+        }
+
+        trafficQueue = trafficQueue
+            .then(() => scanExchangeNow(exchange))
+            .catch(error => {
+                debugLog('API traffic scan failed:', error);
+                return [];
+            });
+        return trafficQueue;
+    }
+
+    /**
+     * Scan a text frame of a WebSocket or EventSource connection
+     * Frames share the API traffic queue, so they wait for rules the same way
+     * @param {Object} frame - Interceptor data (realtime message event)
+     * @returns {Promise<Array>} New findings
+     */
+    function scanRealtimeFrame(frame) {
+        if (!frame || frame.format !== 'text' || !getSetting('scanRealtimeTraffic', true)) {
+            return Promise.resolve([]);
+        }
+        return scanApiExchange(frame);
+    }
+
+    /**
+     * Scan one exchange or realtime frame and report any new findings
+     * @param {Object} exchange - Interceptor data
+     * @returns {Promise<Array>} New findings
+     */
+    async function scanExchangeNow(exchange) {
+        if (!trafficScanner) {
+            trafficScanner = new window.TrafficScanner(scanner, {
+                maxBodySize: getSetting('maxTrafficBodySize', 1048576)
+            });
+        }
+
+        const patterns = window.patternManager ? window.patternManager.getAllPatterns() : [];
+        const findings = exchange.connectionId ?
+            await trafficScanner.scanFrame(exchange, patterns) :
+            await trafficScanner.scanExchange(exchange, patterns);
+        if (findings.length > 0) {
+            const label = exchange.connectionId ? `${exchange.kind} frame from` : exchange.method || 'GET';
+            debugLog(`Found ${findings.length} secret(s) in ${label} ${exchange.url}`);
+            findings.forEach(finding => {
+                finding.route = exchange.route || getCurrentRoute();
+            });
+            trafficFindings.push(...findings);
+            processFindings(scanner.combineResults(lastScanResults, findings));
+        }
+        return findings;
+    }
+
+    /**
+     * Scan the exchanges captured before the first scan finished loading rules
+     */
+    function flushPendingExchanges() {
+        trafficReady = true;
+        const pending = pendingExchanges;
+        pendingExchanges = [];
+        pending.forEach(scanApiExchange);
+    }
+
+    /**
+     * Keep header leak findings that are new and not dismissed
+     * @param {Array} findings - Leak findings from the background page
+     * @returns {Array} Findings that were added
+     */
+    function mergeHeaderLeaks(findings) {
+        const suppressions = window.patternValidator ? window.patternValidator.suppressions : null;
+        const known = new Set(headerLeakFindings.map(f => f.fingerprint));
+        const route = getCurrentRoute();
+        const fresh = (findings || []).filter(f =>
+            !known.has(f.fingerprint) && !(suppressions && suppressions.has(f.fingerprint)));
+        fresh.forEach(f => {
+            f.route = f.route || route;
+        });
+
+        headerLeakFindings.push(...fresh);
+        return fresh;
+    }
+
+    /**
+     * Add leaks pushed by the background page while the page is open
+     * Leaks that arrive before the first scan are reported by that scan
+     * @param {Array} findings - Leak findings
+     * @returns {Array} Findings that were added
+     */
+    function addHeaderLeaks(findings) {
+        const fresh = mergeHeaderLeaks(findings);
+        if (fresh.length > 0 && trafficReady) {
+            processFindings(scanner.combineResults(lastScanResults, fresh));
+        }
+        return fresh;
+    }
+
+    /**
+     * Fetch the leaks the background page detected for this tab so far
+     */
+    async function loadHeaderLeaks() {
+        if (!api.runtime || !api.runtime.sendMessage) {
+            return;
+        }
+
+        try {
+            const response = await api.runtime.sendMessage({ type: 'GET_HEADER_LEAKS' });
+            if (response && response.success) {
+                mergeHeaderLeaks(response.findings);
+            }
+        } catch (error) {
+            debugLog('Failed to load header leaks:', error);
+        }
+    }
+
     /**
      * Run a security scan on the current page
      * @returns {Promise<Array>} Array of findings
@@ -211,29 +742,44 @@
             return [];
         }
 
-        // 1. Get patterns from the global scope (loaded from config/patterns.js)
-        const allPatterns = [];
-        if (window.SECURITY_PATTERNS) {
-            for (const category in window.SECURITY_PATTERNS) {
-                for (const key in window.SECURITY_PATTERNS[category]) {
-                    const patternConfig = window.SECURITY_PATTERNS[category][key];
-                    if (patternConfig.pattern) {
-                        allPatterns.push({
-                            regex: patternConfig.pattern,
-                            type: patternConfig.description,
-                            risk: patternConfig.riskLevel,
-                            riskLevel: patternConfig.riskLevel, // Add this for consistency
-                            category: patternConfig.category || category, // Use pattern's category if specified
-                            provider: patternConfig.provider
-                        });
-                    }
-                }
-            }
+        // 1. Get built-in and rule pack patterns from the pattern manager (config/patterns.js)
+        if (!customRulesLoaded) {
+            await loadCustomRules();
         }
+        loadRuleAllowlists();
+        await loadSuppressions();
+        await loadDisabledRules();
+        const allPatterns = window.patternManager ? window.patternManager.getAllPatterns() : [];
 
         // 2. Run the scan using the ProgressiveScanner
-        const content = document.documentElement.innerHTML;
-        let findings = await scanner.progressiveScan(content, allPatterns);
+        // Page markup and shadow roots share one byte budget; what is left out is reported with the results
+        scanner.startScanBudget();
+        let findings;
+        try {
+            const content = scanner.takeScanBudget(document.documentElement.innerHTML);
+            findings = await scanner.progressiveScan(content, allPatterns);
+            // Hydration findings first: they win the dedupe with their JSON key path
+            findings = scanner.combineResults(await scanHydrationState(content, allPatterns), findings);
+            findings = scanner.combineResults(findings, await scanShadowRoots(allPatterns));
+        } finally {
+            lastScanTruncation = scanner.endScanBudget();
+        }
+        if (lastScanTruncation) {
+            debugLog('Scan truncated by maxScanBytes:', lastScanTruncation);
+        }
+        findings = scanner.combineResults(findings, await scanExternalScripts(allPatterns));
+        findings = scanner.combineResults(findings, await scanBrowserStorage(allPatterns));
+        findings = scanner.combineResults(findings, trafficFindings);
+        if (isTopFrame) {
+            await loadHeaderLeaks();
+            findings = scanner.combineResults(findings, headerLeakFindings);
+            await loadFrameFindings();
+            findings = scanner.combineResults(findings, getFrameFindings());
+        }
+        // Keep what earlier SPA routes found; this scan only sees the current one
+        const route = getCurrentRoute();
+        findings = scanner.combineResults(findings, lastScanResults.filter(f => f.route && f.route !== route));
+        await saveDisabledRules();
 
         // 3. Run bucket scanning if enabled and bucket findings exist
         if (scanner.isBucketScanningEnabled && typeof scanner.isBucketScanningEnabled === 'function' && scanner.isBucketScanningEnabled()) {
@@ -251,6 +797,7 @@
 
         // 4. Process the results
         processFindings(findings);
+        flushPendingExchanges();
         return findings;
     }
 
@@ -270,16 +817,138 @@
                 return;
             }
 
+            if (!isTopFrame && !shouldScanFrame()) {
+                debugLog('[FW Content] Skipping frame:', window.location.href);
+                return;
+            }
+
             debugLog('[FW Content] FerretWatch starting scan on:', currentDomain);
             debugLog('FerretWatch Auto-scanning for credentials...');
 
+            await loadCustomRules();
+            await startMatchWorker();
             await runScan();
+            startLiveScanning();
+            startRouteTracking();
 
         } catch (error) {
             console.error('[FW Content] Initialization error:', error);
         }
     }
 
+    /**
+     * Start the pattern matching worker, if enabled
+     * Pages where the worker cannot start are matched on the main thread as before
+     */
+    async function startMatchWorker() {
+        if (!getSetting('scanInWorker', true) || !window.ScanWorkerClient || matchWorker || !scanner) {
+            return;
+        }
+
+        matchWorker = new window.ScanWorkerClient();
+        if (await matchWorker.start()) {
+            scanner.setMatchWorker(matchWorker);
+            debugLog('Pattern matching moved to a worker');
+        }
+    }
+
+    /**
+     * Start scanning DOM changes as they happen, if live mode is enabled
+     * Secrets rendered after the first scan (SPA routes, lazy components) are
+     * otherwise only found by a manual rescan
+     */
+    function startLiveScanning() {
+        if (!getSetting('liveScanning', false) || !window.LiveScanner || liveScanner || !document.documentElement) {
+            return;
+        }
+
+        liveScanner = new window.LiveScanner(scanner, {
+            getPatterns: () => (window.patternManager ? window.patternManager.getAllPatterns() : []),
+            onFindings: findings => {
+                debugLog(`Live scan found ${findings.length} new secret(s)`);
+                processFindings(scanner.combineResults(lastScanResults, findings));
+            },
+            throttle: getSetting('liveScanThrottle', 1000),
+            cpuBudget: getSetting('liveScanCpuBudget', 100)
+        });
+        liveScanner.start(document.documentElement, lastScanResults.map(f => f.fingerprint));
+        debugLog('Live scanning started');
+    }
+
+    /**
+     * Stop live scanning
+     */
+    function stopLiveScanning() {
+        if (liveScanner) {
+            debugLog('Live scanning stopped:', liveScanner.getStats());
+            liveScanner.stop();
+            liveScanner = null;
+        }
+    }
+
+    /**
+     * Start following client-side navigations
+     * History API calls are reported by the network interceptor via handleNavigation
+     */
+    function startRouteTracking() {
+        const tracker = getRouteTracker();
+        if (tracker) {
+            tracker.start(window);
+        }
+    }
+
+    /**
+     * Get the route tracker, creating it on first use
+     * @returns {Object|null} RouteTracker instance
+     */
+    function getRouteTracker() {
+        if (!routeTracker && window.RouteTracker) {
+            routeTracker = new window.RouteTracker({
+                getUrl: () => window.location.href,
+                onChange: handleRouteChange
+            });
+        }
+        return routeTracker;
+    }
+
+    /**
+     * Get the SPA route the page is on
+     * @returns {string} Route (path plus hash-router fragment)
+     */
+    function getCurrentRoute() {
+        const tracker = getRouteTracker();
+        return tracker ? tracker.getCurrentRoute() : window.location.pathname;
+    }
+
+    /**
+     * Record a pushState / replaceState navigation reported by the interceptor
+     * @param {string} url - URL after the navigation
+     * @param {string} trigger - History method that was called
+     * @returns {boolean} True if the route changed
+     */
+    function handleNavigation(url, trigger) {
+        const tracker = getRouteTracker();
+        return tracker ? tracker.handleNavigation(url, trigger) : false;
+    }
+
+    /**
+     * Rescan once the new route has rendered, if configured
+     * @param {Object} change - { route, previousRoute, url, trigger }
+     */
+    function handleRouteChange(change) {
+        debugLog(`Route changed (${change.trigger}): ${change.previousRoute} -> ${change.route}`);
+
+        if (!getSetting('rescanOnRouteChange', false) || !scanner || isDomainWhitelisted()) {
+            return;
+        }
+
+        // Navigations often come in bursts (redirects, replaceState after pushState)
+        clearTimeout(routeRescanTimer);
+        routeRescanTimer = setTimeout(() => {
+            runScan().catch(error => debugLog('Route change rescan failed:', error));
+        }, getSetting('routeRescanDelay', 1000));
+    }
+
     /**
      * Set the scanner instance
      * @param {Object} scannerInstance - The ProgressiveScanner instance
@@ -304,6 +973,14 @@
         return lastScanResults;
     }
 
+    /**
+     * Get how much of the page the last scan left out
+     * @returns {Object|null} { scannedBytes, totalBytes, maxScanBytes }, null if everything was scanned
+     */
+    function getLastScanTruncation() {
+        return lastScanTruncation;
+    }
+
     /**
      * Reset seen credentials cache
      */
@@ -311,16 +988,40 @@
         seenCredentials.clear();
     }
 
+    // Start from the route the page loaded on, before any pushState
+    getRouteTracker();
+
     // Expose public API
     window.FerretWatchScanner = {
         initializeScanner,
         runScan,
         loadSettings,
+        loadCustomRules,
+        loadRuleAllowlists,
+        loadSuppressions,
+        loadDisabledRules,
+        saveDisabledRules,
+        scanExternalScripts,
+        scanBrowserStorage,
+        scanShadowRoots,
+        scanHydrationState,
+        shouldScanFrame,
+        addFrameFindings,
+        startLiveScanning,
+        stopLiveScanning,
+        startRouteTracking,
+        getCurrentRoute,
+        handleNavigation,
+        scanApiExchange,
+        scanRealtimeFrame,
+        addHeaderLeaks,
+        dismissFinding,
         getSetting,
         processFindings,
         setScanner,
         getScanner,
         getLastScanResults,
+        getLastScanTruncation,
         resetSeenCredentials
     };
 
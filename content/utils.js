@@ -155,6 +155,27 @@
         return div.innerHTML;
     }
 
+    /**
+     * Check whether this content script runs in the top-level frame
+     * @returns {boolean} True for the top frame
+     */
+    function isTopFrame() {
+        return window.top === window;
+    }
+
+    /**
+     * Check whether this frame can see the top frame's document
+     * Reading a cross-origin top frame's location throws
+     * @returns {boolean} True for the top frame and same-origin subframes
+     */
+    function isSameOriginWithTop() {
+        try {
+            return isTopFrame() || window.top.location.origin === window.location.origin;
+        } catch (error) {
+            return false;
+        }
+    }
+
     // Expose public API
     window.FerretWatchUtils = {
         getRiskColor,
@@ -166,6 +187,8 @@
         errorLog,
         criticalLog,
         escapeHtml,
+        isTopFrame,
+        isSameOriginWithTop,
         RISK_LEVELS,
         LOG_LEVELS
     };
@@ -14,6 +14,10 @@
     let showLive = true;
     let showStatic = true;
     let currentRawBody = null; // Store raw body for formatting
+    let pendingSelection = null; // { method, url } to select once the request is loaded
+
+    // Messages kept per WebSocket / EventSource connection (matches the background page)
+    const MAX_CONNECTION_MESSAGES = 500;
 
     // API references
     const api = typeof browser !== 'undefined' ? browser : chrome;
@@ -50,7 +54,11 @@
         btnAddHeader: document.getElementById('btn-add-header'),
         replayRemoveAuth: document.getElementById('replay-remove-auth'),
         replayModifyParams: document.getElementById('replay-modify-params'),
-        bodyTypeRadios: document.querySelectorAll('input[name="body-type"]')
+        bodyTypeRadios: document.querySelectorAll('input[name="body-type"]'),
+        tabBtnMessages: document.getElementById('tab-btn-messages'),
+        connectionMeta: document.getElementById('connection-meta'),
+        messageCount: document.getElementById('message-count'),
+        messageTbody: document.getElementById('message-tbody')
     };
 
     // Initialize
@@ -61,6 +69,14 @@
         const urlParams = new URLSearchParams(window.location.search);
         targetTabId = parseInt(urlParams.get('tabId'));
 
+        // Findings from API traffic link to the request they were found in
+        if (urlParams.get('url')) {
+            pendingSelection = {
+                method: (urlParams.get('method') || 'GET').toUpperCase(),
+                url: urlParams.get('url')
+            };
+        }
+
         if (!targetTabId) {
             console.error('[Explorer v2] No tabId provided');
             elements.targetUrl.textContent = 'No target tab specified';
@@ -91,6 +107,9 @@
             if (message.type === 'NEW_API_ENDPOINT' && message.tabId === targetTabId) {
                 addOrUpdateRequest(message.endpoint);
             }
+            if (message.type === 'REALTIME_UPDATE' && message.tabId === targetTabId) {
+                addOrUpdateConnection(message.connection, message.message);
+            }
         });
 
         console.log('[Explorer v2] Initialization complete');
@@ -112,6 +131,20 @@
         } catch (error) {
             console.error('[Explorer v2] Error loading endpoints:', error);
         }
+
+        try {
+            const response = await api.runtime.sendMessage({
+                type: 'GET_REALTIME_CONNECTIONS',
+                tabId: targetTabId
+            });
+
+            if (response && response.connections) {
+                console.log(`[Explorer v2] Loaded ${response.connections.length} realtime connections`);
+                response.connections.forEach(connection => addOrUpdateConnection(connection));
+            }
+        } catch (error) {
+            console.error('[Explorer v2] Error loading realtime connections:', error);
+        }
     }
 
     // Add or update a request in the table
@@ -144,6 +177,69 @@
         requests.set(requestId, requestData);
         renderRequestRow(requestData);
         updateRequestCount();
+        selectIfPending(requestData);
+    }
+
+    // Add or update a WebSocket / EventSource connection in the table
+    // `connection` carries all its messages when loaded, `message` is one new frame
+    function addOrUpdateConnection(connection, message = null) {
+        const requestId = `realtime-${connection.id}`;
+        const existing = requests.get(requestId);
+        const { messages: loadedMessages, ...summary } = connection;
+
+        const messages = loadedMessages || (existing ? existing.messages : []);
+        if (message) {
+            messages.push(message);
+            if (messages.length > MAX_CONNECTION_MESSAGES) {
+                messages.shift();
+            }
+        }
+
+        const requestData = {
+            id: requestId,
+            source: 'live',
+            realtime: true,
+            method: summary.kind === 'sse' ? 'SSE' : 'WS',
+            url: summary.url,
+            origin: null,
+            status: summary.status,
+            statusText: summary.closeReason || '',
+            type: summary.kind === 'sse' ? 'eventsource' : 'websocket',
+            duration: summary.openedAt && summary.closedAt ? summary.closedAt - summary.openedAt : null,
+            size: summary.bytesSent + summary.bytesReceived,
+            timestamp: summary.createdAt,
+            connection: summary,
+            messages,
+            requestHeaders: {},
+            requestBody: null,
+            responseHeaders: {},
+            responseBody: '',
+            error: null
+        };
+
+        requests.set(requestId, requestData);
+        renderRequestRow(requestData);
+        updateRequestCount();
+
+        if (selectedRequestId === requestId) {
+            if (message) {
+                renderConnectionMeta(requestData);
+                appendMessageRow(message);
+            } else {
+                renderMessages(requestData);
+            }
+        }
+        selectIfPending(requestData);
+    }
+
+    // Select a request a finding linked to (method and URL from the popup), once it loads
+    function selectIfPending(request) {
+        if (pendingSelection && pendingSelection.method === request.method.toUpperCase() &&
+            pendingSelection.url === request.url) {
+            pendingSelection = null;
+            selectRequest(request.id);
+            document.querySelector(`tr[data-request-id="${CSS.escape(request.id)}"]`)?.scrollIntoView({ block: 'center' });
+        }
     }
 
     // Render a request row in the table
@@ -169,7 +265,8 @@
         row.style.display = (matchesFilter && matchesSourceFilter) ? '' : 'none';
 
         // Build row content
-        const statusClass = request.status ? `status-${Math.floor(request.status / 100)}xx` : 'status-pending';
+        const statusClass = request.realtime ? `status-${request.status}` :
+            request.status ? `status-${Math.floor(request.status / 100)}xx` : 'status-pending';
         row.innerHTML = `
             <td><span class="source-badge ${request.source}">${request.source.toUpperCase()}</span></td>
             <td><span class="method-badge method-${request.method}">${request.method}</span></td>
@@ -216,6 +313,18 @@
         elements.detailMethod.value = request.method;
         elements.detailUrl.value = request.url;
 
+        // Connections show their message stream instead of a replayable request
+        const isRealtime = Boolean(request.realtime);
+        elements.tabBtnMessages.classList.toggle('hidden', !isRealtime);
+        elements.detailMethod.disabled = isRealtime;
+        elements.btnSendRequest.disabled = isRealtime;
+        if (isRealtime) {
+            renderMessages(request);
+            showTab('messages');
+        } else if (elements.tabBtnMessages.classList.contains('active')) {
+            showTab('headers');
+        }
+
         // Render request headers
         renderRequestHeaders(request.requestHeaders);
 
@@ -232,7 +341,54 @@
         renderPreview(request.responseBody, request.responseHeaders);
 
         // Update cURL command
-        updateCurlCommand(request);
+        if (isRealtime) {
+            elements.curlDisplay.textContent = `# ${request.type} connections cannot be replayed with cURL`;
+        } else {
+            updateCurlCommand(request);
+        }
+    }
+
+    // Render a connection's status and message stream
+    function renderMessages(request) {
+        renderConnectionMeta(request);
+        elements.messageTbody.innerHTML = '';
+        request.messages.forEach(message => appendMessageRow(message));
+    }
+
+    // Render connection status, byte counts and message count
+    function renderConnectionMeta(request) {
+        const connection = request.connection;
+        const closeCode = connection.closeCode ? ` (${connection.closeCode}${connection.closeReason ? ` ${connection.closeReason}` : ''})` : '';
+        elements.connectionMeta.innerHTML = `
+            <span class="status-${connection.status}"><strong>Status:</strong> ${escapeHtml(connection.status + closeCode)}</span>
+            ${connection.protocol ? `<span><strong>Protocol:</strong> ${escapeHtml(connection.protocol)}</span>` : ''}
+            <span><strong>Sent:</strong> ${formatBytes(connection.bytesSent)}</span>
+            <span><strong>Received:</strong> ${formatBytes(connection.bytesReceived)}</span>
+        `;
+
+        const shown = request.messages.length;
+        elements.messageCount.textContent = shown < connection.messageCount ?
+            `last ${shown} of ${connection.messageCount}` :
+            `${connection.messageCount} message${connection.messageCount !== 1 ? 's' : ''}`;
+    }
+
+    // Append one frame to the message stream
+    function appendMessageRow(message) {
+        const row = document.createElement('tr');
+        row.className = message.direction;
+        const eventName = message.eventName && message.eventName !== 'message' ?
+            `<span class="message-event">${escapeHtml(message.eventName)}</span>` : '';
+        row.innerHTML = `
+            <td><span class="message-direction ${message.direction}" title="${message.direction}">${message.direction === 'sent' ? '↑' : '↓'}</span></td>
+            <td><div class="message-data ${message.format}">${eventName}${escapeHtml(message.preview)}${message.truncated ? '…' : ''}</div></td>
+            <td>${formatTime(message.timestamp)}</td>
+            <td>${formatBytes(message.size)}</td>
+        `;
+        elements.messageTbody.appendChild(row);
+
+        while (elements.messageTbody.children.length > MAX_CONNECTION_MESSAGES) {
+            elements.messageTbody.firstElementChild.remove();
+        }
     }
 
     // Render request headers (editable)
@@ -698,7 +854,7 @@
         elements.replayRemoveAuth.addEventListener('change', () => {
             if (selectedRequestId) {
                 const request = requests.get(selectedRequestId);
-                if (request) updateCurlCommand(request);
+                if (request && !request.realtime) updateCurlCommand(request);
             }
         });
     }
@@ -706,18 +862,20 @@
     // Set up tab switching
     function setupTabs() {
         document.querySelectorAll('.tab-btn').forEach(btn => {
-            btn.addEventListener('click', () => {
-                const tabName = btn.dataset.tab;
+            btn.addEventListener('click', () => showTab(btn.dataset.tab));
+        });
+    }
 
-                // Update active button
-                document.querySelectorAll('.tab-btn').forEach(b => b.classList.remove('active'));
-                btn.classList.add('active');
+    // Switch the detail panel to a tab
+    function showTab(tabName) {
+        // Update active button
+        document.querySelectorAll('.tab-btn').forEach(btn => {
+            btn.classList.toggle('active', btn.dataset.tab === tabName);
+        });
 
-                // Update active pane
-                document.querySelectorAll('.tab-pane').forEach(pane => {
-                    pane.classList.toggle('active', pane.id === `tab-${tabName}`);
-                });
-            });
+        // Update active pane
+        document.querySelectorAll('.tab-pane').forEach(pane => {
+            pane.classList.toggle('active', pane.id === `tab-${tabName}`);
         });
     }
 
@@ -740,6 +898,12 @@
         return Math.round(bytes / Math.pow(k, i) * 100) / 100 + ' ' + sizes[i];
     }
 
+    // Utility: Format a timestamp as HH:MM:SS.mmm
+    function formatTime(timestamp) {
+        const date = new Date(timestamp);
+        return `${date.toLocaleTimeString([], { hour12: false })}.${String(date.getMilliseconds()).padStart(3, '0')}`;
+    }
+
     // Utility: Escape HTML
     function escapeHtml(text) {
         const div = document.createElement('div');
@@ -0,0 +1,281 @@
+/**
+ * FerretWatch Pattern Lab
+ * Runs built-in, rule pack and draft rules against pasted text or a saved page
+ * and shows every match with its capture groups, verdict and timing
+ */
+
+(function() {
+    'use strict';
+
+    const DRAFT_PACK = { name: 'draft', version: '0' };
+    const DRAFT_RULE_VALUE = 'draft';
+
+    const REJECTION_LABELS = {
+        empty: 'Empty match',
+        falsePositive: 'False positive pattern',
+        validator: 'Validator',
+        entropy: 'Entropy threshold',
+        allowlist: 'Allowlist',
+        suppressed: 'Suppressed (dismissed finding)',
+        checksum: 'Malformed checksum',
+        excludePattern: 'Exclude pattern',
+        bucketParse: 'Unparseable bucket URL',
+        dropped: 'Dropped by scanner'
+    };
+
+    const STATUS_LABELS = {
+        ran: 'Ran',
+        noKeywords: 'Skipped (no keywords)',
+        categoryDisabled: 'Skipped (category disabled)',
+        overBudget: 'Stopped (over time budget)'
+    };
+
+    // API references
+    const api = typeof browser !== 'undefined' ? browser : chrome;
+
+    // DOM elements
+    const elements = {
+        ruleCount: document.getElementById('rule-count'),
+        ruleSelect: document.getElementById('rule-select'),
+        modeSelect: document.getElementById('mode-select'),
+        fileInput: document.getElementById('file-input'),
+        btnRun: document.getElementById('btn-run'),
+        summary: document.getElementById('summary'),
+        sampleInput: document.getElementById('sample-input'),
+        draftInput: document.getElementById('draft-input'),
+        draftErrors: document.getElementById('draft-errors'),
+        resultsTbody: document.getElementById('results-tbody')
+    };
+
+    const lab = new PatternLab();
+
+    // Initialize
+    async function init() {
+        await loadUserRules();
+        populateRuleSelect();
+
+        elements.btnRun.addEventListener('click', runLab);
+        elements.fileInput.addEventListener('change', function() {
+            loadFile(this.files[0]);
+        });
+    }
+
+    // Apply rule packs, rule allowlists and suppressions exactly as a live scan would
+    async function loadUserRules() {
+        try {
+            const packs = await RulePackManager.loadRulePacks();
+            patternManager.setCustomPatterns(RulePackManager.compileRulePacks(packs));
+
+            const result = await api.storage.local.get(['userSettings']);
+            const settings = result.userSettings || {};
+            patternManager.setRuleAllowlists(RulePackManager.compileRuleAllowlists(settings.ruleAllowlists));
+
+            patternValidator.setSuppressions(await SuppressionManager.loadSuppressionKeys());
+        } catch (error) {
+            console.error('[Pattern Lab] Error loading user rules:', error);
+        }
+    }
+
+    function populateRuleSelect() {
+        const patterns = patternManager.getAllPatterns();
+        const groups = new Map();
+
+        patterns.forEach(pattern => {
+            if (!groups.has(pattern.priority)) {
+                groups.set(pattern.priority, []);
+            }
+            groups.get(pattern.priority).push(pattern);
+        });
+
+        const draftOption = document.createElement('option');
+        draftOption.value = DRAFT_RULE_VALUE;
+        draftOption.textContent = 'Draft rule only';
+        elements.ruleSelect.appendChild(draftOption);
+
+        groups.forEach((groupPatterns, priority) => {
+            const optgroup = document.createElement('optgroup');
+            optgroup.label = priority;
+            groupPatterns.forEach(pattern => {
+                const option = document.createElement('option');
+                option.value = pattern.id;
+                option.textContent = `${pattern.type} (${pattern.id})`;
+                optgroup.appendChild(option);
+            });
+            elements.ruleSelect.appendChild(optgroup);
+        });
+
+        elements.ruleCount.textContent = `${patterns.length} rules loaded`;
+    }
+
+    function loadFile(file) {
+        if (!file) {
+            return;
+        }
+
+        const reader = new FileReader();
+        reader.onload = () => {
+            elements.sampleInput.value = reader.result;
+            // Saved pages should be preprocessed like a live page
+            if (/\.html?$/i.test(file.name)) {
+                elements.modeSelect.value = 'page';
+            }
+        };
+        reader.readAsText(file);
+    }
+
+    /**
+     * Compiles the draft rule, if any
+     * @returns {Object|null|false} Pattern config, null when empty, false when invalid
+     */
+    function compileDraftRule() {
+        const text = elements.draftInput.value.trim();
+        elements.draftErrors.style.display = 'none';
+        if (!text) {
+            return null;
+        }
+
+        let rule;
+        let errors;
+        try {
+            rule = JSON.parse(text);
+            errors = RulePackManager.validateRule(rule);
+        } catch (error) {
+            errors = [`Invalid JSON: ${error.message}`];
+        }
+
+        if (errors.length > 0) {
+            elements.draftErrors.innerHTML = errors.map(error => `<div>${escapeHtml(error)}</div>`).join('');
+            elements.draftErrors.style.display = 'block';
+            return false;
+        }
+
+        const manager = new OptimizedPatternManager();
+        manager.setCustomPatterns({ [`draft:${rule.id}`]: RulePackManager.compileRule(rule, DRAFT_PACK) });
+        return manager.getPatternsByPriority('custom')[0];
+    }
+
+    function selectPatterns(draft) {
+        const selected = elements.ruleSelect.value;
+        if (selected === DRAFT_RULE_VALUE) {
+            return draft ? [draft] : [];
+        }
+
+        const patterns = selected === '*' ? [...patternManager.getAllPatterns()] :
+            patternManager.getAllPatterns().filter(pattern => pattern.id === selected);
+        if (draft) {
+            patterns.push(draft);
+        }
+        return patterns;
+    }
+
+    async function runLab() {
+        const draft = compileDraftRule();
+        if (draft === false) {
+            return;
+        }
+
+        const patterns = selectPatterns(draft);
+        if (patterns.length === 0) {
+            elements.summary.textContent = 'No rule selected';
+            return;
+        }
+
+        elements.btnRun.disabled = true;
+        elements.summary.textContent = 'Running...';
+
+        try {
+            const report = await lab.runRules(elements.sampleInput.value, patterns, {
+                mode: elements.modeSelect.value
+            });
+            renderReport(report, patterns.length === 1);
+            elements.summary.textContent = `${report.matchCount} match(es), ${report.reportedCount} reported ` +
+                `across ${patterns.length} rule(s) in ${report.totalTime.toFixed(1)}ms`;
+        } catch (error) {
+            console.error('[Pattern Lab] Run failed:', error);
+            elements.summary.textContent = `Error: ${error.message}`;
+        } finally {
+            elements.btnRun.disabled = false;
+        }
+    }
+
+    function renderReport(report, showEmptyRules) {
+        // With many rules only the ones that matched are interesting
+        const results = showEmptyRules ? report.results : report.results.filter(result => result.matches.length > 0);
+        elements.resultsTbody.innerHTML = '';
+
+        if (results.length === 0) {
+            elements.resultsTbody.innerHTML = '<tr class="empty-row"><td colspan="5">No rule matched the sample</td></tr>';
+            return;
+        }
+
+        results.forEach(result => {
+            const row = document.createElement('tr');
+            row.className = 'rule-row';
+            row.innerHTML = `
+                <td>${escapeHtml(result.type || result.id)}<div class="rule-id">${escapeHtml(result.id)} · ${escapeHtml(result.riskLevel || '')}</div></td>
+                <td class="status-${result.status}">${STATUS_LABELS[result.status] || result.status}</td>
+                <td>${result.matches.length}</td>
+                <td>${result.findings.length}</td>
+                <td>${result.time.toFixed(2)}ms</td>
+            `;
+
+            const detailRow = document.createElement('tr');
+            detailRow.innerHTML = `<td colspan="5">${renderMatches(result.matches)}</td>`;
+            detailRow.style.display = result.matches.length > 0 ? '' : 'none';
+
+            row.addEventListener('click', () => {
+                if (result.matches.length > 0) {
+                    detailRow.style.display = detailRow.style.display === 'none' ? '' : 'none';
+                }
+            });
+
+            elements.resultsTbody.appendChild(row);
+            elements.resultsTbody.appendChild(detailRow);
+        });
+    }
+
+    function renderMatches(matches) {
+        return `<div class="match-list">${matches.map(match => `
+            <div class="match-item ${match.verdict}">
+                <div class="match-value">${escapeHtml(match.value)}</div>
+                <div class="match-meta">line ${match.line} · ${describeVerdict(match)}</div>
+                ${renderGroups(match)}
+            </div>
+        `).join('')}</div>`;
+    }
+
+    function describeVerdict(match) {
+        if (match.verdict === 'reported') {
+            const checksum = match.finding.checksumStatus ? ` · checksum ${match.finding.checksumStatus}` : '';
+            return `Reported as ${escapeHtml(match.finding.riskLevel)}${checksum}`;
+        }
+        if (match.verdict === 'notEvaluated') {
+            return 'Not evaluated (maxFindings reached)';
+        }
+
+        const label = REJECTION_LABELS[match.rejection.reason] || match.rejection.reason;
+        return `Rejected: ${escapeHtml(label)}${match.rejection.rule ? ` <code>${escapeHtml(match.rejection.rule)}</code>` : ''}`;
+    }
+
+    function renderGroups(match) {
+        const parts = match.groups.map((group, i) =>
+            `$${i + 1} = <code>${group === undefined ? '(unset)' : escapeHtml(group)}</code>`);
+        Object.entries(match.namedGroups || {}).forEach(([name, group]) => {
+            parts.push(`${escapeHtml(name)} = <code>${group === undefined ? '(unset)' : escapeHtml(group)}</code>`);
+        });
+        return parts.length > 0 ? `<div class="match-groups">${parts.join(' · ')}</div>` : '';
+    }
+
+    function escapeHtml(text) {
+        const div = document.createElement('div');
+        div.textContent = text;
+        return div.innerHTML;
+    }
+
+    // Start
+    if (document.readyState === 'loading') {
+        document.addEventListener('DOMContentLoaded', init);
+    } else {
+        init();
+    }
+})();
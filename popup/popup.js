@@ -5,6 +5,7 @@
 
 // Global variables
 let currentTab = null;
+let currentTruncation = null; // page content the last scan left out (maxScanBytes)
 
 // Initialize when DOM is loaded
 document.addEventListener('DOMContentLoaded', function () {
@@ -37,7 +38,11 @@ async function initializePopup() {
         await loadCurrentFindings();
 
         // Update status
-        updateStatus('active', 'Scanner ready');
+        if (currentTruncation) {
+            updateStatus('warning', describeTruncation(currentTruncation));
+        } else {
+            updateStatus('active', 'Scanner ready');
+        }
 
     } catch (error) {
         console.error('❌ Popup initialization error:', error);
@@ -126,6 +131,15 @@ function setupButtonHandlers() {
         };
     });
 
+    // Route filter (single-page apps)
+    const routeFilter = document.getElementById('routeFilter');
+    if (routeFilter) {
+        routeFilter.onchange = function () {
+            currentRouteFilter = this.value;
+            displayFilteredFindings(currentFindings, currentFilter);
+        };
+    }
+
     // Manage Whitelist button
     const manageWhitelist = document.getElementById('manageWhitelist');
     if (manageWhitelist) {
@@ -134,6 +148,43 @@ function setupButtonHandlers() {
         };
     }
 
+    // Custom rule pack controls
+    const importRulePackBtn = document.getElementById('importRulePackBtn');
+    if (importRulePackBtn) {
+        importRulePackBtn.onclick = function () {
+            toggleRulePackImport();
+        };
+    }
+
+    const saveRulePackBtn = document.getElementById('saveRulePackBtn');
+    if (saveRulePackBtn) {
+        saveRulePackBtn.onclick = function () {
+            importRulePack();
+        };
+    }
+
+    const rulePackFile = document.getElementById('rulePackFile');
+    if (rulePackFile) {
+        rulePackFile.onchange = function () {
+            loadRulePackFile(this.files[0]);
+        };
+    }
+
+    const patternLabBtn = document.getElementById('patternLabBtn');
+    if (patternLabBtn) {
+        patternLabBtn.onclick = function () {
+            openPatternLab();
+        };
+    }
+
+    // Suppressed findings controls
+    const clearSuppressionsBtn = document.getElementById('clearSuppressionsBtn');
+    if (clearSuppressionsBtn) {
+        clearSuppressionsBtn.onclick = function () {
+            clearSuppressions();
+        };
+    }
+
     // Modal click-outside to close
     const settingsModal = document.getElementById('settingsModal');
     if (settingsModal) {
@@ -171,9 +222,14 @@ async function handleRescan() {
 
             if (response && response.success) {
                 const count = response.findings ? response.findings.length : 0;
-                updateStatus('active', count > 0 ?
-                    `Found ${count} credential${count === 1 ? '' : 's'}` :
-                    'No credentials found');
+                currentTruncation = response.truncation || null;
+                if (currentTruncation) {
+                    updateStatus('warning', describeTruncation(currentTruncation));
+                } else {
+                    updateStatus('active', count > 0 ?
+                        `Found ${count} credential${count === 1 ? '' : 's'}` :
+                        'No credentials found');
+                }
                 console.log(`✅ Rescan complete: ${count} findings`);
 
                 // Update findings display
@@ -225,18 +281,30 @@ async function handleRescan() {
     }
 }
 
-// Open API Explorer in a new tab
-function openApiExplorer() {
+// Open API Explorer in a new tab, optionally with one request selected
+function openApiExplorer(request) {
     if (currentTab) {
         // Pass the target tabId in the URL - using new v2 explorer
+        const params = new URLSearchParams({ tabId: currentTab.id });
+        if (request && request.url) {
+            params.set('method', request.method || 'GET');
+            params.set('url', request.url);
+        }
         browser.tabs.create({
-            url: `explorer-v2.html?tabId=${currentTab.id}`
+            url: `explorer-v2.html?${params.toString()}`
         });
     } else {
         console.error('No active tab to scan');
     }
 }
 
+// Open the Pattern Lab for testing rules against sample text
+function openPatternLab() {
+    browser.tabs.create({
+        url: 'pattern-lab.html'
+    });
+}
+
 function showSettings() {
 
     console.log('⚙️ Showing settings modal...');
@@ -275,6 +343,12 @@ async function loadSettingsData() {
     // Load whitelist info
     updateWhitelistInfo();
 
+    // Load installed rule packs
+    displayRulePacks();
+
+    // Load suppressed findings
+    displaySuppressions();
+
     // Load debug mode setting
     try {
         const storage = await browser.storage.local.get(['debugMode']);
@@ -513,6 +587,25 @@ async function exportData(format) {
             title: currentTab.title,
             scannerVersion: '2.2.0',
             findings: findings.map(f => ({
+                fingerprint: f.fingerprint || null,
+                ruleId: f.ruleId || null,
+                ruleVersion: f.ruleVersion || null,
+                location: f.location || null,
+                route: f.route || null,
+                frameUrl: f.frameUrl || null,
+                hostPath: f.hostPath || null,
+                jsonPath: f.jsonPath || null,
+                hydration: f.hydration || null,
+                sourceUrl: f.sourceUrl || null,
+                line: f.line || null,
+                column: f.column || null,
+                apiRequest: f.apiRequest || null,
+                realtimeFrame: f.realtimeFrame || null,
+                thirdPartyLeak: f.thirdPartyLeak || null,
+                storage: f.storage || null,
+                sourceMap: f.sourceMap || null,
+                decoding: f.decoding || null,
+                domLocation: f.domLocation || null,
                 type: f.type || 'Unknown',
                 risk: f.riskLevel || f.risk || 'unknown',
                 value: f.value || 'Unknown',
@@ -567,14 +660,18 @@ async function exportData(format) {
 }
 
 function convertToCSV(data) {
-    const headers = ['Domain', 'URL', 'Type', 'Risk', 'Value', 'Context', 'Timestamp'];
+    const headers = ['Fingerprint', 'Rule ID', 'Rule Version', 'Domain', 'URL', 'Source', 'Type', 'Risk', 'Value', 'Context', 'Timestamp'];
     const rows = [headers.join(',')];
 
     if (data.findings && data.findings.length > 0) {
         data.findings.forEach(finding => {
             const row = [
+                `"${finding.fingerprint || ''}"`,
+                `"${finding.ruleId || ''}"`,
+                `"${finding.ruleVersion || ''}"`,
                 `"${data.domain || ''}"`,
                 `"${data.url || ''}"`,
+                `"${finding.sourceUrl ? `${finding.sourceUrl}${finding.line ? `:${finding.line}:${finding.column}` : ''}` : (finding.domLocation?.label || '').replace(/"/g, '""')}"`,
                 `"${finding.type || 'Unknown'}"`,
                 `"${finding.risk || 'unknown'}"`,
                 `"${finding.value || 'Unknown'}"`,
@@ -586,8 +683,12 @@ function convertToCSV(data) {
     } else {
         // Add a row indicating no findings
         const row = [
+            `""`,
+            `""`,
+            `""`,
             `"${data.domain || ''}"`,
             `"${data.url || ''}"`,
+            `""`,
             `"No findings"`,
             `"none"`,
             `"N/A"`,
@@ -717,6 +818,212 @@ async function removeDomainFromWhitelist(domain) {
     }
 }
 
+function toggleRulePackImport() {
+    const importView = document.getElementById('rulePackImport');
+    const importButton = document.getElementById('importRulePackBtn');
+
+    if (importView && importButton) {
+        const isVisible = importView.style.display !== 'none';
+        importView.style.display = isVisible ? 'none' : 'block';
+        importButton.textContent = isVisible ? 'Import Rule Pack' : 'Hide Import';
+    }
+}
+
+function loadRulePackFile(file) {
+    if (!file) return;
+
+    const reader = new FileReader();
+    reader.onload = function () {
+        const input = document.getElementById('rulePackInput');
+        if (input) {
+            input.value = reader.result;
+        }
+    };
+    reader.onerror = function () {
+        showRulePackErrors(['Could not read file: ' + file.name]);
+    };
+    reader.readAsText(file);
+}
+
+function showRulePackErrors(errors) {
+    const errorsEl = document.getElementById('rulePackErrors');
+    if (!errorsEl) return;
+
+    if (!errors || errors.length === 0) {
+        errorsEl.style.display = 'none';
+        errorsEl.innerHTML = '';
+        return;
+    }
+
+    errorsEl.innerHTML = errors.map(error => `<div>${escapeHtml(error)}</div>`).join('');
+    errorsEl.style.display = 'block';
+}
+
+async function importRulePack() {
+    console.log('📥 Importing rule pack...');
+    const input = document.getElementById('rulePackInput');
+    if (!input || typeof RulePackManager === 'undefined') {
+        console.error('❌ Rule pack import not available');
+        return;
+    }
+
+    // gitleaks TOML and TruffleHog YAML are converted to a rule pack first
+    let parsed;
+    let notices = [];
+    try {
+        const format = typeof RuleImporter !== 'undefined' ? RuleImporter.detectFormat(input.value) : 'rulepack';
+        if (format === 'gitleaks' || format === 'trufflehog') {
+            const { pack, report } = RuleImporter.importRules(input.value);
+            notices = [
+                ...report.skipped.map(s => `Skipped ${s.id}: ${s.reason}`),
+                ...report.warnings.map(w => `Warning ${w.id}: ${w.message}`)
+            ];
+            parsed = { ...RulePackManager.validateRulePack(pack), pack };
+        } else {
+            parsed = RulePackManager.parseRulePack(input.value);
+        }
+    } catch (error) {
+        parsed = { isValid: false, errors: [error.message] };
+    }
+
+    if (!parsed.isValid) {
+        console.log('⚠️ Rule pack rejected:', parsed.errors);
+        showRulePackErrors([...parsed.errors, ...notices]);
+        return;
+    }
+
+    notices.push(...(parsed.warnings || []).map(warning => `Warning ${warning}`));
+
+    try {
+        await RulePackManager.saveRulePack(parsed.pack);
+        showRulePackErrors(notices);
+        input.value = '';
+        displayRulePacks();
+        console.log(`✅ Rule pack "${parsed.pack.name}" saved with ${parsed.pack.rules.length} rule(s)`);
+        alert(`✅ Imported rule pack "${parsed.pack.name}" (${parsed.pack.rules.length} rules${notices.length ? `, ${notices.length} notice(s)` : ''}). Rescan to apply.`);
+    } catch (error) {
+        console.error('❌ Error saving rule pack:', error);
+        showRulePackErrors(['Error saving rule pack: ' + error.message]);
+    }
+}
+
+async function displayRulePacks() {
+    const rulePackList = document.getElementById('rulePackList');
+    const rulePackCount = document.getElementById('rulePackCount');
+
+    if (!rulePackList || typeof RulePackManager === 'undefined') {
+        return;
+    }
+
+    try {
+        const packs = await RulePackManager.loadRulePacks();
+        const disabledRules = await RulePackManager.loadDisabledRules();
+        if (rulePackCount) {
+            rulePackCount.textContent = packs.length;
+        }
+
+        if (packs.length === 0) {
+            rulePackList.innerHTML = '<p style="color: #666; font-style: italic; margin: 10px 0;">No custom rule packs installed</p>';
+            return;
+        }
+
+        rulePackList.innerHTML = packs.map(pack => {
+            const disabled = disabledRules.filter(entry => entry.rulePack === pack.name);
+            const disabledNote = disabled.length > 0 ?
+                ` · <span title="${escapeHtml(disabled.map(entry => entry.id).join(', '))}" style="color: #e74c3c;">${disabled.length} disabled (too slow)</span>` : '';
+            return `
+            <div class="whitelist-item">
+                <span class="domain-name">${escapeHtml(pack.name)}<span class="rule-pack-meta">v${escapeHtml(pack.version || '0')} · ${pack.rules.length} rule(s)${disabledNote}</span></span>
+                <button class="btn btn-tiny btn-danger remove-rule-pack-btn" data-name="${escapeHtml(pack.name)}">Remove</button>
+            </div>
+        `;
+        }).join('');
+
+        rulePackList.querySelectorAll('.remove-rule-pack-btn').forEach(btn => {
+            btn.addEventListener('click', function() {
+                removeRulePack(this.dataset.name);
+            });
+        });
+    } catch (error) {
+        console.error('❌ Error loading rule packs:', error);
+        rulePackList.innerHTML = '<p style="color: #e74c3c; font-style: italic; margin: 10px 0;">Error loading rule packs</p>';
+    }
+}
+
+async function removeRulePack(name) {
+    console.log('🗑️ Removing rule pack:', name);
+
+    try {
+        const removed = await RulePackManager.removeRulePack(name);
+        if (removed) {
+            displayRulePacks();
+            console.log('✅ Rule pack removed:', name);
+        }
+    } catch (error) {
+        console.error('❌ Error removing rule pack:', error);
+        alert('Error removing rule pack: ' + error.message);
+    }
+}
+
+async function displaySuppressions() {
+    const suppressionList = document.getElementById('suppressionList');
+    const suppressionCount = document.getElementById('suppressionCount');
+
+    if (!suppressionList || typeof SuppressionManager === 'undefined') {
+        return;
+    }
+
+    try {
+        const suppressions = await SuppressionManager.loadSuppressions();
+        const entries = Object.entries(suppressions);
+        if (suppressionCount) {
+            suppressionCount.textContent = entries.length;
+        }
+
+        if (entries.length === 0) {
+            suppressionList.innerHTML = '<p style="color: #666; font-style: italic; margin: 10px 0;">No suppressed findings</p>';
+            return;
+        }
+
+        suppressionList.innerHTML = entries.map(([key, entry]) => `
+            <div class="whitelist-item">
+                <span class="domain-name">${escapeHtml(entry.type || entry.ruleId)}<span class="rule-pack-meta">${escapeHtml(entry.url || 'unknown page')} · ${escapeHtml(key.slice(0, 12))}</span></span>
+                <button class="btn btn-tiny btn-danger remove-suppression-btn" data-key="${escapeHtml(key)}">Remove</button>
+            </div>
+        `).join('');
+
+        suppressionList.querySelectorAll('.remove-suppression-btn').forEach(btn => {
+            btn.addEventListener('click', function() {
+                removeSuppression(this.dataset.key);
+            });
+        });
+    } catch (error) {
+        console.error('❌ Error loading suppressions:', error);
+        suppressionList.innerHTML = '<p style="color: #e74c3c; font-style: italic; margin: 10px 0;">Error loading suppressed findings</p>';
+    }
+}
+
+async function removeSuppression(key) {
+    try {
+        if (await SuppressionManager.removeSuppression(key)) {
+            displaySuppressions();
+            console.log('✅ Suppression removed');
+        }
+    } catch (error) {
+        console.error('❌ Error removing suppression:', error);
+    }
+}
+
+async function clearSuppressions() {
+    try {
+        await SuppressionManager.clearSuppressions();
+        displaySuppressions();
+        console.log('✅ Suppressions cleared');
+    } catch (error) {
+        console.error('❌ Error clearing suppressions:', error);
+    }
+}
+
 // Make the remove function globally accessible for inline onclick handlers
 window.removeDomainFromWhitelist = removeDomainFromWhitelist;
 
@@ -813,23 +1120,59 @@ async function copyToClipboard(text) {
     }
 }
 
-async function dismissBucketFinding(bucketUrl) {
+async function revealFinding(finding) {
+    try {
+        if (!currentTab) {
+            throw new Error('No active tab');
+        }
+
+        // The frame the finding was seen in scrolls to it and marks it
+        const response = await browser.tabs.sendMessage(currentTab.id, {
+            action: 'revealFinding',
+            frameUrl: finding.frameUrl || null,
+            finding: {
+                domLocation: finding.domLocation,
+                type: finding.type,
+                riskLevel: finding.riskLevel
+            }
+        });
+
+        if (response && response.success) {
+            updateStatus('active', 'Finding shown on page');
+        } else {
+            updateStatus('warning', 'Finding is no longer on the page');
+        }
+    } catch (error) {
+        console.error('❌ Error showing finding:', error);
+        updateStatus('error', 'Failed to show finding');
+    }
+}
+
+async function dismissFinding(finding) {
     try {
-        console.log('❌ Dismissing bucket finding:', bucketUrl);
+        console.log('❌ Dismissing finding:', finding.type);
 
         if (!currentTab) {
             throw new Error('No active tab');
         }
 
+        // Remember the dismissal so later scans skip this finding
+        let fingerprint = finding.fingerprint || null;
+        if (typeof SuppressionManager !== 'undefined') {
+            fingerprint = await SuppressionManager.addSuppression(finding, currentTab.url) || fingerprint;
+        }
+
         // Send message to content script to dismiss the finding
         const response = await browser.tabs.sendMessage(currentTab.id, {
             action: 'dismissFinding',
-            value: bucketUrl,
-            category: 'cloudStorage'
+            fingerprint: fingerprint,
+            value: finding.fullUrl || finding.value,
+            ruleId: finding.ruleId,
+            category: finding.category
         });
 
         if (response && response.success) {
-            console.log('✅ Bucket finding dismissed');
+            console.log('✅ Finding dismissed');
             updateStatus('active', 'Finding dismissed');
 
             // Refresh the findings display
@@ -840,18 +1183,19 @@ async function dismissBucketFinding(bucketUrl) {
         }
 
     } catch (error) {
-        console.error('❌ Error dismissing bucket finding:', error);
+        console.error('❌ Error dismissing finding:', error);
         updateStatus('error', 'Failed to dismiss finding');
     }
 }
 
-// Make bucket functions globally accessible
+// Make finding actions globally accessible
 window.copyToClipboard = copyToClipboard;
-window.dismissBucketFinding = dismissBucketFinding;
+window.dismissFinding = dismissFinding;
 
 // Global variable to store current findings for filtering
 let currentFindings = [];
 let currentFilter = 'all';
+let currentRouteFilter = 'all';
 
 function handleFindingsFilter(filter) {
     console.log('🔍 Applying filter:', filter);
@@ -868,27 +1212,29 @@ function handleFindingsFilter(filter) {
 
 function displayFilteredFindings(findings, filter = 'all') {
     let filteredFindings = findings;
+    if (currentRouteFilter !== 'all') {
+        filteredFindings = findings.filter(f => f.route === currentRouteFilter);
+    }
 
     switch (filter) {
         case 'buckets':
-            filteredFindings = findings.filter(f => f.category === 'cloudStorage');
+            filteredFindings = filteredFindings.filter(f => f.category === 'cloudStorage');
             break;
         case 'other':
-            filteredFindings = findings.filter(f => f.category !== 'cloudStorage');
+            filteredFindings = filteredFindings.filter(f => f.category !== 'cloudStorage');
             break;
         case 'high-risk':
-            filteredFindings = findings.filter(f =>
+            filteredFindings = filteredFindings.filter(f =>
                 f.riskLevel === 'critical' || f.riskLevel === 'high' ||
                 (f.category === 'cloudStorage' && f.bucketInfo && f.bucketInfo.accessible === true)
             );
             break;
         case 'all':
         default:
-            filteredFindings = findings;
             break;
     }
 
-    console.log(`🔍 Filter "${filter}": ${filteredFindings.length}/${findings.length} findings`);
+    console.log(`🔍 Filter "${filter}" (route: ${currentRouteFilter}): ${filteredFindings.length}/${findings.length} findings`);
     displayFindingsInternal(filteredFindings, findings.length);
 }
 
@@ -952,6 +1298,17 @@ function updateStatus(type, message) {
     console.log(`📊 Status: ${type} - ${message}`);
 }
 
+/**
+ * Status line for a scan that stopped at the maxScanBytes budget, so a clean
+ * result on a truncated page is not mistaken for a clean page
+ * @param {Object} truncation - { scannedBytes, totalBytes, maxScanBytes }
+ * @returns {string} Status message
+ */
+function describeTruncation(truncation) {
+    const toMB = bytes => `${(bytes / 1048576).toFixed(1)}MB`;
+    return `Scanned ${toMB(truncation.scannedBytes)} of ${toMB(truncation.totalBytes)} (maxScanBytes)`;
+}
+
 async function loadCurrentFindings() {
     console.log('📋 Loading current findings...');
 
@@ -968,6 +1325,7 @@ async function loadCurrentFindings() {
 
         if (response && response.success && Array.isArray(response.findings)) {
             console.log(`✅ Loaded ${response.findings.length} findings`);
+            currentTruncation = response.truncation || null;
             displayFindings(response.findings);
         } else {
             console.log('⚠️ No findings available or invalid response');
@@ -1006,14 +1364,42 @@ function displayFindings(findings) {
     const otherFindings = findings.filter(f => f.category !== 'cloudStorage');
     const hasMultipleTypes = bucketFindings.length > 0 && otherFindings.length > 0;
 
+    const routes = updateRouteFilter(findings);
+
     if (findingsFilters) {
-        findingsFilters.style.display = hasMultipleTypes || findings.length > 3 ? 'flex' : 'none';
+        findingsFilters.style.display = hasMultipleTypes || findings.length > 3 || routes.length > 1 ? 'flex' : 'none';
     }
 
     // Display with current filter
     displayFilteredFindings(findings, currentFilter);
 }
 
+/**
+ * Fill the route filter with the SPA routes findings were seen on
+ * The filter is only shown when findings come from more than one route
+ * @param {Array} findings - All findings
+ * @returns {Array<string>} Distinct routes
+ */
+function updateRouteFilter(findings) {
+    const routeFilter = document.getElementById('routeFilter');
+    const routes = [...new Set(findings.map(f => f.route).filter(Boolean))];
+    if (!routes.includes(currentRouteFilter)) {
+        currentRouteFilter = 'all';
+    }
+    if (!routeFilter) {
+        return routes;
+    }
+
+    routeFilter.innerHTML = '<option value="all">All routes</option>';
+    routes.forEach(route => {
+        const count = findings.filter(f => f.route === route).length;
+        routeFilter.appendChild(new Option(`${route} (${count})`, route));
+    });
+    routeFilter.value = currentRouteFilter;
+    routeFilter.style.display = routes.length > 1 ? 'block' : 'none';
+    return routes;
+}
+
 function displayFindingsInternal(findings, totalCount = null) {
     const findingsCount = document.getElementById('findingsCount');
     const findingsList = document.getElementById('findingsList');
@@ -1141,6 +1527,85 @@ function createSectionHeader(title, count) {
     return header;
 }
 
+function createChecksumBadgeHtml(status) {
+    return status === 'valid' ?
+        '<div class="finding-checksum valid" title="Embedded checksum matches">✓ Checksum valid</div>' :
+        '<div class="finding-checksum malformed" title="Embedded checksum does not match - likely an example or truncated token">⚠ Malformed / example token</div>';
+}
+
+const API_PART_LABELS = {
+    requestHeaders: 'request headers',
+    requestBody: 'request body',
+    responseHeaders: 'response headers',
+    responseBody: 'response body'
+};
+
+// Decode chain of a secret found in encoded text, e.g. base64 → json → value
+function createDecodingHtml(decoding) {
+    const label = [...decoding.chain, 'value'].join(' → ');
+    return `<div class="finding-source finding-decoding" title="${escapeHtml(`Decoded from: ${decoding.encoded}`)}">🔓 ${escapeHtml(label)}</div>`;
+}
+
+// Where a page finding sits in the DOM, e.g. "form#login › @value" or "inline script #2:14:9"
+function createLocationHtml(location) {
+    return `<div class="finding-source finding-location" title="${escapeHtml(location.xpath || '')}">📍 ${escapeHtml(location.label)}</div>`;
+}
+
+function createSourceHtml(finding) {
+    if (finding.thirdPartyLeak) {
+        const leak = finding.thirdPartyLeak;
+        const label = `${leak.headerName} → ${leak.destinationHost}`;
+        return `<div class="finding-source" title="${escapeHtml(`${leak.sourcePage} → ${leak.destinationUrl}`)}">📤 ${escapeHtml(label)}</div>`;
+    }
+
+    if (finding.storage) {
+        const label = `${finding.storage.store} › ${finding.storage.keyPath}`;
+        return `<div class="finding-source" title="${escapeHtml(label)}">🗄️ ${escapeHtml(label)}</div>`;
+    }
+
+    if (finding.hydration) {
+        const label = `${finding.hydration.source} › ${finding.hydration.path}`;
+        return `<div class="finding-source" title="${escapeHtml(label)}">{} ${escapeHtml(label)}</div>`;
+    }
+
+    if (finding.apiRequest) {
+        const request = finding.apiRequest;
+        const label = `${request.method} ${request.url} · ${API_PART_LABELS[request.part] || request.part}`;
+        return `<div class="finding-source" title="${escapeHtml(label)}">🌐 ${escapeHtml(label)}</div>`;
+    }
+
+    if (finding.realtimeFrame) {
+        const frame = finding.realtimeFrame;
+        const direction = frame.direction === 'sent' ? '↑ sent' : '↓ received';
+        const label = `${frame.method} ${frame.url} · ${frame.eventName && frame.eventName !== 'message' ? `${frame.eventName} ` : ''}${direction}`;
+        return `<div class="finding-source" title="${escapeHtml(label)}">⚡ ${escapeHtml(label)}</div>`;
+    }
+
+    if (finding.hostPath || !finding.sourceUrl) {
+        const label = [isFrameFinding(finding) ? `frame ${finding.frameUrl}` : '', finding.hostPath || '']
+            .filter(Boolean).join(' › ');
+        return `<div class="finding-source" title="${escapeHtml(label)}">🧩 ${escapeHtml(label)}</div>`;
+    }
+
+    let name = finding.sourceUrl;
+    try {
+        name = new URL(finding.sourceUrl).pathname.split('/').pop() || finding.sourceUrl;
+    } catch (error) {
+        // Keep the raw source label
+    }
+    const position = finding.line ? `:${finding.line}:${finding.column}` : '';
+    return `<div class="finding-source" title="${escapeHtml(finding.sourceUrl + position)}">📄 ${escapeHtml(name + position)}</div>`;
+}
+
+function isFrameFinding(finding) {
+    return Boolean(finding.frameUrl && finding.url && finding.frameUrl !== finding.url);
+}
+
+function hasSourceDetails(finding) {
+    return Boolean(finding.sourceUrl || finding.thirdPartyLeak || finding.storage || finding.hydration ||
+        finding.hostPath || isFrameFinding(finding));
+}
+
 function createFindingElement(finding) {
     const div = document.createElement('div');
     div.className = 'finding-item';
@@ -1160,6 +1625,11 @@ function createFindingElement(finding) {
             <div class="finding-type">${escapeHtml(finding.type || 'Unknown')}</div>
             <div class="finding-risk ${finding.riskLevel || 'medium'}">${finding.riskLevel || 'medium'}</div>
         </div>
+        ${finding.checksumStatus ? createChecksumBadgeHtml(finding.checksumStatus) : ''}
+        ${finding.truncated ? '<div class="finding-truncated" title="The match ran past the end of a streaming scan window, so the value may be cut short">⚠ Match cut short (streaming scan)</div>' : ''}
+        ${hasSourceDetails(finding) ? createSourceHtml(finding) : ''}
+        ${finding.decoding ? createDecodingHtml(finding.decoding) : ''}
+        ${finding.domLocation ? createLocationHtml(finding.domLocation) : ''}
         <div class="finding-value">${maskSecret(finding.value || 'Unknown')}</div>
         ${isBucketFinding ? createBucketInfoHtml(finding.bucketInfo) : ''}
         <div class="finding-actions">
@@ -1170,10 +1640,21 @@ function createFindingElement(finding) {
             `<button class="finding-action-btn test-url" data-value="${escapeHtml(finding.bucketInfo.testUrl || '')}">
                     🔗 Test URL
                 </button>` : ''}
-            ${isBucketFinding ?
-            `<button class="finding-action-btn dismiss" data-value="${escapeHtml(finding.value || '')}">
-                    ❌ Dismiss
+            ${finding.apiRequest ?
+            `<button class="finding-action-btn view-request" title="Open this request in the API Explorer">
+                    🔎 View Request
+                </button>` : ''}
+            ${finding.realtimeFrame ?
+            `<button class="finding-action-btn view-request" title="Open this connection's messages in the API Explorer">
+                    🔎 View Stream
                 </button>` : ''}
+            ${finding.domLocation ?
+            `<button class="finding-action-btn reveal" title="Scroll to this finding on the page">
+                    📍 Show on Page
+                </button>` : ''}
+            <button class="finding-action-btn dismiss" title="Hide this finding on future scans">
+                ❌ Dismiss
+            </button>
         </div>
     `;
 
@@ -1192,10 +1673,24 @@ function createFindingElement(finding) {
         });
     }
 
+    const viewRequestBtn = div.querySelector('.finding-action-btn.view-request');
+    if (viewRequestBtn) {
+        viewRequestBtn.addEventListener('click', function() {
+            openApiExplorer(finding.apiRequest || finding.realtimeFrame);
+        });
+    }
+
+    const revealBtn = div.querySelector('.finding-action-btn.reveal');
+    if (revealBtn) {
+        revealBtn.addEventListener('click', function() {
+            revealFinding(finding);
+        });
+    }
+
     const dismissBtn = div.querySelector('.finding-action-btn.dismiss');
     if (dismissBtn) {
         dismissBtn.addEventListener('click', function() {
-            dismissBucketFinding(this.dataset.value);
+            dismissFinding(finding);
         });
     }
 
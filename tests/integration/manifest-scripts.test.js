@@ -0,0 +1,85 @@
+/**
+ * Integration tests for the scripts manifest.json loads together
+ * Content scripts (and MV2 background scripts) share one global scope, so two
+ * files declaring the same top-level const or class break every later file
+ */
+
+let TestFramework, Assert;
+
+// Load testing framework
+if (typeof require !== 'undefined') {
+    const framework = require('../framework.js');
+    TestFramework = framework.TestFramework;
+    Assert = framework.Assert;
+} else if (typeof window !== 'undefined') {
+    TestFramework = window.TestFramework;
+    Assert = window.Assert;
+}
+
+const testFramework = new TestFramework();
+
+/**
+ * Runs scripts in order in one context, like the browser does
+ * Top-level declarations are checked before a script runs, so a clashing name
+ * is a SyntaxError; other errors come from browser APIs missing here and are ignored
+ * @param {Array<string>} files - Paths relative to the repository root
+ * @returns {Array<string>} "file: message" for every SyntaxError
+ */
+function loadInOneContext(files) {
+    const fs = require('fs');
+    const path = require('path');
+    const vm = require('vm');
+    const quiet = { log() {}, warn() {}, error() {}, debug() {}, info() {} };
+    const context = vm.createContext({ console: quiet, setTimeout, clearTimeout });
+    context.window = context;
+    context.self = context;
+
+    const errors = [];
+    files.forEach(file => {
+        const source = fs.readFileSync(path.join(__dirname, '../..', file), 'utf8');
+        try {
+            new vm.Script(source, { filename: file }).runInContext(context);
+        } catch (error) {
+            if (error instanceof SyntaxError || error.name === 'SyntaxError') {
+                errors.push(`${file}: ${error.message}`);
+            }
+        }
+    });
+    return errors;
+}
+
+function getManifest() {
+    return require('../../manifest.json');
+}
+
+testFramework.test('should load the content scripts in one scope without name clashes', () => {
+    getManifest().content_scripts.forEach(entry => {
+        const errors = loadInOneContext(entry.js);
+        Assert.arrayLength(errors, 0, errors.join('\n'));
+    });
+});
+
+testFramework.test('should load the background scripts in one scope without name clashes', () => {
+    const errors = loadInOneContext(getManifest().background.scripts);
+    Assert.arrayLength(errors, 0, errors.join('\n'));
+});
+
+// Export for use in test runner
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { testFramework };
+}
+
+// For browser environment
+if (typeof window !== 'undefined') {
+    window.manifestScriptsTests = testFramework;
+}
+
+// Auto-run tests if this file is executed directly
+if (typeof require !== 'undefined' && require.main === module) {
+    testFramework.runAll().then(results => {
+        process.exit(results.failed > 0 ? 1 : 0);
+    }).catch(error => {
+        console.error('Test execution failed:', error);
+        process.exit(1);
+    });
+}
@@ -69,6 +69,9 @@ class TestRunner {
                 if (typeof require !== 'undefined') {
                     const integrationTest = require('./integration/scanning.test.js');
                     this.registerSuite('integration', integrationTest.testFramework);
+                    // Needs the file system, so only runs under Node
+                    const manifestScriptsTest = require('./integration/manifest-scripts.test.js');
+                    this.registerSuite('manifest-scripts', manifestScriptsTest.testFramework);
                 } else {
                     if (typeof window !== 'undefined' && window.integrationTests) {
                         this.registerSuite('integration', window.integrationTests);
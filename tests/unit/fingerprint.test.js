@@ -0,0 +1,162 @@
+/**
+ * Unit Tests for FindingFingerprint
+ * Tests location normalization, fingerprint stability, versioned rule ids
+ * and fingerprint-based dedupe and suppression in the scanner
+ */
+
+// Import the test framework and modules under test
+let TestFramework, Assert, HashUtils, FindingFingerprint, PatternValidator, OptimizedPatternManager,
+    RulePackManager, ProgressiveScanner;
+
+if (typeof require !== 'undefined') {
+    const framework = require('../framework.js');
+    TestFramework = framework.TestFramework;
+    Assert = framework.Assert;
+    global.window = global.window || {};
+    HashUtils = require('../../utils/hash.js');
+    window.HashUtils = HashUtils;
+    FindingFingerprint = require('../../utils/fingerprint.js').FindingFingerprint;
+    window.FindingFingerprint = FindingFingerprint;
+    ({ PatternValidator, OptimizedPatternManager } = require('../../config/patterns.js'));
+    RulePackManager = require('../../utils/rule-pack.js').RulePackManager;
+    ProgressiveScanner = require('../../utils/scanner.js').ProgressiveScanner;
+} else {
+    TestFramework = window.TestFramework;
+    Assert = window.Assert;
+    HashUtils = window.HashUtils;
+    FindingFingerprint = window.FindingFingerprint;
+    PatternValidator = window.PatternValidator;
+    OptimizedPatternManager = window.OptimizedPatternManager;
+    RulePackManager = window.RulePackManager;
+    ProgressiveScanner = window.ProgressiveScanner;
+}
+
+// Create test framework instance
+const testFramework = new TestFramework();
+
+const TOKEN = 'corp_live_9fK2mQ7xLp4vR8tW1nZ6bY3cH5jD0sAe';
+const PAGE_URL = 'https://app.example.com/settings?tab=keys#api';
+
+const CORP_RULE = {
+    id: 'acme:corp-token',
+    version: 2,
+    regex: /corp_live_[A-Za-z0-9]{32}/g,
+    type: 'Corp Token',
+    riskLevel: 'high',
+    category: 'custom',
+    keywords: ['corp_live_']
+};
+
+function createScanner(pageUrl = PAGE_URL) {
+    window.StorageUtils = {
+        getSetting: (key, defaultValue) => defaultValue,
+        isCategoryEnabled: () => true
+    };
+    const scanner = new ProgressiveScanner();
+    scanner.getPageUrl = () => pageUrl;
+    return scanner;
+}
+
+// Location Tests
+testFramework.test('should normalize locations to scheme, host and path', () => {
+    Assert.equal(FindingFingerprint.normalizeLocation(PAGE_URL), 'https://app.example.com/settings');
+    Assert.equal(FindingFingerprint.normalizeLocation('HTTPS://user:pw@App.Example.com:443/a/b?x=1'), 'https://app.example.com/a/b');
+    Assert.equal(FindingFingerprint.normalizeLocation('inline-script?x#y'), 'inline-script');
+    Assert.equal(FindingFingerprint.normalizeLocation(undefined), '');
+});
+
+// Fingerprint Tests
+testFramework.test('should fingerprint deterministically by rule, value and location', () => {
+    const fingerprint = FindingFingerprint.create('acme:corp-token', TOKEN, PAGE_URL);
+
+    Assert.match(fingerprint, /^[0-9a-f]{64}$/);
+    Assert.equal(fingerprint, FindingFingerprint.create('acme:corp-token', TOKEN, 'https://app.example.com/settings?tab=other'));
+    Assert.true(fingerprint !== FindingFingerprint.create('other-rule', TOKEN, PAGE_URL));
+    Assert.true(fingerprint !== FindingFingerprint.create('acme:corp-token', `${TOKEN}x`, PAGE_URL));
+    Assert.true(fingerprint !== FindingFingerprint.create('acme:corp-token', TOKEN, 'https://app.example.com/billing'));
+});
+
+testFramework.test('should prefer a finding\'s own fingerprint and fingerprint bucket URLs', () => {
+    Assert.equal(FindingFingerprint.forFinding({ fingerprint: 'abc', ruleId: 'x', value: 'y' }), 'abc');
+    Assert.equal(FindingFingerprint.forFinding({ value: TOKEN }), null);
+    Assert.equal(
+        FindingFingerprint.forFinding({ ruleId: 's3Bucket', value: 'acme-assets', fullUrl: 'https://acme-assets.s3.amazonaws.com', url: PAGE_URL }),
+        FindingFingerprint.create('s3Bucket', 'https://acme-assets.s3.amazonaws.com', PAGE_URL));
+});
+
+// Rule Id Tests
+testFramework.test('should give every built-in rule a unique id and a version', () => {
+    const patterns = new OptimizedPatternManager().getAllPatterns();
+    const ids = new Set(patterns.map(pattern => pattern.id));
+
+    Assert.equal(ids.size, patterns.length);
+    Assert.true(patterns.every(pattern => Number.isInteger(pattern.version) && pattern.version >= 1));
+});
+
+testFramework.test('should validate and compile rule pack rule versions', () => {
+    const rule = { id: 'corp-token', regex: 'corp_[a-z]{8}', description: 'Corp Token', riskLevel: 'high' };
+
+    Assert.equal(RulePackManager.compileRule(rule, { name: 'acme' }).version, 1);
+    Assert.equal(RulePackManager.compileRule({ ...rule, version: 3 }, { name: 'acme' }).version, 3);
+    Assert.match(RulePackManager.validateRule({ ...rule, version: '2' }).join(), /"version"/);
+    Assert.match(RulePackManager.validateRule({ ...rule, version: 0 }).join(), /"version"/);
+});
+
+// Scanner Tests
+testFramework.test('should attach rule id, version, location and fingerprint to findings', async () => {
+    const [finding] = await createScanner().scanWithPatterns(`token=${TOKEN}`, [CORP_RULE], {});
+
+    Assert.equal(finding.ruleId, 'acme:corp-token');
+    Assert.equal(finding.ruleVersion, 2);
+    Assert.equal(finding.location, 'https://app.example.com/settings');
+    Assert.equal(finding.fingerprint, FindingFingerprint.create('acme:corp-token', TOKEN, PAGE_URL));
+});
+
+testFramework.test('should dedupe visible and full scan results by fingerprint', async () => {
+    const scanner = createScanner();
+    const visible = await scanner.scanWithPatterns(`token=${TOKEN}`, [CORP_RULE], {});
+    const full = await scanner.scanWithPatterns(`<b>${TOKEN}</b>`, [CORP_RULE, { ...CORP_RULE, id: 'acme:other' }], {});
+
+    const combined = scanner.combineResults(visible, full);
+
+    Assert.arrayLength(combined, 2, 'one finding per rule');
+    Assert.equal(new Set(combined.map(finding => finding.fingerprint)).size, 2);
+});
+
+// Suppression Tests
+testFramework.test('should suppress fingerprints only at their location', () => {
+    const validator = new PatternValidator();
+    validator.setSuppressions([FindingFingerprint.create(CORP_RULE.id, TOKEN, PAGE_URL)]);
+
+    Assert.true(validator.isSuppressed(TOKEN, CORP_RULE, { url: 'https://app.example.com/settings?tab=2' }));
+    Assert.false(validator.isSuppressed(TOKEN, CORP_RULE, { url: 'https://app.example.com/billing' }));
+    Assert.false(validator.isSuppressed(TOKEN, { ...CORP_RULE, id: 'acme:other' }, { url: PAGE_URL }));
+});
+
+testFramework.test('should keep honoring suppressions stored before fingerprints', () => {
+    const validator = new PatternValidator();
+    validator.setSuppressions([HashUtils.sha256(`${CORP_RULE.id}:${TOKEN}`)]);
+
+    Assert.true(validator.isSuppressed(TOKEN, CORP_RULE, { url: PAGE_URL }));
+    Assert.true(validator.isSuppressed(TOKEN, CORP_RULE, { url: 'https://elsewhere.example.com/' }));
+});
+
+// Export for use in test runner
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { testFramework };
+}
+
+// For browser environment
+if (typeof window !== 'undefined') {
+    window.fingerprintTests = testFramework;
+}
+
+// Auto-run tests if this file is executed directly
+if (typeof require !== 'undefined' && require.main === module) {
+    testFramework.runAll().then(results => {
+        process.exit(results.failed > 0 ? 1 : 0);
+    }).catch(error => {
+        console.error('Test execution failed:', error);
+        process.exit(1);
+    });
+}
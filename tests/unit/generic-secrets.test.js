@@ -0,0 +1,108 @@
+/**
+ * Unit Tests for entropy-based generic secret detection
+ * Tests the generic assignment pattern and its entropy / character-variety validator
+ */
+
+// Import the test framework, pattern catalog and EntropyUtils
+let TestFramework, Assert, OptimizedPatternManager, PatternValidator;
+
+if (typeof require !== 'undefined') {
+    const framework = require('../framework.js');
+    TestFramework = framework.TestFramework;
+    Assert = framework.Assert;
+    global.window = global.window || {};
+    window.EntropyUtils = require('../../utils/entropy.js');
+    ({ OptimizedPatternManager, PatternValidator } = require('../../config/patterns.js'));
+} else {
+    TestFramework = window.TestFramework;
+    Assert = window.Assert;
+    OptimizedPatternManager = window.OptimizedPatternManager;
+    PatternValidator = window.PatternValidator;
+}
+
+// Create test framework instance
+const testFramework = new TestFramework();
+
+const genericPattern = new OptimizedPatternManager().getAllPatterns().find(p => p.id === 'genericSecret');
+
+function setSettings(settings = {}) {
+    window.StorageUtils = {
+        getSetting: (key, defaultValue) => (key in settings ? settings[key] : defaultValue)
+    };
+}
+
+// Returns the validated secret found in the content, or null
+function detect(content) {
+    genericPattern.regex.lastIndex = 0;
+    const match = genericPattern.regex.exec(content);
+    genericPattern.regex.lastIndex = 0;
+    if (!match) {
+        return null;
+    }
+    const secret = match[genericPattern.secretGroup];
+    return new PatternValidator().isValidSecret(secret, genericPattern) ? secret : null;
+}
+
+// Assignment Shape Tests
+testFramework.test('should detect JS, JSON and env style assignments', () => {
+    setSettings();
+
+    Assert.equal(detect('const clientSecret = "q8Zr4Tn2Lx9Wb7Yk";'), 'q8Zr4Tn2Lx9Wb7Yk');
+    Assert.equal(detect('{"api_key": "f3a9c07e1b5d28463f9a0c7e1b5d2846"}'), 'f3a9c07e1b5d28463f9a0c7e1b5d2846');
+    Assert.equal(detect('INTERNAL_API_SECRET=Hk29dLq0Zx81Pw'), 'Hk29dLq0Zx81Pw');
+    Assert.equal(detect("settings = { password: 'Vn7#kq2!Lm9z' }"), 'Vn7#kq2!Lm9z');
+});
+
+testFramework.test('should ignore references, URLs and templates', () => {
+    setSettings();
+
+    Assert.equal(detect('apiKey: config.apiKey,'), null);
+    Assert.equal(detect('authToken = getToken()'), null);
+    Assert.equal(detect('TOKEN_URL = "https://auth.internal/v1/oauth"'), null);
+    Assert.equal(detect('password="${DB_PASSWORD}"'), null);
+});
+
+// Threshold Tests
+testFramework.test('should drop low-entropy and placeholder values', () => {
+    setSettings();
+
+    Assert.equal(detect('token = "abcdefghijkl"'), null);
+    Assert.equal(detect('"secret_key": "aaaaaaaaaaaa1"'), null);
+    Assert.equal(detect('secret: "changeme"'), null);
+});
+
+testFramework.test('should honor the configured entropy threshold', () => {
+    setSettings({ entropyThreshold: 4.5 });
+    Assert.equal(detect('const clientSecret = "q8Zr4Tn2Lx9Wb7Yk";'), null);
+
+    setSettings({ entropyThreshold: 3.0 });
+    Assert.equal(detect('const clientSecret = "q8Zr4Tn2Lx9Wb7Yk";'), 'q8Zr4Tn2Lx9Wb7Yk');
+});
+
+testFramework.test('should honor the configured character variety and length', () => {
+    setSettings({ minimumCharacterVariety: 0.9 });
+    Assert.equal(detect('{"api_key": "f3a9c07e1b5d28463f9a0c7e1b5d2846"}'), null);
+
+    setSettings({ minimumSecretLength: 20 });
+    Assert.equal(detect('const clientSecret = "q8Zr4Tn2Lx9Wb7Yk";'), null);
+});
+
+// Export for use in test runner
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { testFramework };
+}
+
+// For browser environment
+if (typeof window !== 'undefined') {
+    window.genericSecretsTests = testFramework;
+}
+
+// Auto-run tests if this file is executed directly
+if (typeof require !== 'undefined' && require.main === module) {
+    testFramework.runAll().then(results => {
+        process.exit(results.failed > 0 ? 1 : 0);
+    }).catch(error => {
+        console.error('Test execution failed:', error);
+        process.exit(1);
+    });
+}
@@ -0,0 +1,113 @@
+/**
+ * Unit Tests for RealtimeRecorder
+ * Tests connection lifecycle, message recording and previews, and the
+ * message and connection limits
+ */
+
+// Import the test framework and modules under test
+let TestFramework, Assert, RealtimeRecorder;
+
+if (typeof require !== 'undefined') {
+    const framework = require('../framework.js');
+    TestFramework = framework.TestFramework;
+    Assert = framework.Assert;
+    global.window = global.window || {};
+    RealtimeRecorder = require('../../utils/realtime-recorder.js').RealtimeRecorder;
+} else {
+    TestFramework = window.TestFramework;
+    Assert = window.Assert;
+    RealtimeRecorder = window.RealtimeRecorder;
+}
+
+// Create test framework instance
+const testFramework = new TestFramework();
+
+const TAB_ID = 7;
+const SOCKET_URL = 'wss://push.example.com/socket';
+
+function socketEvent(event, details = {}) {
+    return { kind: 'websocket', connectionId: 'ws-1', url: SOCKET_URL, event, timestamp: 1000, ...details };
+}
+
+// Lifecycle Tests
+testFramework.test('should follow a connection from connecting to closed', () => {
+    const recorder = new RealtimeRecorder();
+
+    recorder.record(TAB_ID, socketEvent('connecting', { route: '/chat' }));
+    recorder.record(TAB_ID, socketEvent('open', { protocol: 'graphql-ws', timestamp: 1200 }));
+    const update = recorder.record(TAB_ID, socketEvent('close', { code: 1000, reason: 'bye', timestamp: 5200 }));
+
+    Assert.equal(update.connection.status, 'closed');
+    Assert.equal(update.connection.protocol, 'graphql-ws');
+    Assert.equal(update.connection.route, '/chat');
+    Assert.equal(update.connection.closedAt - update.connection.openedAt, 4000);
+    Assert.equal(update.message, null);
+    Assert.notOk(update.connection.messages, 'updates carry a summary without the message list');
+    Assert.arrayLength(recorder.getConnections(TAB_ID), 1);
+});
+
+// Message Tests
+testFramework.test('should record text and binary frames with previews and byte counts', () => {
+    const recorder = new RealtimeRecorder({ maxPreviewSize: 8 });
+
+    recorder.record(TAB_ID, socketEvent('message', { direction: 'sent', format: 'text', size: 13, data: '{"op":"auth"}' }));
+    const update = recorder.record(TAB_ID, socketEvent('message', { direction: 'received', format: 'binary', size: 512, preview: '0a 0b' }));
+    const [connection] = recorder.getConnections(TAB_ID);
+
+    Assert.equal(update.message.format, 'binary');
+    Assert.equal(update.message.preview, '0a 0b');
+    Assert.equal(connection.messages[0].preview, '{"op":"a');
+    Assert.true(connection.messages[0].truncated);
+    Assert.equal(connection.bytesSent, 13);
+    Assert.equal(connection.bytesReceived, 512);
+    Assert.equal(connection.status, 'connecting', 'frames seen without an open event still create the connection');
+});
+
+// Limit Tests
+testFramework.test('should keep the latest messages per connection', () => {
+    const recorder = new RealtimeRecorder({ maxMessages: 3 });
+
+    for (let i = 1; i <= 5; i++) {
+        recorder.record(TAB_ID, socketEvent('message', { direction: 'received', format: 'text', data: `tick ${i}` }));
+    }
+    const [connection] = recorder.getConnections(TAB_ID);
+
+    Assert.equal(connection.messages.map(message => message.preview).join(), 'tick 3,tick 4,tick 5');
+    Assert.equal(connection.messageCount, 5);
+    Assert.equal(connection.droppedMessages, 2);
+});
+
+testFramework.test('should evict closed connections first and clear tabs', () => {
+    const recorder = new RealtimeRecorder({ maxConnections: 2 });
+
+    recorder.record(TAB_ID, socketEvent('open', { connectionId: 'a' }));
+    recorder.record(TAB_ID, socketEvent('close', { connectionId: 'b' }));
+    recorder.record(TAB_ID, { kind: 'sse', connectionId: 'c', url: 'https://example.com/events', event: 'connecting' });
+
+    Assert.equal(recorder.getConnections(TAB_ID).map(connection => connection.id).join(), 'a,c');
+    Assert.equal(recorder.record(TAB_ID, { event: 'open' }), null);
+    Assert.arrayLength(recorder.getConnections(8), 0);
+
+    recorder.clearTab(TAB_ID);
+    Assert.arrayLength(recorder.getConnections(TAB_ID), 0);
+});
+
+// Export for use in test runner
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { testFramework };
+}
+
+// For browser environment
+if (typeof window !== 'undefined') {
+    window.realtimeRecorderTests = testFramework;
+}
+
+// Auto-run tests if this file is executed directly
+if (typeof require !== 'undefined' && require.main === module) {
+    testFramework.runAll().then(results => {
+        process.exit(results.failed > 0 ? 1 : 0);
+    }).catch(error => {
+        console.error('Test execution failed:', error);
+        process.exit(1);
+    });
+}
@@ -0,0 +1,110 @@
+/**
+ * Unit Tests for RouteTracker
+ * Tests route normalization, History API and hash navigations and the
+ * popstate/hashchange listeners
+ */
+
+// Import the test framework and modules under test
+let TestFramework, Assert, RouteTracker;
+
+if (typeof require !== 'undefined') {
+    const framework = require('../framework.js');
+    TestFramework = framework.TestFramework;
+    Assert = framework.Assert;
+    global.window = global.window || {};
+    RouteTracker = require('../../utils/route-tracker.js').RouteTracker;
+} else {
+    TestFramework = window.TestFramework;
+    Assert = window.Assert;
+    RouteTracker = window.RouteTracker;
+}
+
+// Create test framework instance
+const testFramework = new TestFramework();
+
+function createTracker(startUrl = 'https://app.example.com/dashboard') {
+    const page = { url: startUrl };
+    const changes = [];
+    const tracker = new RouteTracker({
+        getUrl: () => page.url,
+        onChange: change => changes.push(change)
+    });
+    return { tracker, page, changes };
+}
+
+// Route Tests
+testFramework.test('should reduce URLs to path and hash-router fragment', () => {
+    Assert.equal(RouteTracker.getRoute('https://app.example.com/settings/keys/?tab=2'), '/settings/keys');
+    Assert.equal(RouteTracker.getRoute('https://app.example.com/'), '/');
+    Assert.equal(RouteTracker.getRoute('https://app.example.com/app#/users/4'), '/app#/users/4');
+    Assert.equal(RouteTracker.getRoute('https://app.example.com/#!/billing'), '/#!/billing');
+    Assert.equal(RouteTracker.getRoute('https://app.example.com/docs#install'), '/docs', 'anchors are not routes');
+    Assert.equal(RouteTracker.getRoute('not a url'), null);
+});
+
+// Navigation Tests
+testFramework.test('should report route changes but not query or anchor updates', () => {
+    const { tracker, changes } = createTracker();
+
+    Assert.false(tracker.handleNavigation('https://app.example.com/dashboard?page=2', 'replaceState'));
+    Assert.true(tracker.handleNavigation('https://app.example.com/settings', 'pushState'));
+    Assert.false(tracker.handleNavigation('https://app.example.com/settings#tokens', 'history'));
+
+    Assert.arrayLength(changes, 1);
+    Assert.equal(changes[0].route, '/settings');
+    Assert.equal(changes[0].previousRoute, '/dashboard');
+    Assert.equal(changes[0].trigger, 'pushState');
+    Assert.equal(tracker.getCurrentRoute(), '/settings');
+});
+
+testFramework.test('should list visited routes once, in first-visit order', () => {
+    const { tracker } = createTracker();
+
+    tracker.handleNavigation('https://app.example.com/settings', 'pushState');
+    tracker.handleNavigation('https://app.example.com/dashboard', 'history');
+    tracker.handleNavigation('https://app.example.com/#/admin', 'history');
+
+    Assert.equal(tracker.getRoutes().join(), '/dashboard,/settings,/#/admin');
+});
+
+testFramework.test('should follow popstate and hashchange events until stopped', () => {
+    const { tracker, page, changes } = createTracker('https://app.example.com/#/home');
+    const listeners = {};
+    const target = {
+        addEventListener: (type, listener) => { listeners[type] = listener; },
+        removeEventListener: type => { delete listeners[type]; }
+    };
+
+    tracker.start(target);
+    page.url = 'https://app.example.com/#/users';
+    listeners.hashchange();
+    page.url = 'https://app.example.com/#/home';
+    listeners.popstate();
+    tracker.stop();
+
+    Assert.arrayLength(changes, 2);
+    Assert.equal(changes[0].route, '/#/users');
+    Assert.equal(changes[1].trigger, 'history');
+    Assert.notOk(listeners.popstate);
+    Assert.notOk(listeners.hashchange);
+});
+
+// Export for use in test runner
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { testFramework };
+}
+
+// For browser environment
+if (typeof window !== 'undefined') {
+    window.routeTrackerTests = testFramework;
+}
+
+// Auto-run tests if this file is executed directly
+if (typeof require !== 'undefined' && require.main === module) {
+    testFramework.runAll().then(results => {
+        process.exit(results.failed > 0 ? 1 : 0);
+    }).catch(error => {
+        console.error('Test execution failed:', error);
+        process.exit(1);
+    });
+}
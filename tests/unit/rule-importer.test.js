@@ -0,0 +1,258 @@
+/**
+ * Unit Tests for RuleImporter
+ * Tests gitleaks/TruffleHog conversion, RE2 regex translation and rule constraints
+ */
+
+// Import the test framework and RuleImporter
+let TestFramework, Assert, RuleImporter, RulePackManager, PatternValidator, OptimizedPatternManager;
+
+if (typeof require !== 'undefined') {
+    const framework = require('../framework.js');
+    TestFramework = framework.TestFramework;
+    Assert = framework.Assert;
+    RulePackManager = require('../../utils/rule-pack.js').RulePackManager;
+    global.RulePackManager = RulePackManager;
+    RuleImporter = require('../../utils/rule-importer.js').RuleImporter;
+    ({ PatternValidator, OptimizedPatternManager } = require('../../config/patterns.js'));
+} else {
+    TestFramework = window.TestFramework;
+    Assert = window.Assert;
+    RuleImporter = window.RuleImporter;
+    RulePackManager = window.RulePackManager;
+    PatternValidator = window.PatternValidator;
+    OptimizedPatternManager = window.OptimizedPatternManager;
+}
+
+// Create test framework instance
+const testFramework = new TestFramework();
+
+const GITLEAKS_CONFIG = `
+title = "Acme gitleaks config"
+
+[allowlist]
+description = "global allowlist"
+stopwords = ["example"]
+paths = ['''vendor/''']
+
+[[rules]]
+id = "acme-api-key"
+description = "Acme API Key"
+regex = '''(?i)acme[_-]?key\\s*[:=]\\s*["']?([a-z0-9]{32})["']?'''
+secretGroup = 1
+entropy = 3.0
+keywords = ["acme"]
+
+  [rules.allowlist]
+  regexes = ['''^0+$''', '''dummy''']
+  regexTarget = "secret"
+
+[[rules]]
+id = "corp-token"
+description = "Corp token"
+regex = """corp_(?P<env>live|test)_[[:alnum:]]{24}"""
+keywords = [
+    "corp_live",
+    "corp_test", # trailing comment
+]
+
+[[rules]]
+id = "pem-files"
+path = '''\\.pem$'''
+
+[[rules]]
+id = "ungreedy"
+regex = '''(?U)token=.+'''
+`;
+
+const TRUFFLEHOG_CONFIG = `
+# TruffleHog custom detectors
+detectors:
+  - name: HogTokenDetector
+    keywords:
+      - hog
+    regex:
+      hogID: '\\b(HOG[0-9A-Z]{17})\\b'
+      hogToken: '[^A-Za-z0-9+\\/]{0,1}([A-Za-z0-9+\\/]{40})[^A-Za-z0-9+\\/]{0,1}'
+    verify:
+      - endpoint: http://localhost:8000/
+        unsafe: true
+    exclude_words: [test, sample]
+  - name: Simple Detector
+    keywords: ["simple_"]
+    entropy: 3.5
+    regex:
+      key: 'simple_[a-f0-9]{32}'
+    exclude_regexes_match:
+      - 'simple_0{32}'
+`;
+
+// RE2 Conversion Tests
+testFramework.test('should convert leading inline flags to JavaScript flags', () => {
+    const result = RuleImporter.convertRegex('(?i)secret');
+
+    Assert.equal(result.source, 'secret');
+    Assert.equal(result.flags, 'i');
+    Assert.equal(result.error, null);
+    Assert.arrayLength(result.warnings, 0);
+});
+
+testFramework.test('should convert named groups and POSIX classes', () => {
+    const result = RuleImporter.convertRegex('(?P<key>[[:alnum:]_]{4})');
+
+    Assert.equal(result.source, '(?<key>[a-zA-Z0-9_]{4})');
+    Assert.ok(new RegExp(result.source, result.flags).test('ab_9'));
+});
+
+testFramework.test('should convert \\Q..\\E literals and \\z anchors', () => {
+    const result = RuleImporter.convertRegex('\\Qa.b\\E\\z');
+    const regex = new RegExp(result.source, result.flags);
+
+    Assert.true(regex.test('xa.b'));
+    Assert.false(regex.test('xaxb'));
+    Assert.false(regex.test('a.b\n'));
+});
+
+testFramework.test('should widen scoped inline flags with a warning', () => {
+    const result = RuleImporter.convertRegex('key=(?i:abc)');
+
+    Assert.equal(result.source, 'key=(?:abc)');
+    Assert.equal(result.flags, 'i');
+    Assert.arrayLength(result.warnings, 1);
+});
+
+testFramework.test('should report unsupported RE2 constructs', () => {
+    Assert.match(RuleImporter.convertRegex('(?U)a+').error, /ungreedy/);
+    Assert.match(RuleImporter.convertRegex('a\\Cb').error, /\\C/);
+    Assert.match(RuleImporter.convertRegex('[[:^alpha:]]').error, /POSIX/);
+});
+
+// TOML / YAML Parsing Tests
+testFramework.test('should parse the gitleaks TOML subset', () => {
+    const config = RuleImporter.parseToml(GITLEAKS_CONFIG);
+
+    Assert.equal(config.title, 'Acme gitleaks config');
+    Assert.arrayLength(config.rules, 4);
+    Assert.equal(config.rules[0].secretGroup, 1);
+    Assert.equal(config.rules[0].entropy, 3.0);
+    Assert.arrayLength(config.rules[0].allowlist.regexes, 2);
+    Assert.arrayLength(config.rules[1].keywords, 2);
+    Assert.equal(config.allowlist.stopwords[0], 'example');
+});
+
+testFramework.test('should report TOML syntax errors with a line number', () => {
+    Assert.throws(() => RuleImporter.parseToml('[[rules]]\nid = "unterminated\n'));
+});
+
+testFramework.test('should parse the TruffleHog YAML subset', () => {
+    const config = RuleImporter.parseYaml(TRUFFLEHOG_CONFIG);
+
+    Assert.arrayLength(config.detectors, 2);
+    Assert.equal(config.detectors[0].name, 'HogTokenDetector');
+    Assert.equal(config.detectors[0].keywords[0], 'hog');
+    Assert.equal(config.detectors[0].verify[0].endpoint, 'http://localhost:8000/');
+    Assert.equal(config.detectors[0].exclude_words[1], 'sample');
+    Assert.equal(config.detectors[1].entropy, 3.5);
+});
+
+// Import Tests
+testFramework.test('should detect rule formats', () => {
+    Assert.equal(RuleImporter.detectFormat(GITLEAKS_CONFIG), 'gitleaks');
+    Assert.equal(RuleImporter.detectFormat(TRUFFLEHOG_CONFIG), 'trufflehog');
+    Assert.equal(RuleImporter.detectFormat('{"name": "pack", "rules": []}'), 'rulepack');
+    Assert.equal(RuleImporter.detectFormat('hello'), null);
+});
+
+testFramework.test('should import gitleaks rules and report the rest', () => {
+    const { pack, report } = RuleImporter.importGitleaks(GITLEAKS_CONFIG);
+
+    Assert.equal(pack.name, 'Acme-gitleaks-config');
+    Assert.true(RulePackManager.validateRulePack(pack).isValid);
+    Assert.arrayLength(report.imported, 2);
+    Assert.arrayLength(report.skipped, 2);
+    Assert.ok(report.skipped.find(s => s.id === 'pem-files'));
+    Assert.ok(report.skipped.find(s => s.id === 'ungreedy'));
+    Assert.ok(report.warnings.find(w => /paths/.test(w.message)));
+
+    const apiKey = pack.rules[0];
+    Assert.equal(apiKey.flags, 'i');
+    Assert.equal(apiKey.secretGroup, 1);
+    Assert.equal(apiKey.entropy, 3.0);
+    Assert.arrayLength(apiKey.allowlists, 2);
+
+    const corpToken = pack.rules[1];
+    Assert.equal(corpToken.secretGroup, 1);
+    Assert.match(corpToken.regex, /\(\?<env>/);
+});
+
+testFramework.test('should import TruffleHog detectors as one rule per regex', () => {
+    const { pack, report } = RuleImporter.importTruffleHog(TRUFFLEHOG_CONFIG);
+
+    Assert.true(RulePackManager.validateRulePack(pack).isValid);
+    Assert.equal(report.imported.join(','), 'HogTokenDetector-hogID,HogTokenDetector-hogToken,Simple-Detector');
+    Assert.ok(report.warnings.find(w => /verification/.test(w.message)));
+    Assert.ok(report.warnings.find(w => /independent/.test(w.message)));
+
+    Assert.equal(pack.rules[0].secretGroup, 1);
+    Assert.equal(pack.rules[0].allowlists[0].stopwords.join(','), 'test,sample');
+    Assert.equal(pack.rules[2].entropy, 3.5);
+    Assert.equal(pack.rules[2].allowlists[0].regexTarget, 'match');
+});
+
+// Rule Constraint Tests
+testFramework.test('should enforce imported entropy and allowlists in PatternValidator', () => {
+    const { pack } = RuleImporter.importGitleaks(GITLEAKS_CONFIG);
+    const manager = new OptimizedPatternManager();
+    manager.setCustomPatterns(RulePackManager.compileRulePacks([pack]));
+    const pattern = manager.getPatternsByPriority('custom')[0];
+    const validator = new PatternValidator();
+
+    Assert.true(validator.isValidSecret('k3j5h6g7f8d9s0a1q2w3e4r5t6y7u8i9', pattern));
+    Assert.false(validator.isValidSecret('aaaaaaaaaaaaaaaaaaaaaaaaaaaaaaab', pattern), 'low entropy');
+    Assert.false(validator.isValidSecret('k3j5h6g7dummy9s0a1q2w3e4r5t6y7u8', pattern), 'allowlisted regex');
+    Assert.false(validator.isValidSecret('k3j5h6gexample0a1q2w3e4r5t6y7u8i', pattern), 'global stopword');
+});
+
+testFramework.test('should apply match-targeted allowlists to the full match', () => {
+    const { pack } = RuleImporter.importTruffleHog(TRUFFLEHOG_CONFIG);
+    const manager = new OptimizedPatternManager();
+    manager.setCustomPatterns(RulePackManager.compileRulePacks([pack]));
+    const pattern = manager.getAllPatterns().find(p => p.id.endsWith('Simple-Detector'));
+    const validator = new PatternValidator();
+
+    Assert.true(validator.checkRuleConstraints('simple_0f1e2d3c4b5a69788796a5b4c3d2e1f0', pattern));
+    Assert.false(validator.checkRuleConstraints('simple_00000000000000000000000000000000', pattern,
+        { fullMatch: 'simple_00000000000000000000000000000000' }));
+});
+
+testFramework.test('should combine allowlist checks with an AND condition', () => {
+    const validator = new PatternValidator();
+    const pattern = {
+        id: 'and-rule',
+        allowlists: [RulePackManager.compileAllowlist({
+            regexes: ['^tok_'], stopwords: ['fake'], condition: 'AND'
+        })]
+    };
+
+    Assert.false(validator.isAllowlisted('tok_real_value', pattern));
+    Assert.true(validator.isAllowlisted('tok_fake_value', pattern));
+});
+
+// Export for use in test runner
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { testFramework };
+}
+
+// For browser environment
+if (typeof window !== 'undefined') {
+    window.ruleImporterTests = testFramework;
+}
+
+// Auto-run tests if this file is executed directly
+if (typeof require !== 'undefined' && require.main === module) {
+    testFramework.runAll().then(results => {
+        process.exit(results.failed > 0 ? 1 : 0);
+    }).catch(error => {
+        console.error('Test execution failed:', error);
+        process.exit(1);
+    });
+}
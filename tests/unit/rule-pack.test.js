@@ -0,0 +1,249 @@
+/**
+ * Unit Tests for RulePackManager
+ * Tests rule pack validation, compilation, persistence and pattern manager merging
+ */
+
+// Import the test framework and RulePackManager
+let TestFramework, Assert, MockHelpers, RulePackManager, OptimizedPatternManager;
+
+if (typeof require !== 'undefined') {
+    const framework = require('../framework.js');
+    TestFramework = framework.TestFramework;
+    Assert = framework.Assert;
+    MockHelpers = framework.MockHelpers;
+    RulePackManager = require('../../utils/rule-pack.js').RulePackManager;
+    OptimizedPatternManager = require('../../config/patterns.js').OptimizedPatternManager;
+} else {
+    TestFramework = window.TestFramework;
+    Assert = window.Assert;
+    MockHelpers = window.MockHelpers;
+    RulePackManager = window.RulePackManager;
+    OptimizedPatternManager = window.OptimizedPatternManager;
+}
+
+// Create test framework instance
+const testFramework = new TestFramework();
+
+function createPack(overrides = {}) {
+    return {
+        name: 'acme-internal',
+        version: '1.0.0',
+        rules: [{
+            id: 'corp-live-token',
+            regex: 'corp_live_[A-Za-z0-9]{32}',
+            description: 'ACME Live Token',
+            riskLevel: 'high',
+            category: 'custom',
+            keywords: ['corp_live_'],
+            examples: ['corp_live_0123456789abcdefABCDEF0123456789']
+        }],
+        ...overrides
+    };
+}
+
+// Validation Tests
+testFramework.test('should accept a well-formed rule pack', () => {
+    const result = RulePackManager.validateRulePack(createPack());
+
+    Assert.true(result.isValid);
+    Assert.arrayLength(result.errors, 0);
+});
+
+testFramework.test('should reject packs without a name or rules', () => {
+    Assert.false(RulePackManager.validateRulePack(createPack({ name: '' })).isValid);
+    Assert.false(RulePackManager.validateRulePack(createPack({ rules: [] })).isValid);
+    Assert.false(RulePackManager.validateRulePack(null).isValid);
+    Assert.false(RulePackManager.validateRulePack([]).isValid);
+});
+
+testFramework.test('should report invalid regular expressions', () => {
+    const pack = createPack();
+    pack.rules[0].regex = 'corp_live_[A-Z';
+    pack.rules[0].examples = [];
+
+    const result = RulePackManager.validateRulePack(pack);
+    Assert.false(result.isValid);
+    Assert.match(result.errors[0], /invalid regex/);
+});
+
+testFramework.test('should reject examples that do not match the regex', () => {
+    const pack = createPack();
+    pack.rules[0].examples = ['corp_test_nope'];
+
+    const result = RulePackManager.validateRulePack(pack);
+    Assert.false(result.isValid);
+    Assert.match(result.errors[0], /does not match/);
+});
+
+testFramework.test('should reject unknown risk levels, bad flags and duplicate ids', () => {
+    const pack = createPack();
+    pack.rules[0].riskLevel = 'severe';
+    pack.rules[0].flags = 'gx';
+    pack.rules.push({ ...pack.rules[0] });
+
+    const errors = RulePackManager.validateRulePack(pack).errors.join('\n');
+    Assert.match(errors, /riskLevel/);
+    Assert.match(errors, /flags/);
+    Assert.match(errors, /duplicate rule id/);
+});
+
+testFramework.test('should reject regexes that match the empty string', () => {
+    const pack = createPack();
+    pack.rules[0].regex = '[a-z]*';
+    pack.rules[0].examples = [];
+
+    Assert.false(RulePackManager.validateRulePack(pack).isValid);
+});
+
+testFramework.test('should report JSON syntax errors when parsing', () => {
+    const result = RulePackManager.parseRulePack('{ not json');
+
+    Assert.false(result.isValid);
+    Assert.equal(result.pack, null);
+    Assert.match(result.errors[0], /Invalid JSON/);
+});
+
+// Compilation Tests
+testFramework.test('should always compile rules with the global flag', () => {
+    Assert.equal(RulePackManager.normalizeFlags(), 'g');
+    Assert.equal(RulePackManager.normalizeFlags('i'), 'gi');
+    Assert.equal(RulePackManager.normalizeFlags('gig'), 'gi');
+});
+
+testFramework.test('should compile packs into pattern configs keyed by pack and rule id', () => {
+    const compiled = RulePackManager.compileRulePacks([createPack()]);
+    const config = compiled['acme-internal:corp-live-token'];
+
+    Assert.ok(config);
+    Assert.true(config.pattern instanceof RegExp);
+    Assert.true(config.pattern.global);
+    Assert.equal(config.description, 'ACME Live Token');
+    Assert.equal(config.category, 'custom');
+    Assert.equal(config.rulePack, 'acme-internal');
+});
+
+testFramework.test('should skip invalid packs without dropping valid ones', () => {
+    const broken = createPack({ name: 'broken' });
+    broken.rules[0].regex = '(';
+    const originalWarn = console.warn;
+    console.warn = () => {};
+
+    const compiled = RulePackManager.compileRulePacks([broken, createPack()]);
+    console.warn = originalWarn;
+
+    Assert.arrayLength(Object.keys(compiled), 1);
+    Assert.ok(compiled['acme-internal:corp-live-token']);
+});
+
+testFramework.test('should default the category to custom', () => {
+    const pack = createPack();
+    delete pack.rules[0].category;
+
+    const compiled = RulePackManager.compileRulePacks([pack]);
+    Assert.equal(compiled['acme-internal:corp-live-token'].category, 'custom');
+});
+
+// Pattern Manager Integration Tests
+testFramework.test('should merge custom patterns into getAllPatterns', () => {
+    const manager = new OptimizedPatternManager();
+    const builtInCount = manager.getAllPatterns().length;
+
+    manager.setCustomPatterns(RulePackManager.compileRulePacks([createPack()]));
+    const patterns = manager.getAllPatterns();
+    const custom = patterns[patterns.length - 1];
+
+    Assert.equal(patterns.length, builtInCount + 1);
+    Assert.equal(custom.id, 'acme-internal:corp-live-token');
+    Assert.equal(custom.priority, 'custom');
+    Assert.equal(custom.riskLevel, 'high');
+    Assert.ok('corp_live_0123456789abcdefABCDEF0123456789'.match(custom.regex));
+});
+
+testFramework.test('should drop custom patterns when cleared', () => {
+    const manager = new OptimizedPatternManager();
+    const builtInCount = manager.getAllPatterns().length;
+
+    manager.setCustomPatterns(RulePackManager.compileRulePacks([createPack()]));
+    manager.setCustomPatterns({});
+
+    Assert.equal(manager.getAllPatterns().length, builtInCount);
+});
+
+// Persistence Tests
+testFramework.test('should persist, replace and remove rule packs', async () => {
+    MockHelpers.mockBrowserAPI();
+    const store = {};
+    global.browser.storage.local.get = keys => Promise.resolve(
+        keys.reduce((result, key) => (key in store ? { ...result, [key]: store[key] } : result), {})
+    );
+    global.browser.storage.local.set = items => Promise.resolve(Object.assign(store, items));
+
+    await RulePackManager.saveRulePack(createPack());
+    await RulePackManager.saveRulePack(createPack({ version: '1.1.0' }));
+
+    let packs = await RulePackManager.loadRulePacks();
+    Assert.arrayLength(packs, 1);
+    Assert.equal(packs[0].version, '1.1.0');
+
+    Assert.true(await RulePackManager.removeRulePack('acme-internal'));
+    Assert.false(await RulePackManager.removeRulePack('acme-internal'));
+    packs = await RulePackManager.loadRulePacks();
+    Assert.arrayLength(packs, 0);
+
+    delete global.browser;
+});
+
+testFramework.test('should not persist invalid rule packs', async () => {
+    MockHelpers.mockBrowserAPI();
+    let saved = false;
+    global.browser.storage.local.set = () => { saved = true; return Promise.resolve(); };
+
+    const result = await RulePackManager.saveRulePack(createPack({ rules: [] }));
+    Assert.false(result.isValid);
+    Assert.false(saved);
+
+    delete global.browser;
+});
+
+testFramework.test('should report rule pack changes only', () => {
+    MockHelpers.mockBrowserAPI();
+    const listeners = [];
+    global.browser.storage.onChanged = {
+        addListener: listener => listeners.push(listener),
+        removeListener: listener => listeners.splice(listeners.indexOf(listener), 1)
+    };
+    const received = [];
+
+    const stop = RulePackManager.onRulePacksChanged(packs => received.push(packs));
+    listeners.forEach(listener => listener({ userSettings: { newValue: {} } }, 'local'));
+    listeners.forEach(listener => listener({ customRulePacks: { newValue: [createPack()] } }, 'local'));
+    listeners.forEach(listener => listener({ customRulePacks: {} }, 'local'));
+    stop();
+
+    Assert.arrayLength(received, 2);
+    Assert.equal(received[0][0].name, 'acme-internal');
+    Assert.arrayLength(received[1], 0, 'removing every pack reports an empty list');
+    Assert.arrayLength(listeners, 0);
+
+    delete global.browser;
+});
+
+// Export for use in test runner
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { testFramework };
+}
+
+// For browser environment
+if (typeof window !== 'undefined') {
+    window.rulePackTests = testFramework;
+}
+
+// Auto-run tests if this file is executed directly
+if (typeof require !== 'undefined' && require.main === module) {
+    testFramework.runAll().then(results => {
+        process.exit(results.failed > 0 ? 1 : 0);
+    }).catch(error => {
+        console.error('Test execution failed:', error);
+        process.exit(1);
+    });
+}
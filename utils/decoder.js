@@ -0,0 +1,289 @@
+/**
+ * Recursive decoder for pattern scanning
+ * Secrets are often base64'd into config blobs, URL-encoded in query strings
+ * or hidden behind \x / \u escapes in JS strings, where the regexes never see
+ * them. This finds candidate encoded spans, decodes them, and decodes the
+ * output again up to a set depth. Each output keeps the chain of decodings
+ * that produced it (e.g. base64 → json) and the encoded span it came from
+ */
+
+// Decodings, in the order spans are looked for
+const DECODE_STEPS = ['url', 'unicode-escape', 'hex-escape', 'base64', 'hex'];
+
+// Characters that end an encoded token (whitespace, quotes, markup)
+const TOKEN_BOUNDARY = /[\s"'`<>]/;
+
+// Markers found first; the span is the token around them
+const MARKERS = {
+    url: /%[0-9A-Fa-f]{2}/g,
+    'unicode-escape': /\\u(?:[0-9A-Fa-f]{4}|\{[0-9A-Fa-f]{1,6}\})/g,
+    'hex-escape': /\\x[0-9A-Fa-f]{2}/g
+};
+
+// Whole spans (standard and URL-safe alphabets; hex runs of 10+ bytes)
+const BASE64_SPAN = /[A-Za-z0-9+/_-]{20,}={0,2}/g;
+const HEX_SPAN = /[0-9A-Fa-f]{20,}/g;
+
+const ESCAPE_SEQUENCE = /\\u\{([0-9A-Fa-f]{1,6})\}|\\u([0-9A-Fa-f]{4})|\\x([0-9A-Fa-f]{2})|\\\//g;
+
+class RecursiveDecoder {
+    /**
+     * @param {Object} options - Optional { maxDepth, maxOutputs, maxSpanLength, minDecodedLength }
+     */
+    constructor(options = {}) {
+        this.maxDepth = options.maxDepth || 3;
+        this.maxOutputs = options.maxOutputs || 200;
+        this.maxSpanLength = options.maxSpanLength || 64 * 1024;
+        this.minDecodedLength = options.minDecodedLength || 8;
+    }
+
+    /**
+     * Decodes every encoded span in the content, and the spans inside the output
+     * @param {string} content - Content to decode
+     * @returns {Array<Object>} { text, chain, index, length, encoded } - index, length and
+     *   encoded describe the outermost span in the original content
+     */
+    decode(content) {
+        const outputs = [];
+        if (!content || typeof content !== 'string') {
+            return outputs;
+        }
+
+        const seen = new Set();
+        const queue = [{ text: content, chain: [], depth: 0, origin: null }];
+
+        while (queue.length > 0 && outputs.length < this.maxOutputs) {
+            const item = queue.shift();
+            if (item.depth >= this.maxDepth) {
+                continue;
+            }
+
+            for (const span of this.findSpans(item.text)) {
+                if (outputs.length >= this.maxOutputs) {
+                    break;
+                }
+
+                const text = RecursiveDecoder.decodeSpan(span.step, span.text);
+                if (!text || text === span.text || text.length < this.minDecodedLength || seen.has(text)) {
+                    continue;
+                }
+                seen.add(text);
+
+                const origin = item.origin || { index: span.index, length: span.text.length, encoded: span.text };
+                const chain = [...item.chain, span.step];
+                if (RecursiveDecoder.isJson(text)) {
+                    chain.push('json');
+                }
+
+                outputs.push({ text, chain, ...origin });
+                queue.push({ text, chain, depth: item.depth + 1, origin });
+            }
+        }
+
+        return outputs;
+    }
+
+    /**
+     * Finds candidate encoded spans
+     * @param {string} text - Text to search
+     * @returns {Array<Object>} { step, text, index }, in step order
+     */
+    findSpans(text) {
+        const spans = [];
+
+        for (const step of DECODE_STEPS) {
+            if (MARKERS[step]) {
+                spans.push(...this._findMarkedSpans(text, step));
+                continue;
+            }
+            const pattern = step === 'base64' ? BASE64_SPAN : HEX_SPAN;
+            for (const match of text.matchAll(pattern)) {
+                if (match[0].length <= this.maxSpanLength && (step !== 'hex' || match[0].length % 2 === 0)) {
+                    spans.push({ step, text: match[0], index: match.index });
+                }
+            }
+        }
+
+        return spans;
+    }
+
+    /**
+     * Joins decoded outputs into one text for a single pattern pass
+     * @param {Array<Object>} outputs - Outputs from decode()
+     * @returns {Object} { text, locate(position) } - locate maps a position in text to its output
+     */
+    join(outputs) {
+        const starts = [];
+        let offset = 0;
+        const text = outputs.map(output => {
+            starts.push(offset);
+            offset += output.text.length + 2;
+            return output.text;
+        }).join('\n\n');
+
+        const locate = position => {
+            let low = 0;
+            let high = starts.length - 1;
+            while (low < high) {
+                const mid = Math.ceil((low + high) / 2);
+                if (starts[mid] <= position) {
+                    low = mid;
+                } else {
+                    high = mid - 1;
+                }
+            }
+            return outputs[low];
+        };
+
+        return { text, locate };
+    }
+
+    /**
+     * Decodes one span
+     * @param {string} step - Decoding (see DECODE_STEPS)
+     * @param {string} span - Encoded text
+     * @returns {string|null} Decoded text, or null if the span does not decode to text
+     */
+    static decodeSpan(step, span) {
+        switch (step) {
+            case 'url':
+                return RecursiveDecoder.decodeUrl(span);
+            case 'unicode-escape':
+            case 'hex-escape':
+                return RecursiveDecoder.decodeEscapes(span);
+            case 'base64':
+                return RecursiveDecoder.decodeBase64(span);
+            case 'hex':
+                return RecursiveDecoder.toText(span.replace(/../g, pair => String.fromCharCode(parseInt(pair, 16))));
+            default:
+                return null;
+        }
+    }
+
+    /**
+     * @param {string} span - Percent-encoded text
+     * @returns {string} Decoded text
+     */
+    static decodeUrl(span) {
+        try {
+            return decodeURIComponent(span);
+        } catch (error) {
+            // Stray % or a broken UTF-8 sequence: decode what can be decoded
+            return span.replace(/%([0-9A-Fa-f]{2})/g, (sequence, hex) => String.fromCharCode(parseInt(hex, 16)));
+        }
+    }
+
+    /**
+     * @param {string} span - Text with \u, \u{...} and \x escapes
+     * @returns {string} Unescaped text
+     */
+    static decodeEscapes(span) {
+        return span.replace(ESCAPE_SEQUENCE, (sequence, codePoint, unit, byte) => {
+            if (sequence === '\\/') {
+                return '/';
+            }
+            const code = parseInt(codePoint || unit || byte, 16);
+            return code <= 0x10FFFF ? String.fromCodePoint(code) : sequence;
+        });
+    }
+
+    /**
+     * @param {string} span - Standard or URL-safe base64, padded or not
+     * @returns {string|null} Decoded text, or null if it is not base64 of text
+     */
+    static decodeBase64(span) {
+        const normalized = span.replace(/=+$/, '').replace(/-/g, '+').replace(/_/g, '/');
+        if (normalized.length % 4 === 1 || typeof atob !== 'function') {
+            return null;
+        }
+        try {
+            return RecursiveDecoder.toText(atob(normalized + '='.repeat((4 - normalized.length % 4) % 4)));
+        } catch (error) {
+            return null;
+        }
+    }
+
+    /**
+     * Reads decoded bytes as text, rejecting binary data
+     * @param {string} binary - One character per byte
+     * @returns {string|null} Text, or null if the bytes hold control characters or invalid UTF-8
+     */
+    static toText(binary) {
+        let ascii = true;
+        for (let i = 0; i < binary.length; i++) {
+            const code = binary.charCodeAt(i);
+            if ((code < 0x20 && code !== 0x09 && code !== 0x0A && code !== 0x0D) || code === 0x7F) {
+                return null;
+            }
+            if (code > 0x7F) {
+                ascii = false;
+            }
+        }
+        if (ascii) {
+            return binary;
+        }
+        if (typeof TextDecoder === 'undefined') {
+            return null;
+        }
+        try {
+            const bytes = Uint8Array.from(binary, char => char.charCodeAt(0));
+            return new TextDecoder('utf-8', { fatal: true }).decode(bytes);
+        } catch (error) {
+            return null;
+        }
+    }
+
+    /**
+     * @param {string} text - Decoded text
+     * @returns {boolean} Whether the text is a JSON object or array
+     */
+    static isJson(text) {
+        if (!/^\s*[{[]/.test(text)) {
+            return false;
+        }
+        try {
+            JSON.parse(text);
+            return true;
+        } catch (error) {
+            return false;
+        }
+    }
+
+    /**
+     * Finds the tokens around each marker; a token is only returned once
+     * @private
+     */
+    _findMarkedSpans(text, step) {
+        const spans = [];
+        const marker = new RegExp(MARKERS[step].source, 'g');
+        let match;
+
+        while ((match = marker.exec(text)) !== null) {
+            let start = match.index;
+            while (start > 0 && !TOKEN_BOUNDARY.test(text[start - 1])) {
+                start--;
+            }
+            let end = match.index + match[0].length;
+            while (end < text.length && !TOKEN_BOUNDARY.test(text[end])) {
+                end++;
+            }
+
+            if (end - start <= this.maxSpanLength) {
+                spans.push({ step, text: text.slice(start, end), index: start });
+            }
+            marker.lastIndex = end;
+        }
+
+        return spans;
+    }
+}
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { RecursiveDecoder, DECODE_STEPS };
+}
+
+// For browser environment
+if (typeof window !== 'undefined') {
+    window.RecursiveDecoder = RecursiveDecoder;
+}
@@ -0,0 +1,241 @@
+/**
+ * DOM locator for page findings
+ * The page scan matches against serialized innerHTML, so a finding's position
+ * says nothing about where the secret sits. This walks the DOM in document
+ * order (the order innerHTML is serialized in) and reports the first node
+ * holding each value: a text node, an attribute, an inline script (with the
+ * line and column inside it) or an HTML comment, with a CSS selector and an
+ * XPath the highlighter can resolve to jump to the spot
+ */
+
+const LOCATION_KINDS = {
+    TEXT: 'text',
+    ATTRIBUTE: 'attribute',
+    SCRIPT: 'script',
+    COMMENT: 'comment'
+};
+
+// Node.ELEMENT_NODE, TEXT_NODE, CDATA_SECTION_NODE and COMMENT_NODE
+const ELEMENT_NODE = 1;
+const TEXT_NODE = 3;
+const CDATA_SECTION_NODE = 4;
+const COMMENT_NODE = 8;
+
+class DomLocator {
+    /**
+     * @param {Object} options - Optional { maxNodes }
+     */
+    constructor(options = {}) {
+        this.maxNodes = options.maxNodes || 50000;
+        this.stats = { nodes: 0 };
+    }
+
+    /**
+     * Finds the first node holding each value
+     * @param {Node} root - Document or element to walk
+     * @param {Array<string>} values - Strings to look for
+     * @returns {Map<string, Object>} value -> { kind, selector, xpath, label, offset, length }
+     *   plus attribute for attributes and scriptIndex, line and column for inline scripts
+     */
+    locateAll(root, values) {
+        const pending = new Set((values || []).filter(value => typeof value === 'string' && value.length > 0));
+        const found = new Map();
+        const stack = root ? [root] : [];
+        let scriptIndex = 0;
+        this.stats = { nodes: 0 };
+
+        const check = (text, build) => {
+            pending.forEach(value => {
+                const offset = text.indexOf(value);
+                if (offset !== -1) {
+                    found.set(value, { ...build(offset), offset, length: value.length });
+                    pending.delete(value);
+                }
+            });
+        };
+
+        while (stack.length > 0 && pending.size > 0 && this.stats.nodes < this.maxNodes) {
+            const node = stack.pop();
+            this.stats.nodes++;
+
+            if (node.nodeType === ELEMENT_NODE) {
+                const tag = DomLocator._tagName(node);
+                if (tag === 'script') {
+                    scriptIndex++;
+                }
+                Array.from(node.attributes || []).forEach(attribute => {
+                    check(attribute.value || '', () => DomLocator._describe(node, LOCATION_KINDS.ATTRIBUTE, { attribute: attribute.name }));
+                });
+            } else if (node.nodeType === TEXT_NODE || node.nodeType === CDATA_SECTION_NODE) {
+                const parent = node.parentNode;
+                if (parent && DomLocator._tagName(parent) === 'script') {
+                    const currentScript = scriptIndex;
+                    check(node.nodeValue || '', offset => {
+                        const { line, column } = DomLocator.getLineColumn(node.nodeValue, offset);
+                        return DomLocator._describe(node, LOCATION_KINDS.SCRIPT, { scriptIndex: currentScript, line, column });
+                    });
+                } else {
+                    check(node.nodeValue || '', () => DomLocator._describe(node, LOCATION_KINDS.TEXT));
+                }
+            } else if (node.nodeType === COMMENT_NODE) {
+                check(node.nodeValue || '', () => DomLocator._describe(node, LOCATION_KINDS.COMMENT));
+            }
+
+            // Template content is serialized with the template, so it is searched too
+            const children = Array.from(node.content && node.content.childNodes ? node.content.childNodes : node.childNodes || []);
+            for (let i = children.length - 1; i >= 0; i--) {
+                stack.push(children[i]);
+            }
+        }
+
+        return found;
+    }
+
+    /**
+     * Finds the node a location points at
+     * @param {Document} doc - Document to search
+     * @param {Object} location - Location from locateAll()
+     * @returns {Node|null} Text node, comment or element
+     */
+    static resolve(doc, location) {
+        if (!doc || !location) {
+            return null;
+        }
+
+        if (location.xpath && typeof doc.evaluate === 'function') {
+            try {
+                const result = doc.evaluate(location.xpath, doc, null, 9 /* FIRST_ORDERED_NODE_TYPE */, null);
+                if (result.singleNodeValue) {
+                    return result.singleNodeValue;
+                }
+            } catch (error) {
+                // Fall back to the selector
+            }
+        }
+
+        try {
+            return location.selector ? doc.querySelector(location.selector) : null;
+        } catch (error) {
+            return null;
+        }
+    }
+
+    /**
+     * CSS selector for an element: tag names with :nth-of-type where needed,
+     * starting at the closest ancestor with a usable id
+     * @param {Element} element - Element
+     * @returns {string} Selector, e.g. "#settings > form > input:nth-of-type(2)"
+     */
+    static cssPath(element) {
+        const parts = [];
+        let node = element;
+
+        while (node && node.nodeType === ELEMENT_NODE) {
+            const tag = DomLocator._tagName(node);
+            if (node.id && /^[A-Za-z][\w-]*$/.test(node.id)) {
+                parts.unshift(`${parts.length === 0 ? tag : ''}#${node.id}`);
+                break;
+            }
+
+            const sameTag = DomLocator._siblings(node).filter(sibling =>
+                sibling.nodeType === ELEMENT_NODE && DomLocator._tagName(sibling) === tag);
+            parts.unshift(sameTag.length > 1 ? `${tag}:nth-of-type(${sameTag.indexOf(node) + 1})` : tag);
+            node = node.parentNode;
+        }
+
+        return parts.join(' > ');
+    }
+
+    /**
+     * XPath for a node, e.g. "/html/body/div[2]/text()[1]" or "/html/body/comment()[1]"
+     * @param {Node} node - Element, text node or comment
+     * @returns {string} Absolute XPath
+     */
+    static xpath(node) {
+        const parts = [];
+        let current = node;
+
+        while (current && [ELEMENT_NODE, TEXT_NODE, CDATA_SECTION_NODE, COMMENT_NODE].includes(current.nodeType)) {
+            let step;
+            let matches;
+            if (current.nodeType === ELEMENT_NODE) {
+                const tag = DomLocator._tagName(current);
+                step = tag;
+                matches = sibling => sibling.nodeType === ELEMENT_NODE && DomLocator._tagName(sibling) === tag;
+            } else if (current.nodeType === COMMENT_NODE) {
+                step = 'comment()';
+                matches = sibling => sibling.nodeType === COMMENT_NODE;
+            } else {
+                step = 'text()';
+                matches = sibling => sibling.nodeType === TEXT_NODE || sibling.nodeType === CDATA_SECTION_NODE;
+            }
+
+            const sameType = DomLocator._siblings(current).filter(matches);
+            parts.unshift(current.nodeType !== ELEMENT_NODE || sameType.length > 1 ?
+                `${step}[${sameType.indexOf(current) + 1}]` : step);
+            current = current.parentNode;
+        }
+
+        return `/${parts.join('/')}`;
+    }
+
+    /**
+     * 1-based line and column of an offset
+     * @param {string} text - Text
+     * @param {number} offset - Offset into the text
+     * @returns {Object} { line, column }
+     */
+    static getLineColumn(text, offset) {
+        const before = text.slice(0, offset);
+        const lineStart = before.lastIndexOf('\n') + 1;
+        return { line: before.split('\n').length, column: offset - lineStart + 1 };
+    }
+
+    /**
+     * @private
+     */
+    static _describe(node, kind, details = {}) {
+        const element = node.nodeType === ELEMENT_NODE ? node : node.parentNode;
+        const selector = element && element.nodeType === ELEMENT_NODE ? DomLocator.cssPath(element) : '';
+        const location = { kind, selector, xpath: DomLocator.xpath(node), ...details };
+
+        switch (kind) {
+            case LOCATION_KINDS.ATTRIBUTE:
+                location.label = `${selector} › @${details.attribute}`;
+                break;
+            case LOCATION_KINDS.SCRIPT:
+                location.label = `inline script #${details.scriptIndex}:${details.line}:${details.column}`;
+                break;
+            case LOCATION_KINDS.COMMENT:
+                location.label = 'HTML comment';
+                break;
+            default:
+                location.label = selector || 'text';
+        }
+        return location;
+    }
+
+    /**
+     * @private
+     */
+    static _siblings(node) {
+        return node.parentNode && node.parentNode.childNodes ? Array.from(node.parentNode.childNodes) : [node];
+    }
+
+    /**
+     * @private
+     */
+    static _tagName(node) {
+        return (node.localName || node.tagName || '').toLowerCase();
+    }
+}
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { DomLocator, LOCATION_KINDS };
+}
+
+// For browser environment
+if (typeof window !== 'undefined') {
+    window.DomLocator = DomLocator;
+}
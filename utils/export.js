@@ -66,11 +66,15 @@ class ExportManager {
      */
     exportAsCSV(findings, metadata = {}) {
         const headers = [
+            'Fingerprint',
+            'Rule ID',
+            'Rule Version',
             'Type',
             'Risk Level',
             'Category', 
             'Value',
             'URL',
+            'Source',
             'Detection Time',
             'Export ID',
             'Bucket Name',
@@ -80,11 +84,15 @@ class ExportManager {
         ];
         
         const rows = findings.map(finding => [
+            `"${finding.fingerprint || 'N/A'}"`,
+            `"${finding.ruleId || 'N/A'}"`,
+            `"${finding.ruleVersion || 'N/A'}"`,
             `"${finding.type || 'Unknown'}"`,
             `"${finding.riskLevel || 'medium'}"`,
             `"${finding.category || 'unknown'}"`,
             `"${this.shouldMaskInExport() ? this.maskSecretForExport(finding.value) : finding.value}"`,
             `"${window.location.href}"`,
+            `"${finding.sourceUrl ? `${finding.sourceUrl}${finding.line ? `:${finding.line}:${finding.column}` : ''}` : (finding.domLocation?.label || 'N/A').replace(/"/g, '""')}"`,
             `"${new Date(finding.timestamp || Date.now()).toISOString()}"`,
             `"${this.generateExportId()}"`,
             `"${finding.bucketInfo?.bucketName || 'N/A'}"`,
@@ -160,6 +168,7 @@ class ExportManager {
             type: 'export',
             format,
             findingsCount: findings.length,
+            fingerprints: findings.map(finding => finding.fingerprint).filter(Boolean),
             timestamp: Date.now(),
             url: window.location.href
         });
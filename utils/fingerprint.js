@@ -0,0 +1,95 @@
+/**
+ * Finding fingerprint utilities
+ * A fingerprint identifies one secret reported by one rule at one location:
+ *
+ *   SHA-256("<ruleId>\n<SHA-256(value)>\n<normalized location>")
+ *
+ * Rule ids are the SECURITY_PATTERNS keys for built-in rules and
+ * "<pack>:<rule id>" for rule pack rules; they never change when a rule's
+ * regex does (the rule version does). The location is the page URL without
+ * query string or fragment, so reloading a page or changing its tracking
+ * parameters keeps the fingerprint stable. Fingerprints are safe to store:
+ * the secret only ever enters them hashed
+ */
+
+class FindingFingerprint {
+    /**
+     * Normalizes a URL into a finding location
+     * Drops credentials, query string and fragment; scheme and host are lowercased
+     * @param {string} url - Page or resource URL
+     * @returns {string} Normalized location, or '' when there is none
+     */
+    static normalizeLocation(url) {
+        if (!url) {
+            return '';
+        }
+
+        try {
+            const parsed = new URL(url);
+            return `${parsed.protocol}//${parsed.host}${parsed.pathname}`;
+        } catch (error) {
+            // Not a URL (e.g. a label for in-memory content); use it as is
+            return String(url).split(/[?#]/)[0];
+        }
+    }
+
+    /**
+     * Creates a fingerprint
+     * @param {string} ruleId - Stable id of the rule that reported the finding
+     * @param {string} value - Raw matched value
+     * @param {string} url - URL the value was found at (normalized here)
+     * @returns {string} SHA-256 hex fingerprint
+     */
+    static create(ruleId, value, url) {
+        const hash = FindingFingerprint._getHashUtils().sha256;
+        return hash(`${ruleId}\n${hash(value)}\n${FindingFingerprint.normalizeLocation(url)}`);
+    }
+
+    /**
+     * Gets the fingerprint of a finding as reported by the scanner
+     * Cloud storage findings report the bucket name as value and keep the
+     * matched URL in fullUrl, which is what gets fingerprinted
+     * @param {Object} finding - Scanner finding
+     * @returns {string|null} Fingerprint, or null if the finding has no rule id
+     */
+    static forFinding(finding) {
+        if (!finding) {
+            return null;
+        }
+        if (finding.fingerprint) {
+            return finding.fingerprint;
+        }
+        if (!finding.ruleId) {
+            return null;
+        }
+        return FindingFingerprint.create(finding.ruleId, finding.fullUrl || finding.value,
+            finding.location || finding.url);
+    }
+
+    /**
+     * Gets the SHA-256 implementation
+     * @private
+     */
+    static _getHashUtils() {
+        if (typeof HashUtils !== 'undefined') {
+            return HashUtils;
+        }
+        if (typeof window !== 'undefined' && window.HashUtils) {
+            return window.HashUtils;
+        }
+        if (typeof require !== 'undefined') {
+            return require('./hash.js');
+        }
+        throw new Error('HashUtils not available');
+    }
+}
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { FindingFingerprint };
+}
+
+// For browser environment
+if (typeof window !== 'undefined') {
+    window.FindingFingerprint = FindingFingerprint;
+}
@@ -0,0 +1,289 @@
+/**
+ * Third-party credential leak detector
+ * Watches outgoing request headers in the background page. Credentials the
+ * page sends to its own site (Authorization values, API key headers and
+ * session cookie values) are remembered per tab; when one of them later
+ * shows up in a request to a different registrable domain (an analytics
+ * beacon, a CDN, an error reporter) that request is reported as a leak with
+ * the source page, destination host and header name
+ */
+
+const LEAK_RULE_ID = 'thirdPartyCredentialLeak';
+const LEAK_SOURCE_TYPE = 'third-party-leak';
+
+// Request headers that carry API keys or tokens
+const API_KEY_HEADERS = new Set([
+    'x-api-key', 'api-key', 'apikey', 'x-apikey', 'x-auth-token', 'x-access-token',
+    'x-session-token', 'x-amz-security-token', 'x-goog-api-key', 'private-token', 'x-client-secret'
+]);
+
+// Cookie names that usually hold a session
+const SESSION_COOKIE_PATTERN = /sess|(^|[._-])sid$|auth|token|jwt|login|remember/i;
+
+// Two-label public suffixes common enough to matter for grouping hosts into sites
+const MULTI_LABEL_SUFFIXES = new Set([
+    'co.uk', 'org.uk', 'ac.uk', 'gov.uk', 'me.uk', 'com.au', 'net.au', 'org.au', 'co.nz', 'co.jp',
+    'ne.jp', 'co.kr', 'co.in', 'com.br', 'com.cn', 'com.mx', 'com.tr', 'co.za', 'com.sg',
+    'github.io', 'gitlab.io', 'herokuapp.com', 'netlify.app', 'vercel.app', 'pages.dev',
+    'workers.dev', 'appspot.com', 'web.app', 'firebaseapp.com', 'azurewebsites.net', 'cloudfront.net'
+]);
+
+class HeaderLeakDetector {
+    /**
+     * @param {Object} options - Optional { minSecretLength, maxSecretsPerTab }
+     */
+    constructor(options = {}) {
+        this.minSecretLength = options.minSecretLength || 12;
+        this.maxSecretsPerTab = options.maxSecretsPerTab || 200;
+        this.tabs = new Map(); // tabId -> { pageUrl, secrets: Map(value -> secret), reported: Set }
+    }
+
+    /**
+     * Inspects one outgoing request (webRequest.onBeforeSendHeaders details)
+     * @param {Object} details - { tabId, url, type, requestHeaders, documentUrl, originUrl, initiator }
+     * @returns {Array<Object>} New leak findings
+     */
+    observe(details) {
+        if (!details || details.tabId === undefined || details.tabId < 0) {
+            return [];
+        }
+
+        if (details.type === 'main_frame') {
+            this.resetTab(details.tabId);
+            this._getTab(details.tabId).pageUrl = details.url;
+        }
+
+        const tab = this._getTab(details.tabId);
+        const pageUrl = tab.pageUrl || details.documentUrl || details.originUrl || details.initiator;
+        const pageSite = HeaderLeakDetector.getRegistrableDomain(HeaderLeakDetector._getHostname(pageUrl));
+        const destinationHost = HeaderLeakDetector._getHostname(details.url);
+        const destinationSite = HeaderLeakDetector.getRegistrableDomain(destinationHost);
+        if (!pageSite || !destinationSite) {
+            return [];
+        }
+
+        // Only learn credentials from requests to the page's own site
+        if (destinationSite === pageSite) {
+            this._rememberSecrets(tab, details);
+            return [];
+        }
+
+        return this._findLeaks(tab, details, pageUrl, destinationHost, destinationSite);
+    }
+
+    /**
+     * Forgets the credentials and reports of a tab (navigation or close)
+     * @param {number} tabId - Tab id
+     */
+    resetTab(tabId) {
+        this.tabs.delete(tabId);
+    }
+
+    /**
+     * Extracts the credentials carried by a set of request headers
+     * @param {Array<Object>} headers - webRequest headers ({ name, value })
+     * @param {number} minLength - Shortest value treated as a credential
+     * @returns {Array<Object>} { kind: 'authorization'|'api-key'|'cookie', headerName, name, value }
+     */
+    static extractSecrets(headers, minLength = 12) {
+        const secrets = [];
+
+        (headers || []).forEach(({ name, value }) => {
+            if (!name || !value) {
+                return;
+            }
+            const lowerName = name.toLowerCase();
+
+            if (lowerName === 'authorization' || lowerName === 'proxy-authorization') {
+                // Drop the scheme ("Bearer", "Basic", "token") and keep the credential
+                const credential = value.trim().split(/\s+/).pop();
+                secrets.push({ kind: 'authorization', headerName: name, name, value: credential });
+            } else if (API_KEY_HEADERS.has(lowerName)) {
+                secrets.push({ kind: 'api-key', headerName: name, name, value: value.trim() });
+            } else if (lowerName === 'cookie') {
+                HeaderLeakDetector.parseCookies(value)
+                    .filter(cookie => SESSION_COOKIE_PATTERN.test(cookie.name))
+                    .forEach(cookie => secrets.push({ kind: 'cookie', headerName: name, name: cookie.name, value: cookie.value }));
+            }
+        });
+
+        return secrets.filter(secret => secret.value.length >= minLength);
+    }
+
+    /**
+     * Parses a Cookie header
+     * @param {string} header - Cookie header value
+     * @returns {Array<Object>} { name, value }
+     */
+    static parseCookies(header) {
+        return String(header || '').split(';')
+            .map(pair => {
+                const index = pair.indexOf('=');
+                return index === -1 ? null : { name: pair.slice(0, index).trim(), value: pair.slice(index + 1).trim() };
+            })
+            .filter(cookie => cookie && cookie.name && cookie.value);
+    }
+
+    /**
+     * Approximates the registrable domain (eTLD+1) of a hostname
+     * IP addresses and single-label hosts are returned unchanged
+     * @param {string} hostname - Hostname
+     * @returns {string} Registrable domain, or '' when there is no hostname
+     */
+    static getRegistrableDomain(hostname) {
+        if (!hostname) {
+            return '';
+        }
+
+        const host = hostname.toLowerCase().replace(/\.$/, '');
+        if (/^[\d.]+$/.test(host) || host.includes(':')) {
+            return host;
+        }
+
+        const labels = host.split('.');
+        const suffixLength = labels.length > 2 && MULTI_LABEL_SUFFIXES.has(labels.slice(-2).join('.')) ? 3 : 2;
+        return labels.slice(-suffixLength).join('.');
+    }
+
+    /**
+     * @private
+     */
+    _rememberSecrets(tab, details) {
+        const origin = HeaderLeakDetector._getOrigin(details.url);
+
+        HeaderLeakDetector.extractSecrets(details.requestHeaders, this.minSecretLength).forEach(secret => {
+            if (!tab.secrets.has(secret.value) && tab.secrets.size < this.maxSecretsPerTab) {
+                tab.secrets.set(secret.value, { ...secret, origin });
+            }
+        });
+    }
+
+    /**
+     * @private
+     */
+    _findLeaks(tab, details, pageUrl, destinationHost, destinationSite) {
+        if (tab.secrets.size === 0) {
+            return [];
+        }
+
+        const leaks = [];
+        (details.requestHeaders || []).forEach(({ name, value }) => {
+            if (!name || !value) {
+                return;
+            }
+
+            tab.secrets.forEach(secret => {
+                if (!value.includes(secret.value) ||
+                    HeaderLeakDetector.getRegistrableDomain(HeaderLeakDetector._getHostname(secret.origin)) === destinationSite) {
+                    return;
+                }
+
+                const reportKey = `${destinationHost}\n${name.toLowerCase()}\n${secret.value}`;
+                if (tab.reported.has(reportKey)) {
+                    return;
+                }
+                tab.reported.add(reportKey);
+                leaks.push(this._createFinding(secret, details, pageUrl, destinationHost, name));
+            });
+        });
+
+        return leaks;
+    }
+
+    /**
+     * @private
+     */
+    _createFinding(secret, details, pageUrl, destinationHost, headerName) {
+        const label = secret.kind === 'cookie' ? `session cookie "${secret.name}"` :
+            (secret.kind === 'authorization' ? `${secret.name} header` : `API key header "${secret.name}"`);
+        const fingerprint = HeaderLeakDetector._getFingerprint();
+
+        return {
+            type: 'Credential Sent to Third Party',
+            ruleId: LEAK_RULE_ID,
+            ruleVersion: 1,
+            riskLevel: 'high',
+            category: 'auth',
+            value: secret.value,
+            description: `The ${label} from ${secret.origin} was sent to ${destinationHost} in the ${headerName} header`,
+            sourceType: LEAK_SOURCE_TYPE,
+            location: pageUrl,
+            fingerprint: fingerprint ?
+                fingerprint.create(LEAK_RULE_ID, `${destinationHost}\n${headerName.toLowerCase()}\n${secret.value}`, pageUrl) : null,
+            thirdPartyLeak: {
+                sourcePage: pageUrl,
+                sourceOrigin: secret.origin,
+                secretKind: secret.kind,
+                secretName: secret.name,
+                destinationHost,
+                destinationUrl: details.url,
+                headerName,
+                requestType: details.type
+            },
+            timestamp: new Date().toISOString()
+        };
+    }
+
+    /**
+     * @private
+     */
+    _getTab(tabId) {
+        if (!this.tabs.has(tabId)) {
+            this.tabs.set(tabId, { pageUrl: null, secrets: new Map(), reported: new Set() });
+        }
+        return this.tabs.get(tabId);
+    }
+
+    /**
+     * @private
+     */
+    static _getHostname(url) {
+        try {
+            return new URL(url).hostname;
+        } catch (error) {
+            return '';
+        }
+    }
+
+    /**
+     * @private
+     */
+    static _getOrigin(url) {
+        try {
+            return new URL(url).origin;
+        } catch (error) {
+            return '';
+        }
+    }
+
+    /**
+     * Gets FindingFingerprint from the global scope, or require() under Node
+     * @private
+     */
+    static _getFingerprint() {
+        if (typeof FindingFingerprint !== 'undefined') {
+            return FindingFingerprint;
+        }
+        if (typeof window !== 'undefined' && window.FindingFingerprint) {
+            return window.FindingFingerprint;
+        }
+        if (typeof require !== 'undefined') {
+            try {
+                return require('./fingerprint.js').FindingFingerprint;
+            } catch (error) {
+                return null;
+            }
+        }
+        return null;
+    }
+}
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { HeaderLeakDetector, LEAK_RULE_ID, LEAK_SOURCE_TYPE };
+}
+
+// For browser environment
+if (typeof window !== 'undefined') {
+    window.HeaderLeakDetector = HeaderLeakDetector;
+}
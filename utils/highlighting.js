@@ -24,6 +24,9 @@ class HighlightManager {
         if (document.getElementById('cyberscan-highlight-styles')) {
             return; // Already injected
         }
+        if (!document.head) {
+            return; // Loaded at document_start; injected again on first use
+        }
         
         const style = document.createElement('style');
         style.id = 'cyberscan-highlight-styles';
@@ -156,6 +159,11 @@ class HighlightManager {
                 font-size: 12px;
                 color: #7f8c8d;
             }
+            
+            .cyberscan-located {
+                outline: 3px solid rgba(255, 71, 87, 0.8) !important;
+                outline-offset: 2px;
+            }
         `;
         
         document.head.appendChild(style);
@@ -185,6 +193,7 @@ class HighlightManager {
             return;
         }
         
+        this.injectStyles();
         this.clearAllHighlights();
         
         findings.forEach(finding => {
@@ -203,6 +212,46 @@ class HighlightManager {
         this.updateHighlightControls();
     }
     
+    /**
+     * Scroll to the spot a finding was found at and mark it
+     * Uses the finding's domLocation (see utils/dom-locator.js): text is
+     * highlighted in place; attributes, inline scripts and comments outline
+     * the element holding them
+     * @param {object} finding - Finding with a domLocation
+     * @returns {boolean} Whether the spot was found
+     */
+    revealFinding(finding) {
+        const location = finding && finding.domLocation;
+        const node = location && window.DomLocator ? window.DomLocator.resolve(document, location) : null;
+        if (!node) {
+            return false;
+        }
+        
+        this.injectStyles();
+        let target = node.nodeType === Node.ELEMENT_NODE ? node : node.parentElement;
+        
+        // Text of raw-text elements cannot hold a highlight element
+        if (location.kind === 'text' && node.nodeType === Node.TEXT_NODE &&
+            !['STYLE', 'NOSCRIPT', 'TEXTAREA', 'TITLE'].includes(target?.tagName)) {
+            const text = node.textContent.substr(location.offset, location.length);
+            const before = new Set(this.highlights.keys());
+            this.highlightInTextNode(node, text, finding.type || 'Secret', finding.riskLevel || 'medium', finding);
+            const added = Array.from(this.highlights.keys()).find(id => !before.has(id));
+            if (added) {
+                target = this.highlights.get(added).element;
+            }
+        }
+        
+        if (!target) {
+            return false;
+        }
+        
+        target.classList.add('cyberscan-located');
+        target.scrollIntoView({ behavior: 'smooth', block: 'center' });
+        setTimeout(() => target.classList.remove('cyberscan-located'), 3000);
+        return true;
+    }
+    
     /**
      * Highlight specific text in the document
      * @param {string} text - Text to highlight
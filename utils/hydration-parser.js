@@ -0,0 +1,335 @@
+/**
+ * Hydration state parser
+ * Server-rendered apps hand their state to the client as JSON: __NEXT_DATA__,
+ * window.__NUXT__, window.__INITIAL_STATE__, Apollo cache dumps, JSON-LD and
+ * other application/json script blocks. The markup scan either drops these
+ * (script content is filtered out) or sees one long line without structure.
+ * This finds the blobs, parses them, walks every string value and scans the
+ * values one per line as `key.path: "value"`, so findings carry their JSON
+ * key path and key-value rules still see the key name. Sensitive key names
+ * raise a finding's risk and public ones (publishableKey, siteKey) lower it
+ */
+
+const HYDRATION_SOURCE_TYPE = 'hydration';
+
+// <script ...>...</script> blocks in serialized markup
+const SCRIPT_BLOCK_PATTERN = /<script\b([^>]*)>([\s\S]*?)<\/script>/gi;
+
+// window.__STATE__ = {...}, self.__remixContext = {...}, window["__APOLLO_STATE__"] = JSON.parse("...")
+const STATE_ASSIGNMENT_PATTERN = /\b(?:window|self|globalThis)\s*(?:\.\s*(__[A-Za-z0-9_]+)|\[\s*["'](__[A-Za-z0-9_]+)["']\s*\])\s*=\s*(?=[{[]|JSON\.parse\s*\()/g;
+
+// Key names that suggest a secret, and ones that mark a value as meant to be public
+const SENSITIVE_KEY_PATTERN = /secret|passw(?:or)?d|passwd|pwd|private[_-]?key|api[_-]?key|access[_-]?key|token|credential/i;
+const PUBLIC_KEY_PATTERN = /public|publishable|site[_-]?key|client[_-]?id/i;
+
+// Risk levels from lowest to highest, for stepping a finding up or down
+const HYDRATION_RISK_ORDER = ['low', 'medium', 'high', 'critical'];
+
+class HydrationParser {
+    /**
+     * @param {ProgressiveScanner} scanner - Scanner that runs the patterns
+     * @param {Object} options - Optional { maxBlobSize, maxLeaves, maxDepth }
+     */
+    constructor(scanner, options = {}) {
+        this.scanner = scanner;
+        this.maxBlobSize = options.maxBlobSize || 2 * 1024 * 1024;
+        this.maxLeaves = options.maxLeaves || 20000;
+        this.maxDepth = options.maxDepth || 64;
+        this.stats = { blobs: 0, unparsed: 0, leaves: 0 };
+    }
+
+    /**
+     * Finds, parses and scans the hydration state in a page
+     * @param {string} html - Page markup
+     * @param {Array<Object>} patterns - Patterns to run
+     * @returns {Promise<Array<Object>>} Findings with jsonPath and hydration details
+     */
+    async scanHtml(html, patterns) {
+        const findings = [];
+        for (const blob of this.extractBlobs(html)) {
+            if (this.scanner.abortController?.signal.aborted) {
+                break;
+            }
+            findings.push(...await this.scanBlob(blob, patterns));
+        }
+        return findings;
+    }
+
+    /**
+     * Finds the JSON state blobs in a page
+     * @param {string} html - Page markup
+     * @returns {Array<Object>} { name, data }
+     */
+    extractBlobs(html) {
+        const blobs = [];
+        if (!html || typeof html !== 'string') {
+            return blobs;
+        }
+
+        for (const [, attributes, body] of html.matchAll(SCRIPT_BLOCK_PATTERN)) {
+            if (!body.trim() || body.length > this.maxBlobSize) {
+                continue;
+            }
+
+            const type = HydrationParser._getAttribute(attributes, 'type').toLowerCase();
+            const id = HydrationParser._getAttribute(attributes, 'id');
+            if (type === 'application/json' || type === 'application/ld+json') {
+                const data = this._parse(body);
+                if (data !== undefined) {
+                    blobs.push({ name: id || (type === 'application/ld+json' ? 'json-ld' : 'application/json'), data });
+                }
+                continue;
+            }
+
+            if (type && !/javascript|ecmascript|module/.test(type)) {
+                continue;
+            }
+            for (const match of body.matchAll(STATE_ASSIGNMENT_PATTERN)) {
+                const literal = HydrationParser.readAssignedValue(body, match.index + match[0].length);
+                const data = literal === null ? undefined : this._parse(literal);
+                if (data !== undefined) {
+                    blobs.push({ name: `window.${match[1] || match[2]}`, data });
+                }
+            }
+        }
+
+        return blobs;
+    }
+
+    /**
+     * Scans the string values of one blob
+     * @param {Object} blob - { name, data }
+     * @param {Array<Object>} patterns - Patterns to run
+     * @returns {Promise<Array<Object>>} Findings
+     */
+    async scanBlob(blob, patterns) {
+        const leaves = this.flatten(blob.data);
+        if (leaves.length === 0) {
+            return [];
+        }
+        this.stats.blobs++;
+        this.stats.leaves += leaves.length;
+
+        // One line per value; line starts map match positions back to their key path
+        const lineStarts = [];
+        let offset = 0;
+        const text = leaves.map(leaf => {
+            const line = `${leaf.path}: ${JSON.stringify(leaf.value)}`;
+            lineStarts.push(offset);
+            offset += line.length + 1;
+            return line;
+        }).join('\n');
+
+        const findings = await this.scanner.scanWithPatterns(text, patterns, {});
+        findings.forEach(finding => {
+            const leaf = leaves[HydrationParser._findLine(lineStarts, finding.position || 0)];
+            finding.sourceType = HYDRATION_SOURCE_TYPE;
+            finding.jsonPath = leaf.path;
+            finding.hydration = { source: blob.name, path: leaf.path };
+            finding.riskLevel = HydrationParser.scoreRisk(finding.riskLevel, leaf.key);
+        });
+        return findings;
+    }
+
+    /**
+     * Lists the string values of a parsed blob with their key paths
+     * String values that are themselves JSON are walked too
+     * @param {*} data - Parsed JSON
+     * @returns {Array<Object>} { path, key, value }
+     */
+    flatten(data) {
+        const leaves = [];
+        const stack = [{ value: data, path: '', key: '', depth: 0 }];
+
+        while (stack.length > 0 && leaves.length < this.maxLeaves) {
+            const { value, path, key, depth } = stack.pop();
+            if (typeof value === 'string') {
+                const nested = /^\s*[{[]/.test(value) && value.length <= this.maxBlobSize ? this._parse(value, false) : undefined;
+                if (nested !== undefined && typeof nested === 'object' && nested !== null) {
+                    stack.push({ value: nested, path, key, depth: depth + 1 });
+                } else {
+                    leaves.push({ path: path || '(root)', key, value });
+                }
+                continue;
+            }
+            if (!value || typeof value !== 'object' || depth >= this.maxDepth) {
+                continue;
+            }
+
+            // Pushed in reverse so values come out in document order
+            const entries = Array.isArray(value) ?
+                value.map((item, i) => [i, item, `${path}[${i}]`]) :
+                Object.keys(value).map(name => [name, value[name], HydrationParser.joinPath(path, name)]);
+            for (let i = entries.length - 1; i >= 0; i--) {
+                const [entryKey, item, itemPath] = entries[i];
+                stack.push({ value: item, path: itemPath, key: typeof entryKey === 'string' ? entryKey : key, depth: depth + 1 });
+            }
+        }
+
+        return leaves;
+    }
+
+    /**
+     * Gets parse statistics
+     * @returns {Object} { blobs, unparsed, leaves }
+     */
+    getStats() {
+        return { ...this.stats };
+    }
+
+    /**
+     * Adjusts a finding's risk by the key it was stored under
+     * Sensitive names raise low and medium findings one level; public names lower it one level
+     * @param {string} riskLevel - Risk level from the rule
+     * @param {string} key - Key name (the nearest named key for array items)
+     * @returns {string} Adjusted risk level
+     */
+    static scoreRisk(riskLevel, key) {
+        const index = HYDRATION_RISK_ORDER.indexOf(riskLevel);
+        if (index === -1 || !key) {
+            return riskLevel;
+        }
+        if (PUBLIC_KEY_PATTERN.test(key)) {
+            return HYDRATION_RISK_ORDER[Math.max(0, index - 1)];
+        }
+        if (SENSITIVE_KEY_PATTERN.test(key) && index < HYDRATION_RISK_ORDER.indexOf('high')) {
+            return HYDRATION_RISK_ORDER[index + 1];
+        }
+        return riskLevel;
+    }
+
+    /**
+     * Appends a key to a key path
+     * @param {string} path - Parent path
+     * @param {string} key - Key name
+     * @returns {string} e.g. props.pageProps or headers["x-api-key"]
+     */
+    static joinPath(path, key) {
+        if (/^[A-Za-z_$][\w$]*$/.test(key)) {
+            return path ? `${path}.${key}` : key;
+        }
+        return `${path}[${JSON.stringify(key)}]`;
+    }
+
+    /**
+     * Reads the object/array literal or JSON.parse("...") string assigned at a position
+     * @param {string} code - Script source
+     * @param {number} start - Index right after the "="
+     * @returns {string|null} JSON text
+     */
+    static readAssignedValue(code, start) {
+        const parseCall = /^JSON\.parse\s*\(\s*/.exec(code.slice(start, start + 32));
+        if (!parseCall) {
+            return HydrationParser._readBalanced(code, start);
+        }
+
+        // JSON.parse("...") / JSON.parse('...'): unescape the string literal
+        const quoteIndex = start + parseCall[0].length;
+        const quote = code[quoteIndex];
+        if (quote !== '"' && quote !== "'") {
+            return null;
+        }
+        const end = HydrationParser._findStringEnd(code, quoteIndex);
+        if (end === -1) {
+            return null;
+        }
+        let literal = code.slice(quoteIndex + 1, end);
+        if (quote === "'") {
+            literal = literal.replace(/\\.|"/g, part => (part === '"' ? '\\"' : part === "\\'" ? "'" : part));
+        }
+        try {
+            return JSON.parse(`"${literal}"`);
+        } catch (error) {
+            return null;
+        }
+    }
+
+    /**
+     * @private
+     */
+    _parse(text, count = true) {
+        try {
+            return JSON.parse(text);
+        } catch (error) {
+            if (count) {
+                this.stats.unparsed++;
+            }
+            return undefined;
+        }
+    }
+
+    /**
+     * Reads a balanced {...} or [...] literal, skipping brackets inside strings
+     * @private
+     */
+    static _readBalanced(code, start) {
+        let depth = 0;
+        for (let i = start; i < code.length; i++) {
+            const char = code[i];
+            if (char === '"' || char === "'" || char === '`') {
+                i = HydrationParser._findStringEnd(code, i);
+                if (i === -1) {
+                    return null;
+                }
+            } else if (char === '{' || char === '[') {
+                depth++;
+            } else if (char === '}' || char === ']') {
+                depth--;
+                if (depth === 0) {
+                    return code.slice(start, i + 1);
+                }
+            }
+        }
+        return null;
+    }
+
+    /**
+     * @private
+     */
+    static _findStringEnd(code, quoteIndex) {
+        const quote = code[quoteIndex];
+        for (let i = quoteIndex + 1; i < code.length; i++) {
+            if (code[i] === '\\') {
+                i++;
+            } else if (code[i] === quote) {
+                return i;
+            }
+        }
+        return -1;
+    }
+
+    /**
+     * @private
+     */
+    static _findLine(lineStarts, position) {
+        let low = 0;
+        let high = lineStarts.length - 1;
+        while (low < high) {
+            const mid = Math.ceil((low + high) / 2);
+            if (lineStarts[mid] <= position) {
+                low = mid;
+            } else {
+                high = mid - 1;
+            }
+        }
+        return low;
+    }
+
+    /**
+     * @private
+     */
+    static _getAttribute(attributes, name) {
+        const match = new RegExp(`\\b${name}\\s*=\\s*(?:"([^"]*)"|'([^']*)'|([^\\s>]+))`, 'i').exec(attributes || '');
+        return match ? match[1] ?? match[2] ?? match[3] : '';
+    }
+}
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { HydrationParser, HYDRATION_SOURCE_TYPE };
+}
+
+// For browser environment
+if (typeof window !== 'undefined') {
+    window.HydrationParser = HydrationParser;
+}
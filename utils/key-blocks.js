@@ -0,0 +1,631 @@
+/**
+ * Multi-line key block detection
+ * Finds PEM / OpenSSH / PGP armored blocks, rebuilds bodies that were escaped
+ * or split across JS strings, classifies them (private key, public key,
+ * certificate) and reports the key type and size from the decoded structure
+ */
+
+// Upper bound on the distance between BEGIN and END markers (escaped 16k RSA keys fit)
+const MAX_KEY_BLOCK_LENGTH = 20000;
+
+// Bodies shorter than this are documentation stubs, not keys
+const MIN_KEY_BODY_LENGTH = 64;
+
+const KEY_BLOCK_HEADER = /-----BEGIN ([A-Z0-9][A-Z0-9 ]{0,40}?)-----/g;
+
+// Algorithm and curve OIDs found in PKCS#8, SPKI and SEC1 structures
+const KEY_ALGORITHM_OIDS = {
+    '1.2.840.113549.1.1.1': 'RSA',
+    '1.2.840.113549.1.1.10': 'RSA-PSS',
+    '1.2.840.10040.4.1': 'DSA',
+    '1.2.840.10045.2.1': 'EC',
+    '1.3.101.110': 'X25519',
+    '1.3.101.111': 'X448',
+    '1.3.101.112': 'Ed25519',
+    '1.3.101.113': 'Ed448'
+};
+
+const FIXED_KEY_SIZES = {
+    X25519: 256,
+    X448: 448,
+    Ed25519: 256,
+    Ed448: 448
+};
+
+const CURVE_OIDS = {
+    '1.2.840.10045.3.1.7': { curve: 'P-256', size: 256 },
+    '1.3.132.0.34': { curve: 'P-384', size: 384 },
+    '1.3.132.0.35': { curve: 'P-521', size: 521 },
+    '1.3.132.0.10': { curve: 'secp256k1', size: 256 },
+    '1.3.6.1.4.1.11591.15.1': { curve: 'Ed25519', size: 256 },
+    '1.3.6.1.4.1.3029.1.5.1': { curve: 'Curve25519', size: 256 }
+};
+
+// OpenPGP public-key algorithm ids (RFC 9580)
+const PGP_ALGORITHMS = {
+    1: 'RSA', 2: 'RSA', 3: 'RSA',
+    16: 'ElGamal', 17: 'DSA', 18: 'ECDH', 19: 'ECDSA', 22: 'EdDSA',
+    25: 'X25519', 26: 'X448', 27: 'Ed25519', 28: 'Ed448'
+};
+
+class KeyBlockDetector {
+    /**
+     * Finds all armored key and certificate blocks in content
+     * @param {string} content - Raw page, script or response content
+     * @returns {Array<Object>} Blocks { kind, label, keyType, keySize, curve,
+     *   encrypted, placeholder, index, raw, pem }
+     */
+    static findBlocks(content) {
+        const blocks = [];
+        if (!content || typeof content !== 'string' || content.indexOf('-----BEGIN ') === -1) {
+            return blocks;
+        }
+
+        const header = new RegExp(KEY_BLOCK_HEADER.source, 'g');
+        let match;
+        while ((match = header.exec(content)) !== null) {
+            const label = match[1];
+            const bodyStart = match.index + match[0].length;
+            const footer = `-----END ${label}-----`;
+            const footerIndex = content.indexOf(footer, bodyStart);
+
+            // Unterminated or overlong blocks are not reported
+            if (footerIndex === -1 || footerIndex - match.index > MAX_KEY_BLOCK_LENGTH) {
+                continue;
+            }
+            const nextHeader = content.indexOf('-----BEGIN ', bodyStart);
+            if (nextHeader !== -1 && nextHeader < footerIndex) {
+                continue;
+            }
+
+            const end = footerIndex + footer.length;
+            blocks.push(this.parseBlock(label, content.slice(bodyStart, footerIndex), match.index, content.slice(match.index, end)));
+            header.lastIndex = end;
+        }
+
+        return blocks;
+    }
+
+    /**
+     * Finds private key blocks only, skipping placeholders
+     * @param {string} content - Content to scan
+     * @returns {Array<Object>} Private key blocks
+     */
+    static findPrivateKeys(content) {
+        return this.findBlocks(content).filter(block => block.kind === 'private' && !block.placeholder);
+    }
+
+    /**
+     * Parses one block body into its classification and key details
+     * @param {string} label - Text between BEGIN and the dashes (e.g. "RSA PRIVATE KEY")
+     * @param {string} rawBody - Text between the BEGIN and END markers as found
+     * @param {number} index - Position of the BEGIN marker
+     * @param {string} raw - Full block as found in the content
+     * @returns {Object} Block description
+     */
+    static parseBlock(label, rawBody, index = 0, raw = '') {
+        let body = this.unescapeBody(rawBody);
+        // Visible text collapses newlines into spaces; base64 lines never contain spaces
+        if (body.indexOf('\n') === -1) {
+            body = body.replace(/[ \t]+/g, '\n');
+        }
+        const headers = this._extractHeaders(body);
+        const base64 = this._extractBase64(body, label);
+
+        const block = {
+            kind: this.classifyLabel(label),
+            label: label,
+            keyType: null,
+            keySize: null,
+            curve: null,
+            encrypted: /ENCRYPTED/.test(label) || /4,\s*ENCRYPTED/i.test(headers['proc-type'] || ''),
+            placeholder: base64.length < MIN_KEY_BODY_LENGTH || /\.{3}|…|\$\{|\{\{|<[^>]*(?:key|here|secret)[^>]*>/i.test(body),
+            index: index,
+            raw: raw,
+            pem: `-----BEGIN ${label}-----\n${(base64.match(/.{1,64}/g) || []).join('\n')}\n-----END ${label}-----`
+        };
+
+        const bytes = block.placeholder ? null : this._decodeBase64(base64);
+        try {
+            Object.assign(block, this._describeKey(label, bytes));
+        } catch {
+            // Truncated or corrupted structure - keep the label-derived type only
+        }
+        if (!block.keyType) {
+            block.keyType = this._keyTypeFromLabel(label);
+        }
+
+        return block;
+    }
+
+    /**
+     * Classifies a block by its armor label
+     * @param {string} label - Armor label
+     * @returns {string} 'private' | 'public' | 'certificate' | 'other'
+     */
+    static classifyLabel(label) {
+        if (/PRIVATE KEY/.test(label)) {
+            return 'private';
+        }
+        if (/PUBLIC KEY/.test(label)) {
+            return 'public';
+        }
+        if (/CERTIFICATE|X509 CRL|PKCS7/.test(label)) {
+            return 'certificate';
+        }
+        return 'other';
+    }
+
+    /**
+     * Builds a human readable description, e.g. "RSA Private Key (2048-bit, encrypted)"
+     * @param {Object} block - Parsed block
+     * @returns {string} Description
+     */
+    static describe(block) {
+        const kind = block.kind === 'private' ? 'Private Key' :
+            block.kind === 'public' ? 'Public Key' :
+            block.kind === 'certificate' ? 'Certificate' : 'Key Material';
+        const details = [];
+        if (block.keySize) {
+            details.push(`${block.keySize}-bit`);
+        }
+        if (block.curve && block.curve !== block.keyType) {
+            details.push(block.curve);
+        }
+        if (block.encrypted) {
+            details.push('encrypted');
+        }
+        const name = `${block.keyType ? block.keyType + ' ' : ''}${kind}`;
+        return details.length > 0 ? `${name} (${details.join(', ')})` : name;
+    }
+
+    /**
+     * Undoes the escaping keys pick up when embedded in JSON, JS strings or HTML
+     * @param {string} body - Raw block body
+     * @returns {string} Body with real newlines
+     */
+    static unescapeBody(body) {
+        return body
+            // "...AAA" +\n "BBB..." string concatenation
+            .replace(/["'`]\s*\+\s*["'`]/g, '\n')
+            // \n, \\n, \r\n, \u000a, \x0a (any escaping depth)
+            .replace(/\\+(?:r\\+)?(?:n|u000[aA]|x0[aA])/g, '\n')
+            .replace(/\\+(?:r|u000[dD]|x0[dD])/g, '')
+            // JSON-escaped slashes in the base64 body
+            .replace(/\\+\//g, '/')
+            .replace(/<br\s*\/?>/gi, '\n')
+            .replace(/<\/?(?:code|pre|span|wbr)\b[^>]*>/gi, '')
+            .replace(/&#(\d+);/g, (m, code) => String.fromCharCode(parseInt(code, 10)))
+            .replace(/&#x([0-9a-f]+);/gi, (m, code) => String.fromCharCode(parseInt(code, 16)))
+            .replace(/\r/g, '');
+    }
+
+    /**
+     * Reads RFC 1421 / OpenPGP armor headers ("Proc-Type: 4,ENCRYPTED")
+     * @private
+     */
+    static _extractHeaders(body) {
+        const headers = {};
+        const headerPattern = /(?:^|\n)[ \t]*([A-Za-z][A-Za-z-]*):[ \t]*([^\n]*)/g;
+        let match;
+        while ((match = headerPattern.exec(body)) !== null) {
+            headers[match[1].toLowerCase()] = match[2].trim();
+        }
+        return headers;
+    }
+
+    /**
+     * Strips armor headers, PGP checksums and separators, leaving the base64 payload
+     * @private
+     */
+    static _extractBase64(body, label) {
+        let payload = body.replace(/(?:^|\n)[ \t]*[A-Za-z][A-Za-z-]*:[^\n]*/g, '\n');
+        if (/PGP/.test(label)) {
+            payload = payload.replace(/(?:^|\s)=[A-Za-z0-9+/]{4}\s*$/, '');
+        }
+        return payload.replace(/[^A-Za-z0-9+/=]/g, '');
+    }
+
+    /**
+     * Decodes the payload and extracts type and size for the block's format
+     * @private
+     */
+    static _describeKey(label, bytes) {
+        if (!bytes || bytes.length === 0) {
+            return {};
+        }
+
+        switch (label) {
+            case 'RSA PRIVATE KEY':
+            case 'RSA PUBLIC KEY':
+                return this._describePkcs1(bytes, label === 'RSA PRIVATE KEY');
+            case 'DSA PRIVATE KEY':
+                return this._describeDsa(bytes);
+            case 'EC PRIVATE KEY':
+                return this._describeSec1(bytes);
+            case 'PRIVATE KEY':
+                return this._describePkcs8(bytes);
+            case 'PUBLIC KEY':
+                return this._describeSpki(bytes);
+            case 'OPENSSH PRIVATE KEY':
+                return this._describeOpenSsh(bytes);
+            case 'PGP PRIVATE KEY BLOCK':
+            case 'PGP PUBLIC KEY BLOCK':
+                return this._describePgp(bytes);
+            default:
+                return {};
+        }
+    }
+
+    /**
+     * RSAPrivateKey ::= SEQUENCE { version, modulus, ... } / RSAPublicKey ::= SEQUENCE { modulus, ... }
+     * @private
+     */
+    static _describePkcs1(bytes, isPrivate) {
+        const fields = this._readSequence(bytes, this._readTlv(bytes, 0));
+        const modulus = fields[isPrivate ? 1 : 0];
+        return { keyType: 'RSA', keySize: this._integerBits(bytes, modulus) };
+    }
+
+    /**
+     * OpenSSL DSAPrivateKey ::= SEQUENCE { version, p, q, g, ... }
+     * @private
+     */
+    static _describeDsa(bytes) {
+        const fields = this._readSequence(bytes, this._readTlv(bytes, 0));
+        return { keyType: 'DSA', keySize: this._integerBits(bytes, fields[1]) };
+    }
+
+    /**
+     * ECPrivateKey ::= SEQUENCE { version, privateKey, [0] parameters, [1] publicKey }
+     * @private
+     */
+    static _describeSec1(bytes) {
+        const fields = this._readSequence(bytes, this._readTlv(bytes, 0));
+        const parameters = fields.find(field => field.tag === 0xa0);
+        const curve = parameters ? CURVE_OIDS[this._readOid(bytes, this._readTlv(bytes, parameters.start))] : null;
+        return { keyType: 'EC', keySize: curve ? curve.size : null, curve: curve ? curve.curve : null };
+    }
+
+    /**
+     * PrivateKeyInfo ::= SEQUENCE { version, AlgorithmIdentifier, OCTET STRING privateKey }
+     * @private
+     */
+    static _describePkcs8(bytes) {
+        const fields = this._readSequence(bytes, this._readTlv(bytes, 0));
+        const details = this._describeAlgorithm(bytes, fields[1]);
+
+        if (details.keyType === 'RSA' || details.keyType === 'RSA-PSS') {
+            const inner = bytes.subarray(fields[2].start, fields[2].end);
+            details.keySize = this._describePkcs1(inner, true).keySize;
+        }
+        return details;
+    }
+
+    /**
+     * SubjectPublicKeyInfo ::= SEQUENCE { AlgorithmIdentifier, BIT STRING subjectPublicKey }
+     * @private
+     */
+    static _describeSpki(bytes) {
+        const fields = this._readSequence(bytes, this._readTlv(bytes, 0));
+        const details = this._describeAlgorithm(bytes, fields[0]);
+
+        if (details.keyType === 'RSA' || details.keyType === 'RSA-PSS') {
+            // Skip the BIT STRING's unused-bits byte
+            const inner = bytes.subarray(fields[1].start + 1, fields[1].end);
+            details.keySize = this._describePkcs1(inner, false).keySize;
+        }
+        return details;
+    }
+
+    /**
+     * AlgorithmIdentifier ::= SEQUENCE { algorithm OID, parameters }
+     * @private
+     */
+    static _describeAlgorithm(bytes, algorithm) {
+        const [oid, parameters] = this._readSequence(bytes, algorithm);
+        const keyType = KEY_ALGORITHM_OIDS[this._readOid(bytes, oid)] || null;
+        const details = { keyType, keySize: FIXED_KEY_SIZES[keyType] || null };
+
+        if (keyType === 'EC' && parameters && parameters.tag === 0x06) {
+            const curve = CURVE_OIDS[this._readOid(bytes, parameters)];
+            if (curve) {
+                details.keySize = curve.size;
+                details.curve = curve.curve;
+            }
+        } else if (keyType === 'DSA' && parameters && parameters.tag === 0x30) {
+            details.keySize = this._integerBits(bytes, this._readSequence(bytes, parameters)[0]);
+        }
+        return details;
+    }
+
+    /**
+     * openssh-key-v1: magic, cipher, kdf, kdf options, key count, public key blob, ...
+     * @private
+     */
+    static _describeOpenSsh(bytes) {
+        const magic = 'openssh-key-v1\0';
+        if (this._bytesToString(bytes.subarray(0, magic.length)) !== magic) {
+            return {};
+        }
+
+        const reader = this._sshReader(bytes, magic.length);
+        const cipher = this._bytesToString(reader.string());
+        reader.string(); // kdf name
+        reader.string(); // kdf options
+        reader.uint32(); // number of keys
+
+        const publicKey = this._sshReader(reader.string(), 0);
+        const algorithm = this._bytesToString(publicKey.string());
+        const details = { encrypted: cipher !== 'none' };
+
+        if (algorithm === 'ssh-rsa') {
+            publicKey.string(); // public exponent
+            details.keyType = 'RSA';
+            details.keySize = this._unsignedBits(publicKey.string());
+        } else if (algorithm === 'ssh-dss') {
+            details.keyType = 'DSA';
+            details.keySize = this._unsignedBits(publicKey.string());
+        } else if (/^(?:sk-)?ecdsa-sha2-nistp(\d+)/.test(algorithm)) {
+            const size = parseInt(algorithm.match(/nistp(\d+)/)[1], 10);
+            Object.assign(details, { keyType: 'ECDSA', keySize: size, curve: `P-${size}` });
+        } else if (/^(?:sk-)?ssh-ed25519/.test(algorithm)) {
+            Object.assign(details, { keyType: 'Ed25519', keySize: 256 });
+        } else if (algorithm === 'ssh-ed448') {
+            Object.assign(details, { keyType: 'Ed448', keySize: 448 });
+        }
+        return details;
+    }
+
+    /**
+     * First OpenPGP packet of an armored key: version, creation time, algorithm, key material
+     * @private
+     */
+    static _describePgp(bytes) {
+        const packet = this._readPgpPacket(bytes);
+        if (!packet || (packet.tag !== 5 && packet.tag !== 6)) {
+            return {};
+        }
+
+        let offset = packet.start;
+        const version = bytes[offset];
+        offset += 5; // version + creation time
+        if (version === 3) {
+            offset += 2; // validity period
+        }
+        const algorithmId = bytes[offset++];
+        if (version >= 5) {
+            offset += 4; // key material length
+        }
+
+        const keyType = PGP_ALGORITHMS[algorithmId] || null;
+        const details = { keyType, keySize: FIXED_KEY_SIZES[keyType] || null };
+
+        if (keyType === 'RSA' || keyType === 'DSA' || keyType === 'ElGamal') {
+            // First MPI (n or p) is prefixed with its bit length
+            details.keySize = (bytes[offset] << 8) | bytes[offset + 1];
+        } else if (keyType === 'ECDH' || keyType === 'ECDSA' || keyType === 'EdDSA') {
+            const oidLength = bytes[offset];
+            const oidBytes = bytes.subarray(offset + 1, offset + 1 + oidLength);
+            const curve = CURVE_OIDS[this._decodeOid(oidBytes)];
+            if (curve) {
+                details.keySize = curve.size;
+                details.curve = curve.curve;
+            }
+        }
+        return details;
+    }
+
+    /**
+     * Reads an OpenPGP packet header (old or new format)
+     * @private
+     */
+    static _readPgpPacket(bytes) {
+        const first = bytes[0];
+        if (!(first & 0x80)) {
+            return null;
+        }
+
+        if (first & 0x40) {
+            const tag = first & 0x3f;
+            const octet = bytes[1];
+            if (octet < 192) {
+                return { tag, start: 2 };
+            }
+            if (octet < 224) {
+                return { tag, start: 3 };
+            }
+            return { tag, start: 6 };
+        }
+
+        const tag = (first >> 2) & 0x0f;
+        const lengthBytes = [1, 2, 4, 0][first & 0x03];
+        return { tag, start: 1 + lengthBytes };
+    }
+
+    /**
+     * Reads a DER tag-length-value header
+     * @private
+     */
+    static _readTlv(bytes, offset) {
+        if (offset + 2 > bytes.length) {
+            throw new Error('DER truncated');
+        }
+        const tag = bytes[offset];
+        let length = bytes[offset + 1];
+        let start = offset + 2;
+
+        if (length & 0x80) {
+            const count = length & 0x7f;
+            if (count === 0 || count > 4) {
+                throw new Error('Unsupported DER length');
+            }
+            length = 0;
+            for (let i = 0; i < count; i++) {
+                length = (length * 256) + bytes[start + i];
+            }
+            start += count;
+        }
+
+        if (start + length > bytes.length) {
+            throw new Error('DER truncated');
+        }
+        return { tag, start, end: start + length };
+    }
+
+    /**
+     * Reads the direct children of a constructed DER element
+     * @private
+     */
+    static _readSequence(bytes, element) {
+        const children = [];
+        let offset = element.start;
+        while (offset < element.end) {
+            const child = this._readTlv(bytes, offset);
+            children.push(child);
+            offset = child.end;
+        }
+        return children;
+    }
+
+    /**
+     * Bit length of a DER INTEGER
+     * @private
+     */
+    static _integerBits(bytes, element) {
+        if (!element || element.tag !== 0x02) {
+            throw new Error('Expected INTEGER');
+        }
+        return this._unsignedBits(bytes.subarray(element.start, element.end));
+    }
+
+    /**
+     * Bit length of a big-endian unsigned integer
+     * @private
+     */
+    static _unsignedBits(bytes) {
+        let offset = 0;
+        while (offset < bytes.length && bytes[offset] === 0) {
+            offset++;
+        }
+        if (offset === bytes.length) {
+            return 0;
+        }
+        return (bytes.length - offset - 1) * 8 + Math.floor(Math.log2(bytes[offset])) + 1;
+    }
+
+    /**
+     * Reads a DER OBJECT IDENTIFIER as dotted text
+     * @private
+     */
+    static _readOid(bytes, element) {
+        if (!element || element.tag !== 0x06) {
+            return null;
+        }
+        return this._decodeOid(bytes.subarray(element.start, element.end));
+    }
+
+    /**
+     * Decodes OID content bytes to dotted text
+     * @private
+     */
+    static _decodeOid(bytes) {
+        if (bytes.length === 0) {
+            return null;
+        }
+        const parts = [Math.floor(bytes[0] / 40), bytes[0] % 40];
+        let value = 0;
+        for (let i = 1; i < bytes.length; i++) {
+            value = (value * 128) + (bytes[i] & 0x7f);
+            if (!(bytes[i] & 0x80)) {
+                parts.push(value);
+                value = 0;
+            }
+        }
+        return parts.join('.');
+    }
+
+    /**
+     * Sequential reader for SSH wire-format strings and integers
+     * @private
+     */
+    static _sshReader(bytes, offset) {
+        return {
+            uint32() {
+                if (offset + 4 > bytes.length) {
+                    throw new Error('SSH blob truncated');
+                }
+                const value = ((bytes[offset] << 24) >>> 0) + (bytes[offset + 1] << 16) + (bytes[offset + 2] << 8) + bytes[offset + 3];
+                offset += 4;
+                return value;
+            },
+            string() {
+                const length = this.uint32();
+                if (offset + length > bytes.length) {
+                    throw new Error('SSH blob truncated');
+                }
+                const value = bytes.subarray(offset, offset + length);
+                offset += length;
+                return value;
+            }
+        };
+    }
+
+    /**
+     * @private
+     */
+    static _bytesToString(bytes) {
+        let text = '';
+        for (let i = 0; i < bytes.length; i++) {
+            text += String.fromCharCode(bytes[i]);
+        }
+        return text;
+    }
+
+    /**
+     * Decodes base64 to bytes, returning null when malformed
+     * @private
+     */
+    static _decodeBase64(base64) {
+        try {
+            const unpadded = base64.replace(/=+$/, '');
+            if (unpadded.length % 4 === 1 || /=/.test(unpadded)) {
+                return null;
+            }
+            const padded = unpadded + '='.repeat((4 - (unpadded.length % 4)) % 4);
+            if (typeof atob === 'function') {
+                const binary = atob(padded);
+                const bytes = new Uint8Array(binary.length);
+                for (let i = 0; i < binary.length; i++) {
+                    bytes[i] = binary.charCodeAt(i);
+                }
+                return bytes;
+            }
+            return new Uint8Array(Buffer.from(padded, 'base64'));
+        } catch {
+            return null;
+        }
+    }
+
+    /**
+     * Key type implied by the armor label when the body can't be decoded
+     * @private
+     */
+    static _keyTypeFromLabel(label) {
+        const prefix = label.match(/^(RSA|DSA|EC|OPENSSH|PGP|ENCRYPTED)\b/);
+        if (!prefix) {
+            return null;
+        }
+        return { RSA: 'RSA', DSA: 'DSA', EC: 'EC', OPENSSH: 'OpenSSH', PGP: 'PGP', ENCRYPTED: 'PKCS#8' }[prefix[1]];
+    }
+}
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { KeyBlockDetector };
+}
+
+// For browser environment
+if (typeof window !== 'undefined') {
+    window.KeyBlockDetector = KeyBlockDetector;
+}
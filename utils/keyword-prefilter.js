@@ -0,0 +1,154 @@
+/**
+ * Keyword prefilter for pattern scanning
+ * Finds every pattern keyword in a single pass over the content (Aho-Corasick)
+ * so the scanner only runs regexes whose literal keywords actually occur
+ */
+
+class KeywordPrefilter {
+    /**
+     * Builds the matching automaton for a set of keywords
+     * Matching is case-insensitive (keywords are lowercased, content is
+     * folded per character while scanning so no lowercased copy is allocated)
+     * @param {Array<string>} keywords - Literal keywords
+     */
+    constructor(keywords = []) {
+        this.keywords = Array.from(new Set(
+            keywords.filter(k => typeof k === 'string' && k.length > 0).map(k => k.toLowerCase())
+        ));
+
+        // Node 0 is the root; each node has goto transitions, a failure link and outputs
+        this.transitions = [new Map()];
+        this.failure = [0];
+        this.outputs = [[]];
+
+        this.keywords.forEach(keyword => this._addKeyword(keyword));
+        this._buildFailureLinks();
+    }
+
+    /**
+     * Builds a prefilter from pattern configs that declare keywords
+     * @param {Array<Object>} patterns - Pattern configs with optional keywords
+     * @returns {KeywordPrefilter} Prefilter instance
+     */
+    static fromPatterns(patterns) {
+        const keywords = [];
+        patterns.forEach(pattern => {
+            if (Array.isArray(pattern.keywords)) {
+                keywords.push(...pattern.keywords);
+            }
+        });
+        return new KeywordPrefilter(keywords);
+    }
+
+    /**
+     * Finds which keywords occur in the content
+     * @param {string} content - Content to search
+     * @returns {Set<string>} Lowercased keywords found
+     */
+    findKeywords(content) {
+        const found = new Set();
+        if (this.keywords.length === 0 || !content) {
+            return found;
+        }
+
+        let state = 0;
+        for (let i = 0; i < content.length; i++) {
+            let code = content.charCodeAt(i);
+            if (code >= 65 && code <= 90) {
+                code += 32;
+            }
+            let ch = String.fromCharCode(code);
+            if (code > 127) {
+                const lower = ch.toLowerCase();
+                ch = lower.length === 1 ? lower : ch;
+            }
+
+            while (state !== 0 && !this.transitions[state].has(ch)) {
+                state = this.failure[state];
+            }
+            state = this.transitions[state].get(ch) || 0;
+
+            const output = this.outputs[state];
+            for (let j = 0; j < output.length; j++) {
+                found.add(output[j]);
+            }
+
+            // Stop early once every keyword has been seen
+            if (found.size === this.keywords.length) {
+                break;
+            }
+        }
+
+        return found;
+    }
+
+    /**
+     * Checks whether a pattern should run given the keywords found
+     * Patterns without keywords always run
+     * @param {Object} pattern - Pattern config
+     * @param {Set<string>} foundKeywords - Result of findKeywords()
+     * @returns {boolean} True if the pattern's regex should be executed
+     */
+    static shouldRun(pattern, foundKeywords) {
+        if (!Array.isArray(pattern.keywords) || pattern.keywords.length === 0) {
+            return true;
+        }
+        return pattern.keywords.some(keyword => foundKeywords.has(keyword.toLowerCase()));
+    }
+
+    /**
+     * Adds a keyword to the trie
+     * @private
+     */
+    _addKeyword(keyword) {
+        let state = 0;
+        // Walk UTF-16 units to match how findKeywords() reads the content
+        for (const ch of keyword.split('')) {
+            if (!this.transitions[state].has(ch)) {
+                this.transitions.push(new Map());
+                this.failure.push(0);
+                this.outputs.push([]);
+                this.transitions[state].set(ch, this.transitions.length - 1);
+            }
+            state = this.transitions[state].get(ch);
+        }
+        this.outputs[state].push(keyword);
+    }
+
+    /**
+     * Computes failure links breadth-first and merges outputs along them
+     * @private
+     */
+    _buildFailureLinks() {
+        const queue = [];
+        this.transitions[0].forEach(next => {
+            this.failure[next] = 0;
+            queue.push(next);
+        });
+
+        while (queue.length > 0) {
+            const state = queue.shift();
+            this.transitions[state].forEach((next, ch) => {
+                queue.push(next);
+
+                let fallback = this.failure[state];
+                while (fallback !== 0 && !this.transitions[fallback].has(ch)) {
+                    fallback = this.failure[fallback];
+                }
+                const target = this.transitions[fallback].get(ch);
+                this.failure[next] = target !== undefined && target !== next ? target : 0;
+                this.outputs[next] = this.outputs[next].concat(this.outputs[this.failure[next]]);
+            });
+        }
+    }
+}
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { KeywordPrefilter };
+}
+
+// For browser environment
+if (typeof window !== 'undefined') {
+    window.KeywordPrefilter = KeywordPrefilter;
+}
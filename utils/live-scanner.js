@@ -0,0 +1,270 @@
+/**
+ * Live (incremental) scanner for single-page apps
+ * Watches the page with a MutationObserver and scans only what changed:
+ * added subtrees, edited text and changed attributes. Work is throttled and
+ * kept under a CPU budget of milliseconds per second; whatever does not fit
+ * waits for the next second. New findings are reported once per fingerprint
+ */
+
+// Our own notification UI, which must not trigger scans of itself
+const LIVE_SCAN_IGNORED_SELECTOR = '.cyber-labs-credential-notification, #ferretwatch-animations';
+
+// Attributes that frameworks rewrite constantly and that do not hold secrets
+const LIVE_SCAN_IGNORED_ATTRIBUTES = new Set(['class', 'style']);
+
+class LiveScanner {
+    /**
+     * @param {ProgressiveScanner} scanner - Scanner that runs the patterns
+     * @param {Object} options - { getPatterns(), onFindings(findings) } plus optional
+     *   { throttle, cpuBudget, maxChunkSize, maxPendingNodes, now, schedule, cancel }
+     */
+    constructor(scanner, options = {}) {
+        this.scanner = scanner;
+        this.getPatterns = options.getPatterns || (() => []);
+        this.onFindings = options.onFindings || (() => {});
+        this.throttle = options.throttle || 1000;
+        this.cpuBudget = options.cpuBudget || 100;
+        this.maxChunkSize = options.maxChunkSize || 64 * 1024;
+        this.maxPendingNodes = options.maxPendingNodes || 1000;
+        this.now = options.now || (() => performance.now());
+        this.schedule = options.schedule || ((callback, delay) => setTimeout(callback, delay));
+        this.cancel = options.cancel || (timer => clearTimeout(timer));
+
+        this.observer = null;
+        this.root = null;
+        this.pendingNodes = new Set();
+        this.pendingAttributes = new Set(); // elements whose attributes (not subtree) changed
+        this.queue = [];
+        this.timer = null;
+        this.running = false;
+        this.windowStart = 0;
+        this.spent = 0;
+        this.reported = new Set();
+        this.stats = { mutations: 0, chunks: 0, bytes: 0, deferred: 0, findings: 0 };
+    }
+
+    /**
+     * Starts observing a subtree
+     * @param {Node} root - Root to observe (document.documentElement by default)
+     * @param {Iterable<string>} knownFingerprints - Fingerprints already reported by the full scan
+     */
+    start(root = document.documentElement, knownFingerprints = []) {
+        if (this.observer) {
+            return;
+        }
+
+        for (const fingerprint of knownFingerprints) {
+            if (fingerprint) {
+                this.reported.add(fingerprint);
+            }
+        }
+
+        this.root = root;
+        this.observer = new MutationObserver(mutations => this.handleMutations(mutations));
+        this.observer.observe(root, { childList: true, subtree: true, characterData: true, attributes: true });
+    }
+
+    /**
+     * Stops observing and drops pending work
+     */
+    stop() {
+        if (this.observer) {
+            this.observer.disconnect();
+            this.observer = null;
+        }
+        if (this.timer) {
+            this.cancel(this.timer);
+            this.timer = null;
+        }
+        this.pendingNodes.clear();
+        this.pendingAttributes.clear();
+        this.queue = [];
+    }
+
+    /**
+     * Records the nodes touched by a batch of mutations and schedules a scan
+     * @param {Array<MutationRecord>} mutations - Mutation records
+     */
+    handleMutations(mutations) {
+        for (const mutation of mutations) {
+            this.stats.mutations++;
+            if (mutation.type === 'childList') {
+                mutation.addedNodes.forEach(node => this._addNode(node, this.pendingNodes));
+            } else if (mutation.type === 'characterData') {
+                this._addNode(mutation.target, this.pendingNodes);
+            } else if (!LIVE_SCAN_IGNORED_ATTRIBUTES.has(mutation.attributeName)) {
+                this._addNode(mutation.target, this.pendingAttributes);
+            }
+        }
+
+        // Too much churn to track node by node; rescan the whole root instead
+        if (this.pendingNodes.size > this.maxPendingNodes) {
+            this.pendingNodes = new Set([this.root]);
+        }
+
+        this._scheduleFlush(this.throttle);
+    }
+
+    /**
+     * Scans pending changes until the CPU budget for the current second is spent
+     * @returns {Promise<Array<Object>>} New findings
+     */
+    async flush() {
+        this.timer = null;
+        if (this.running) {
+            return [];
+        }
+        this.running = true;
+
+        const findings = [];
+        try {
+            this._enqueuePendingNodes();
+
+            while (this.queue.length > 0) {
+                if (!this._hasBudget()) {
+                    // Wait for the next second's budget
+                    this.stats.deferred++;
+                    this._scheduleFlush(Math.max(0, this.windowStart + 1000 - this.now()));
+                    break;
+                }
+
+                const content = this.queue.shift();
+                const start = this.now();
+                const chunkFindings = await this.scanner.scanWithPatterns(content, this.getPatterns(), {});
+                this.spent += this.now() - start;
+                this.stats.chunks++;
+                this.stats.bytes += content.length;
+
+                chunkFindings.forEach(finding => {
+                    const key = finding.fingerprint || `${finding.ruleId}:${finding.value}`;
+                    if (!this.reported.has(key)) {
+                        this.reported.add(key);
+                        findings.push(finding);
+                    }
+                });
+            }
+        } finally {
+            this.running = false;
+        }
+
+        // Mutations that arrived while this flush was running
+        if ((this.pendingNodes.size > 0 || this.pendingAttributes.size > 0) && !this.timer) {
+            this._scheduleFlush(this.throttle);
+        }
+
+        if (findings.length > 0) {
+            this.stats.findings += findings.length;
+            this.onFindings(findings);
+        }
+        return findings;
+    }
+
+    /**
+     * Gets live scanning statistics
+     * @returns {Object} { mutations, chunks, bytes, deferred, findings }
+     */
+    getStats() {
+        return { ...this.stats };
+    }
+
+    /**
+     * Extracts the scannable text of a node
+     * Elements contribute their markup (attributes included), text nodes their text
+     * @param {Node} node - Element or text node
+     * @returns {string} Content
+     */
+    static getNodeContent(node) {
+        if (node.nodeType === 1) {
+            return node.outerHTML || '';
+        }
+        return node.nodeType === 3 ? node.textContent || '' : '';
+    }
+
+    /**
+     * Serializes an element's start tag, which is all an attribute change can affect
+     * @param {Element} element - Element
+     * @returns {string} e.g. <div data-config="...">
+     */
+    static getAttributeContent(element) {
+        const attributes = Array.from(element.attributes || [])
+            .filter(attribute => !LIVE_SCAN_IGNORED_ATTRIBUTES.has(attribute.name))
+            .map(attribute => ` ${attribute.name}="${attribute.value}"`)
+            .join('');
+        return `<${(element.tagName || '').toLowerCase()}${attributes}>`;
+    }
+
+    /**
+     * @private
+     */
+    _addNode(node, pending) {
+        if (!node || (node.nodeType !== 1 && node.nodeType !== 3)) {
+            return;
+        }
+
+        const element = node.nodeType === 1 ? node : node.parentElement;
+        if (element && element.closest && element.closest(LIVE_SCAN_IGNORED_SELECTOR)) {
+            return;
+        }
+        pending.add(node);
+    }
+
+    /**
+     * Turns pending nodes into content chunks
+     * Nodes inside another pending node, or no longer in the page, are skipped
+     * @private
+     */
+    _enqueuePendingNodes() {
+        const nodes = Array.from(this.pendingNodes).filter(node => node.isConnected !== false);
+        const attributeChanges = Array.from(this.pendingAttributes).filter(node => node.isConnected !== false);
+        this.pendingNodes.clear();
+        this.pendingAttributes.clear();
+
+        const isCovered = node => nodes.some(other => other !== node && other.contains && other.contains(node));
+        attributeChanges
+            .filter(element => !nodes.includes(element) && !isCovered(element))
+            .forEach(element => this.queue.push(LiveScanner.getAttributeContent(element)));
+
+        const roots = nodes.filter(node => !isCovered(node));
+        roots.forEach(node => {
+            const content = LiveScanner.getNodeContent(node);
+            // Overlap chunks so a secret on a boundary is still seen whole
+            for (let offset = 0; offset < content.length; offset += this.maxChunkSize - 256) {
+                this.queue.push(content.slice(offset, offset + this.maxChunkSize));
+                if (offset + this.maxChunkSize >= content.length) {
+                    break;
+                }
+            }
+        });
+    }
+
+    /**
+     * @private
+     */
+    _hasBudget() {
+        const now = this.now();
+        if (now - this.windowStart >= 1000) {
+            this.windowStart = now;
+            this.spent = 0;
+        }
+        return this.spent < this.cpuBudget;
+    }
+
+    /**
+     * @private
+     */
+    _scheduleFlush(delay) {
+        if (!this.timer) {
+            this.timer = this.schedule(() => this.flush(), delay);
+        }
+    }
+}
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { LiveScanner };
+}
+
+// For browser environment
+if (typeof window !== 'undefined') {
+    window.LiveScanner = LiveScanner;
+}
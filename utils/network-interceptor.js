@@ -363,6 +363,204 @@ try {
         return result;
     };
 
+    // --- WebSocket / EventSource ---
+    // Connections and their frames are reported as FERRETWATCH_REALTIME events.
+    // Text frames carry their data (for scanning), binary frames a hex preview
+    const MAX_REALTIME_TEXT = 1024 * 1024;
+    const BINARY_PREVIEW_BYTES = 64;
+    let realtimeConnectionCount = 0;
+
+    function notifyRealtime(kind, connectionId, url, event, details = {}) {
+        try {
+            window.postMessage({
+                type: 'FERRETWATCH_REALTIME',
+                data: { kind, connectionId, url, event, timestamp: Date.now(), ...details }
+            }, '*');
+        } catch (e) {
+            console.debug('[FW Interceptor] Realtime postMessage failed:', e);
+        }
+    }
+
+    function nextConnectionId(kind) {
+        realtimeConnectionCount++;
+        return `${kind}-${Date.now().toString(36)}-${realtimeConnectionCount}`;
+    }
+
+    function hexPreview(buffer, byteOffset = 0, byteLength = buffer.byteLength) {
+        const bytes = new Uint8Array(buffer, byteOffset, Math.min(byteLength, BINARY_PREVIEW_BYTES));
+        return Array.from(bytes, byte => byte.toString(16).padStart(2, '0')).join(' ');
+    }
+
+    // Describes a frame payload: { format, size, data } for text, { format, size, preview } for binary
+    function describeFrame(payload) {
+        if (typeof payload === 'string') {
+            return {
+                format: 'text',
+                size: payload.length,
+                data: payload.slice(0, MAX_REALTIME_TEXT),
+                truncated: payload.length > MAX_REALTIME_TEXT
+            };
+        }
+        if (payload instanceof ArrayBuffer) {
+            return { format: 'binary', size: payload.byteLength, preview: hexPreview(payload) };
+        }
+        if (ArrayBuffer.isView(payload)) {
+            return { format: 'binary', size: payload.byteLength, preview: hexPreview(payload.buffer, payload.byteOffset, payload.byteLength) };
+        }
+        if (payload instanceof Blob) {
+            return { format: 'binary', size: payload.size, preview: `[Blob: ${payload.type || 'unknown'}, ${payload.size} bytes]` };
+        }
+        return { format: 'binary', size: 0, preview: `[${Object.prototype.toString.call(payload)}]` };
+    }
+
+    const OriginalWebSocket = window.WebSocket;
+    if (typeof OriginalWebSocket === 'function') {
+        const socketIds = new WeakMap();
+        const originalWsSend = OriginalWebSocket.prototype.send;
+
+        const WrappedWebSocket = function WebSocket(url, protocols) {
+            const socket = arguments.length > 1 ? new OriginalWebSocket(url, protocols) : new OriginalWebSocket(url);
+            try {
+                const connectionId = nextConnectionId('ws');
+                const socketUrl = socket.url;
+                socketIds.set(socket, { connectionId, url: socketUrl });
+                notifyRealtime('websocket', connectionId, socketUrl, 'connecting');
+
+                socket.addEventListener('open', () => {
+                    notifyRealtime('websocket', connectionId, socketUrl, 'open', { protocol: socket.protocol });
+                });
+                socket.addEventListener('message', event => {
+                    notifyRealtime('websocket', connectionId, socketUrl, 'message', { direction: 'received', ...describeFrame(event.data) });
+                });
+                socket.addEventListener('close', event => {
+                    notifyRealtime('websocket', connectionId, socketUrl, 'close', { code: event.code, reason: event.reason });
+                });
+                socket.addEventListener('error', () => {
+                    notifyRealtime('websocket', connectionId, socketUrl, 'error');
+                });
+            } catch (e) {
+                console.debug('[FW Interceptor] WebSocket interception error:', e);
+            }
+            return socket;
+        };
+
+        // Keep instanceof checks, constants and statics working against the wrapper
+        WrappedWebSocket.prototype = OriginalWebSocket.prototype;
+        ['CONNECTING', 'OPEN', 'CLOSING', 'CLOSED'].forEach(name => {
+            WrappedWebSocket[name] = OriginalWebSocket[name];
+        });
+
+        OriginalWebSocket.prototype.send = function (data) {
+            try {
+                const socket = socketIds.get(this);
+                if (socket && this.readyState === OriginalWebSocket.OPEN) {
+                    notifyRealtime('websocket', socket.connectionId, socket.url, 'message', { direction: 'sent', ...describeFrame(data) });
+                }
+            } catch (e) {
+                console.debug('[FW Interceptor] WebSocket send notification error:', e);
+            }
+            return originalWsSend.apply(this, arguments);
+        };
+
+        window.WebSocket = WrappedWebSocket;
+    }
+
+    const OriginalEventSource = window.EventSource;
+    if (typeof OriginalEventSource === 'function') {
+        const sources = new WeakMap();
+        const originalEsAddEventListener = OriginalEventSource.prototype.addEventListener;
+        const originalEsClose = OriginalEventSource.prototype.close;
+
+        // Named events ("event: update") only reach listeners for that name,
+        // so listen to each name the page listens to
+        const observeEvent = (source, eventName) => {
+            const info = sources.get(source);
+            if (!info || info.events.has(eventName) || ['open', 'error'].includes(eventName)) {
+                return;
+            }
+            info.events.add(eventName);
+            originalEsAddEventListener.call(source, eventName, event => {
+                notifyRealtime('sse', info.connectionId, info.url, 'message', {
+                    direction: 'received',
+                    eventName,
+                    ...describeFrame(typeof event.data === 'string' ? event.data : '')
+                });
+            });
+        };
+
+        const WrappedEventSource = function EventSource(url, config) {
+            const source = new OriginalEventSource(url, config);
+            try {
+                const connectionId = nextConnectionId('sse');
+                const sourceUrl = source.url;
+                sources.set(source, { connectionId, url: sourceUrl, events: new Set() });
+                notifyRealtime('sse', connectionId, sourceUrl, 'connecting');
+
+                originalEsAddEventListener.call(source, 'open', () => {
+                    notifyRealtime('sse', connectionId, sourceUrl, 'open');
+                });
+                originalEsAddEventListener.call(source, 'error', () => {
+                    // A closed source has given up; otherwise the browser reconnects
+                    notifyRealtime('sse', connectionId, sourceUrl, source.readyState === OriginalEventSource.CLOSED ? 'close' : 'error');
+                });
+                observeEvent(source, 'message');
+            } catch (e) {
+                console.debug('[FW Interceptor] EventSource interception error:', e);
+            }
+            return source;
+        };
+
+        WrappedEventSource.prototype = OriginalEventSource.prototype;
+        ['CONNECTING', 'OPEN', 'CLOSED'].forEach(name => {
+            WrappedEventSource[name] = OriginalEventSource[name];
+        });
+
+        OriginalEventSource.prototype.addEventListener = function (type) {
+            try {
+                observeEvent(this, String(type));
+            } catch (e) {
+                console.debug('[FW Interceptor] EventSource listener interception error:', e);
+            }
+            return originalEsAddEventListener.apply(this, arguments);
+        };
+
+        OriginalEventSource.prototype.close = function () {
+            try {
+                const info = sources.get(this);
+                if (info && this.readyState !== OriginalEventSource.CLOSED) {
+                    notifyRealtime('sse', info.connectionId, info.url, 'close');
+                }
+            } catch (e) {
+                console.debug('[FW Interceptor] EventSource close notification error:', e);
+            }
+            return originalEsClose.apply(this, arguments);
+        };
+
+        window.EventSource = WrappedEventSource;
+    }
+
+    // --- History API ---
+    // pushState/replaceState fire no event the content script can see, so report them
+    ['pushState', 'replaceState'].forEach(method => {
+        const original = window.history[method];
+        if (typeof original !== 'function') {
+            return;
+        }
+
+        window.history[method] = function() {
+            const result = original.apply(this, arguments);
+            try {
+                window.postMessage({
+                    type: 'FERRETWATCH_ROUTE_CHANGE',
+                    data: { url: window.location.href, trigger: method, timestamp: Date.now() }
+                }, '*');
+            } catch (e) {
+                console.debug('[FW Interceptor] Route change postMessage failed:', e);
+            }
+            return result;
+        };
+    });
+
         // API Interceptor Active
     })();
 
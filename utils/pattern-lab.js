@@ -0,0 +1,214 @@
+/**
+ * Pattern lab
+ * Runs rules against sample text through the same ProgressiveScanner and
+ * PatternValidator pipeline the content script uses, and records what
+ * happened to every match: reported, rejected (and by which check) or never
+ * evaluated because the rule hit maxFindings
+ */
+
+const LAB_RULE_STATUS = {
+    RAN: 'ran',
+    NO_KEYWORDS: 'noKeywords',
+    CATEGORY_DISABLED: 'categoryDisabled',
+    OVER_BUDGET: 'overBudget'
+};
+
+const LAB_MATCH_VERDICT = {
+    REPORTED: 'reported',
+    REJECTED: 'rejected',
+    NOT_EVALUATED: 'notEvaluated'
+};
+
+class PatternLab {
+    /**
+     * @param {Object} options - Optional { validator, createScanner }
+     */
+    constructor(options = {}) {
+        this.validator = options.validator || PatternLab._getGlobal('patternValidator');
+        this.createScanner = options.createScanner || (() => new (PatternLab._getScannerClass())());
+    }
+
+    /**
+     * Runs several rules against the same text, one scanner per rule
+     * @param {string} text - Sample text or saved page HTML
+     * @param {Array<Object>} patterns - Pattern configs (as returned by patternManager)
+     * @param {Object} options - { mode: 'raw' | 'page' }
+     * @returns {Promise<Object>} { results, matchCount, reportedCount, totalTime }
+     */
+    async runRules(text, patterns, options = {}) {
+        const start = performance.now();
+        const results = [];
+
+        for (const patternConfig of patterns) {
+            results.push(await this.runRule(text, patternConfig, options));
+        }
+
+        return {
+            results,
+            matchCount: results.reduce((sum, result) => sum + result.matches.length, 0),
+            reportedCount: results.reduce((sum, result) => sum + result.findings.length, 0),
+            totalTime: performance.now() - start
+        };
+    }
+
+    /**
+     * Runs one rule and traces each of its matches through validation
+     * @param {string} text - Sample text or saved page HTML
+     * @param {Object} patternConfig - Pattern config
+     * @param {Object} options - { mode: 'raw' | 'page' }
+     * @returns {Promise<Object>} Rule result
+     */
+    async runRule(text, patternConfig, options = {}) {
+        const scanner = this.createScanner();
+        const content = this.prepareContent(scanner, text, patternConfig, options.mode);
+        const matches = [];
+        const verdicts = [];
+
+        // scanWithPatterns evaluates matches in order and asks exactly one of
+        // these per match, so verdicts[i] belongs to matches[i]
+        const batchProcessMatches = scanner.batchProcessMatches.bind(scanner);
+        scanner.batchProcessMatches = async (scanContent, config) => {
+            const found = await batchProcessMatches(scanContent, config);
+            matches.push(...found);
+            return found;
+        };
+        scanner.isValidSecret = (match, config, matchContext) => {
+            const rejection = this.validator.explainRejection(match, config, matchContext);
+            verdicts.push(rejection);
+            return rejection === null;
+        };
+        scanner.isSuppressed = (value, config, matchContext) => {
+            const suppressed = this.validator.isSuppressed(value, config, matchContext);
+            verdicts.push(suppressed ? { reason: 'suppressed', rule: null } : null);
+            return suppressed;
+        };
+
+        const start = performance.now();
+        const findings = await scanner.scanWithPatterns(content, [patternConfig], {});
+        const time = performance.now() - start;
+
+        const stats = scanner.patternStats[patternConfig.id || patternConfig.type || patternConfig.description];
+        const status = !stats ? LAB_RULE_STATUS.CATEGORY_DISABLED :
+            stats.disabled ? LAB_RULE_STATUS.OVER_BUDGET :
+            stats.runs === 0 ? LAB_RULE_STATUS.NO_KEYWORDS : LAB_RULE_STATUS.RAN;
+
+        const findingsByPosition = new Map(findings.map(finding => [finding.position, finding]));
+
+        return {
+            id: patternConfig.id,
+            type: patternConfig.type,
+            category: patternConfig.category,
+            riskLevel: patternConfig.riskLevel,
+            status,
+            time,
+            findings,
+            matches: matches.map((matchObj, i) => this._describeMatch(scanner, content, patternConfig, matchObj,
+                i < verdicts.length ? verdicts[i] : undefined, findingsByPosition.get(matchObj.index)))
+        };
+    }
+
+    /**
+     * Applies the content script's preprocessing for the rule
+     * 'page' mode scans critical/high rules on visible text and the rest on
+     * filtered content, as progressiveScan does; block detectors always get the raw text
+     * @param {Object} scanner - ProgressiveScanner
+     * @param {string} text - Input text
+     * @param {Object} patternConfig - Pattern config
+     * @param {string} mode - 'raw' or 'page'
+     * @returns {string} Content to scan
+     */
+    prepareContent(scanner, text, patternConfig, mode = 'raw') {
+        if (mode !== 'page' || patternConfig.detector) {
+            return text;
+        }
+        return ['critical', 'high'].includes(patternConfig.riskLevel) ?
+            scanner.extractVisibleContent(text) : scanner.filterContent(text);
+    }
+
+    /**
+     * @private
+     */
+    _describeMatch(scanner, content, patternConfig, matchObj, rejection, finding) {
+        const groups = Array.isArray(matchObj.fullMatch) ? Array.from(matchObj.fullMatch).slice(1) : [];
+        const described = {
+            value: matchObj.value,
+            match: matchObj.match || matchObj.value,
+            index: matchObj.index,
+            line: content.slice(0, matchObj.index).split('\n').length,
+            groups,
+            namedGroups: Array.isArray(matchObj.fullMatch) && matchObj.fullMatch.groups ?
+                { ...matchObj.fullMatch.groups } : null,
+            verdict: LAB_MATCH_VERDICT.NOT_EVALUATED,
+            rejection: null,
+            finding: null
+        };
+
+        if (rejection === undefined) {
+            // The rule reached maxFindings before this match was validated
+            return described;
+        }
+
+        if (rejection) {
+            described.verdict = LAB_MATCH_VERDICT.REJECTED;
+            described.rejection = rejection;
+        } else if (finding) {
+            described.verdict = LAB_MATCH_VERDICT.REPORTED;
+            described.finding = finding;
+        } else {
+            // Passed validation but dropped afterwards by the scanner
+            described.verdict = LAB_MATCH_VERDICT.REJECTED;
+            described.rejection = this._explainDrop(scanner, patternConfig, matchObj);
+        }
+
+        return described;
+    }
+
+    /**
+     * @private
+     */
+    _explainDrop(scanner, patternConfig, matchObj) {
+        if (scanner.getChecksumStatus(matchObj.value, patternConfig) === 'malformed') {
+            return { reason: 'checksum', rule: 'malformedTokenAction: drop' };
+        }
+        if (patternConfig.excludePattern) {
+            return { reason: 'excludePattern', rule: patternConfig.excludePattern.toString() };
+        }
+        if (patternConfig.category === 'cloudStorage') {
+            return { reason: 'bucketParse', rule: patternConfig.provider || null };
+        }
+        return { reason: 'dropped', rule: null };
+    }
+
+    /**
+     * @private
+     */
+    static _getGlobal(name) {
+        return typeof window !== 'undefined' ? window[name] : undefined;
+    }
+
+    /**
+     * @private
+     */
+    static _getScannerClass() {
+        if (typeof ProgressiveScanner !== 'undefined') {
+            return ProgressiveScanner;
+        }
+        if (typeof window !== 'undefined' && window.ProgressiveScanner) {
+            return window.ProgressiveScanner;
+        }
+        if (typeof require !== 'undefined') {
+            return require('./scanner.js').ProgressiveScanner;
+        }
+        throw new Error('ProgressiveScanner not available');
+    }
+}
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { PatternLab, LAB_RULE_STATUS, LAB_MATCH_VERDICT };
+}
+
+// For browser environment
+if (typeof window !== 'undefined') {
+    window.PatternLab = PatternLab;
+}
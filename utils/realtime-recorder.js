@@ -0,0 +1,180 @@
+/**
+ * Realtime connection recorder
+ * Keeps the WebSocket and EventSource connections the network interceptor
+ * reports for each tab, with a capped stream of their frames (direction,
+ * size, time and a text or hex preview) for the API Explorer
+ */
+
+class RealtimeRecorder {
+    /**
+     * @param {Object} options - Optional { maxConnections, maxMessages, maxPreviewSize }
+     */
+    constructor(options = {}) {
+        this.maxConnections = options.maxConnections || 50;
+        this.maxMessages = options.maxMessages || 500;
+        this.maxPreviewSize = options.maxPreviewSize || 2048;
+        this.tabs = new Map();
+    }
+
+    /**
+     * Records one interceptor event
+     * @param {number} tabId - Tab the event came from
+     * @param {Object} event - { kind, event, connectionId, url, timestamp, route } plus
+     *   protocol (open), code/reason (close) or direction/format/size/data/preview/eventName (message)
+     * @returns {Object|null} { connection, message } - connection summary and the recorded
+     *   message (null for lifecycle events), or null if the event was not recorded
+     */
+    record(tabId, event) {
+        if (!event || !event.connectionId || !event.url) {
+            return null;
+        }
+
+        const connection = this._getConnection(tabId, event);
+        const timestamp = event.timestamp || Date.now();
+        let message = null;
+
+        switch (event.event) {
+            case 'open':
+                connection.status = 'open';
+                connection.openedAt = timestamp;
+                if (event.protocol) {
+                    connection.protocol = event.protocol;
+                }
+                break;
+            case 'close':
+                connection.status = 'closed';
+                connection.closedAt = timestamp;
+                connection.closeCode = event.code;
+                connection.closeReason = event.reason || '';
+                break;
+            case 'error':
+                connection.status = 'error';
+                break;
+            case 'message':
+                message = this._addMessage(connection, event, timestamp);
+                break;
+        }
+
+        return { connection: RealtimeRecorder.summarize(connection), message };
+    }
+
+    /**
+     * Gets a tab's connections with their recorded messages
+     * @param {number} tabId - Tab id
+     * @returns {Array<Object>} Connections, oldest first
+     */
+    getConnections(tabId) {
+        const connections = this.tabs.get(tabId);
+        if (!connections) {
+            return [];
+        }
+        return Array.from(connections.values()).map(connection => ({
+            ...RealtimeRecorder.summarize(connection),
+            messages: connection.messages.slice()
+        }));
+    }
+
+    /**
+     * Forgets a tab's connections
+     * @param {number} tabId - Tab id
+     */
+    clearTab(tabId) {
+        this.tabs.delete(tabId);
+    }
+
+    /**
+     * Copies a connection without its messages
+     * @param {Object} connection - Recorded connection
+     * @returns {Object} Summary
+     */
+    static summarize(connection) {
+        const { messages, ...summary } = connection;
+        return summary;
+    }
+
+    /**
+     * @private
+     */
+    _getConnection(tabId, event) {
+        if (!this.tabs.has(tabId)) {
+            this.tabs.set(tabId, new Map());
+        }
+        const connections = this.tabs.get(tabId);
+
+        let connection = connections.get(event.connectionId);
+        if (!connection) {
+            connection = {
+                id: event.connectionId,
+                kind: event.kind,
+                url: event.url,
+                route: event.route,
+                status: 'connecting',
+                createdAt: event.timestamp || Date.now(),
+                openedAt: null,
+                closedAt: null,
+                protocol: '',
+                messageCount: 0,
+                droppedMessages: 0,
+                bytesSent: 0,
+                bytesReceived: 0,
+                messages: []
+            };
+            connections.set(connection.id, connection);
+            this._evictConnections(connections);
+        }
+        return connection;
+    }
+
+    /**
+     * @private
+     */
+    _addMessage(connection, event, timestamp) {
+        const text = event.format === 'text' && typeof event.data === 'string';
+        const size = typeof event.size === 'number' ? event.size : (text ? event.data.length : 0);
+        const preview = text ? event.data : (event.preview || '');
+        const message = {
+            direction: event.direction === 'sent' ? 'sent' : 'received',
+            format: text ? 'text' : 'binary',
+            size,
+            timestamp,
+            eventName: event.eventName,
+            preview: preview.slice(0, this.maxPreviewSize),
+            truncated: Boolean(event.truncated) || preview.length > this.maxPreviewSize
+        };
+
+        connection.messageCount++;
+        if (message.direction === 'sent') {
+            connection.bytesSent += size;
+        } else {
+            connection.bytesReceived += size;
+        }
+        connection.messages.push(message);
+        if (connection.messages.length > this.maxMessages) {
+            connection.messages.shift();
+            connection.droppedMessages++;
+        }
+        return message;
+    }
+
+    /**
+     * Drops the oldest connections over the limit, closed ones first
+     * @private
+     */
+    _evictConnections(connections) {
+        while (connections.size > this.maxConnections) {
+            const all = Array.from(connections.values());
+            const victim = all.find(connection => connection.status === 'closed' || connection.status === 'error') || all[0];
+            connections.delete(victim.id);
+        }
+    }
+}
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { RealtimeRecorder };
+}
+
+// For browser environment
+if (typeof window !== 'undefined') {
+    window.RealtimeRecorder = RealtimeRecorder;
+}
@@ -0,0 +1,609 @@
+/**
+ * Static ReDoS (catastrophic backtracking) check for user-supplied rules
+ * Parses a JavaScript regex source into a small AST and looks for the
+ * shapes that backtrack exponentially or polynomially:
+ * - nested quantifiers whose inner repetition can absorb a whole iteration, e.g. (a+)+, (\w+\s?)*
+ * - repeated alternations whose branches can start with the same character, e.g. (\w|\d)+
+ * - adjacent unbounded quantifiers over overlapping characters, e.g. \w+\w+, .*.*=
+ *
+ * Nested quantifiers are errors (rule rejected on import); the other shapes
+ * are warnings, since the scanner's per-rule time budget catches them at runtime
+ */
+
+// Quantifiers with a larger upper bound than this are treated as unbounded
+const REDOS_LARGE_REPEAT = 20;
+
+const REDOS_SEVERITY = {
+    ERROR: 'error',
+    WARNING: 'warning'
+};
+
+class ReDoSChecker {
+    /**
+     * Analyzes a regex source for catastrophic backtracking
+     * @param {string} source - Regex source (without slashes)
+     * @param {string} flags - Regex flags
+     * @returns {Object} { safe, issues: [{ severity, type, fragment, message }] }
+     */
+    static analyze(source, flags = '') {
+        let ast;
+        try {
+            ast = new RegexParser(source, flags).parse();
+        } catch (error) {
+            return { safe: false, issues: [{ severity: REDOS_SEVERITY.ERROR, type: 'parse', fragment: source, message: error.message }] };
+        }
+
+        const issues = [];
+        ReDoSChecker._walk(ast, node => {
+            if (node.type === 'quantifier' && ReDoSChecker._isLarge(node)) {
+                ReDoSChecker._checkRepetition(node, source, issues);
+            }
+            if (node.type === 'sequence') {
+                ReDoSChecker._checkAdjacent(node, source, issues);
+            }
+        });
+
+        return {
+            safe: !issues.some(issue => issue.severity === REDOS_SEVERITY.ERROR),
+            issues
+        };
+    }
+
+    /**
+     * Human readable issue list, used for import errors and warnings
+     * @param {Object} result - Result of analyze()
+     * @returns {Array<string>} Messages
+     */
+    static describe(result) {
+        return result.issues.map(issue => `${issue.message} near "${issue.fragment}"`);
+    }
+
+    /**
+     * Longest match a regex can produce, e.g. to size the overlap between chunks
+     * of a streaming scan so no match is cut in two
+     * @param {string} source - Regex source (without slashes)
+     * @param {string} flags - Regex flags
+     * @returns {number|null} Length in characters (Infinity for unbounded quantifiers
+     *   and backreferences), or null if the source does not parse
+     */
+    static maxMatchLength(source, flags = '') {
+        try {
+            return ReDoSChecker._maxLength(new RegexParser(source, flags).parse());
+        } catch (error) {
+            return null;
+        }
+    }
+
+    /**
+     * @private
+     */
+    static _checkRepetition(node, source, issues) {
+        const inner = ReDoSChecker._findAmbiguousRepeat(node.body);
+        if (inner) {
+            issues.push({
+                severity: REDOS_SEVERITY.ERROR,
+                type: 'nestedQuantifier',
+                fragment: source.slice(node.start, node.end),
+                message: 'Nested quantifier can backtrack exponentially'
+            });
+            return;
+        }
+
+        const alternation = ReDoSChecker._unwrap(node.body);
+        if (alternation.type === 'alternation') {
+            const firstSets = alternation.branches.map(branch => ReDoSChecker._firstSet(branch));
+            for (let i = 0; i < firstSets.length; i++) {
+                for (let j = i + 1; j < firstSets.length; j++) {
+                    if (CharSet.overlaps(firstSets[i], firstSets[j])) {
+                        issues.push({
+                            severity: REDOS_SEVERITY.WARNING,
+                            type: 'overlappingAlternation',
+                            fragment: source.slice(node.start, node.end),
+                            message: 'Repeated alternation has branches that can match the same input'
+                        });
+                        return;
+                    }
+                }
+            }
+        }
+    }
+
+    /**
+     * @private
+     */
+    static _checkAdjacent(sequence, source, issues) {
+        const items = sequence.items;
+        for (let i = 0; i < items.length; i++) {
+            if (items[i].type !== 'quantifier' || items[i].max !== Infinity) {
+                continue;
+            }
+            const consumed = ReDoSChecker._firstSet(items[i].body);
+
+            // Look past nullable items for the next unbounded quantifier
+            for (let j = i + 1; j < items.length; j++) {
+                const next = items[j];
+                if (next.type === 'quantifier' && next.max === Infinity &&
+                    CharSet.overlaps(consumed, ReDoSChecker._firstSet(next.body))) {
+                    issues.push({
+                        severity: REDOS_SEVERITY.WARNING,
+                        type: 'adjacentQuantifiers',
+                        fragment: source.slice(items[i].start, next.end),
+                        message: 'Adjacent unbounded quantifiers overlap and can backtrack polynomially'
+                    });
+                    return;
+                }
+                if (!ReDoSChecker._nullable(next)) {
+                    break;
+                }
+            }
+        }
+    }
+
+    /**
+     * Finds a large repetition that, together with nullable siblings, can
+     * match a full iteration of the enclosing quantifier on its own
+     * @private
+     */
+    static _findAmbiguousRepeat(node) {
+        switch (node.type) {
+            case 'quantifier':
+                return ReDoSChecker._isLarge(node) && !ReDoSChecker._nullable(node.body) ? node :
+                    ReDoSChecker._findAmbiguousRepeat(node.body);
+            case 'group':
+                return node.lookaround ? null : ReDoSChecker._findAmbiguousRepeat(node.body);
+            case 'alternation':
+                for (const branch of node.branches) {
+                    const found = ReDoSChecker._findAmbiguousRepeat(branch);
+                    if (found) {
+                        return found;
+                    }
+                }
+                return null;
+            case 'sequence':
+                for (const item of node.items) {
+                    const found = ReDoSChecker._findAmbiguousRepeat(item);
+                    if (found && node.items.every(other => other === item || ReDoSChecker._nullable(other))) {
+                        return found;
+                    }
+                }
+                return null;
+            default:
+                return null;
+        }
+    }
+
+    /**
+     * @private
+     */
+    static _isLarge(node) {
+        return node.max === Infinity || node.max > REDOS_LARGE_REPEAT;
+    }
+
+    /**
+     * @private
+     */
+    static _unwrap(node) {
+        while (node.type === 'group' && !node.lookaround) {
+            node = node.body;
+        }
+        return node;
+    }
+
+    /**
+     * Whether a node can match the empty string
+     * @private
+     */
+    static _nullable(node) {
+        switch (node.type) {
+            case 'char':
+            case 'set':
+                return false;
+            case 'backreference':
+            case 'assertion':
+                return true;
+            case 'quantifier':
+                return node.min === 0 || ReDoSChecker._nullable(node.body);
+            case 'group':
+                return node.lookaround || ReDoSChecker._nullable(node.body);
+            case 'alternation':
+                return node.branches.some(branch => ReDoSChecker._nullable(branch));
+            case 'sequence':
+                return node.items.every(item => ReDoSChecker._nullable(item));
+            default:
+                return true;
+        }
+    }
+
+    /**
+     * Characters a node can start with
+     * @private
+     */
+    static _firstSet(node) {
+        switch (node.type) {
+            case 'char':
+            case 'set':
+                return node.set;
+            case 'backreference':
+                return CharSet.any();
+            case 'assertion':
+                return CharSet.empty();
+            case 'quantifier':
+                return ReDoSChecker._firstSet(node.body);
+            case 'group':
+                return node.lookaround ? CharSet.empty() : ReDoSChecker._firstSet(node.body);
+            case 'alternation':
+                return CharSet.union(node.branches.map(branch => ReDoSChecker._firstSet(branch)));
+            case 'sequence': {
+                const sets = [];
+                for (const item of node.items) {
+                    sets.push(ReDoSChecker._firstSet(item));
+                    if (!ReDoSChecker._nullable(item)) {
+                        break;
+                    }
+                }
+                return CharSet.union(sets);
+            }
+            default:
+                return CharSet.empty();
+        }
+    }
+
+    /**
+     * @private
+     */
+    static _maxLength(node) {
+        switch (node.type) {
+            case 'char':
+            case 'set':
+                return 1;
+            case 'assertion':
+                return 0;
+            case 'quantifier': {
+                const body = ReDoSChecker._maxLength(node.body);
+                return node.max === 0 || body === 0 ? 0 : body * node.max;
+            }
+            case 'group':
+                return node.lookaround ? 0 : ReDoSChecker._maxLength(node.body);
+            case 'alternation':
+                return Math.max(...node.branches.map(branch => ReDoSChecker._maxLength(branch)));
+            case 'sequence':
+                return node.items.reduce((total, item) => total + ReDoSChecker._maxLength(item), 0);
+            default:
+                return Infinity;
+        }
+    }
+
+    /**
+     * @private
+     */
+    static _walk(node, visit) {
+        visit(node);
+        if (node.body) {
+            ReDoSChecker._walk(node.body, visit);
+        }
+        (node.branches || node.items || []).forEach(child => ReDoSChecker._walk(child, visit));
+    }
+}
+
+/**
+ * Approximate character sets: exact for ASCII, one flag for everything else
+ */
+class CharSet {
+    static empty() {
+        return { ascii: new Array(128).fill(false), other: false };
+    }
+
+    static any() {
+        return { ascii: new Array(128).fill(true), other: true };
+    }
+
+    static of(code, ignoreCase) {
+        const set = CharSet.empty();
+        CharSet.add(set, code, ignoreCase);
+        return set;
+    }
+
+    static add(set, code, ignoreCase) {
+        if (code >= 128) {
+            set.other = true;
+            return;
+        }
+        set.ascii[code] = true;
+        if (ignoreCase) {
+            const char = String.fromCharCode(code);
+            set.ascii[char.toLowerCase().charCodeAt(0)] = true;
+            set.ascii[char.toUpperCase().charCodeAt(0)] = true;
+        }
+    }
+
+    static addRange(set, from, to, ignoreCase) {
+        for (let code = from; code <= Math.min(to, 127); code++) {
+            CharSet.add(set, code, ignoreCase);
+        }
+        if (to >= 128) {
+            set.other = true;
+        }
+    }
+
+    static merge(target, source) {
+        source.ascii.forEach((present, code) => {
+            if (present) {
+                target.ascii[code] = true;
+            }
+        });
+        target.other = target.other || source.other;
+    }
+
+    static negate(set) {
+        return { ascii: set.ascii.map(present => !present), other: true };
+    }
+
+    static union(sets) {
+        const result = CharSet.empty();
+        sets.forEach(set => CharSet.merge(result, set));
+        return result;
+    }
+
+    static overlaps(a, b) {
+        return (a.other && b.other) || a.ascii.some((present, code) => present && b.ascii[code]);
+    }
+
+    /**
+     * Set for a class escape (\d, \w, \s and their negations)
+     */
+    static forClassEscape(letter) {
+        const set = CharSet.empty();
+        const lower = letter.toLowerCase();
+        if (lower === 'd') {
+            CharSet.addRange(set, 48, 57);
+        } else if (lower === 'w') {
+            CharSet.addRange(set, 48, 57);
+            CharSet.addRange(set, 65, 90);
+            CharSet.addRange(set, 97, 122);
+            CharSet.add(set, 95);
+        } else if (lower === 's') {
+            [9, 10, 11, 12, 13, 32].forEach(code => CharSet.add(set, code));
+            set.other = true;
+        }
+        return letter === lower ? set : CharSet.negate(set);
+    }
+}
+
+/**
+ * Minimal recursive-descent parser for JavaScript regex syntax
+ */
+class RegexParser {
+    constructor(source, flags) {
+        this.source = source;
+        this.pos = 0;
+        this.ignoreCase = flags.includes('i');
+        this.dotAll = flags.includes('s');
+    }
+
+    parse() {
+        const node = this.parseAlternation();
+        if (this.pos < this.source.length) {
+            throw new Error(`Unexpected "${this.source[this.pos]}" at ${this.pos}`);
+        }
+        return node;
+    }
+
+    parseAlternation() {
+        const start = this.pos;
+        const branches = [this.parseSequence()];
+        while (this.source[this.pos] === '|') {
+            this.pos++;
+            branches.push(this.parseSequence());
+        }
+        return branches.length === 1 ? branches[0] :
+            { type: 'alternation', branches, start, end: this.pos };
+    }
+
+    parseSequence() {
+        const start = this.pos;
+        const items = [];
+        while (this.pos < this.source.length && this.source[this.pos] !== '|' && this.source[this.pos] !== ')') {
+            items.push(this.parseQuantified());
+        }
+        return { type: 'sequence', items, start, end: this.pos };
+    }
+
+    parseQuantified() {
+        const atom = this.parseAtom();
+        const quantifier = this.parseQuantifier();
+        if (!quantifier) {
+            return atom;
+        }
+        return { type: 'quantifier', body: atom, min: quantifier.min, max: quantifier.max, start: atom.start, end: this.pos };
+    }
+
+    parseQuantifier() {
+        const char = this.source[this.pos];
+        let min;
+        let max;
+
+        if (char === '*' || char === '+' || char === '?') {
+            this.pos++;
+            min = char === '+' ? 1 : 0;
+            max = char === '?' ? 1 : Infinity;
+        } else if (char === '{') {
+            const match = /^\{(\d+)(?:(,)(\d*))?\}/.exec(this.source.slice(this.pos));
+            if (!match) {
+                return null;
+            }
+            this.pos += match[0].length;
+            min = Number(match[1]);
+            max = match[2] ? (match[3] ? Number(match[3]) : Infinity) : min;
+        } else {
+            return null;
+        }
+
+        if (this.source[this.pos] === '?') {
+            this.pos++; // Lazy quantifiers backtrack just as much
+        }
+        return { min, max };
+    }
+
+    parseAtom() {
+        const start = this.pos;
+        const char = this.source[this.pos];
+
+        if (char === '(') {
+            return this.parseGroup();
+        }
+        if (char === '[') {
+            return { type: 'set', set: this.parseClass(), start, end: this.pos };
+        }
+        if (char === '\\') {
+            return this.parseEscape();
+        }
+        if (char === '^' || char === '$') {
+            this.pos++;
+            return { type: 'assertion', start, end: this.pos };
+        }
+        if (char === '.') {
+            this.pos++;
+            const set = CharSet.any();
+            if (!this.dotAll) {
+                set.ascii[10] = false;
+                set.ascii[13] = false;
+            }
+            return { type: 'set', set, start, end: this.pos };
+        }
+        if (char === '*' || char === '+' || char === '?') {
+            throw new Error(`Nothing to repeat at ${this.pos}`);
+        }
+
+        const code = this.source.codePointAt(this.pos);
+        this.pos += code > 0xffff ? 2 : 1;
+        return { type: 'char', set: CharSet.of(code, this.ignoreCase), start, end: this.pos };
+    }
+
+    parseGroup() {
+        const start = this.pos;
+        this.pos++;
+
+        let lookaround = false;
+        const prefix = /^\?(?:<[=!]|[=!:]|<[A-Za-z_$][\w$]*>)/.exec(this.source.slice(this.pos));
+        if (prefix) {
+            lookaround = /^\?(?:<?[=!])/.test(prefix[0]);
+            this.pos += prefix[0].length;
+        }
+
+        const body = this.parseAlternation();
+        if (this.source[this.pos] !== ')') {
+            throw new Error(`Unterminated group at ${start}`);
+        }
+        this.pos++;
+        return { type: 'group', body, lookaround, start, end: this.pos };
+    }
+
+    parseClass() {
+        const start = this.pos;
+        this.pos++;
+        let negated = false;
+        if (this.source[this.pos] === '^') {
+            negated = true;
+            this.pos++;
+        }
+
+        const set = CharSet.empty();
+        while (this.pos < this.source.length && this.source[this.pos] !== ']') {
+            const from = this.parseClassAtom();
+            if (from.set) {
+                CharSet.merge(set, from.set);
+                continue;
+            }
+            if (this.source[this.pos] === '-' && this.source[this.pos + 1] !== ']' && this.pos + 1 < this.source.length) {
+                this.pos++;
+                const to = this.parseClassAtom();
+                if (to.set) {
+                    CharSet.add(set, from.code, this.ignoreCase);
+                    CharSet.add(set, 45);
+                    CharSet.merge(set, to.set);
+                } else {
+                    CharSet.addRange(set, from.code, to.code, this.ignoreCase);
+                }
+            } else {
+                CharSet.add(set, from.code, this.ignoreCase);
+            }
+        }
+
+        if (this.source[this.pos] !== ']') {
+            throw new Error(`Unterminated character class at ${start}`);
+        }
+        this.pos++;
+        return negated ? CharSet.negate(set) : set;
+    }
+
+    parseClassAtom() {
+        if (this.source[this.pos] !== '\\') {
+            const code = this.source.codePointAt(this.pos);
+            this.pos += code > 0xffff ? 2 : 1;
+            return { code };
+        }
+
+        const escape = this.parseEscape();
+        if (escape.type === 'set') {
+            return { set: escape.set };
+        }
+        // \b inside a class is a backspace
+        return { code: escape.code !== undefined ? escape.code : 8 };
+    }
+
+    parseEscape() {
+        const start = this.pos;
+        this.pos++;
+        const char = this.source[this.pos];
+        if (char === undefined) {
+            throw new Error('Trailing backslash');
+        }
+        this.pos++;
+
+        if (/[dDwWsS]/.test(char)) {
+            return { type: 'set', set: CharSet.forClassEscape(char), start, end: this.pos };
+        }
+        if (char === 'b' || char === 'B') {
+            return { type: 'assertion', start, end: this.pos };
+        }
+        if (/[1-9]/.test(char)) {
+            while (/\d/.test(this.source[this.pos] || '')) {
+                this.pos++;
+            }
+            return { type: 'backreference', start, end: this.pos };
+        }
+        if (char === 'k' && this.source[this.pos] === '<') {
+            this.pos = this.source.indexOf('>', this.pos) + 1;
+            return { type: 'backreference', start, end: this.pos };
+        }
+        if (char === 'p' || char === 'P') {
+            if (this.source[this.pos] === '{') {
+                this.pos = this.source.indexOf('}', this.pos) + 1;
+            }
+            return { type: 'set', set: CharSet.any(), start, end: this.pos };
+        }
+
+        let code;
+        const hex = char === 'x' ? /^[0-9A-Fa-f]{2}/.exec(this.source.slice(this.pos)) :
+            char === 'u' ? /^(?:[0-9A-Fa-f]{4}|\{[0-9A-Fa-f]+\})/.exec(this.source.slice(this.pos)) : null;
+        if (hex) {
+            this.pos += hex[0].length;
+            code = parseInt(hex[0].replace(/[{}]/g, ''), 16);
+        } else {
+            const controls = { n: 10, r: 13, t: 9, v: 11, f: 12, '0': 0 };
+            code = char in controls ? controls[char] : char.charCodeAt(0);
+        }
+
+        return { type: 'char', code, set: CharSet.of(code, this.ignoreCase), start, end: this.pos };
+    }
+}
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { ReDoSChecker, REDOS_SEVERITY };
+}
+
+// For browser environment
+if (typeof window !== 'undefined') {
+    window.ReDoSChecker = ReDoSChecker;
+}
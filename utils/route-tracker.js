@@ -0,0 +1,115 @@
+/**
+ * Route tracker for single-page apps
+ * Follows client-side navigations (History API pushState / replaceState,
+ * reported by utils/network-interceptor.js, plus popstate and hashchange) so
+ * findings and captured requests can be tagged with the route they were seen
+ * on. A route is the path plus a hash-router fragment (#/users, #!/users);
+ * query strings and in-page anchors do not start a new route
+ */
+
+// Hash fragments that hold a client-side route rather than an anchor
+const HASH_ROUTE_PATTERN = /^#!?\//;
+
+class RouteTracker {
+    /**
+     * @param {Object} options - Optional { getUrl(), onChange(change), maxRoutes }
+     */
+    constructor(options = {}) {
+        this.getUrl = options.getUrl || (() => window.location.href);
+        this.onChange = options.onChange || (() => {});
+        this.maxRoutes = options.maxRoutes || 100;
+
+        this.currentRoute = RouteTracker.getRoute(this.getUrl());
+        this.routes = [this.currentRoute];
+        this.target = null;
+        this.listener = () => this.handleNavigation(this.getUrl(), 'history');
+    }
+
+    /**
+     * Listens for back/forward and hash navigations
+     * pushState and replaceState fire no event; they arrive through handleNavigation
+     * @param {EventTarget} target - Window to listen on
+     */
+    start(target = window) {
+        if (this.target) {
+            return;
+        }
+        this.target = target;
+        target.addEventListener('popstate', this.listener);
+        target.addEventListener('hashchange', this.listener);
+    }
+
+    /**
+     * Stops listening
+     */
+    stop() {
+        if (this.target) {
+            this.target.removeEventListener('popstate', this.listener);
+            this.target.removeEventListener('hashchange', this.listener);
+            this.target = null;
+        }
+    }
+
+    /**
+     * Records a navigation and reports it if it changed the route
+     * @param {string} url - URL after the navigation
+     * @param {string} trigger - pushState, replaceState or history
+     * @returns {boolean} True if the route changed
+     */
+    handleNavigation(url, trigger) {
+        const route = RouteTracker.getRoute(url);
+        if (!route || route === this.currentRoute) {
+            return false;
+        }
+
+        const previousRoute = this.currentRoute;
+        this.currentRoute = route;
+        if (!this.routes.includes(route) && this.routes.length < this.maxRoutes) {
+            this.routes.push(route);
+        }
+
+        this.onChange({ route, previousRoute, url, trigger });
+        return true;
+    }
+
+    /**
+     * Gets the route the page is on
+     * @returns {string} Route
+     */
+    getCurrentRoute() {
+        return this.currentRoute;
+    }
+
+    /**
+     * Gets the routes visited since the page loaded, in first-visit order
+     * @returns {Array<string>} Routes
+     */
+    getRoutes() {
+        return [...this.routes];
+    }
+
+    /**
+     * Reduces a URL to its route
+     * @param {string} url - Page URL
+     * @returns {string|null} e.g. /settings/keys or /app#/settings/keys
+     */
+    static getRoute(url) {
+        try {
+            const parsed = new URL(url);
+            const path = parsed.pathname.length > 1 ? parsed.pathname.replace(/\/+$/, '') : parsed.pathname;
+            return HASH_ROUTE_PATTERN.test(parsed.hash) ? `${path}${parsed.hash}` : path;
+        } catch (error) {
+            return null;
+        }
+    }
+}
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { RouteTracker };
+}
+
+// For browser environment
+if (typeof window !== 'undefined') {
+    window.RouteTracker = RouteTracker;
+}
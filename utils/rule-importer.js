@@ -0,0 +1,976 @@
+/**
+ * Rule importer for external secret-scanner definitions
+ * Converts gitleaks TOML rules and TruffleHog custom detectors into
+ * FerretWatch rule packs (see utils/rule-pack.js). Anything that cannot be
+ * expressed in the browser is reported instead of being silently dropped.
+ */
+
+// RE2 POSIX bracket classes and their JavaScript equivalents
+const POSIX_CLASSES = {
+    alnum: 'a-zA-Z0-9',
+    alpha: 'a-zA-Z',
+    ascii: '\\x00-\\x7F',
+    blank: ' \\t',
+    cntrl: '\\x00-\\x1F\\x7F',
+    digit: '0-9',
+    graph: '!-~',
+    lower: 'a-z',
+    print: ' -~',
+    punct: '!-\\/:-@\\[-`{-~',
+    space: '\\t\\n\\v\\f\\r ',
+    upper: 'A-Z',
+    word: '\\w',
+    xdigit: '0-9A-Fa-f'
+};
+
+class RuleImporter {
+    /**
+     * Imports rules from JSON rule pack, gitleaks TOML or TruffleHog YAML/JSON text
+     * @param {string} text - Rule definitions
+     * @param {Object} options - { name, riskLevel, category }
+     * @returns {Object} { pack, report: { format, imported, skipped, warnings } }
+     */
+    static importRules(text, options = {}) {
+        const format = RuleImporter.detectFormat(text);
+
+        switch (format) {
+            case 'rulepack':
+                return {
+                    pack: JSON.parse(text),
+                    report: { format, imported: [], skipped: [], warnings: [] }
+                };
+            case 'gitleaks':
+                return RuleImporter.importGitleaks(text, options);
+            case 'trufflehog':
+                return RuleImporter.importTruffleHog(text, options);
+            default:
+                throw new Error('Unrecognized rule format (expected a FerretWatch rule pack, gitleaks TOML or TruffleHog detectors)');
+        }
+    }
+
+    /**
+     * Detects the format of rule definition text
+     * @param {string} text - Rule definitions
+     * @returns {string|null} 'rulepack' | 'gitleaks' | 'trufflehog' | null
+     */
+    static detectFormat(text) {
+        if (typeof text !== 'string' || text.trim() === '') {
+            return null;
+        }
+
+        try {
+            const json = JSON.parse(text);
+            if (json && Array.isArray(json.detectors)) {
+                return 'trufflehog';
+            }
+            return 'rulepack';
+        } catch (error) {
+            // Not JSON, fall through to text formats
+        }
+
+        if (/^\s*\[\[rules\]\]/m.test(text)) {
+            return 'gitleaks';
+        }
+        if (/^\s*detectors\s*:/m.test(text) || /^\s*-\s*name\s*:/m.test(text)) {
+            return 'trufflehog';
+        }
+        return null;
+    }
+
+    /**
+     * Converts a gitleaks configuration into a rule pack
+     * @param {string} text - gitleaks TOML configuration
+     * @param {Object} options - { name, riskLevel, category }
+     * @returns {Object} { pack, report }
+     */
+    static importGitleaks(text, options = {}) {
+        const config = RuleImporter.parseToml(text);
+        const report = { format: 'gitleaks', imported: [], skipped: [], warnings: [] };
+        const rules = [];
+        const seenIds = new Set();
+
+        if (config.extend) {
+            report.warnings.push({ id: '*', message: '[extend] is not supported; only rules defined in this file are imported' });
+        }
+
+        // Global allowlists apply to every rule
+        const globalAllowlists = [
+            ...(config.allowlist ? [config.allowlist] : []),
+            ...(Array.isArray(config.allowlists) ? config.allowlists : [])
+        ];
+
+        (config.rules || []).forEach((rule, index) => {
+            const id = RuleImporter._sanitizeId(rule.id || `rule-${index + 1}`);
+            const warn = message => report.warnings.push({ id, message });
+
+            if (seenIds.has(id)) {
+                report.skipped.push({ id, reason: 'duplicate rule id' });
+                return;
+            }
+
+            if (!rule.regex) {
+                report.skipped.push({
+                    id,
+                    reason: rule.path ? 'path-only rules have no meaning for web content' : 'rule has no regex'
+                });
+                return;
+            }
+
+            const converted = RuleImporter.convertRegex(rule.regex);
+            if (converted.error) {
+                report.skipped.push({ id, reason: converted.error });
+                return;
+            }
+            converted.warnings.forEach(warn);
+
+            if (rule.path) {
+                warn('"path" is ignored; the rule applies to all scanned content');
+            }
+
+            const imported = {
+                id,
+                regex: converted.source,
+                flags: converted.flags,
+                description: rule.description || id,
+                riskLevel: options.riskLevel || 'high',
+                category: options.category || 'custom'
+            };
+
+            if (Array.isArray(rule.keywords) && rule.keywords.length > 0) {
+                imported.keywords = rule.keywords.map(String);
+            }
+
+            if (typeof rule.entropy === 'number') {
+                imported.entropy = rule.entropy;
+            }
+
+            const groupCount = RuleImporter._countGroups(converted.source, converted.flags);
+            if (typeof rule.secretGroup === 'number') {
+                if (rule.secretGroup > groupCount) {
+                    report.skipped.push({ id, reason: `secretGroup ${rule.secretGroup} does not exist in the regex` });
+                    return;
+                }
+                imported.secretGroup = rule.secretGroup;
+            } else if (groupCount > 0) {
+                // gitleaks reports the first capture group when secretGroup is unset
+                imported.secretGroup = 1;
+            }
+
+            const ruleAllowlists = [
+                ...(rule.allowlist ? [rule.allowlist] : []),
+                ...(Array.isArray(rule.allowlists) ? rule.allowlists : []),
+                ...globalAllowlists
+            ];
+            const allowlists = ruleAllowlists
+                .map(allowlist => RuleImporter._convertGitleaksAllowlist(allowlist, warn))
+                .filter(Boolean);
+            if (allowlists.length > 0) {
+                imported.allowlists = allowlists;
+            }
+
+            const errors = RuleImporter._validateImportedRule(imported);
+            if (errors.length > 0) {
+                report.skipped.push({ id, reason: errors.join('; ') });
+                return;
+            }
+
+            seenIds.add(id);
+            rules.push(imported);
+            report.imported.push(id);
+        });
+
+        return {
+            pack: {
+                name: RuleImporter._sanitizeId(options.name || config.title || 'gitleaks-import'),
+                version: options.version || '1.0.0',
+                source: 'gitleaks',
+                rules
+            },
+            report
+        };
+    }
+
+    /**
+     * Converts TruffleHog custom detectors into a rule pack
+     * Each named regex of a detector becomes its own rule
+     * @param {string} text - TruffleHog YAML (or JSON) configuration
+     * @param {Object} options - { name, riskLevel, category }
+     * @returns {Object} { pack, report }
+     */
+    static importTruffleHog(text, options = {}) {
+        let config;
+        try {
+            config = JSON.parse(text);
+        } catch (error) {
+            config = RuleImporter.parseYaml(text);
+        }
+
+        const detectors = Array.isArray(config) ? config :
+            Array.isArray(config && config.detectors) ? config.detectors : [config];
+        const report = { format: 'trufflehog', imported: [], skipped: [], warnings: [] };
+        const rules = [];
+        const seenIds = new Set();
+
+        detectors.forEach((detector, index) => {
+            const detectorId = RuleImporter._sanitizeId(detector && detector.name || `detector-${index + 1}`);
+
+            if (!detector || typeof detector.regex !== 'object' || detector.regex === null) {
+                report.skipped.push({ id: detectorId, reason: 'detector has no regex map' });
+                return;
+            }
+
+            const regexEntries = Object.entries(detector.regex);
+            if (regexEntries.length > 1) {
+                report.warnings.push({
+                    id: detectorId,
+                    message: 'detector requires all regexes to match together; each regex is imported as an independent rule'
+                });
+            }
+            if (detector.verify) {
+                report.warnings.push({
+                    id: detectorId,
+                    message: 'verification endpoints are not supported; matches are reported unverified'
+                });
+            }
+
+            const allowlists = [];
+            if (Array.isArray(detector.exclude_words) && detector.exclude_words.length > 0) {
+                allowlists.push({ stopwords: detector.exclude_words.map(String) });
+            }
+            [['exclude_regexes_capture', 'secret'], ['exclude_regexes_match', 'match']].forEach(([key, target]) => {
+                if (Array.isArray(detector[key]) && detector[key].length > 0) {
+                    const allowlist = RuleImporter._convertAllowlistRegexes(detector[key], target,
+                        message => report.warnings.push({ id: detectorId, message }));
+                    if (allowlist) {
+                        allowlists.push(allowlist);
+                    }
+                }
+            });
+
+            regexEntries.forEach(([regexName, source]) => {
+                const id = RuleImporter._sanitizeId(regexEntries.length > 1 ? `${detectorId}-${regexName}` : detectorId);
+
+                if (seenIds.has(id)) {
+                    report.skipped.push({ id, reason: 'duplicate rule id' });
+                    return;
+                }
+
+                const converted = RuleImporter.convertRegex(String(source));
+                if (converted.error) {
+                    report.skipped.push({ id, reason: converted.error });
+                    return;
+                }
+                converted.warnings.forEach(message => report.warnings.push({ id, message }));
+
+                const imported = {
+                    id,
+                    regex: converted.source,
+                    flags: converted.flags,
+                    description: regexEntries.length > 1 ? `${detector.name} (${regexName})` : String(detector.name || id),
+                    riskLevel: options.riskLevel || 'high',
+                    category: options.category || 'custom'
+                };
+
+                if (Array.isArray(detector.keywords) && detector.keywords.length > 0) {
+                    imported.keywords = detector.keywords.map(String);
+                }
+                if (typeof detector.entropy === 'number') {
+                    imported.entropy = detector.entropy;
+                }
+                // TruffleHog reports the first capture group when one exists
+                if (RuleImporter._countGroups(converted.source, converted.flags) > 0) {
+                    imported.secretGroup = 1;
+                }
+                if (allowlists.length > 0) {
+                    imported.allowlists = allowlists;
+                }
+
+                const errors = RuleImporter._validateImportedRule(imported);
+                if (errors.length > 0) {
+                    report.skipped.push({ id, reason: errors.join('; ') });
+                    return;
+                }
+
+                seenIds.add(id);
+                rules.push(imported);
+                report.imported.push(id);
+            });
+        });
+
+        return {
+            pack: {
+                name: RuleImporter._sanitizeId(options.name || 'trufflehog-import'),
+                version: options.version || '1.0.0',
+                source: 'trufflehog',
+                rules
+            },
+            report
+        };
+    }
+
+    /**
+     * Converts a Go RE2 regex into JavaScript source and flags
+     * Handles inline flags, named groups, POSIX classes, \Q..\E, \z/\A,
+     * \pL and \x{...}; reports constructs JavaScript cannot express
+     * @param {string} source - RE2 regex source
+     * @returns {Object} { source, flags, warnings, error }
+     */
+    static convertRegex(source) {
+        const warnings = [];
+        const flags = new Set();
+        let pattern = String(source);
+        let leading;
+
+        // Leading inline flags apply to the whole pattern, e.g. (?i) or (?is)
+        while ((leading = /^\(\?([a-zA-Z]+)\)/.exec(pattern))) {
+            const error = RuleImporter._applyInlineFlags(leading[1], flags);
+            if (error) {
+                return { source, flags: '', warnings, error };
+            }
+            pattern = pattern.slice(leading[0].length);
+        }
+
+        let out = '';
+        let inClass = false;
+
+        for (let i = 0; i < pattern.length; i++) {
+            const ch = pattern[i];
+            const next = pattern[i + 1];
+
+            if (ch === '\\') {
+                if (next === 'Q') {
+                    const end = pattern.indexOf('\\E', i + 2);
+                    const literal = pattern.slice(i + 2, end === -1 ? pattern.length : end);
+                    out += literal.replace(/[.*+?^${}()|[\]\\\/-]/g, '\\$&');
+                    i = end === -1 ? pattern.length : end + 1;
+                    continue;
+                }
+                if (next === 'C') {
+                    return { source, flags: '', warnings, error: 'unsupported construct \\C (single byte)' };
+                }
+                if (!inClass && next === 'z') {
+                    out += '(?![\\s\\S])';
+                    i++;
+                    continue;
+                }
+                if (!inClass && next === 'A') {
+                    out += '(?<![\\s\\S])';
+                    i++;
+                    continue;
+                }
+                if ((next === 'p' || next === 'P') && pattern[i + 2] !== '{' && pattern[i + 2] !== undefined) {
+                    out += `\\${next}{${pattern[i + 2]}}`;
+                    flags.add('u');
+                    i += 2;
+                    continue;
+                }
+                if (next === 'p' || next === 'P') {
+                    flags.add('u');
+                }
+                if (next === 'x' && pattern[i + 2] === '{') {
+                    const end = pattern.indexOf('}', i + 3);
+                    if (end === -1) {
+                        return { source, flags: '', warnings, error: 'unterminated \\x{...} escape' };
+                    }
+                    out += `\\u{${pattern.slice(i + 3, end)}}`;
+                    flags.add('u');
+                    i = end;
+                    continue;
+                }
+                out += ch + (next === undefined ? '' : next);
+                i++;
+                continue;
+            }
+
+            if (inClass) {
+                if (ch === '[' && next === ':') {
+                    const end = pattern.indexOf(':]', i + 2);
+                    const name = end === -1 ? null : pattern.slice(i + 2, end);
+                    if (!name || name.startsWith('^') || !POSIX_CLASSES[name]) {
+                        return { source, flags: '', warnings, error: `unsupported POSIX class [:${name || '?'}:]` };
+                    }
+                    out += POSIX_CLASSES[name];
+                    i = end + 1;
+                    continue;
+                }
+                if (ch === '[') {
+                    out += '\\[';
+                    continue;
+                }
+                if (ch === ']') {
+                    inClass = false;
+                }
+                out += ch;
+                continue;
+            }
+
+            if (ch === '[') {
+                inClass = true;
+                out += ch;
+                if (next === '^') {
+                    out += '^';
+                    i++;
+                }
+                if (pattern[i + 1] === ']') {
+                    out += '\\]';
+                    i++;
+                }
+                continue;
+            }
+
+            if (ch === '(' && next === '?') {
+                const rest = pattern.slice(i);
+                if (rest.startsWith('(?P<')) {
+                    out += '(?<';
+                    i += 3;
+                    continue;
+                }
+
+                const inline = /^\(\?([a-zA-Z-]+)(:|\))/.exec(rest);
+                if (inline) {
+                    const error = RuleImporter._applyInlineFlags(inline[1], flags);
+                    if (error) {
+                        return { source, flags: '', warnings, error };
+                    }
+                    warnings.push(`inline flags (?${inline[1]}) are applied to the whole pattern`);
+                    out += inline[2] === ':' ? '(?:' : '';
+                    i += inline[0].length - 1;
+                    continue;
+                }
+            }
+
+            out += ch;
+        }
+
+        const result = { source: out, flags: Array.from(flags).join(''), warnings, error: null };
+        try {
+            new RegExp(result.source, result.flags);
+        } catch (error) {
+            result.error = `regex cannot be compiled in JavaScript: ${error.message}`;
+        }
+        return result;
+    }
+
+    /**
+     * Applies RE2 inline flags to a JavaScript flag set
+     * @private
+     * @returns {string|null} Error message for unsupported flags
+     */
+    static _applyInlineFlags(flagText, flags) {
+        const [enabled, disabled] = flagText.split('-');
+        if (disabled) {
+            return `unsupported inline flag negation (?${flagText})`;
+        }
+        for (const flag of enabled) {
+            if (flag === 'U') {
+                return 'unsupported inline flag (?U) (ungreedy)';
+            }
+            if (!'ims'.includes(flag)) {
+                return `unsupported inline flag (?${flag})`;
+            }
+            flags.add(flag);
+        }
+        return null;
+    }
+
+    /**
+     * Converts a gitleaks allowlist table into a rule pack allowlist
+     * @private
+     */
+    static _convertGitleaksAllowlist(allowlist, warn) {
+        if (!allowlist || typeof allowlist !== 'object') {
+            return null;
+        }
+
+        if (allowlist.paths) {
+            warn('allowlist "paths" are ignored; web content has no file paths');
+        }
+        if (allowlist.commits) {
+            warn('allowlist "commits" are ignored; web content has no commits');
+        }
+
+        const converted = Array.isArray(allowlist.regexes) && allowlist.regexes.length > 0 ?
+            RuleImporter._convertAllowlistRegexes(allowlist.regexes, allowlist.regexTarget || 'secret', warn) : {};
+        if (!converted) {
+            return null;
+        }
+
+        if (Array.isArray(allowlist.stopwords) && allowlist.stopwords.length > 0) {
+            converted.stopwords = allowlist.stopwords.map(String);
+        }
+        if (!converted.regexes && !converted.stopwords) {
+            return null;
+        }
+
+        converted.regexTarget = converted.regexTarget || allowlist.regexTarget || 'secret';
+        if (allowlist.description) {
+            converted.description = String(allowlist.description);
+        }
+        if (allowlist.condition) {
+            converted.condition = String(allowlist.condition).toUpperCase();
+        }
+        return converted;
+    }
+
+    /**
+     * Converts allowlist regexes, sharing one flag set across them
+     * @private
+     */
+    static _convertAllowlistRegexes(sources, regexTarget, warn) {
+        const regexes = [];
+        const flags = new Set();
+        const flagVariants = new Set();
+
+        sources.forEach(source => {
+            const converted = RuleImporter.convertRegex(String(source));
+            if (converted.error) {
+                warn(`allowlist regex "${source}" dropped: ${converted.error}`);
+                return;
+            }
+            converted.flags.split('').forEach(flag => flags.add(flag));
+            flagVariants.add(converted.flags);
+            regexes.push(converted.source);
+        });
+
+        if (regexes.length === 0) {
+            return null;
+        }
+        if (flagVariants.size > 1) {
+            warn(`allowlist regex flags "${Array.from(flags).join('')}" are applied to every regex in the allowlist`);
+        }
+
+        return { regexes, regexFlags: Array.from(flags).join(''), regexTarget };
+    }
+
+    /**
+     * Counts capture groups in a JavaScript regex
+     * @private
+     */
+    static _countGroups(source, flags = '') {
+        return new RegExp(`${source}|`, flags).exec('').length - 1;
+    }
+
+    /**
+     * Validates an imported rule with the rule pack validator when available
+     * @private
+     */
+    static _validateImportedRule(rule) {
+        const manager = typeof RulePackManager !== 'undefined' ? RulePackManager :
+            (typeof window !== 'undefined' ? window.RulePackManager : null);
+        return manager ? manager.validateRule(rule) : [];
+    }
+
+    /**
+     * Turns arbitrary names into rule pack identifiers
+     * @private
+     */
+    static _sanitizeId(name) {
+        const id = String(name).trim().replace(/[^A-Za-z0-9._-]+/g, '-').replace(/^[^A-Za-z0-9]+/, '');
+        return id || 'imported';
+    }
+
+    /**
+     * Minimal TOML parser covering the subset used by gitleaks configurations:
+     * tables, arrays of tables, dotted keys, strings (basic, literal and
+     * multi-line), numbers, booleans, arrays and inline tables
+     * @param {string} text - TOML text
+     * @returns {Object} Parsed document
+     */
+    static parseToml(text) {
+        const root = {};
+        let current = root;
+        let pos = 0;
+        let line = 1;
+
+        const fail = message => {
+            throw new Error(`TOML parse error on line ${line}: ${message}`);
+        };
+
+        const peek = (offset = 0) => text[pos + offset];
+
+        const skipWhitespace = (newlines = false) => {
+            while (pos < text.length) {
+                const ch = text[pos];
+                if (ch === ' ' || ch === '\t' || ch === '\r') {
+                    pos++;
+                } else if (ch === '#') {
+                    while (pos < text.length && text[pos] !== '\n') pos++;
+                } else if (newlines && ch === '\n') {
+                    line++;
+                    pos++;
+                } else {
+                    break;
+                }
+            }
+        };
+
+        const parseKey = () => {
+            const parts = [];
+            do {
+                skipWhitespace();
+                if (peek() === '"' || peek() === "'") {
+                    parts.push(parseString());
+                } else {
+                    const match = /^[A-Za-z0-9_-]+/.exec(text.slice(pos));
+                    if (!match) fail('expected key');
+                    parts.push(match[0]);
+                    pos += match[0].length;
+                }
+                skipWhitespace();
+            } while (peek() === '.' && ++pos);
+            return parts;
+        };
+
+        const parseString = () => {
+            const quote = peek();
+            const multiline = text.startsWith(quote.repeat(3), pos);
+            const delimiter = multiline ? quote.repeat(3) : quote;
+            pos += delimiter.length;
+
+            if (multiline && peek() === '\n') {
+                line++;
+                pos++;
+            } else if (multiline && text.startsWith('\r\n', pos)) {
+                line++;
+                pos += 2;
+            }
+
+            let value = '';
+            while (pos < text.length) {
+                if (text.startsWith(delimiter, pos)) {
+                    // Allow up to two quotes directly before a closing multi-line delimiter
+                    while (multiline && text[pos + 3] === quote) {
+                        value += quote;
+                        pos++;
+                    }
+                    pos += delimiter.length;
+                    return value;
+                }
+
+                const ch = text[pos];
+                if (ch === '\n') {
+                    if (!multiline) fail('unterminated string');
+                    line++;
+                }
+
+                if (ch === '\\' && quote === '"') {
+                    const esc = text[pos + 1];
+                    const simple = { b: '\b', t: '\t', n: '\n', f: '\f', r: '\r', '"': '"', '\\': '\\' };
+                    if (simple[esc] !== undefined) {
+                        value += simple[esc];
+                        pos += 2;
+                    } else if (esc === 'u' || esc === 'U') {
+                        const length = esc === 'u' ? 4 : 8;
+                        value += String.fromCodePoint(parseInt(text.slice(pos + 2, pos + 2 + length), 16));
+                        pos += 2 + length;
+                    } else if (multiline && (esc === '\n' || esc === '\r' || esc === ' ' || esc === '\t')) {
+                        // Line-ending backslash trims following whitespace
+                        pos++;
+                        while (/\s/.test(text[pos] || '')) {
+                            if (text[pos] === '\n') line++;
+                            pos++;
+                        }
+                    } else {
+                        fail(`invalid escape \\${esc}`);
+                    }
+                    continue;
+                }
+
+                value += ch;
+                pos++;
+            }
+            return fail('unterminated string');
+        };
+
+        const parseValue = () => {
+            skipWhitespace();
+            const ch = peek();
+
+            if (ch === '"' || ch === "'") {
+                return parseString();
+            }
+
+            if (ch === '[') {
+                pos++;
+                const values = [];
+                skipWhitespace(true);
+                while (peek() !== ']') {
+                    if (pos >= text.length) fail('unterminated array');
+                    values.push(parseValue());
+                    skipWhitespace(true);
+                    if (peek() === ',') {
+                        pos++;
+                        skipWhitespace(true);
+                    } else if (peek() !== ']') {
+                        fail('expected "," or "]" in array');
+                    }
+                }
+                pos++;
+                return values;
+            }
+
+            if (ch === '{') {
+                pos++;
+                const table = {};
+                skipWhitespace();
+                while (peek() !== '}') {
+                    const key = parseKey();
+                    if (peek() !== '=') fail('expected "=" in inline table');
+                    pos++;
+                    assign(table, key, parseValue());
+                    skipWhitespace();
+                    if (peek() === ',') {
+                        pos++;
+                        skipWhitespace();
+                    } else if (peek() !== '}') {
+                        fail('expected "," or "}" in inline table');
+                    }
+                }
+                pos++;
+                return table;
+            }
+
+            const match = /^[^\s,\]}#]+/.exec(text.slice(pos));
+            if (!match) fail('expected value');
+            pos += match[0].length;
+            const literal = match[0];
+
+            if (literal === 'true') return true;
+            if (literal === 'false') return false;
+            if (/^[+-]?(\d[\d_]*)(\.\d[\d_]*)?([eE][+-]?\d+)?$/.test(literal)) {
+                return Number(literal.replace(/_/g, ''));
+            }
+            return fail(`unsupported value "${literal}"`);
+        };
+
+        const resolveTable = (path, isArray) => {
+            let table = root;
+            path.forEach((part, index) => {
+                const last = index === path.length - 1;
+                if (last && isArray) {
+                    if (!Array.isArray(table[part])) table[part] = [];
+                    const entry = {};
+                    table[part].push(entry);
+                    table = entry;
+                    return;
+                }
+                if (table[part] === undefined) {
+                    table[part] = {};
+                }
+                table = Array.isArray(table[part]) ? table[part][table[part].length - 1] : table[part];
+                if (typeof table !== 'object' || table === null) {
+                    fail(`key "${path.join('.')}" is not a table`);
+                }
+            });
+            return table;
+        };
+
+        const assign = (table, keyPath, value) => {
+            let target = table;
+            keyPath.slice(0, -1).forEach(part => {
+                if (target[part] === undefined) target[part] = {};
+                target = target[part];
+            });
+            target[keyPath[keyPath.length - 1]] = value;
+        };
+
+        while (pos < text.length) {
+            skipWhitespace(true);
+            if (pos >= text.length) break;
+
+            if (peek() === '[') {
+                const isArray = peek(1) === '[';
+                pos += isArray ? 2 : 1;
+                const path = parseKey();
+                if (!text.startsWith(isArray ? ']]' : ']', pos)) fail('unterminated table header');
+                pos += isArray ? 2 : 1;
+                current = resolveTable(path, isArray);
+            } else {
+                const key = parseKey();
+                if (peek() !== '=') fail(`expected "=" after key "${key.join('.')}"`);
+                pos++;
+                assign(current, key, parseValue());
+            }
+
+            skipWhitespace();
+            if (pos < text.length && peek() !== '\n') fail('unexpected content after value');
+        }
+
+        return root;
+    }
+
+    /**
+     * Minimal YAML parser covering the subset used by TruffleHog detector
+     * configs: block mappings and sequences, plain/quoted scalars, flow
+     * sequences and comments. Anchors, tags and block scalars are rejected.
+     * @param {string} text - YAML text
+     * @returns {*} Parsed document
+     */
+    static parseYaml(text) {
+        const lines = [];
+        text.split(/\r?\n/).forEach((raw, index) => {
+            const content = RuleImporter._stripYamlComment(raw);
+            if (content.trim() === '' || content.trim() === '---') return;
+            const indent = content.length - content.trimStart().length;
+            lines.push({ indent, text: content.trim(), number: index + 1 });
+        });
+
+        let index = 0;
+
+        const fail = (lineInfo, message) => {
+            throw new Error(`YAML parse error on line ${lineInfo ? lineInfo.number : '?'}: ${message}`);
+        };
+
+        const parseScalar = (value, lineInfo) => {
+            if (value === '') return null;
+            if (/^[&*!|>]/.test(value)) {
+                fail(lineInfo, `unsupported YAML feature "${value[0]}"`);
+            }
+            if (value.startsWith('"')) {
+                try {
+                    return JSON.parse(value);
+                } catch (error) {
+                    fail(lineInfo, 'invalid double-quoted string');
+                }
+            }
+            if (value.startsWith("'")) {
+                if (!value.endsWith("'") || value.length < 2) fail(lineInfo, 'invalid single-quoted string');
+                return value.slice(1, -1).replace(/''/g, "'");
+            }
+            if (value.startsWith('[')) {
+                if (!value.endsWith(']')) fail(lineInfo, 'multi-line flow sequences are not supported');
+                return RuleImporter._splitFlowSequence(value.slice(1, -1))
+                    .map(item => parseScalar(item.trim(), lineInfo));
+            }
+            if (value === 'true' || value === 'false') return value === 'true';
+            if (value === 'null' || value === '~') return null;
+            if (/^[+-]?\d+(\.\d+)?$/.test(value)) return Number(value);
+            return value;
+        };
+
+        const splitKeyValue = lineText => {
+            const match = /^("(?:[^"\\]|\\.)*"|'(?:[^']|'')*'|[^:]+?)\s*:(?:\s+(.*))?$/.exec(lineText);
+            if (!match) return null;
+            let key = match[1];
+            if (key.startsWith('"') || key.startsWith("'")) key = parseScalar(key);
+            return { key, value: (match[2] || '').trim() };
+        };
+
+        const parseBlock = indent => {
+            const first = lines[index];
+            if (!first || first.indent < indent) return null;
+            return first.text.startsWith('- ') || first.text === '-' ?
+                parseSequence(first.indent) : parseMapping(first.indent);
+        };
+
+        const parseSequence = indent => {
+            const items = [];
+            while (index < lines.length && lines[index].indent === indent &&
+                (lines[index].text.startsWith('- ') || lines[index].text === '-')) {
+                const lineInfo = lines[index];
+                const rest = lineInfo.text.slice(1).trim();
+                index++;
+
+                if (rest === '') {
+                    items.push(parseBlock(indent + 1));
+                } else if (splitKeyValue(rest) && !/^["'[]/.test(rest)) {
+                    // "- key: value" starts a mapping indented at the item content
+                    const itemIndent = indent + lineInfo.text.indexOf(rest);
+                    lines.splice(index, 0, { indent: itemIndent, text: rest, number: lineInfo.number });
+                    items.push(parseMapping(itemIndent));
+                } else {
+                    items.push(parseScalar(rest, lineInfo));
+                }
+            }
+            return items;
+        };
+
+        const parseMapping = indent => {
+            const mapping = {};
+            while (index < lines.length && lines[index].indent === indent) {
+                const lineInfo = lines[index];
+                if (lineInfo.text.startsWith('- ')) break;
+
+                const pair = splitKeyValue(lineInfo.text);
+                if (!pair) fail(lineInfo, 'expected "key: value"');
+                index++;
+
+                if (pair.value === '') {
+                    const next = lines[index];
+                    if (next && next.indent > indent) {
+                        mapping[pair.key] = parseBlock(next.indent);
+                    } else if (next && next.indent === indent && next.text.startsWith('- ')) {
+                        mapping[pair.key] = parseSequence(indent);
+                    } else {
+                        mapping[pair.key] = null;
+                    }
+                } else {
+                    mapping[pair.key] = parseScalar(pair.value, lineInfo);
+                }
+            }
+            return mapping;
+        };
+
+        const result = parseBlock(0);
+        if (index < lines.length) {
+            fail(lines[index], 'unexpected indentation');
+        }
+        return result;
+    }
+
+    /**
+     * Removes a trailing YAML comment outside of quotes
+     * @private
+     */
+    static _stripYamlComment(raw) {
+        let quote = null;
+        for (let i = 0; i < raw.length; i++) {
+            const ch = raw[i];
+            if (quote) {
+                if (ch === '\\' && quote === '"') i++;
+                else if (ch === quote) quote = null;
+            } else if (ch === '"' || ch === "'") {
+                quote = ch;
+            } else if (ch === '#' && (i === 0 || /\s/.test(raw[i - 1]))) {
+                return raw.slice(0, i).replace(/\s+$/, '');
+            }
+        }
+        return raw.replace(/\s+$/, '');
+    }
+
+    /**
+     * Splits a flow sequence body on top-level commas
+     * @private
+     */
+    static _splitFlowSequence(body) {
+        const items = [];
+        let quote = null;
+        let start = 0;
+        for (let i = 0; i < body.length; i++) {
+            const ch = body[i];
+            if (quote) {
+                if (ch === '\\' && quote === '"') i++;
+                else if (ch === quote) quote = null;
+            } else if (ch === '"' || ch === "'") {
+                quote = ch;
+            } else if (ch === ',') {
+                items.push(body.slice(start, i));
+                start = i + 1;
+            }
+        }
+        if (body.slice(start).trim() !== '') {
+            items.push(body.slice(start));
+        }
+        return items;
+    }
+}
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { RuleImporter };
+}
+
+// For browser environment
+if (typeof window !== 'undefined') {
+    window.RuleImporter = RuleImporter;
+}
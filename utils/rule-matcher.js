@@ -0,0 +1,105 @@
+/**
+ * Rule matching shared by the page scanner (utils/scanner.js) and the pattern
+ * matching worker (utils/scan-worker.js): the windows a rule's regex runs
+ * over, where a match's secret starts, and private key blocks as matches.
+ * Both load this script, so a rule reports the same matches wherever it runs
+ */
+
+// User-supplied rules scan in windows of this size; the overlap lets
+// matches that start near a window's end finish in the same window
+const RULE_WINDOW_SIZE = 16384;
+const RULE_WINDOW_OVERLAP = 1024;
+
+class RuleMatcher {
+    /**
+     * Split text into overlapping chunks
+     * @param {string} text - Text to split
+     * @param {number} chunkSize - Characters each chunk owns
+     * @param {number} overlap - Characters each chunk reads past its end
+     * @returns {Array<Object>} { text, offset, ownedEnd } - matches starting at or after ownedEnd belong to the next chunk
+     */
+    static splitIntoChunks(text, chunkSize, overlap = 0) {
+        if (text.length <= chunkSize + overlap) {
+            return [{ text, offset: 0, ownedEnd: text.length }];
+        }
+
+        const chunks = [];
+        for (let offset = 0; offset < text.length; offset += chunkSize) {
+            chunks.push({
+                text: text.slice(offset, offset + chunkSize + overlap),
+                offset,
+                ownedEnd: Math.min(offset + chunkSize, text.length)
+            });
+        }
+        return chunks;
+    }
+
+    /**
+     * Split text into the windows a rule's regex runs over
+     * User-supplied rules run over overlapping windows so the time budget is
+     * checked between windows and a slow regex never sees the whole page at
+     * once; built-in rules scan the text in one pass
+     * @param {string} text - Text to scan
+     * @param {boolean} windowed - Whether the rule is user-supplied (from a rule pack)
+     * @returns {Array<Object>} { text, offset, ownedEnd } - matches starting at or after ownedEnd belong to the next window
+     */
+    static getScanWindows(text, windowed) {
+        if (!windowed) {
+            return [{ text, offset: 0, ownedEnd: text.length }];
+        }
+        return RuleMatcher.splitIntoChunks(text, RULE_WINDOW_SIZE, RULE_WINDOW_OVERLAP);
+    }
+
+    /**
+     * Turns a regex match in a window into a match in the scanned text
+     * Rules with a secretGroup report only that capture group as the secret
+     * @param {Array} match - Match from matchAll over the window
+     * @param {number} offset - Offset of the window in the scanned text
+     * @param {number} secretGroup - Capture group holding the secret (0 = whole match)
+     * @returns {Object|null} { value, index, match }, null if the group did not match
+     */
+    static toMatch(match, offset, secretGroup = 0) {
+        const value = match[secretGroup];
+        if (!value) {
+            return null;
+        }
+
+        const index = offset + match.index;
+        return {
+            value,
+            index: secretGroup > 0 ? index + Math.max(0, match[0].indexOf(value)) : index,
+            match: match[0]
+        };
+    }
+
+    /**
+     * Find private key blocks, including escaped and JSON-embedded bodies
+     * Blocks are validated by the detector (placeholders and public keys are
+     * dropped), so they bypass the single-line false positive filters
+     * @param {string} text - Unfiltered text
+     * @param {Object} detector - KeyBlockDetector (utils/key-blocks.js)
+     * @returns {Array<Object>} { value, index, match, validated, type, riskLevel, keyBlock }
+     */
+    static findKeyBlocks(text, detector) {
+        return detector.findPrivateKeys(text).map(block => ({
+            value: block.raw,
+            index: block.index,
+            match: block.raw,
+            validated: true,
+            type: detector.describe(block),
+            // A passphrase still has to be cracked before an encrypted key is usable
+            riskLevel: block.encrypted ? 'high' : undefined,
+            keyBlock: block
+        }));
+    }
+}
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { RuleMatcher, RULE_WINDOW_SIZE, RULE_WINDOW_OVERLAP };
+}
+
+// For browser environment
+if (typeof window !== 'undefined') {
+    window.RuleMatcher = RuleMatcher;
+}
@@ -0,0 +1,574 @@
+/**
+ * Custom rule pack utilities
+ * Validates, compiles and persists user-defined detection rules so teams can
+ * detect internal token formats without forking config/patterns.js
+ *
+ * Rule pack format:
+ * {
+ *   "name": "acme-internal",
+ *   "version": "1.0.0",
+ *   "rules": [{
+ *     "id": "corp-live-token",
+ *     "regex": "corp_live_[A-Za-z0-9]{32}",
+ *     "flags": "g",
+ *     "description": "ACME Live Token",
+ *     "riskLevel": "high",
+ *     "category": "custom",
+ *     "keywords": ["corp_live_"],
+ *     "examples": ["corp_live_0123456789abcdefABCDEF0123456789"]
+ *   }]
+ * }
+ *
+ * Optional per-rule fields (used by imported gitleaks/TruffleHog rules):
+ * - secretGroup: capture group holding the secret (0 = whole match)
+ * - entropy: minimum Shannon entropy of the secret
+ * - allowlists: [{ regexes, regexTarget: secret|match|line|context, stopwords,
+ *                  domains, urls, condition: OR|AND }]
+ *   `domains` are host names ("*.example.com" also matches subdomains) and
+ *   `urls` are regex sources tested against the page URL; both scope the
+ *   allowlist to the pages where a value is known to be harmless
+ *
+ * Rule and allowlist regexes are checked for catastrophic backtracking
+ * (utils/redos-check.js): nested quantifiers are rejected, other risky shapes
+ * are returned as warnings
+ */
+
+const RULE_PACK_STORAGE_KEY = 'customRulePacks';
+const DISABLED_RULES_STORAGE_KEY = 'disabledCustomRules';
+const RULE_PACK_RISK_LEVELS = ['critical', 'high', 'medium', 'low'];
+const RULE_ID_PATTERN = /^[A-Za-z0-9][A-Za-z0-9._-]*$/;
+const REGEX_FLAGS_PATTERN = /^[gimsu]*$/;
+const ALLOWLIST_REGEX_TARGETS = ['secret', 'match', 'line', 'context'];
+const ALLOWLIST_DOMAIN_PATTERN = /^(?:\*\.)?[A-Za-z0-9-]+(?:\.[A-Za-z0-9-]+)*$/;
+const ALLOWLIST_CONDITIONS = ['OR', 'AND'];
+
+class RulePackManager {
+    /**
+     * Validates a rule pack and every rule it contains
+     * @param {Object} pack - Parsed rule pack
+     * @returns {Object} Validation result { isValid, errors, warnings }
+     */
+    static validateRulePack(pack) {
+        const errors = [];
+
+        if (!pack || typeof pack !== 'object' || Array.isArray(pack)) {
+            return { isValid: false, errors: ['Rule pack must be a JSON object'] };
+        }
+
+        if (typeof pack.name !== 'string' || !RULE_ID_PATTERN.test(pack.name)) {
+            errors.push('Rule pack "name" must be a non-empty identifier (letters, digits, ".", "_", "-")');
+        }
+
+        if (pack.version !== undefined && typeof pack.version !== 'string') {
+            errors.push('Rule pack "version" must be a string');
+        }
+
+        if (!Array.isArray(pack.rules) || pack.rules.length === 0) {
+            errors.push('Rule pack "rules" must be a non-empty array');
+            return { isValid: false, errors };
+        }
+
+        const warnings = [];
+        const seenIds = new Set();
+        pack.rules.forEach((rule, index) => {
+            const label = rule && rule.id ? `Rule "${rule.id}"` : `Rule #${index + 1}`;
+            const ruleErrors = RulePackManager.validateRule(rule);
+            ruleErrors.forEach(error => errors.push(`${label}: ${error}`));
+            if (ruleErrors.length === 0) {
+                RulePackManager.getRuleWarnings(rule).forEach(warning => warnings.push(`${label}: ${warning}`));
+            }
+
+            if (rule && rule.id) {
+                if (seenIds.has(rule.id)) {
+                    errors.push(`${label}: duplicate rule id`);
+                }
+                seenIds.add(rule.id);
+            }
+        });
+
+        return { isValid: errors.length === 0, errors, warnings };
+    }
+
+    /**
+     * Validates a single rule definition, including its examples
+     * @param {Object} rule - Rule definition
+     * @returns {Array<string>} Validation errors (empty when valid)
+     */
+    static validateRule(rule) {
+        const errors = [];
+
+        if (!rule || typeof rule !== 'object') {
+            return ['must be an object'];
+        }
+
+        if (typeof rule.id !== 'string' || !RULE_ID_PATTERN.test(rule.id)) {
+            errors.push('"id" must be a non-empty identifier (letters, digits, ".", "_", "-")');
+        }
+
+        if (typeof rule.description !== 'string' || rule.description.trim() === '') {
+            errors.push('"description" is required');
+        }
+
+        if (!RULE_PACK_RISK_LEVELS.includes(rule.riskLevel)) {
+            errors.push(`"riskLevel" must be one of ${RULE_PACK_RISK_LEVELS.join(', ')}`);
+        }
+
+        if (rule.category !== undefined && (typeof rule.category !== 'string' || rule.category.trim() === '')) {
+            errors.push('"category" must be a non-empty string');
+        }
+
+        if (rule.keywords !== undefined &&
+            (!Array.isArray(rule.keywords) || rule.keywords.some(k => typeof k !== 'string' || k === ''))) {
+            errors.push('"keywords" must be an array of non-empty strings');
+        }
+
+        if (rule.examples !== undefined &&
+            (!Array.isArray(rule.examples) || rule.examples.some(e => typeof e !== 'string'))) {
+            errors.push('"examples" must be an array of strings');
+        }
+
+        if (rule.version !== undefined && (!Number.isInteger(rule.version) || rule.version < 1)) {
+            errors.push('"version" must be a positive integer');
+        }
+
+        if (rule.flags !== undefined && (typeof rule.flags !== 'string' || !REGEX_FLAGS_PATTERN.test(rule.flags))) {
+            errors.push('"flags" may only contain g, i, m, s, u');
+        }
+
+        if (typeof rule.regex !== 'string' || rule.regex === '') {
+            errors.push('"regex" is required');
+            return errors;
+        }
+
+        let regex;
+        try {
+            regex = new RegExp(rule.regex, RulePackManager.normalizeFlags(rule.flags));
+        } catch (error) {
+            errors.push(`invalid regex: ${error.message}`);
+            return errors;
+        }
+
+        // Reject catastrophic backtracking before the regex runs against anything else
+        const checker = RulePackManager._getReDoSChecker();
+        const redos = checker.analyze(rule.regex, rule.flags || '');
+        if (!redos.safe) {
+            const unsafe = { ...redos, issues: redos.issues.filter(issue => issue.severity === 'error') };
+            checker.describe(unsafe).forEach(message => errors.push(`unsafe regex: ${message}`));
+            return errors;
+        }
+
+        if (regex.test('')) {
+            errors.push('regex must not match an empty string');
+        }
+
+        if (rule.secretGroup !== undefined) {
+            const groupCount = new RegExp(`${rule.regex}|`).exec('').length - 1;
+            if (!Number.isInteger(rule.secretGroup) || rule.secretGroup < 0 || rule.secretGroup > groupCount) {
+                errors.push(`"secretGroup" must be an integer between 0 and ${groupCount}`);
+            }
+        }
+
+        if (rule.entropy !== undefined && (typeof rule.entropy !== 'number' || rule.entropy < 0 || rule.entropy > 8)) {
+            errors.push('"entropy" must be a number between 0 and 8');
+        }
+
+        if (rule.allowlists !== undefined) {
+            if (!Array.isArray(rule.allowlists)) {
+                errors.push('"allowlists" must be an array');
+            } else {
+                rule.allowlists.forEach((allowlist, index) => {
+                    RulePackManager.validateAllowlist(allowlist)
+                        .forEach(error => errors.push(`allowlist #${index + 1}: ${error}`));
+                });
+            }
+        }
+
+        if (Array.isArray(rule.examples)) {
+            rule.examples.forEach(example => {
+                regex.lastIndex = 0;
+                if (typeof example === 'string' && !regex.test(example)) {
+                    errors.push(`example "${example}" does not match the regex`);
+                }
+            });
+        }
+
+        return errors;
+    }
+
+    /**
+     * Non-blocking findings about a valid rule (regex shapes that may backtrack
+     * polynomially; the scanner's time budget disables such rules if they get slow)
+     * @param {Object} rule - Valid rule definition
+     * @returns {Array<string>} Warnings
+     */
+    static getRuleWarnings(rule) {
+        const checker = RulePackManager._getReDoSChecker();
+        const redos = checker.analyze(rule.regex, rule.flags || '');
+        return checker.describe(redos);
+    }
+
+    /**
+     * Validates a per-rule allowlist
+     * @param {Object} allowlist - Allowlist definition
+     * @returns {Array<string>} Validation errors (empty when valid)
+     */
+    static validateAllowlist(allowlist) {
+        const errors = [];
+
+        if (!allowlist || typeof allowlist !== 'object') {
+            return ['must be an object'];
+        }
+
+        if (allowlist.regexes !== undefined) {
+            if (!Array.isArray(allowlist.regexes) || allowlist.regexes.some(r => typeof r !== 'string')) {
+                errors.push('"regexes" must be an array of strings');
+            } else {
+                allowlist.regexes.forEach(source => {
+                    try {
+                        new RegExp(source, allowlist.regexFlags || '');
+                    } catch (error) {
+                        errors.push(`invalid regex "${source}": ${error.message}`);
+                        return;
+                    }
+                    if (!RulePackManager._getReDoSChecker().analyze(source, allowlist.regexFlags || '').safe) {
+                        errors.push(`unsafe regex "${source}": nested quantifier can backtrack exponentially`);
+                    }
+                });
+            }
+        }
+
+        if (allowlist.stopwords !== undefined &&
+            (!Array.isArray(allowlist.stopwords) || allowlist.stopwords.some(w => typeof w !== 'string' || w === ''))) {
+            errors.push('"stopwords" must be an array of non-empty strings');
+        }
+
+        if (allowlist.domains !== undefined &&
+            (!Array.isArray(allowlist.domains) || allowlist.domains.some(d => typeof d !== 'string' || !ALLOWLIST_DOMAIN_PATTERN.test(d)))) {
+            errors.push('"domains" must be an array of host names (optionally prefixed with "*.")');
+        }
+
+        if (allowlist.urls !== undefined) {
+            if (!Array.isArray(allowlist.urls) || allowlist.urls.some(u => typeof u !== 'string')) {
+                errors.push('"urls" must be an array of strings');
+            } else {
+                allowlist.urls.forEach(source => {
+                    try {
+                        new RegExp(source);
+                    } catch (error) {
+                        errors.push(`invalid url regex "${source}": ${error.message}`);
+                    }
+                });
+            }
+        }
+
+        if (allowlist.regexTarget !== undefined && !ALLOWLIST_REGEX_TARGETS.includes(allowlist.regexTarget)) {
+            errors.push(`"regexTarget" must be one of ${ALLOWLIST_REGEX_TARGETS.join(', ')}`);
+        }
+
+        if (allowlist.condition !== undefined && !ALLOWLIST_CONDITIONS.includes(allowlist.condition)) {
+            errors.push(`"condition" must be one of ${ALLOWLIST_CONDITIONS.join(', ')}`);
+        }
+
+        if (allowlist.regexFlags !== undefined &&
+            (typeof allowlist.regexFlags !== 'string' || !REGEX_FLAGS_PATTERN.test(allowlist.regexFlags))) {
+            errors.push('"regexFlags" may only contain g, i, m, s, u');
+        }
+
+        const hasScope = ['regexes', 'stopwords', 'domains', 'urls']
+            .some(field => Array.isArray(allowlist[field]) && allowlist[field].length > 0);
+        if (!hasScope) {
+            errors.push('must define "regexes", "stopwords", "domains" or "urls"');
+        }
+
+        return errors;
+    }
+
+    /**
+     * Normalizes regex flags; the global flag is always required by the scanner
+     * @param {string} flags - User supplied flags
+     * @returns {string} Deduplicated flags including "g"
+     */
+    static normalizeFlags(flags = '') {
+        const unique = new Set(`g${flags || ''}`.split(''));
+        return Array.from(unique).join('');
+    }
+
+    /**
+     * Compiles a validated rule into a SECURITY_PATTERNS style config
+     * @param {Object} rule - Rule definition
+     * @param {Object} pack - Owning rule pack
+     * @returns {Object} Pattern config
+     */
+    static compileRule(rule, pack) {
+        return {
+            pattern: new RegExp(rule.regex, RulePackManager.normalizeFlags(rule.flags)),
+            description: rule.description,
+            version: rule.version || 1,
+            riskLevel: rule.riskLevel,
+            category: rule.category || 'custom',
+            keywords: rule.keywords ? [...rule.keywords] : [],
+            examples: rule.examples ? [...rule.examples] : [],
+            secretGroup: rule.secretGroup,
+            entropy: rule.entropy,
+            allowlists: rule.allowlists ? rule.allowlists.map(RulePackManager.compileAllowlist) : undefined,
+            rulePack: pack.name,
+            rulePackVersion: pack.version || null
+        };
+    }
+
+    /**
+     * Compiles an allowlist's regex sources into RegExp objects
+     * @param {Object} allowlist - Allowlist definition
+     * @returns {Object} Compiled allowlist
+     */
+    static compileAllowlist(allowlist) {
+        const flags = (allowlist.regexFlags || '').replace(/g/g, '');
+        return {
+            description: allowlist.description,
+            regexes: (allowlist.regexes || []).map(source => new RegExp(source, flags)),
+            regexTarget: allowlist.regexTarget || 'secret',
+            stopwords: (allowlist.stopwords || []).map(word => word.toLowerCase()),
+            domains: (allowlist.domains || []).map(domain => domain.toLowerCase()),
+            urls: (allowlist.urls || []).map(source => new RegExp(source)),
+            condition: allowlist.condition || 'OR'
+        };
+    }
+
+    /**
+     * Compiles the user's allowlists for built-in and custom rules (settings.ruleAllowlists)
+     * Invalid allowlists are skipped so one typo cannot disable the others
+     * @param {Object} ruleAllowlists - Allowlist definitions keyed by rule id
+     * @returns {Object} Compiled allowlists keyed by rule id
+     */
+    static compileRuleAllowlists(ruleAllowlists) {
+        const compiled = {};
+
+        Object.entries(ruleAllowlists || {}).forEach(([ruleId, allowlists]) => {
+            const valid = (Array.isArray(allowlists) ? allowlists : []).filter(allowlist => {
+                const errors = RulePackManager.validateAllowlist(allowlist);
+                if (errors.length > 0) {
+                    console.warn(`Skipping invalid allowlist for rule "${ruleId}":`, errors);
+                    return false;
+                }
+                return true;
+            });
+            if (valid.length > 0) {
+                compiled[ruleId] = valid.map(RulePackManager.compileAllowlist);
+            }
+        });
+
+        return compiled;
+    }
+
+    /**
+     * Compiles rule packs into a map of pattern configs keyed by "pack:ruleId"
+     * Invalid packs are skipped so one broken pack cannot disable the others
+     * @param {Array<Object>} packs - Rule packs
+     * @returns {Object} Compiled pattern configs
+     */
+    static compileRulePacks(packs) {
+        const compiled = {};
+
+        (packs || []).forEach(pack => {
+            const validation = RulePackManager.validateRulePack(pack);
+            if (!validation.isValid) {
+                console.warn(`Skipping invalid rule pack "${pack && pack.name}":`, validation.errors);
+                return;
+            }
+
+            pack.rules.forEach(rule => {
+                compiled[`${pack.name}:${rule.id}`] = RulePackManager.compileRule(rule, pack);
+            });
+        });
+
+        return compiled;
+    }
+
+    /**
+     * Parses and validates rule pack JSON text
+     * @param {string} text - Rule pack JSON
+     * @returns {Object} { isValid, errors, pack }
+     */
+    static parseRulePack(text) {
+        let pack;
+        try {
+            pack = JSON.parse(text);
+        } catch (error) {
+            return { isValid: false, errors: [`Invalid JSON: ${error.message}`], pack: null };
+        }
+
+        const validation = RulePackManager.validateRulePack(pack);
+        return { ...validation, pack: validation.isValid ? pack : null };
+    }
+
+    /**
+     * Loads stored rule packs
+     * @returns {Promise<Array<Object>>} Stored rule packs
+     */
+    static async loadRulePacks() {
+        try {
+            const result = await RulePackManager._getStorage().get([RULE_PACK_STORAGE_KEY]);
+            return Array.isArray(result[RULE_PACK_STORAGE_KEY]) ? result[RULE_PACK_STORAGE_KEY] : [];
+        } catch (error) {
+            console.warn('Failed to load custom rule packs:', error);
+            return [];
+        }
+    }
+
+    /**
+     * Validates and stores a rule pack, replacing any pack with the same name
+     * @param {Object} pack - Rule pack
+     * @returns {Promise<Object>} Validation result { isValid, errors }
+     */
+    static async saveRulePack(pack) {
+        const validation = RulePackManager.validateRulePack(pack);
+        if (!validation.isValid) {
+            return validation;
+        }
+
+        const packs = (await RulePackManager.loadRulePacks()).filter(p => p.name !== pack.name);
+        packs.push({ ...pack, importedAt: new Date().toISOString() });
+        await RulePackManager._getStorage().set({ [RULE_PACK_STORAGE_KEY]: packs });
+        // A re-imported pack gets a fresh chance at the time budget
+        await RulePackManager.clearDisabledRules(pack.name);
+
+        return validation;
+    }
+
+    /**
+     * Removes a stored rule pack by name
+     * @param {string} name - Rule pack name
+     * @returns {Promise<boolean>} True if a pack was removed
+     */
+    static async removeRulePack(name) {
+        const packs = await RulePackManager.loadRulePacks();
+        const remaining = packs.filter(p => p.name !== name);
+
+        if (remaining.length === packs.length) {
+            return false;
+        }
+
+        await RulePackManager._getStorage().set({ [RULE_PACK_STORAGE_KEY]: remaining });
+        await RulePackManager.clearDisabledRules(name);
+        return true;
+    }
+
+    /**
+     * Calls back when the stored rule packs change (imported, replaced or removed)
+     * @param {Function} callback - Called with the new list of packs
+     * @returns {Function} Stops listening
+     */
+    static onRulePacksChanged(callback) {
+        const api = typeof browser !== 'undefined' ? browser : (typeof chrome !== 'undefined' ? chrome : null);
+        if (!api || !api.storage || !api.storage.onChanged) {
+            return () => {};
+        }
+
+        const listener = (changes, area) => {
+            if (area === 'local' && changes[RULE_PACK_STORAGE_KEY]) {
+                const packs = changes[RULE_PACK_STORAGE_KEY].newValue;
+                callback(Array.isArray(packs) ? packs : []);
+            }
+        };
+        api.storage.onChanged.addListener(listener);
+        return () => api.storage.onChanged.removeListener(listener);
+    }
+
+    /**
+     * Loads custom rules that were disabled for exceeding the scan time budget
+     * @returns {Promise<Array<Object>>} Entries { id, type, rulePack, elapsed, budget, disabledAt }
+     */
+    static async loadDisabledRules() {
+        try {
+            const result = await RulePackManager._getStorage().get([DISABLED_RULES_STORAGE_KEY]);
+            return Object.values(result[DISABLED_RULES_STORAGE_KEY] || {});
+        } catch (error) {
+            console.warn('Failed to load disabled custom rules:', error);
+            return [];
+        }
+    }
+
+    /**
+     * Stores custom rules the scanner disabled so other pages skip them too
+     * (built-in rules are never disabled; see ProgressiveScanner.handleBudgetOverrun)
+     * @param {Array<Object>} entries - Entries from ProgressiveScanner.getDisabledRules()
+     * @returns {Promise<number>} Number of newly stored rules
+     */
+    static async recordDisabledRules(entries) {
+        const custom = (entries || []).filter(entry => entry.rulePack);
+        if (custom.length === 0) {
+            return 0;
+        }
+
+        const result = await RulePackManager._getStorage().get([DISABLED_RULES_STORAGE_KEY]);
+        const stored = result[DISABLED_RULES_STORAGE_KEY] || {};
+        const added = custom.filter(entry => !stored[entry.id]);
+        if (added.length === 0) {
+            return 0;
+        }
+
+        added.forEach(entry => {
+            stored[entry.id] = entry;
+        });
+        await RulePackManager._getStorage().set({ [DISABLED_RULES_STORAGE_KEY]: stored });
+        return added.length;
+    }
+
+    /**
+     * Re-enables disabled custom rules
+     * @param {string} [packName] - Only re-enable rules from this pack
+     * @returns {Promise<void>}
+     */
+    static async clearDisabledRules(packName) {
+        const result = await RulePackManager._getStorage().get([DISABLED_RULES_STORAGE_KEY]);
+        const stored = result[DISABLED_RULES_STORAGE_KEY] || {};
+        const remaining = {};
+        if (packName) {
+            Object.entries(stored)
+                .filter(([, entry]) => entry.rulePack !== packName)
+                .forEach(([id, entry]) => {
+                    remaining[id] = entry;
+                });
+        }
+        await RulePackManager._getStorage().set({ [DISABLED_RULES_STORAGE_KEY]: remaining });
+    }
+
+    /**
+     * Gets the static ReDoS checker
+     * @private
+     */
+    static _getReDoSChecker() {
+        if (typeof ReDoSChecker !== 'undefined') {
+            return ReDoSChecker;
+        }
+        if (typeof window !== 'undefined' && window.ReDoSChecker) {
+            return window.ReDoSChecker;
+        }
+        if (typeof require !== 'undefined') {
+            return require('./redos-check.js').ReDoSChecker;
+        }
+        throw new Error('ReDoSChecker not available');
+    }
+
+    /**
+     * Gets the extension storage area
+     * @private
+     */
+    static _getStorage() {
+        const api = typeof browser !== 'undefined' ? browser : (typeof chrome !== 'undefined' ? chrome : null);
+        if (!api || !api.storage) {
+            throw new Error('Extension storage API not available');
+        }
+        return api.storage.local;
+    }
+}
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { RulePackManager, RULE_PACK_STORAGE_KEY, DISABLED_RULES_STORAGE_KEY };
+}
+
+// For browser environment
+if (typeof window !== 'undefined') {
+    window.RulePackManager = RulePackManager;
+}
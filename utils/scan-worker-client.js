@@ -0,0 +1,396 @@
+/**
+ * Pattern matching worker client
+ * Starts utils/scan-worker.js as a dedicated worker and hands it "scan this
+ * text with these rules" requests, streaming each rule's matches back as the
+ * worker finishes it. Extension scripts cannot be loaded as workers from a
+ * page, so the worker is built from the scripts' source as a blob. Pages
+ * whose CSP blocks blob workers keep scanning on the main thread. A worker
+ * stuck in a runaway regex is terminated (its rule reported as timed out)
+ * and started again. Scans are queued and sent one at a time, so only the
+ * scan the worker is running is watched for a hang
+ */
+
+// Loaded into the worker, in order (the worker script last)
+const SCAN_WORKER_SCRIPTS = ['utils/keyword-prefilter.js', 'utils/key-blocks.js', 'utils/rule-matcher.js', 'utils/scan-worker.js'];
+
+// Milliseconds to wait for the worker to start, and for it to stop after a cancel
+const WORKER_START_TIMEOUT = 3000;
+const WORKER_CANCEL_TIMEOUT = 1000;
+
+class ScanWorkerClient {
+    /**
+     * @param {Object} options - Optional { createWorker, hangTimeout }
+     *   createWorker: async () => Worker-like object (defaults to a blob worker of SCAN_WORKER_SCRIPTS)
+     *   hangTimeout: extra milliseconds over the rule budget before a silent worker is terminated
+     */
+    constructor(options = {}) {
+        this.createWorker = options.createWorker || (() => ScanWorkerClient.createBlobWorker());
+        this.hangTimeout = options.hangTimeout || 2000;
+        this.worker = null;
+        this.ready = false;
+        this.failed = false;
+        this.starting = null;
+        this.sentRules = new Map(); // rule id -> source/flags sent to the worker
+        this.scans = new Map(); // scanId -> pending scan
+        this.queue = []; // scanIds waiting for the worker
+        this.activeScanId = null; // scan the worker is running (or stopping after a cancel)
+        this.cancelling = new Map(); // scanId -> timer waiting for the worker to stop
+        this.nextScanId = 1;
+        this.stats = { scans: 0, cancelled: 0, restarts: 0 };
+    }
+
+    /**
+     * Starts the worker; resolves false (and stays on the main thread) if it cannot run
+     * @returns {Promise<boolean>} Whether the worker is ready
+     */
+    start() {
+        if (this.ready || this.failed) {
+            return Promise.resolve(this.ready);
+        }
+        if (this.starting) {
+            return this.starting;
+        }
+
+        this.starting = (async () => {
+            try {
+                const worker = await this.createWorker();
+                await new Promise((resolve, reject) => {
+                    const timer = setTimeout(() => reject(new Error('worker did not start')), WORKER_START_TIMEOUT);
+                    worker.onmessage = event => {
+                        if (event.data && event.data.type === 'ready') {
+                            clearTimeout(timer);
+                            resolve();
+                        }
+                    };
+                    worker.onerror = event => {
+                        clearTimeout(timer);
+                        reject(new Error(event && event.message ? event.message : 'worker error'));
+                    };
+                });
+
+                worker.onmessage = event => this._handleMessage(event.data);
+                worker.onerror = () => this._restart();
+                this.worker = worker;
+                this.ready = true;
+            } catch (error) {
+                this.failed = true;
+                console.debug('[FerretWatch] Pattern worker unavailable, scanning on the main thread:', error.message);
+            }
+            this.starting = null;
+            return this.ready;
+        })();
+        return this.starting;
+    }
+
+    /**
+     * Whether scans can be sent to the worker
+     * @returns {boolean} Ready state
+     */
+    isReady() {
+        return this.ready && Boolean(this.worker);
+    }
+
+    /**
+     * Whether the worker can run a pattern (it needs a RegExp or the key block detector)
+     * @param {Object} pattern - Pattern configuration
+     * @returns {boolean} Whether the pattern can be sent
+     */
+    canRun(pattern) {
+        return pattern.detector === 'keyBlock' || pattern.regex instanceof RegExp;
+    }
+
+    /**
+     * Scans a text with a set of patterns in the worker
+     * @param {string} text - Text to scan
+     * @param {Array<Object>} patterns - Patterns (see canRun)
+     * @param {Object} options - { getRuleId, budget, prefilter, signal, onResult(pattern, result) }
+     *   onResult gets { matches, elapsed, timedOut, skipped } for each rule as it finishes
+     * @returns {Promise<Object>} { cancelled, prefilterTime }
+     */
+    async scan(text, patterns, options = {}) {
+        if (!this.isReady()) {
+            await this.start();
+        }
+        if (!this.isReady()) {
+            throw new Error('Pattern worker is not available');
+        }
+
+        const getRuleId = options.getRuleId || (pattern => pattern.id);
+        const byId = new Map(patterns.map(pattern => [getRuleId(pattern), pattern]));
+
+        const scanId = this.nextScanId++;
+        const budget = options.budget || 250;
+        this.stats.scans++;
+
+        return new Promise(resolve => {
+            const scan = {
+                byId,
+                text,
+                prefilter: options.prefilter !== false,
+                reported: new Set(),
+                budget,
+                onResult: options.onResult || (() => {}),
+                resolve: result => {
+                    clearTimeout(scan.watchdog);
+                    options.signal?.removeEventListener('abort', scan.onAbort);
+                    this.scans.delete(scanId);
+                    this.queue = this.queue.filter(id => id !== scanId);
+                    resolve(result);
+                },
+                onAbort: () => this.cancel(scanId),
+                watchdog: null
+            };
+            this.scans.set(scanId, scan);
+
+            if (options.signal) {
+                if (options.signal.aborted) {
+                    scan.resolve({ cancelled: true, prefilterTime: null });
+                    return;
+                }
+                options.signal.addEventListener('abort', scan.onAbort);
+            }
+
+            this.queue.push(scanId);
+            this._startNext();
+        });
+    }
+
+    /**
+     * Cancels a scan; resolves it right away with the results streamed so far
+     * A worker that does not stop soon after is terminated
+     * @param {number} scanId - Scan to cancel
+     */
+    cancel(scanId) {
+        const scan = this.scans.get(scanId);
+        if (!scan) {
+            return;
+        }
+
+        this.stats.cancelled++;
+        scan.resolve({ cancelled: true, prefilterTime: null });
+        if (scanId !== this.activeScanId) {
+            return; // Never sent to the worker
+        }
+
+        this.worker?.postMessage({ type: 'cancel', scanId });
+
+        // The worker only sees the cancel between rules
+        this.cancelling.set(scanId, setTimeout(() => {
+            if (this.cancelling.delete(scanId)) {
+                this._restart();
+            }
+        }, WORKER_CANCEL_TIMEOUT));
+    }
+
+    /**
+     * Stops the worker; cancels pending scans
+     */
+    terminate() {
+        this.scans.forEach(scan => scan.resolve({ cancelled: true, prefilterTime: null }));
+        this._stopWorker();
+    }
+
+    /**
+     * Gets worker statistics
+     * @returns {Object} { scans, cancelled, restarts }
+     */
+    getStats() {
+        return { ...this.stats };
+    }
+
+    /**
+     * Serializes a pattern for the worker
+     * @param {string} id - Rule id
+     * @param {Object} pattern - Pattern configuration
+     * @returns {Object} { id, source, flags, secretGroup, keywords, detector, windowed }
+     */
+    static serializeRule(id, pattern) {
+        return {
+            id,
+            source: pattern.regex instanceof RegExp ? pattern.regex.source : '',
+            flags: pattern.regex instanceof RegExp ? pattern.regex.flags : '',
+            secretGroup: pattern.secretGroup || 0,
+            keywords: Array.isArray(pattern.keywords) ? pattern.keywords : [],
+            detector: pattern.detector || null,
+            windowed: Boolean(pattern.rulePack)
+        };
+    }
+
+    /**
+     * Builds the worker from the extension's script sources
+     * @returns {Promise<Worker>} Worker
+     */
+    static async createBlobWorker() {
+        const api = typeof browser !== 'undefined' ? browser : chrome;
+        const sources = await Promise.all(SCAN_WORKER_SCRIPTS.map(async path => {
+            const response = await fetch(api.runtime.getURL(path));
+            if (!response.ok) {
+                throw new Error(`could not load ${path}`);
+            }
+            return response.text();
+        }));
+
+        // Helper scripts export to window; each runs in its own scope so their constants don't clash
+        const parts = ['var window = self;\n', ...sources.map(source => `(function () {\n${source}\n})();\n`)];
+        const url = URL.createObjectURL(new Blob(parts, { type: 'text/javascript' }));
+        try {
+            return new Worker(url);
+        } finally {
+            // The worker has its own reference to the script once constructed
+            setTimeout(() => URL.revokeObjectURL(url), WORKER_START_TIMEOUT);
+        }
+    }
+
+    /**
+     * @private
+     */
+    _handleMessage(message) {
+        if (!message) {
+            return;
+        }
+        if (message.type === 'done' && this.cancelling.has(message.scanId)) {
+            clearTimeout(this.cancelling.get(message.scanId));
+            this.cancelling.delete(message.scanId);
+        }
+        if (message.type === 'done' && message.scanId === this.activeScanId) {
+            this.activeScanId = null;
+            // After the current message is handled, so this scan resolves first
+            Promise.resolve().then(() => this._startNext());
+        }
+
+        const scan = this.scans.get(message.scanId);
+        if (!scan) {
+            return;
+        }
+
+        this._armWatchdog(message.scanId);
+        if (message.type === 'result') {
+            const pattern = scan.byId.get(message.ruleId);
+            scan.reported.add(message.ruleId);
+            if (pattern) {
+                scan.onResult(pattern, message);
+            }
+        } else if (message.type === 'done') {
+            scan.resolve({ cancelled: Boolean(message.cancelled), prefilterTime: message.prefilterTime });
+        }
+    }
+
+    /**
+     * Sends the next queued scan once the worker is free
+     * @private
+     */
+    _startNext() {
+        if (this.activeScanId !== null || !this.isReady()) {
+            return;
+        }
+
+        const scanId = this.queue.shift();
+        const scan = this.scans.get(scanId);
+        if (!scan) {
+            return;
+        }
+
+        this.activeScanId = scanId;
+        this._syncRules(scan.byId);
+        this._armWatchdog(scanId);
+        this.worker.postMessage({
+            type: 'scan',
+            scanId,
+            text: scan.text,
+            ruleIds: Array.from(scan.byId.keys()),
+            budget: scan.budget,
+            prefilter: scan.prefilter
+        });
+    }
+
+    /**
+     * Sends rules the worker has not seen (or has in an older version)
+     * @private
+     */
+    _syncRules(byId) {
+        const rules = [];
+        byId.forEach((pattern, id) => {
+            const rule = ScanWorkerClient.serializeRule(id, pattern);
+            const signature = `${rule.source}/${rule.flags}/${rule.secretGroup}/${rule.keywords.join('|')}/${rule.detector}/${rule.windowed}`;
+            if (this.sentRules.get(id) !== signature) {
+                this.sentRules.set(id, signature);
+                rules.push(rule);
+            }
+        });
+        if (rules.length > 0) {
+            this.worker.postMessage({ type: 'rules', rules });
+        }
+    }
+
+    /**
+     * A worker that says nothing for longer than a rule's budget is stuck in a regex
+     * @private
+     */
+    _armWatchdog(scanId) {
+        const scan = this.scans.get(scanId);
+        if (!scan) {
+            return;
+        }
+        clearTimeout(scan.watchdog);
+        scan.watchdog = setTimeout(() => {
+            // Rules report in order, so the first one without a result is the one stuck
+            const stuckId = Array.from(scan.byId.keys()).find(id => !scan.reported.has(id));
+            if (stuckId !== undefined) {
+                scan.onResult(scan.byId.get(stuckId), {
+                    matches: [],
+                    elapsed: scan.budget + this.hangTimeout,
+                    timedOut: true,
+                    skipped: false
+                });
+            }
+            console.warn('[FerretWatch] Pattern worker stopped responding; restarting it');
+            this._restart();
+        }, scan.budget + this.hangTimeout);
+    }
+
+    /**
+     * Replaces the worker; the scan it was running is cancelled, queued scans
+     * run on the new worker
+     * @private
+     */
+    _restart() {
+        this.stats.restarts++;
+        const active = this.scans.get(this.activeScanId);
+        if (active) {
+            active.resolve({ cancelled: true, prefilterTime: null });
+        }
+        this._stopWorker();
+        this.start().then(ready => {
+            if (ready) {
+                this._startNext();
+            } else {
+                this.terminate();
+            }
+        });
+    }
+
+    /**
+     * @private
+     */
+    _stopWorker() {
+        if (this.worker) {
+            this.worker.terminate();
+        }
+        this.cancelling.forEach(timer => clearTimeout(timer));
+        this.cancelling.clear();
+        this.worker = null;
+        this.ready = false;
+        this.activeScanId = null;
+        this.sentRules.clear();
+    }
+}
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { ScanWorkerClient, SCAN_WORKER_SCRIPTS };
+}
+
+// For browser environment
+if (typeof window !== 'undefined') {
+    window.ScanWorkerClient = ScanWorkerClient;
+}
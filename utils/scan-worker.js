@@ -0,0 +1,192 @@
+/**
+ * Pattern matching worker
+ * Runs the rule regexes (and the keyword prefilter and key block detector)
+ * in a dedicated worker so heavy pages don't jank while they are scanned.
+ * Windows and match positions come from utils/rule-matcher.js, which the
+ * page scanner uses too.
+ * The content script keeps DOM extraction and turns the raw matches the
+ * worker streams back into findings (validation, suppressions, fingerprints).
+ * See utils/scan-worker-client.js for the page side.
+ *
+ * Protocol (page → worker):
+ *   { type: 'rules', rules: [{ id, source, flags, secretGroup, keywords, detector, windowed }] }
+ *     adds or replaces compiled rules
+ *   { type: 'scan', scanId, text, ruleIds, budget, prefilter }
+ *   { type: 'cancel', scanId }
+ * Protocol (worker → page):
+ *   { type: 'ready' }
+ *   { type: 'result', scanId, ruleId, matches, elapsed, timedOut, skipped } one per rule, as it finishes
+ *   { type: 'done', scanId, cancelled, prefilterTime }
+ */
+
+class PatternMatchWorker {
+    /**
+     * @param {Function} post - Sends a message to the page (postMessage in a worker)
+     */
+    constructor(post) {
+        this.post = post;
+        this.rules = new Map();
+        this.cancelled = new Set();
+        this.prefilter = null;
+    }
+
+    /**
+     * Handles one message from the page
+     * @param {Object} message - Protocol message
+     * @returns {Promise<void>|void}
+     */
+    handleMessage(message) {
+        switch (message && message.type) {
+            case 'rules':
+                this.setRules(message.rules);
+                break;
+            case 'scan':
+                return this.scan(message);
+            case 'cancel':
+                this.cancelled.add(message.scanId);
+                break;
+        }
+    }
+
+    /**
+     * Compiles rules and rebuilds the keyword prefilter
+     * @param {Array<Object>} rules - Serialized rules
+     */
+    setRules(rules) {
+        (rules || []).forEach(rule => {
+            try {
+                this.rules.set(rule.id, {
+                    ...rule,
+                    regex: rule.detector ? null : new RegExp(rule.source, rule.flags)
+                });
+            } catch (error) {
+                this.rules.delete(rule.id);
+            }
+        });
+
+        const Prefilter = PatternMatchWorker._global('KeywordPrefilter');
+        this.prefilter = Prefilter ? Prefilter.fromPatterns(Array.from(this.rules.values())) : null;
+    }
+
+    /**
+     * Runs rules over a text, posting each rule's result as soon as it is done
+     * Yields between rules so cancel messages are seen
+     * @param {Object} request - { scanId, text, ruleIds, budget, prefilter }
+     */
+    async scan(request) {
+        const { scanId, text, ruleIds = [], budget = 250 } = request;
+        const Prefilter = PatternMatchWorker._global('KeywordPrefilter');
+
+        const prefilterStart = Date.now();
+        const found = request.prefilter && this.prefilter ? this.prefilter.findKeywords(text) : null;
+        const prefilterTime = found ? Date.now() - prefilterStart : null;
+
+        for (const ruleId of ruleIds) {
+            if (this.cancelled.has(scanId)) {
+                this.cancelled.delete(scanId);
+                this.post({ type: 'done', scanId, cancelled: true, prefilterTime });
+                return;
+            }
+
+            const rule = this.rules.get(ruleId);
+            if (!rule) {
+                continue;
+            }
+            if (found && Prefilter && !Prefilter.shouldRun(rule, found)) {
+                this.post({ type: 'result', scanId, ruleId, skipped: true, matches: [], elapsed: 0 });
+                continue;
+            }
+
+            this.post({ type: 'result', scanId, ruleId, ...this.matchRule(text, rule, budget) });
+            await new Promise(resolve => setTimeout(resolve, 0));
+        }
+
+        this.cancelled.delete(scanId);
+        this.post({ type: 'done', scanId, cancelled: false, prefilterTime });
+    }
+
+    /**
+     * Runs one rule over a text
+     * @param {string} text - Text to scan
+     * @param {Object} rule - Compiled rule
+     * @param {number} budget - Milliseconds a user-supplied rule may take before it is cut short
+     * @returns {Object} { matches, elapsed, timedOut } - matches are { value, index, match }
+     *   plus validated/type/riskLevel/keyBlock for key blocks
+     */
+    matchRule(text, rule, budget) {
+        const start = Date.now();
+        const Matcher = PatternMatchWorker._global('RuleMatcher');
+
+        if (rule.detector === 'keyBlock') {
+            const Detector = PatternMatchWorker._global('KeyBlockDetector');
+            const matches = Detector ? Matcher.findKeyBlocks(text, Detector) : [];
+            return { matches, elapsed: Date.now() - start, timedOut: false };
+        }
+
+        const matches = [];
+        if (!rule.regex) {
+            return { matches, elapsed: 0, timedOut: false };
+        }
+
+        for (const scanWindow of Matcher.getScanWindows(text, rule.windowed)) {
+            for (const match of scanWindow.text.matchAll(rule.regex)) {
+                if (scanWindow.offset + match.index >= scanWindow.ownedEnd) {
+                    break; // Owned by the next window
+                }
+
+                const found = Matcher.toMatch(match, scanWindow.offset, rule.secretGroup || 0);
+                if (found) {
+                    matches.push(found);
+                }
+
+                if (rule.windowed && Date.now() - start > budget) {
+                    return { matches, elapsed: Date.now() - start, timedOut: true };
+                }
+            }
+
+            if (rule.windowed && Date.now() - start > budget) {
+                return { matches, elapsed: Date.now() - start, timedOut: true };
+            }
+        }
+
+        return { matches, elapsed: Date.now() - start, timedOut: false };
+    }
+
+    /**
+     * Starts answering messages in a worker scope
+     * @param {Object} scope - Worker global scope
+     */
+    static listen(scope) {
+        const worker = new PatternMatchWorker(message => scope.postMessage(message));
+        scope.addEventListener('message', event => {
+            Promise.resolve(worker.handleMessage(event.data)).catch(error => {
+                scope.postMessage({ type: 'done', scanId: event.data && event.data.scanId, cancelled: true, error: error.message });
+            });
+        });
+        scope.postMessage({ type: 'ready' });
+    }
+
+    /**
+     * Looks up a helper class loaded alongside this script
+     * @private
+     */
+    static _global(name) {
+        if (typeof self !== 'undefined' && self[name]) {
+            return self[name];
+        }
+        if (typeof window !== 'undefined' && window[name]) {
+            return window[name];
+        }
+        return null;
+    }
+}
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { PatternMatchWorker };
+}
+
+// Started as a worker
+if (typeof WorkerGlobalScope !== 'undefined' && typeof self !== 'undefined' && self instanceof WorkerGlobalScope) {
+    PatternMatchWorker.listen(self);
+}
@@ -2,6 +2,15 @@
  * Performance-optimized scanning engine with progressive scanning
  */
 
+const DEFAULT_RULE_TIME_BUDGET = 250;
+
+// Streaming scans: content longer than a chunk is scanned chunk by chunk,
+// up to a total byte budget; chunks overlap by the longest match a rule can
+// produce, capped at DEFAULT_MAX_CHUNK_OVERLAP
+const DEFAULT_SCAN_CHUNK_SIZE = 524288;
+const DEFAULT_MAX_CHUNK_OVERLAP = 8192;
+const DEFAULT_MAX_SCAN_BYTES = 16777216;
+
 class ProgressiveScanner {
     constructor() {
         this.scanInProgress = false;
@@ -17,9 +26,21 @@ class ProgressiveScanner {
             lastScanTime: 0,
             patternsProcessed: 0,
             bucketsScanned: 0,
-            bucketsAccessible: 0
+            bucketsAccessible: 0,
+            chunksScanned: 0,
+            truncatedScans: 0
         };
         
+        // Per-pattern counters and keyword prefilter tracking
+        this.patternStats = {};
+        this.prefilterStats = { passes: 0, totalTime: 0 };
+        this.disabledRules = new Map();
+        this.keywordPrefilter = null;
+        this.keywordPrefilterKey = null;
+        this.matchWorker = null;
+        this.ruleMaxLengths = new Map();
+        this.scanBudget = null; // see startScanBudget()
+        
         // Initialize bucket testing utilities
         this.bucketTester = null;
         this.initializeBucketTester();
@@ -166,7 +187,17 @@ class ProgressiveScanner {
             ['critical', 'high'].includes(p.riskLevel)
         );
         
-        return await this.scanWithPatterns(visibleContent, highPriorityPatterns, options);
+        // Block detectors (multi-line keys) need the unfiltered content: keys
+        // live in scripts and JSON, which visible-text extraction drops
+        const linePatterns = highPriorityPatterns.filter(p => !p.detector);
+        const blockPatterns = highPriorityPatterns.filter(p => p.detector);
+        
+        const findings = await this.scanWithPatterns(visibleContent, linePatterns, options);
+        if (blockPatterns.length > 0) {
+            findings.push(...await this.scanWithPatterns(content, blockPatterns, options));
+        }
+        
+        return findings;
     }
     
     /**
@@ -196,10 +227,24 @@ class ProgressiveScanner {
      * @returns {Promise<Array>} Findings
      */
     async scanWithPatterns(content, patterns, options) {
+        // Very long content (e.g. multi-megabyte inline JSON) is matched chunk by chunk
+        if (!options?.chunk && this.isStreamingScan(content)) {
+            return this.scanInChunks(content, patterns, options);
+        }
+        
         const findings = [];
         const maxFindings = window.StorageUtils?.getSetting('maxFindings', 10);
         
-        for (const patternConfig of patterns) {
+        // Matching runs in the pattern worker when it is up; rules it cannot run stay here
+        let remaining = patterns;
+        if (this.matchWorker?.isReady()) {
+            remaining = await this.scanPatternsInWorker(content, patterns, options, findings, maxFindings);
+        }
+        
+        // One keyword pass decides which regexes are worth running
+        const foundKeywords = remaining.length > 0 ? this.findPatternKeywords(content, remaining) : null;
+        
+        for (const patternConfig of remaining) {
             // Check if scan should be aborted
             if (this.abortController?.signal.aborted) {
                 break;
@@ -210,88 +255,639 @@ class ProgressiveScanner {
                 continue;
             }
             
+            const patternStats = this.getPatternStats(patternConfig);
+            if (this.disabledRules.has(this.getRuleId(patternConfig))) {
+                continue;
+            }
+            if (foundKeywords && !window.KeywordPrefilter.shouldRun(patternConfig, foundKeywords)) {
+                patternStats.skips++;
+                continue;
+            }
+            
+            const patternStart = performance.now();
+            patternStats.runs++;
+            
             try {
                 // Batch process matches to avoid blocking
                 const matches = await this.batchProcessMatches(content, patternConfig);
                 
-                for (const matchObj of matches) {
-                    if (findings.length >= maxFindings) {
-                        break;
+                patternStats.hits += this.addFindings(content, patternConfig, matches, options, findings, maxFindings);
+                
+                const patternTime = performance.now() - patternStart;
+                patternStats.totalTime += patternTime;
+                
+                // A custom rule that blew its budget stays off for later scans of this page
+                if (patternTime > this.getRuleTimeBudget()) {
+                    this.handleBudgetOverrun(patternConfig, patternTime);
+                }
+                
+                // Yield control periodically to prevent blocking
+                if (patterns.indexOf(patternConfig) % 3 === 0) {
+                    await this.yieldControl();
+                }
+                
+            } catch (error) {
+                console.error('Pattern scan error:', patternConfig.description, error);
+            }
+        }
+        
+        // Secrets hidden behind base64, URL encoding, escapes or hex
+        if (!options?.decoded && findings.length < maxFindings && !this.abortController?.signal.aborted) {
+            const decodedFindings = await this.scanDecodedContent(content, patterns, options, findings);
+            findings.push(...decodedFindings.slice(0, maxFindings - findings.length));
+        }
+        
+        return findings;
+    }
+    
+    /**
+     * Use a pattern worker (see utils/scan-worker-client.js) for regex matching
+     * @param {ScanWorkerClient|null} client - Started client, or null to match on the page thread
+     */
+    setMatchWorker(client) {
+        this.matchWorker = client || null;
+    }
+    
+    /**
+     * Runs patterns in the pattern worker; findings are built as each rule's matches stream back
+     * @param {string} content - Content to scan
+     * @param {Array} patterns - Patterns to use
+     * @param {object} options - Options
+     * @param {Array} findings - Findings so far; new findings are appended
+     * @param {number} maxFindings - Stop adding findings at this many
+     * @returns {Promise<Array>} Patterns that still have to run on the page thread
+     */
+    async scanPatternsInWorker(content, patterns, options, findings, maxFindings) {
+        const runnable = [];
+        const remaining = [];
+        for (const patternConfig of patterns) {
+            if (!window.StorageUtils?.isCategoryEnabled(patternConfig.category) ||
+                this.disabledRules.has(this.getRuleId(patternConfig))) {
+                continue;
+            }
+            (this.matchWorker.canRun(patternConfig) ? runnable : remaining).push(patternConfig);
+        }
+        if (runnable.length === 0) {
+            return remaining;
+        }
+        
+        const budget = this.getRuleTimeBudget();
+        const finished = new Set();
+        let result;
+        try {
+            result = await this.matchWorker.scan(content, runnable, {
+                getRuleId: patternConfig => this.getRuleId(patternConfig),
+                budget,
+                prefilter: Boolean(window.KeywordPrefilter) && window.StorageUtils?.getSetting('keywordPrefilter', true) !== false,
+                signal: this.abortController?.signal,
+                onResult: (patternConfig, ruleResult) => {
+                    finished.add(patternConfig);
+                    const patternStats = this.getPatternStats(patternConfig);
+                    if (ruleResult.skipped) {
+                        patternStats.skips++;
+                        return;
                     }
                     
-                    // Validate the match
-                    if (this.isValidSecret(matchObj.value, patternConfig)) {
-                        // Extract context around the match (50 chars before and after)
-                        const contextStart = Math.max(0, matchObj.index - 50);
-                        const contextEnd = Math.min(content.length, matchObj.index + matchObj.value.length + 50);
-                        let context = content.slice(contextStart, contextEnd);
-                        
-                        // Check for exclude pattern (false positive filter)
-                        if (patternConfig.excludePattern && patternConfig.excludePattern.test(context)) {
-                            continue;
-                        }
-                        
-                        // Clean up context for better readability
-                        context = context
-                            .replace(/<[^>]*>/g, ' ')  // Remove HTML tags
-                            .replace(/\s+/g, ' ')       // Collapse whitespace
-                            .trim();
-                        
-                        const finding = {
-                            value: matchObj.value,
-                            type: patternConfig.type || patternConfig.description,
-                            riskLevel: patternConfig.risk || patternConfig.riskLevel,
-                            category: patternConfig.category || 'unknown',
-                            context: context,
-                            position: matchObj.index,
-                            timestamp: Date.now()
-                        };
-                        
-                        // Add provider information for cloud storage findings
-                        if (patternConfig.category === 'cloudStorage' && patternConfig.provider) {
-                            finding.provider = patternConfig.provider;
+                    patternStats.runs++;
+                    patternStats.totalTime += ruleResult.elapsed;
+                    patternStats.hits += this.addFindings(content, patternConfig, ruleResult.matches, options, findings, maxFindings);
+                    
+                    // Same budget as on the page thread, though only the worker is blocked
+                    if (ruleResult.timedOut || ruleResult.elapsed > budget) {
+                        this.handleBudgetOverrun(patternConfig, ruleResult.elapsed);
+                    }
+                }
+            });
+        } catch (error) {
+            console.warn('Pattern worker scan failed, matching on the page thread:', error.message);
+            result = { cancelled: true, prefilterTime: null };
+        }
+        
+        if (typeof result.prefilterTime === 'number') {
+            this.prefilterStats.passes++;
+            this.prefilterStats.totalTime += result.prefilterTime;
+        }
+        
+        // A worker that was restarted mid-scan leaves its unfinished rules to the page thread
+        if (result.cancelled && !this.abortController?.signal.aborted) {
+            remaining.push(...runnable.filter(patternConfig => !finished.has(patternConfig)));
+        }
+        return remaining;
+    }
+    
+    /**
+     * Turns raw matches into findings (validation, suppressions, checksums, fingerprints)
+     * @param {string} content - Content that was scanned
+     * @param {object} patternConfig - Pattern that matched
+     * @param {Array} matches - Matches with position info (see batchProcessMatches)
+     * @param {object} options - Options
+     * @param {Array} findings - Findings so far; new findings are appended
+     * @param {number} maxFindings - Stop once findings reaches this length
+     * @returns {number} Number of findings added
+     */
+    addFindings(content, patternConfig, matches, options, findings, maxFindings) {
+        let added = 0;
+        
+        for (const matchObj of matches) {
+            if (findings.length >= maxFindings) {
+                break;
+            }
+            
+            // Extract context around the match (50 chars before and after)
+            const contextStart = Math.max(0, matchObj.index - 50);
+            const contextEnd = Math.min(content.length, matchObj.index + matchObj.value.length + 50);
+            let context = content.slice(contextStart, contextEnd);
+            
+            // Validate the match (full match, line, context and page URL are used by rule allowlists;
+            // location is where the content came from and scopes suppressions)
+            const matchContext = {
+                fullMatch: matchObj.match || matchObj.value,
+                line: patternConfig.allowlists ? this.getLineAt(content, matchObj.index) : undefined,
+                context: context,
+                url: this.getPageUrl(),
+                location: options?.location || options?.sourceUrl || this.getPageUrl()
+            };
+            const isValid = matchObj.validated ?
+                !this.isSuppressed(matchObj.value, patternConfig, matchContext) :
+                this.isValidSecret(matchObj.value, patternConfig, matchContext);
+            if (isValid) {
+                // Tokens with an embedded checksum can be verified offline
+                const checksumStatus = this.getChecksumStatus(matchObj.value, patternConfig);
+                if (checksumStatus === 'malformed' &&
+                    window.StorageUtils?.getSetting('malformedTokenAction', 'demote') === 'drop') {
+                    continue;
+                }
+                
+                // Check for exclude pattern (false positive filter)
+                if (patternConfig.excludePattern && patternConfig.excludePattern.test(context)) {
+                    continue;
+                }
+                
+                // Clean up context for better readability
+                context = context
+                    .replace(/<[^>]*>/g, ' ')  // Remove HTML tags
+                    .replace(/\s+/g, ' ')       // Collapse whitespace
+                    .trim();
+                
+                const finding = {
+                    ruleId: patternConfig.id,
+                    ruleVersion: patternConfig.version || 1,
+                    fingerprint: this.getFingerprint(patternConfig, matchObj.value, matchContext.location),
+                    location: this.getLocation(matchContext.location),
+                    value: matchObj.value,
+                    type: matchObj.type || patternConfig.type || patternConfig.description,
+                    riskLevel: matchObj.riskLevel || patternConfig.risk || patternConfig.riskLevel,
+                    category: patternConfig.category || 'unknown',
+                    context: context,
+                    position: matchObj.index,
+                    timestamp: Date.now()
+                };
+                
+                // Malformed tokens are typically examples or truncated copies
+                if (checksumStatus) {
+                    finding.checksumStatus = checksumStatus;
+                    if (checksumStatus === 'malformed') {
+                        finding.riskLevel = 'low';
+                    }
+                }
+                
+                // Resources fetched separately from the page (e.g. script bundles)
+                if (options?.sourceUrl) {
+                    const { line, column } = this.getLineColumn(content, matchObj.index);
+                    finding.sourceType = options.sourceType || 'resource';
+                    finding.sourceUrl = options.sourceUrl;
+                    finding.line = line;
+                    finding.column = column;
+                }
+                
+                // Key block details (type, size, encryption)
+                if (matchObj.keyBlock) {
+                    finding.keyType = matchObj.keyBlock.keyType;
+                    finding.keySize = matchObj.keyBlock.keySize;
+                    finding.encrypted = matchObj.keyBlock.encrypted;
+                }
+                
+                // Add provider information for cloud storage findings
+                if (patternConfig.category === 'cloudStorage' && patternConfig.provider) {
+                    finding.provider = patternConfig.provider;
+                    
+                    // Extract bucket name for better display
+                    try {
+                        if (window.BucketParser) {
+                            const bucketInfo = window.BucketParser.parseBucketUrl(matchObj.value, patternConfig.provider);
                             
-                            // Extract bucket name for better display
-                            try {
-                                if (window.BucketParser) {
-                                    const bucketInfo = window.BucketParser.parseBucketUrl(matchObj.value, patternConfig.provider);
-                                    
-                                    finding.bucketName = bucketInfo.bucketName;
-                                    finding.value = bucketInfo.bucketName; // Use bucket name as the primary value
-                                    finding.fullUrl = matchObj.value; // Keep full URL for reference
-                                    
-                                    // Improve context to show the bucket URL in a cleaner way
-                                    const bucketUrlInContext = context.indexOf(matchObj.value);
-                                    if (bucketUrlInContext !== -1) {
-                                        // Replace the full URL in context with a cleaner representation
-                                        const cleanContext = context.replace(matchObj.value, `[Bucket: ${bucketInfo.bucketName}]`);
-                                        finding.context = cleanContext;
-                                    }
-                                }
-                            } catch (error) {
-                                // If parsing fails, skip this finding as it's likely a false positive
-                                this.debugLog('Skipping invalid cloud storage URL:', matchObj.value, error.message);
-                                continue; // Skip adding this finding
+                            finding.bucketName = bucketInfo.bucketName;
+                            finding.value = bucketInfo.bucketName; // Use bucket name as the primary value
+                            finding.fullUrl = matchObj.value; // Keep full URL for reference
+                            
+                            // Improve context to show the bucket URL in a cleaner way
+                            const bucketUrlInContext = context.indexOf(matchObj.value);
+                            if (bucketUrlInContext !== -1) {
+                                // Replace the full URL in context with a cleaner representation
+                                const cleanContext = context.replace(matchObj.value, `[Bucket: ${bucketInfo.bucketName}]`);
+                                finding.context = cleanContext;
                             }
                         }
-                        
-                        findings.push(finding);
+                    } catch (error) {
+                        // If parsing fails, skip this finding as it's likely a false positive
+                        this.debugLog('Skipping invalid cloud storage URL:', matchObj.value, error.message);
+                        continue; // Skip adding this finding
                     }
                 }
                 
-                // Yield control periodically to prevent blocking
-                if (patterns.indexOf(patternConfig) % 3 === 0) {
-                    await this.yieldControl();
+                findings.push(finding);
+                added++;
+            }
+        }
+        
+        
+        return added;
+    }
+    
+    /**
+     * Whether content is long enough to be scanned in chunks
+     * @param {string} content - Content to scan
+     * @returns {boolean} True when streaming is on and the content is longer than a chunk
+     */
+    isStreamingScan(content) {
+        return window.StorageUtils?.getSetting('streamingScan', true) !== false &&
+            content.length > this.getChunkSize();
+    }
+    
+    /**
+     * Streaming scan: runs the patterns over overlapping chunks of the content
+     * Chunks overlap by the longest match any of the patterns can produce (see
+     * getChunkOverlap), so a match across a chunk edge is found whole by the
+     * chunk it starts in; the next chunk drops it. Matches longer than the
+     * capped overlap are rescanned (see rescanChunkEdge)
+     * @param {string} content - Content to scan
+     * @param {Array} patterns - Patterns to use
+     * @param {object} options - Options
+     * @returns {Promise<Array>} Findings, with positions in the whole content
+     */
+    async scanInChunks(content, patterns, options) {
+        const findings = [];
+        const maxFindings = window.StorageUtils?.getSetting('maxFindings', 10);
+        const chunkSize = this.getChunkSize();
+        const overlap = this.getChunkOverlap(patterns, chunkSize);
+        const coveredUntil = new Map(); // rule id -> end of its last match
+        
+        for (const chunk of ProgressiveScanner._getRuleMatcher().splitIntoChunks(content, chunkSize, overlap)) {
+            if (this.abortController?.signal.aborted || findings.length >= maxFindings) {
+                break;
+            }
+            
+            let chunkFindings = await this.scanWithPatterns(chunk.text, patterns, { ...options, chunk: true });
+            this.stats.chunksScanned++;
+            if (chunk.offset + chunk.text.length < content.length) {
+                chunkFindings = await this.rescanChunkEdge(content, chunk, chunkFindings, patterns, options, chunkSize);
+            }
+            
+            for (const finding of chunkFindings) {
+                const position = chunk.offset + finding.position;
+                if (position >= chunk.ownedEnd || findings.length >= maxFindings) {
+                    continue; // Owned by the next chunk
                 }
                 
-            } catch (error) {
-                console.error('Pattern scan error:', patternConfig.description, error);
+                // The tail of a long match an earlier chunk reported
+                if (!finding.decoding) {
+                    const covered = coveredUntil.get(finding.ruleId) || 0;
+                    coveredUntil.set(finding.ruleId, Math.max(covered, position + finding.value.length));
+                    if (position < covered) {
+                        continue;
+                    }
+                }
+                
+                finding.position = position;
+                if (options?.sourceUrl) {
+                    const { line, column } = this.getLineColumn(content, position);
+                    finding.line = line;
+                    finding.column = column;
+                }
+                findings.push(finding);
             }
+            
+            await this.yieldControl();
         }
         
         return findings;
     }
     
+    /**
+     * Rescans rules whose match may run past the end of a chunk
+     * The chunk overlap is capped for unbounded rules, so a long match (a long
+     * JWT, a private key body) can reach the end of the chunk text cut short,
+     * and a key block whose END marker is past it is not found at all. Those
+     * rules run again over the chunk plus the next chunk's worth of content;
+     * a match that still reaches the end of that window is flagged truncated
+     * @param {string} content - Whole content
+     * @param {object} chunk - Chunk that was scanned ({ text, offset, ownedEnd })
+     * @param {Array} chunkFindings - Findings in the chunk
+     * @param {Array} patterns - Patterns to use
+     * @param {object} options - Options
+     * @param {number} chunkSize - Chunk size
+     * @returns {Promise<Array>} Chunk findings, with the rescanned rules' findings replaced
+     */
+    async rescanChunkEdge(content, chunk, chunkFindings, patterns, options, chunkSize) {
+        const ruleIds = new Set(chunkFindings
+            .filter(finding => !finding.decoding && finding.position + finding.value.length >= chunk.text.length)
+            .map(finding => finding.ruleId));
+        
+        // A key block that starts in this chunk and has no END marker in it
+        const header = chunk.text.lastIndexOf('-----BEGIN ');
+        if (header !== -1 && chunk.offset + header < chunk.ownedEnd && chunk.text.indexOf('-----END ', header) === -1) {
+            patterns.filter(p => p.detector === 'keyBlock').forEach(p => ruleIds.add(p.id));
+        }
+        if (ruleIds.size === 0) {
+            return chunkFindings;
+        }
+        
+        const windowEnd = Math.min(content.length, chunk.offset + chunk.text.length + chunkSize);
+        const text = content.slice(chunk.offset, windowEnd);
+        const rescanned = await this.scanWithPatterns(text, patterns.filter(p => ruleIds.has(p.id)), { ...options, chunk: true });
+        rescanned.forEach(finding => {
+            if (windowEnd < content.length && !finding.decoding && finding.position + finding.value.length >= text.length) {
+                finding.truncated = true;
+            }
+        });
+        
+        return chunkFindings.filter(finding => !ruleIds.has(finding.ruleId)).concat(rescanned);
+    }
+    
+    /**
+     * Characters per chunk in streaming scans
+     * @returns {number} Chunk size
+     */
+    getChunkSize() {
+        const size = window.StorageUtils?.getSetting('scanChunkSize', DEFAULT_SCAN_CHUNK_SIZE);
+        return size > 0 ? size : DEFAULT_SCAN_CHUNK_SIZE;
+    }
+    
+    /**
+     * Overlap between streaming chunks: the longest match any pattern can produce
+     * Rules with unbounded quantifiers get the cap (maxChunkOverlap, at most half a chunk)
+     * @param {Array} patterns - Patterns to use
+     * @param {number} chunkSize - Chunk size
+     * @returns {number} Overlap in characters
+     */
+    getChunkOverlap(patterns, chunkSize) {
+        const maxOverlap = window.StorageUtils?.getSetting('maxChunkOverlap', DEFAULT_MAX_CHUNK_OVERLAP);
+        const cap = Math.min(maxOverlap > 0 ? maxOverlap : DEFAULT_MAX_CHUNK_OVERLAP, Math.floor(chunkSize / 2));
+        
+        let longest = 0;
+        for (const patternConfig of patterns) {
+            longest = Math.max(longest, this.getRuleMaxLength(patternConfig));
+            if (longest >= cap) {
+                return cap;
+            }
+        }
+        return longest;
+    }
+    
+    /**
+     * Longest match a rule can produce
+     * @param {object} patternConfig - Pattern configuration (an explicit maxLength wins)
+     * @returns {number} Length in characters, Infinity when unbounded or unknown
+     */
+    getRuleMaxLength(patternConfig) {
+        if (typeof patternConfig.maxLength === 'number') {
+            return patternConfig.maxLength;
+        }
+        if (!(patternConfig.regex instanceof RegExp) || !window.ReDoSChecker) {
+            return Infinity;
+        }
+        
+        const key = `${patternConfig.regex.source}/${patternConfig.regex.flags}`;
+        if (!this.ruleMaxLengths.has(key)) {
+            const length = window.ReDoSChecker.maxMatchLength(patternConfig.regex.source, patternConfig.regex.flags);
+            this.ruleMaxLengths.set(key, length === null ? Infinity : length);
+        }
+        return this.ruleMaxLengths.get(key);
+    }
+    
+    /**
+     * Starts a byte budget for one page scan: the page markup, shadow roots and
+     * anything else passed through takeScanBudget() share the first maxScanBytes
+     */
+    startScanBudget() {
+        const streaming = window.StorageUtils?.getSetting('streamingScan', true) !== false;
+        const budget = window.StorageUtils?.getSetting('maxScanBytes', DEFAULT_MAX_SCAN_BYTES);
+        this.scanBudget = {
+            maxScanBytes: streaming ? (budget > 0 ? budget : DEFAULT_MAX_SCAN_BYTES) : Infinity,
+            scannedBytes: 0,
+            totalBytes: 0
+        };
+    }
+    
+    /**
+     * Takes content out of the current scan budget
+     * @param {string} content - Content about to be scanned
+     * @returns {string} The part of the content that fits (all of it outside a budgeted scan)
+     */
+    takeScanBudget(content) {
+        if (!this.scanBudget || typeof content !== 'string') {
+            return content;
+        }
+        
+        const budget = this.scanBudget;
+        const allowed = content.slice(0, Math.max(0, budget.maxScanBytes - budget.scannedBytes));
+        budget.scannedBytes += allowed.length;
+        budget.totalBytes += content.length;
+        return allowed;
+    }
+    
+    /**
+     * Ends the current scan budget
+     * @returns {object|null} { scannedBytes, totalBytes, maxScanBytes } when content was left out
+     */
+    endScanBudget() {
+        const budget = this.scanBudget;
+        this.scanBudget = null;
+        if (!budget || budget.totalBytes <= budget.scannedBytes) {
+            return null;
+        }
+        
+        this.stats.truncatedScans++;
+        return { ...budget };
+    }
+    
+    /**
+     * Decodes encoded spans in the content (recursively, see utils/decoder.js)
+     * and scans the decoded text. Findings point at the outermost encoded span
+     * and record the decode chain, e.g. base64 → json
+     * @param {string} content - Content that was scanned
+     * @param {Array} patterns - Patterns to use
+     * @param {object} options - Options of the original scan
+     * @param {Array} existing - Findings from the raw content, not reported again
+     * @returns {Promise<Array>} Findings in decoded text
+     */
+    async scanDecodedContent(content, patterns, options, existing = []) {
+        if (!window.RecursiveDecoder || !window.StorageUtils?.getSetting('decodeContent', true)) {
+            return [];
+        }
+        
+        const decoder = new window.RecursiveDecoder({
+            maxDepth: window.StorageUtils.getSetting('maxDecodeDepth', 3)
+        });
+        const outputs = decoder.decode(content);
+        if (outputs.length === 0) {
+            return [];
+        }
+        
+        const { text, locate } = decoder.join(outputs);
+        const decodedFindings = await this.scanWithPatterns(text, patterns, { ...options, decoded: true });
+        const known = new Set(existing.map(finding => `${finding.ruleId}:${finding.value}`));
+        
+        return decodedFindings.filter(finding => {
+            const key = `${finding.ruleId}:${finding.value}`;
+            if (known.has(key)) {
+                return false;
+            }
+            known.add(key);
+            
+            const output = locate(finding.position);
+            finding.position = output.index;
+            finding.decoding = {
+                chain: output.chain,
+                encoded: output.encoded.length > 200 ? `${output.encoded.slice(0, 200)}…` : output.encoded
+            };
+            if (options?.sourceUrl) {
+                const { line, column } = this.getLineColumn(content, output.index);
+                finding.line = line;
+                finding.column = column;
+            }
+            return true;
+        });
+    }
+    
+    /**
+     * Runs the keyword prefilter over the content for the given patterns
+     * @param {string} content - Content to scan
+     * @param {Array} patterns - Patterns about to be scanned
+     * @returns {Set<string>|null} Keywords found, or null when prefiltering is unavailable
+     */
+    findPatternKeywords(content, patterns) {
+        if (!window.KeywordPrefilter || !window.StorageUtils?.getSetting('keywordPrefilter', true)) {
+            return null;
+        }
+        
+        const keywordPatterns = patterns.filter(p => Array.isArray(p.keywords) && p.keywords.length > 0);
+        if (keywordPatterns.length === 0) {
+            return null;
+        }
+        
+        // Rebuild the automaton only when the keyword set changes
+        const key = keywordPatterns.map(p => p.keywords.join('|')).join('||');
+        if (key !== this.keywordPrefilterKey) {
+            this.keywordPrefilter = window.KeywordPrefilter.fromPatterns(keywordPatterns);
+            this.keywordPrefilterKey = key;
+        }
+        
+        const start = performance.now();
+        const found = this.keywordPrefilter.findKeywords(content);
+        this.prefilterStats.passes++;
+        this.prefilterStats.totalTime += performance.now() - start;
+        
+        return found;
+    }
+    
+    /**
+     * Get (or create) the counters for a pattern
+     * @param {object} patternConfig - Pattern configuration
+     * @returns {object} Counters { type, runs, skips, hits, totalTime }
+     */
+    getPatternStats(patternConfig) {
+        const id = this.getRuleId(patternConfig);
+        if (!this.patternStats[id]) {
+            this.patternStats[id] = {
+                type: patternConfig.type || patternConfig.description,
+                runs: 0,
+                skips: 0,
+                hits: 0,
+                totalTime: 0,
+                overBudget: 0,
+                disabled: false
+            };
+        }
+        return this.patternStats[id];
+    }
+    
+    /**
+     * Stable key for per-rule stats and the disabled list
+     * @param {object} patternConfig - Pattern configuration
+     * @returns {string} Rule id
+     */
+    getRuleId(patternConfig) {
+        return patternConfig.id || patternConfig.type || patternConfig.description;
+    }
+    
+    /**
+     * Milliseconds a single rule may spend on one scan before it is over budget
+     * (custom rules are then disabled; see handleBudgetOverrun)
+     * @returns {number} Budget in milliseconds
+     */
+    getRuleTimeBudget() {
+        const budget = window.StorageUtils?.getSetting('ruleTimeBudget', DEFAULT_RULE_TIME_BUDGET);
+        return budget > 0 ? budget : DEFAULT_RULE_TIME_BUDGET;
+    }
+    
+    /**
+     * Handle a rule that exceeded its time budget
+     * Custom (rule pack) rules are disabled; built-in rules stay on, since they
+     * scan the content in one pass and a large page alone can push them over
+     * the budget - their overruns are only counted in the performance stats
+     * @param {object} patternConfig - Pattern configuration
+     * @param {number} elapsed - Time the rule took, in milliseconds
+     */
+    handleBudgetOverrun(patternConfig, elapsed) {
+        if (patternConfig.rulePack) {
+            this.disableRule(patternConfig, elapsed);
+            return;
+        }
+        
+        this.getPatternStats(patternConfig).overBudget++;
+        this.debugLog(`Built-in rule "${this.getRuleId(patternConfig)}" took ${Math.round(elapsed)}ms (budget ${this.getRuleTimeBudget()}ms)`);
+    }
+    
+    /**
+     * Disable a rule that exceeded its time budget
+     * @param {object} patternConfig - Pattern configuration
+     * @param {number} elapsed - Time the rule took, in milliseconds
+     */
+    disableRule(patternConfig, elapsed) {
+        const id = this.getRuleId(patternConfig);
+        if (this.disabledRules.has(id)) {
+            return;
+        }
+        
+        this.disabledRules.set(id, {
+            id,
+            type: patternConfig.type || patternConfig.description,
+            rulePack: patternConfig.rulePack || null,
+            elapsed: Math.round(elapsed),
+            budget: this.getRuleTimeBudget(),
+            disabledAt: Date.now()
+        });
+        this.getPatternStats(patternConfig).disabled = true;
+        console.warn(`FerretWatch: rule "${id}" took ${Math.round(elapsed)}ms (budget ${this.getRuleTimeBudget()}ms) and was disabled`);
+    }
+    
+    /**
+     * Replace the disabled rule list (e.g. custom rules disabled on earlier pages)
+     * @param {Array<object>} entries - Entries as returned by getDisabledRules()
+     */
+    setDisabledRules(entries) {
+        this.disabledRules = new Map((entries || []).map(entry => [entry.id, entry]));
+    }
+    
+    /**
+     * Rules disabled for exceeding their time budget
+     * @returns {Array<object>} { id, type, rulePack, elapsed, budget, disabledAt }
+     */
+    getDisabledRules() {
+        return Array.from(this.disabledRules.values());
+    }
+    
     /**
      * Process regex matches in batches to avoid blocking
      * @param {string} content - Content to scan
@@ -299,22 +895,44 @@ class ProgressiveScanner {
      * @returns {Promise<Array>} Matches with position info
      */
     async batchProcessMatches(content, patternConfig) {
+        if (patternConfig.detector === 'keyBlock' && window.KeyBlockDetector) {
+            return this.findKeyBlockMatches(content);
+        }
+        
         const matches = [];
         const regex = patternConfig.regex;
+        const budget = this.getRuleTimeBudget();
+        const start = performance.now();
+        const matcher = ProgressiveScanner._getRuleMatcher();
         
         try {
-            // Use matchAll to get match objects with position information
-            const matchIterator = content.matchAll(regex);
-            for (const match of matchIterator) {
-                matches.push({
-                    value: match[0],
-                    index: match.index,
-                    fullMatch: match
-                });
+            for (const scanWindow of matcher.getScanWindows(content, Boolean(patternConfig.rulePack))) {
+                // Use matchAll to get match objects with position information
+                const matchIterator = scanWindow.text.matchAll(regex);
+                for (const match of matchIterator) {
+                    if (scanWindow.offset + match.index >= scanWindow.ownedEnd) {
+                        break; // Owned by the next window
+                    }
+                    
+                    const found = matcher.toMatch(match, scanWindow.offset, patternConfig.secretGroup || 0);
+                    if (found) {
+                        matches.push({ ...found, fullMatch: match });
+                        
+                        // Yield control periodically for large numbers of matches
+                        if (matches.length % 100 === 0) {
+                            await this.yieldControl();
+                        }
+                    }
+                    
+                    if (patternConfig.rulePack && performance.now() - start > budget) {
+                        this.handleBudgetOverrun(patternConfig, performance.now() - start);
+                        return matches;
+                    }
+                }
                 
-                // Yield control periodically for large numbers of matches
-                if (matches.length % 100 === 0) {
-                    await this.yieldControl();
+                if (patternConfig.rulePack && performance.now() - start > budget) {
+                    this.handleBudgetOverrun(patternConfig, performance.now() - start);
+                    return matches;
                 }
             }
         } catch (error) {
@@ -333,6 +951,16 @@ class ProgressiveScanner {
         return matches;
     }
     
+    /**
+     * Find private key blocks (see RuleMatcher.findKeyBlocks)
+     * @param {string} content - Unfiltered content
+     * @returns {Array} Matches with position info and key details
+     */
+    findKeyBlockMatches(content) {
+        return ProgressiveScanner._getRuleMatcher().findKeyBlocks(content, window.KeyBlockDetector)
+            .map(match => ({ ...match, fullMatch: match.match }));
+    }
+    
     /**
      * Debounced scanning for dynamic pages
      * @param {string} content - Content to scan
@@ -649,22 +1277,107 @@ class ProgressiveScanner {
         return content;
     }
     
-    isValidSecret(match, patternConfig) {
+    isValidSecret(match, patternConfig, matchContext) {
         // Use existing validation logic
         if (typeof window.isValidSecret === 'function') {
-            return window.isValidSecret(match, patternConfig);
+            return window.isValidSecret(match, patternConfig, matchContext);
         }
         return true; // Fallback
     }
     
+    /**
+     * Check whether the user dismissed this finding in an earlier scan
+     * Used for matches that skip isValidSecret because their detector validated them
+     * @param {string} value - Extracted secret
+     * @param {object} patternConfig - Pattern configuration
+     * @param {object} matchContext - Optional { location, url } the match was found at
+     * @returns {boolean} True if suppressed
+     */
+    isSuppressed(value, patternConfig, matchContext) {
+        return Boolean(window.patternValidator?.isSuppressed(value, patternConfig, matchContext));
+    }
+    
+    /**
+     * Deterministic finding id used for dedupe, suppression and exports
+     * @param {object} patternConfig - Pattern configuration
+     * @param {string} value - Raw matched value (the full URL for cloud storage matches)
+     * @param {string} url - URL the value was found at
+     * @returns {string|null} Fingerprint, or null if fingerprinting is unavailable
+     */
+    getFingerprint(patternConfig, value, url) {
+        if (!window.FindingFingerprint || !patternConfig.id) {
+            return null;
+        }
+        return window.FindingFingerprint.create(patternConfig.id, value, url);
+    }
+    
+    /**
+     * Normalized location recorded on findings
+     * @param {string} url - URL the value was found at
+     * @returns {string} Location (URL without query string or fragment)
+     */
+    getLocation(url) {
+        return window.FindingFingerprint ? window.FindingFingerprint.normalizeLocation(url) : (url || '');
+    }
+    
+    /**
+     * Current page URL, used by URL/domain scoped allowlists
+     * @returns {string|undefined} Page URL
+     */
+    getPageUrl() {
+        return typeof window.location !== 'undefined' ? window.location.href : undefined;
+    }
+    
+    /**
+     * Verify a token's embedded checksum when its pattern declares one
+     * @param {string} value - Extracted token
+     * @param {object} patternConfig - Pattern configuration
+     * @returns {string|null} 'valid', 'malformed', or null if not applicable
+     */
+    getChecksumStatus(value, patternConfig) {
+        if (!patternConfig.checksum || !window.TokenChecksum) {
+            return null;
+        }
+        return window.TokenChecksum.verify(value, patternConfig);
+    }
+    
+    /**
+     * Get the full line of content containing a position
+     * @param {string} content - Scanned content
+     * @param {number} index - Position within content
+     * @returns {string} Line text
+     */
+    getLineAt(content, index) {
+        const start = content.lastIndexOf('\n', index) + 1;
+        const end = content.indexOf('\n', index);
+        return content.slice(start, end === -1 ? content.length : end);
+    }
+    
+    /**
+     * 1-based line and column of a position
+     * @param {string} content - Scanned content
+     * @param {number} index - Position within content
+     * @returns {object} { line, column }
+     */
+    getLineColumn(content, index) {
+        let line = 1;
+        let lineStart = 0;
+        for (let i = content.indexOf('\n'); i !== -1 && i < index; i = content.indexOf('\n', i + 1)) {
+            line++;
+            lineStart = i + 1;
+        }
+        return { line, column: index - lineStart + 1 };
+    }
+    
     combineResults(visible, full) {
         const combined = [...visible, ...full];
         const unique = [];
         const seen = new Set();
         
         combined.forEach(finding => {
-            if (!seen.has(finding.value)) {
-                seen.add(finding.value);
+            const key = finding.fingerprint || finding.value;
+            if (!seen.has(key)) {
+                seen.add(key);
                 unique.push(finding);
             }
         });
@@ -689,14 +1402,6 @@ class ProgressiveScanner {
         return false;
     }
     
-    splitIntoChunks(text, chunkSize) {
-        const chunks = [];
-        for (let i = 0; i < text.length; i += chunkSize) {
-            chunks.push(text.slice(i, i + chunkSize));
-        }
-        return chunks;
-    }
-    
     async yieldControl() {
         return new Promise(resolve => setTimeout(resolve, 0));
     }
@@ -714,11 +1419,23 @@ class ProgressiveScanner {
      */
     getPerformanceStats() {
         const scannerStats = { ...this.stats };
+        const patternStats = {};
+        for (const [id, stats] of Object.entries(this.patternStats)) {
+            patternStats[id] = {
+                ...stats,
+                averageTime: stats.runs > 0 ? stats.totalTime / stats.runs : 0
+            };
+        }
+        const prefilterStats = { ...this.prefilterStats };
+        const disabledRules = this.getDisabledRules();
         
         if (this.bucketTester) {
             const bucketStats = this.bucketTester.getPerformanceStats();
             return {
                 scanner: scannerStats,
+                patterns: patternStats,
+                prefilter: prefilterStats,
+                disabledRules,
                 bucketTesting: bucketStats,
                 combined: {
                     totalOperations: scannerStats.totalScans + bucketStats.totalRequests,
@@ -728,7 +1445,7 @@ class ProgressiveScanner {
             };
         }
         
-        return { scanner: scannerStats };
+        return { scanner: scannerStats, patterns: patternStats, prefilter: prefilterStats, disabledRules };
     }
 
     /**
@@ -741,8 +1458,13 @@ class ProgressiveScanner {
             lastScanTime: 0,
             patternsProcessed: 0,
             bucketsScanned: 0,
-            bucketsAccessible: 0
+            bucketsAccessible: 0,
+            chunksScanned: 0,
+            truncatedScans: 0
         };
+        this.patternStats = {};
+        this.prefilterStats = { passes: 0, totalTime: 0 };
+        this.disabledRules.clear();
         
         if (this.bucketTester) {
             this.bucketTester.resetPerformanceStats();
@@ -775,6 +1497,23 @@ class ProgressiveScanner {
     getStats() {
         return { ...this.stats };
     }
+    
+    /**
+     * Gets the rule matching helpers shared with the worker (utils/rule-matcher.js)
+     * @private
+     */
+    static _getRuleMatcher() {
+        if (typeof RuleMatcher !== 'undefined') {
+            return RuleMatcher;
+        }
+        if (typeof window !== 'undefined' && window.RuleMatcher) {
+            return window.RuleMatcher;
+        }
+        if (typeof require !== 'undefined') {
+            return require('./rule-matcher.js').RuleMatcher;
+        }
+        throw new Error('RuleMatcher not available');
+    }
 }
 
 // Export for use in other modules
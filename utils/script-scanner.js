@@ -0,0 +1,203 @@
+/**
+ * External script scanner
+ * Fetches the page's <script src> resources and runs the secret patterns over
+ * them, so keys compiled into bundles (main.[hash].js) are found as well as
+ * the ones in the page markup. Same-origin scripts are fetched from the
+ * content script, usually straight from the HTTP cache; cross-origin scripts
+ * are fetched by the background page, which the page's CORS policy does not
+ * apply to. Findings carry the script URL, line and column
+ */
+
+const SCRIPT_SOURCE_TYPE = 'external-script';
+
+class ExternalScriptScanner {
+    /**
+     * @param {ProgressiveScanner} scanner - Scanner that runs the patterns
+     * @param {Object} options - Optional { maxScripts, maxScriptSize, fetch, sendMessage, pageUrl,
+     *   sourceMapScanner } (a SourceMapScanner that follows each script's source map)
+     */
+    constructor(scanner, options = {}) {
+        this.scanner = scanner;
+        this.maxScripts = options.maxScripts || 25;
+        this.maxScriptSize = options.maxScriptSize || 5 * 1024 * 1024;
+        this.fetch = options.fetch || ((url, init) => fetch(url, init));
+        this.sendMessage = options.sendMessage || ExternalScriptScanner._getSendMessage();
+        this.pageUrl = options.pageUrl || (typeof window !== 'undefined' && window.location ? window.location.href : '');
+        this.sourceMapScanner = options.sourceMapScanner || null;
+        this.sourceMapHeaders = new Map(); // script URL -> SourceMap / X-SourceMap header value
+        this.stats = { fetched: 0, skipped: 0, failed: 0, bytes: 0 };
+    }
+
+    /**
+     * Collects the external script URLs of a document
+     * @param {Document} doc - Document to read <script src> elements from
+     * @returns {Array<string>} Unique absolute http(s) URLs, at most maxScripts
+     */
+    getScriptUrls(doc = document) {
+        const urls = new Set();
+
+        doc.querySelectorAll('script[src]').forEach(script => {
+            try {
+                const url = new URL(script.getAttribute('src'), this.pageUrl);
+                if (url.protocol === 'http:' || url.protocol === 'https:') {
+                    url.hash = '';
+                    urls.add(url.href);
+                }
+            } catch (error) {
+                // Malformed src attribute
+            }
+        });
+
+        const list = Array.from(urls);
+        if (list.length > this.maxScripts) {
+            this.stats.skipped += list.length - this.maxScripts;
+        }
+        return list.slice(0, this.maxScripts);
+    }
+
+    /**
+     * Fetches and scans scripts one at a time (bundles can be megabytes each)
+     * @param {Array<string>} urls - Script URLs
+     * @param {Array<Object>} patterns - Patterns to run
+     * @returns {Promise<Array<Object>>} Findings with sourceUrl, line and column
+     */
+    async scanScripts(urls, patterns) {
+        const findings = [];
+
+        for (const url of urls) {
+            if (this.scanner.abortController?.signal.aborted) {
+                break;
+            }
+
+            const content = await this.fetchScript(url);
+            if (!content) {
+                continue;
+            }
+
+            findings.push(...await this.scanner.scanWithPatterns(content, patterns, {
+                sourceUrl: url,
+                sourceType: SCRIPT_SOURCE_TYPE
+            }));
+
+            if (this.sourceMapScanner) {
+                findings.push(...await this.sourceMapScanner.scanScript(url, content, patterns, this.sourceMapHeaders.get(url)));
+            }
+        }
+
+        return findings;
+    }
+
+    /**
+     * Fetches a script's source (or another text resource, such as its source map)
+     * @param {string} url - Script URL
+     * @param {number} maxSize - Optional size limit, maxScriptSize by default
+     * @returns {Promise<string|null>} Script source, or null if it could not be fetched or is too large
+     */
+    async fetchScript(url, maxSize = this.maxScriptSize) {
+        try {
+            const content = this.isSameOrigin(url) ?
+                await this._fetchSameOrigin(url, maxSize) :
+                await this._fetchViaBackground(url, maxSize);
+
+            if (content === null) {
+                this.stats.skipped++;
+                return null;
+            }
+
+            this.stats.fetched++;
+            this.stats.bytes += content.length;
+            return content;
+        } catch (error) {
+            this.stats.failed++;
+            console.debug('[FW Scripts] Could not fetch script:', url, error.message);
+            return null;
+        }
+    }
+
+    /**
+     * Checks whether a URL has the page's origin
+     * @param {string} url - URL to check
+     * @returns {boolean} True if same-origin
+     */
+    isSameOrigin(url) {
+        try {
+            return new URL(url).origin === new URL(this.pageUrl).origin;
+        } catch (error) {
+            return false;
+        }
+    }
+
+    /**
+     * Gets fetch statistics for the performance stats
+     * @returns {Object} { fetched, skipped, failed, bytes }
+     */
+    getStats() {
+        return { ...this.stats };
+    }
+
+    /**
+     * @private
+     */
+    async _fetchSameOrigin(url, maxSize) {
+        const response = await this.fetch(url, { credentials: 'same-origin', cache: 'force-cache' });
+        if (!response.ok) {
+            throw new Error(`HTTP ${response.status}`);
+        }
+
+        const declaredSize = parseInt(response.headers?.get?.('content-length'), 10);
+        if (declaredSize > maxSize) {
+            return null;
+        }
+
+        const sourceMap = response.headers?.get?.('sourcemap') || response.headers?.get?.('x-sourcemap');
+        if (sourceMap) {
+            this.sourceMapHeaders.set(url, sourceMap);
+        }
+
+        const content = await response.text();
+        return content.length > maxSize ? null : content;
+    }
+
+    /**
+     * @private
+     */
+    async _fetchViaBackground(url, maxSize) {
+        if (!this.sendMessage) {
+            throw new Error('Background fetch not available');
+        }
+
+        const response = await this.sendMessage({ type: 'FETCH_SCRIPT', url, maxSize });
+        if (!response || !response.success) {
+            if (response && response.tooLarge) {
+                return null;
+            }
+            throw new Error(response?.error || 'No response from background page');
+        }
+        if (response.sourceMap) {
+            this.sourceMapHeaders.set(url, response.sourceMap);
+        }
+        return response.content;
+    }
+
+    /**
+     * Gets runtime.sendMessage if the extension API is available
+     * @private
+     */
+    static _getSendMessage() {
+        const api = typeof browser !== 'undefined' ? browser : (typeof chrome !== 'undefined' ? chrome : null);
+        if (!api || !api.runtime || !api.runtime.sendMessage) {
+            return null;
+        }
+        return message => api.runtime.sendMessage(message);
+    }
+}
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { ExternalScriptScanner, SCRIPT_SOURCE_TYPE };
+}
+
+// For browser environment
+if (typeof window !== 'undefined') {
+    window.ExternalScriptScanner = ExternalScriptScanner;
+}
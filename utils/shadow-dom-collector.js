@@ -0,0 +1,115 @@
+/**
+ * Shadow DOM collector
+ * documentElement.innerHTML stops at shadow roots, and web-component apps
+ * often render everything inside them. This walks the page (template content
+ * included) for shadow hosts and returns the markup of each shadow root with
+ * the path of host elements leading to it, e.g.
+ * "app-shell >> settings-page#keys >> api-key-card". Closed roots are read
+ * through Firefox's openOrClosedShadowRoot, which only extensions can see
+ */
+
+// Separates shadow boundaries in host paths, as in devtools selectors
+const SHADOW_PATH_SEPARATOR = ' >> ';
+
+class ShadowDomCollector {
+    /**
+     * @param {Object} options - Optional { maxRoots, maxDepth, maxContentSize }
+     */
+    constructor(options = {}) {
+        this.maxRoots = options.maxRoots || 500;
+        this.maxDepth = options.maxDepth || 16;
+        this.maxContentSize = options.maxContentSize || 1024 * 1024;
+        this.stats = { roots: 0, templates: 0, skipped: 0 };
+    }
+
+    /**
+     * Collects the markup of every shadow root under a root
+     * Nested roots are returned separately; a root's innerHTML never includes them
+     * @param {Node} root - Document, element or shadow root to walk
+     * @returns {Array<Object>} { hostPath, content }
+     */
+    collect(root) {
+        this.stats = { roots: 0, templates: 0, skipped: 0 };
+        const segments = [];
+        const queue = [{ node: root, path: [], depth: 0 }];
+
+        while (queue.length > 0) {
+            const { node, path, depth } = queue.shift();
+            const elements = node && node.querySelectorAll ? node.querySelectorAll('*') : [];
+
+            for (const element of elements) {
+                // Template content is a separate, inert fragment that can hold shadow hosts too
+                if (element.content && (element.tagName || '').toUpperCase() === 'TEMPLATE') {
+                    this.stats.templates++;
+                    queue.push({ node: element.content, path: [...path, 'template'], depth });
+                }
+
+                const shadowRoot = ShadowDomCollector.getShadowRoot(element);
+                if (!shadowRoot) {
+                    continue;
+                }
+                if (segments.length >= this.maxRoots || depth >= this.maxDepth) {
+                    this.stats.skipped++;
+                    continue;
+                }
+
+                const hostPath = [...path, ShadowDomCollector.describeElement(element)];
+                const content = shadowRoot.innerHTML || '';
+                this.stats.roots++;
+                if (content.length > this.maxContentSize) {
+                    this.stats.skipped++;
+                } else if (content) {
+                    segments.push({ hostPath: hostPath.join(SHADOW_PATH_SEPARATOR), content });
+                }
+                queue.push({ node: shadowRoot, path: hostPath, depth: depth + 1 });
+            }
+        }
+
+        return segments;
+    }
+
+    /**
+     * Gets collection statistics
+     * @returns {Object} { roots, templates, skipped }
+     */
+    getStats() {
+        return { ...this.stats };
+    }
+
+    /**
+     * Gets an element's shadow root, open or closed
+     * @param {Element} element - Possible shadow host
+     * @returns {ShadowRoot|null} Shadow root
+     */
+    static getShadowRoot(element) {
+        try {
+            return element.openOrClosedShadowRoot || element.shadowRoot || null;
+        } catch (error) {
+            return null;
+        }
+    }
+
+    /**
+     * Describes an element as a short selector
+     * @param {Element} element - Element
+     * @returns {string} e.g. user-card#me or api-key.primary
+     */
+    static describeElement(element) {
+        const tag = (element.tagName || 'unknown').toLowerCase();
+        if (element.id) {
+            return `${tag}#${element.id}`;
+        }
+        const className = typeof element.className === 'string' ? element.className.trim().split(/\s+/)[0] : '';
+        return className ? `${tag}.${className}` : tag;
+    }
+}
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { ShadowDomCollector, SHADOW_PATH_SEPARATOR };
+}
+
+// For browser environment
+if (typeof window !== 'undefined') {
+    window.ShadowDomCollector = ShadowDomCollector;
+}
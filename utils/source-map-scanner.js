@@ -0,0 +1,281 @@
+/**
+ * Source map scanner
+ * Follows the source maps of scanned scripts (a trailing
+ * "//# sourceMappingURL=" comment or a SourceMap / X-SourceMap response
+ * header) and runs the secret patterns over the original sources embedded in
+ * their sourcesContent. Original sources keep what minification strips:
+ * comments, .env-derived constants and internal paths. Findings are reported
+ * against the original file name and line, and every source map that can be
+ * fetched is itself reported as an exposure
+ */
+
+const SOURCE_MAP_SOURCE_TYPE = 'source-map';
+const EXPOSED_SOURCE_MAP_RULE_ID = 'exposedSourceMap';
+
+// Last sourceMappingURL comment in a script (// or /* */ style, legacy //@ too)
+const SOURCE_MAPPING_URL_PATTERN = /(?:\/\/|\/\*)[#@]\s*sourceMappingURL=([^\s'"*]+)\s*(?:\*\/)?\s*$/;
+
+// Third-party and bundler-generated sources that are not worth scanning
+const VENDOR_SOURCE_PATTERN = /\/node_modules\/|^webpack\/(?:bootstrap|runtime)|\(webpack\)/;
+
+class SourceMapScanner {
+    /**
+     * @param {ProgressiveScanner} scanner - Scanner that runs the patterns
+     * @param {Object} options - { fetchText(url, maxSize) } plus optional { maxMaps, maxMapSize, skipVendorSources }
+     */
+    constructor(scanner, options = {}) {
+        this.scanner = scanner;
+        this.fetchText = options.fetchText;
+        this.maxMaps = options.maxMaps || 10;
+        this.maxMapSize = options.maxMapSize || 20 * 1024 * 1024;
+        this.skipVendorSources = options.skipVendorSources !== false;
+        this.scannedMaps = new Set();
+        this.stats = { maps: 0, sources: 0, skippedSources: 0, failed: 0 };
+    }
+
+    /**
+     * Finds, fetches and scans the source map of one script
+     * @param {string} scriptUrl - URL of the script
+     * @param {string} scriptContent - Script source
+     * @param {Array<Object>} patterns - Patterns to run
+     * @param {string} headerUrl - Optional SourceMap / X-SourceMap response header value
+     * @returns {Promise<Array<Object>>} The exposed source map finding and findings in original sources
+     */
+    async scanScript(scriptUrl, scriptContent, patterns, headerUrl = null) {
+        const mapUrl = SourceMapScanner.findSourceMapUrl(scriptContent, scriptUrl, headerUrl);
+        if (!mapUrl || this.scannedMaps.has(mapUrl) || this.scannedMaps.size >= this.maxMaps) {
+            return [];
+        }
+        this.scannedMaps.add(mapUrl);
+
+        const inline = mapUrl.startsWith('data:');
+        const text = inline ? SourceMapScanner.decodeDataUrl(mapUrl) : await this._fetchMap(mapUrl);
+        const map = text ? SourceMapScanner.parseMap(text) : null;
+        if (!map) {
+            if (text) {
+                this.stats.failed++;
+            }
+            return [];
+        }
+        this.stats.maps++;
+
+        // Inline maps have no URL of their own; they are located at their script
+        const location = inline ? scriptUrl : mapUrl;
+        const sources = SourceMapScanner.getSources(map, location);
+        const findings = [];
+        if (!this.scanner.isSuppressed(location, { id: EXPOSED_SOURCE_MAP_RULE_ID }, { location })) {
+            findings.push(this.createExposureFinding(location, scriptUrl, sources, inline));
+        }
+
+        for (const source of sources) {
+            if (this.scanner.abortController?.signal.aborted) {
+                break;
+            }
+            if (!source.content || (this.skipVendorSources && VENDOR_SOURCE_PATTERN.test(source.name))) {
+                this.stats.skippedSources++;
+                continue;
+            }
+
+            this.stats.sources++;
+            const sourceFindings = await this.scanner.scanWithPatterns(source.content, patterns, {
+                sourceUrl: source.url,
+                sourceType: SOURCE_MAP_SOURCE_TYPE
+            });
+            sourceFindings.forEach(finding => {
+                finding.sourceMap = { mapUrl: location, scriptUrl, source: source.name };
+            });
+            findings.push(...sourceFindings);
+        }
+
+        return findings;
+    }
+
+    /**
+     * Creates the finding that reports a reachable source map
+     * @param {string} mapUrl - Source map URL (the script URL for inline maps)
+     * @param {string} scriptUrl - Script the map belongs to
+     * @param {Array<Object>} sources - Sources listed by the map
+     * @param {boolean} inline - Whether the map is embedded in the script
+     * @returns {Object} Finding
+     */
+    createExposureFinding(mapUrl, scriptUrl, sources, inline) {
+        const withContent = sources.filter(source => source.content).length;
+        const fingerprint = SourceMapScanner._getFingerprint();
+
+        return {
+            ruleId: EXPOSED_SOURCE_MAP_RULE_ID,
+            ruleVersion: 1,
+            fingerprint: fingerprint ? fingerprint.create(EXPOSED_SOURCE_MAP_RULE_ID, mapUrl, mapUrl) : null,
+            location: fingerprint ? fingerprint.normalizeLocation(mapUrl) : mapUrl,
+            value: inline ? `${scriptUrl} (inline source map)` : mapUrl,
+            type: 'Exposed Source Map',
+            // Maps that embed the original code give away much more than file names
+            riskLevel: withContent > 0 ? 'medium' : 'low',
+            category: 'generic',
+            context: `${sources.length} source file(s), ${withContent} with embedded source code`,
+            sourceType: SOURCE_MAP_SOURCE_TYPE,
+            sourceUrl: mapUrl,
+            sourceMap: { mapUrl, scriptUrl, inline, sourceCount: sources.length, sourcesWithContent: withContent },
+            timestamp: Date.now()
+        };
+    }
+
+    /**
+     * Gets scan statistics
+     * @returns {Object} { maps, sources, skippedSources, failed }
+     */
+    getStats() {
+        return { ...this.stats };
+    }
+
+    /**
+     * Finds the source map URL of a script
+     * The response header wins over the comment, as in browser devtools
+     * @param {string} scriptContent - Script source
+     * @param {string} scriptUrl - Script URL, used to resolve relative map URLs
+     * @param {string} headerUrl - Optional SourceMap / X-SourceMap header value
+     * @returns {string|null} Absolute map URL or data: URL
+     */
+    static findSourceMapUrl(scriptContent, scriptUrl, headerUrl = null) {
+        let reference = headerUrl ? headerUrl.trim() : null;
+        if (!reference && scriptContent) {
+            // The comment has to be the last thing in the script; inline maps can be megabytes long
+            const index = scriptContent.lastIndexOf('sourceMappingURL=');
+            const match = index === -1 ? null :
+                scriptContent.slice(Math.max(0, index - 8)).trimEnd().match(SOURCE_MAPPING_URL_PATTERN);
+            reference = match ? match[1] : null;
+        }
+        if (!reference) {
+            return null;
+        }
+        if (reference.startsWith('data:')) {
+            return reference;
+        }
+
+        try {
+            const url = new URL(reference, scriptUrl);
+            return url.protocol === 'http:' || url.protocol === 'https:' ? url.href : null;
+        } catch (error) {
+            return null;
+        }
+    }
+
+    /**
+     * Parses source map JSON, including index maps with sections
+     * @param {string} text - Source map text
+     * @returns {Object|null} { sources, sourcesContent, sourceRoot } or null if it is not a source map
+     */
+    static parseMap(text) {
+        try {
+            // Some servers prefix JSON with )]}' against XSSI
+            const map = JSON.parse(text.replace(/^\)\]\}'[^\n]*\n/, ''));
+            if (Array.isArray(map.sections)) {
+                const sections = map.sections.map(section => section.map).filter(Boolean);
+                return {
+                    sources: sections.flatMap(section => section.sources || []),
+                    sourcesContent: sections.flatMap(section =>
+                        (section.sources || []).map((source, i) => (section.sourcesContent || [])[i] || null)),
+                    sourceRoot: ''
+                };
+            }
+            return Array.isArray(map.sources) ? map : null;
+        } catch (error) {
+            return null;
+        }
+    }
+
+    /**
+     * Lists the original sources of a map
+     * @param {Object} map - Parsed source map
+     * @param {string} mapUrl - URL the map was loaded from, used to resolve relative names
+     * @returns {Array<Object>} { name, url, content }
+     */
+    static getSources(map, mapUrl) {
+        const root = map.sourceRoot ? map.sourceRoot.replace(/\/?$/, '/') : '';
+
+        return map.sources.map((source, i) => {
+            const name = `${root}${source || ''}`;
+            let url = name;
+            // Bundler names (webpack://app/./src/x.ts) are kept as written; relative paths resolve against the map
+            if (!/^[a-z][a-z0-9+.-]*:/i.test(name)) {
+                try {
+                    url = new URL(name, mapUrl).href;
+                } catch (error) {
+                    // Keep the name as is
+                }
+            }
+            const content = (map.sourcesContent || [])[i];
+            return { name, url, content: typeof content === 'string' ? content : null };
+        });
+    }
+
+    /**
+     * Decodes an inline (data: URL) source map
+     * @param {string} dataUrl - data:application/json[;charset=utf-8][;base64],...
+     * @returns {string|null} Map text
+     */
+    static decodeDataUrl(dataUrl) {
+        const comma = dataUrl.indexOf(',');
+        if (comma === -1) {
+            return null;
+        }
+
+        const meta = dataUrl.slice(5, comma);
+        const data = dataUrl.slice(comma + 1);
+        try {
+            if (!/;base64$/i.test(meta)) {
+                return decodeURIComponent(data);
+            }
+            const binary = atob(data);
+            return new TextDecoder().decode(Uint8Array.from(binary, c => c.charCodeAt(0)));
+        } catch (error) {
+            return null;
+        }
+    }
+
+    /**
+     * @private
+     */
+    async _fetchMap(mapUrl) {
+        if (!this.fetchText) {
+            return null;
+        }
+        try {
+            return await this.fetchText(mapUrl, this.maxMapSize);
+        } catch (error) {
+            this.stats.failed++;
+            return null;
+        }
+    }
+
+    /**
+     * Gets FindingFingerprint from the global scope, or require() under Node
+     * @private
+     */
+    static _getFingerprint() {
+        if (typeof FindingFingerprint !== 'undefined') {
+            return FindingFingerprint;
+        }
+        if (typeof window !== 'undefined' && window.FindingFingerprint) {
+            return window.FindingFingerprint;
+        }
+        if (typeof require !== 'undefined') {
+            try {
+                return require('./fingerprint.js').FindingFingerprint;
+            } catch (error) {
+                return null;
+            }
+        }
+        return null;
+    }
+}
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { SourceMapScanner, SOURCE_MAP_SOURCE_TYPE, EXPOSED_SOURCE_MAP_RULE_ID };
+}
+
+// For browser environment
+if (typeof window !== 'undefined') {
+    window.SourceMapScanner = SourceMapScanner;
+}
@@ -0,0 +1,146 @@
+/**
+ * FerretWatch Storage Collector
+ * Injected into the main world to read the page's IndexedDB databases and
+ * Cache Storage entries, which content scripts cannot reliably reach in every
+ * browser. Answers FERRETWATCH_STORAGE_REQUEST messages with the entries as
+ * { store, keyPath, value } strings for utils/storage-scanner.js to scan.
+ */
+
+(function () {
+    'use strict';
+
+    // Avoid double injection
+    if (window.__ferretWatchStorageCollectorInjected) {
+        return;
+    }
+    window.__ferretWatchStorageCollectorInjected = true;
+
+    // Cached responses worth reading as text
+    const TEXT_CONTENT_TYPE = /json|text|javascript|xml|x-www-form-urlencoded/i;
+
+    /**
+     * Serialize a stored value for scanning
+     */
+    function stringify(value) {
+        if (typeof value === 'string') {
+            return value;
+        }
+        try {
+            return JSON.stringify(value);
+        } catch (e) {
+            return String(value);
+        }
+    }
+
+    /**
+     * Wrap an IDBRequest in a promise
+     */
+    function promisify(request) {
+        return new Promise((resolve, reject) => {
+            request.onsuccess = () => resolve(request.result);
+            request.onerror = () => reject(request.error);
+        });
+    }
+
+    /**
+     * Read the records of every object store in every IndexedDB database
+     */
+    async function collectIndexedDB(limits, entries) {
+        if (!window.indexedDB || typeof indexedDB.databases !== 'function') {
+            return;
+        }
+
+        const databases = await indexedDB.databases();
+        for (const info of databases) {
+            if (!info.name || entries.length >= limits.maxEntries) {
+                continue;
+            }
+
+            const db = await promisify(indexedDB.open(info.name));
+            try {
+                for (const storeName of Array.from(db.objectStoreNames)) {
+                    const store = db.transaction(storeName, 'readonly').objectStore(storeName);
+                    const remaining = limits.maxEntries - entries.length;
+                    if (remaining <= 0) {
+                        break;
+                    }
+
+                    const [keys, values] = await Promise.all([
+                        promisify(store.getAllKeys(null, remaining)),
+                        promisify(store.getAll(null, remaining))
+                    ]);
+                    keys.forEach((key, index) => {
+                        entries.push({
+                            store: 'indexedDB',
+                            keyPath: `${info.name}/${storeName}/${stringify(key)}`,
+                            value: stringify(values[index])
+                        });
+                    });
+                }
+            } finally {
+                db.close();
+            }
+        }
+    }
+
+    /**
+     * Read the text responses kept in Cache Storage
+     */
+    async function collectCacheStorage(limits, entries) {
+        if (!window.caches) {
+            return;
+        }
+
+        for (const cacheName of await caches.keys()) {
+            const cache = await caches.open(cacheName);
+            for (const request of await cache.keys()) {
+                if (entries.length >= limits.maxEntries) {
+                    return;
+                }
+
+                const response = await cache.match(request);
+                const contentType = response?.headers.get('content-type') || '';
+                const declaredSize = parseInt(response?.headers.get('content-length'), 10);
+                if (!response || !TEXT_CONTENT_TYPE.test(contentType) || declaredSize > limits.maxValueSize) {
+                    continue;
+                }
+
+                entries.push({
+                    store: 'cacheStorage',
+                    keyPath: `${cacheName}/${request.url}`,
+                    value: await response.text()
+                });
+            }
+        }
+    }
+
+    window.addEventListener('message', async (event) => {
+        if (event.source !== window || !event.data || event.data.type !== 'FERRETWATCH_STORAGE_REQUEST') {
+            return;
+        }
+
+        const { requestId, limits } = event.data;
+        const entries = [];
+        const errors = [];
+
+        // One failing store (blocked database, opaque cache entry) must not hide the others
+        for (const collect of [collectIndexedDB, collectCacheStorage]) {
+            try {
+                await collect(limits, entries);
+            } catch (e) {
+                errors.push(`${collect.name}: ${e.message}`);
+            }
+        }
+
+        try {
+            window.postMessage({
+                type: 'FERRETWATCH_STORAGE_RESPONSE',
+                requestId,
+                entries,
+                errors
+            }, window.location.origin === 'null' ? '*' : window.location.origin);
+        } catch (e) {
+            console.debug('[FW Storage] postMessage failed:', e);
+        }
+    });
+})();
@@ -0,0 +1,254 @@
+/**
+ * Browser storage scanner
+ * Runs the secret patterns over what the page keeps client-side: Web Storage
+ * (localStorage, sessionStorage), cookies readable by script, IndexedDB and
+ * Cache Storage. SPAs often keep refresh tokens, API keys and whole user
+ * objects there, out of reach of the DOM scan. Web Storage and cookies are
+ * read from the content script; IndexedDB and Cache Storage are read by
+ * utils/storage-collector.js in the main world. Findings carry the store name
+ * and key path, and are located at storage://<host>/<store>/<key path>
+ */
+
+const STORAGE_SOURCE_TYPE = 'browser-storage';
+
+const STORAGE_MESSAGE_TYPES = {
+    REQUEST: 'FERRETWATCH_STORAGE_REQUEST',
+    RESPONSE: 'FERRETWATCH_STORAGE_RESPONSE'
+};
+
+class BrowserStorageScanner {
+    /**
+     * @param {ProgressiveScanner} scanner - Scanner that runs the patterns
+     * @param {Object} options - Optional { maxEntries, maxValueSize, timeout, pageUrl,
+     *   readWebStorage, readCookies, requestMainWorld }
+     */
+    constructor(scanner, options = {}) {
+        this.scanner = scanner;
+        this.maxEntries = options.maxEntries || 500;
+        this.maxValueSize = options.maxValueSize || 256 * 1024;
+        this.timeout = options.timeout || 5000;
+        this.pageUrl = options.pageUrl || (typeof window !== 'undefined' && window.location ? window.location.href : '');
+        this.readWebStorage = options.readWebStorage || (name => window[name]);
+        this.readCookies = options.readCookies || (() => document.cookie);
+        this.requestMainWorld = options.requestMainWorld || (limits => this._requestMainWorld(limits));
+        this.stats = { entries: 0, skipped: 0, findings: 0, errors: [] };
+    }
+
+    /**
+     * Collects and scans every store
+     * @param {Array<Object>} patterns - Patterns to run
+     * @returns {Promise<Array<Object>>} Findings with the store name and key path
+     */
+    async scanStorage(patterns) {
+        return this.scanEntries(await this.collectEntries(), patterns);
+    }
+
+    /**
+     * Collects the page's storage entries
+     * @returns {Promise<Array<Object>>} { store, keyPath, value }, at most maxEntries
+     */
+    async collectEntries() {
+        const entries = [
+            ...this.collectWebStorage('localStorage'),
+            ...this.collectWebStorage('sessionStorage'),
+            ...this.collectCookies()
+        ];
+
+        try {
+            const limits = { maxEntries: Math.max(0, this.maxEntries - entries.length), maxValueSize: this.maxValueSize };
+            if (limits.maxEntries > 0) {
+                entries.push(...await this.requestMainWorld(limits));
+            }
+        } catch (error) {
+            this.stats.errors.push(error.message);
+        }
+
+        if (entries.length > this.maxEntries) {
+            this.stats.skipped += entries.length - this.maxEntries;
+        }
+        return entries.slice(0, this.maxEntries);
+    }
+
+    /**
+     * Reads a Web Storage area
+     * @param {string} name - 'localStorage' or 'sessionStorage'
+     * @returns {Array<Object>} Entries
+     */
+    collectWebStorage(name) {
+        try {
+            const storage = this.readWebStorage(name);
+            if (!storage) {
+                return [];
+            }
+
+            const entries = [];
+            for (let i = 0; i < storage.length; i++) {
+                const key = storage.key(i);
+                entries.push({ store: name, keyPath: key, value: storage.getItem(key) || '' });
+            }
+            return entries;
+        } catch (error) {
+            // Storage disabled or blocked for this origin (sandboxed frames, privacy settings)
+            this.stats.errors.push(`${name}: ${error.message}`);
+            return [];
+        }
+    }
+
+    /**
+     * Reads the cookies visible to script (HttpOnly cookies are not)
+     * @returns {Array<Object>} Entries
+     */
+    collectCookies() {
+        try {
+            return String(this.readCookies() || '').split(';')
+                .map(pair => {
+                    const index = pair.indexOf('=');
+                    return index === -1 ? null : { store: 'cookie', keyPath: pair.slice(0, index).trim(), value: pair.slice(index + 1).trim() };
+                })
+                .filter(entry => entry && entry.keyPath && entry.value);
+        } catch (error) {
+            this.stats.errors.push(`cookie: ${error.message}`);
+            return [];
+        }
+    }
+
+    /**
+     * Scans storage entries one at a time
+     * @param {Array<Object>} entries - { store, keyPath, value }
+     * @param {Array<Object>} patterns - Patterns to run
+     * @returns {Promise<Array<Object>>} Findings
+     */
+    async scanEntries(entries, patterns) {
+        const findings = [];
+
+        for (const entry of entries) {
+            if (this.scanner.abortController?.signal.aborted) {
+                break;
+            }
+            const value = typeof entry.value === 'string' ? entry.value : '';
+            if (!value || value.length > this.maxValueSize) {
+                this.stats.skipped += value ? 1 : 0;
+                continue;
+            }
+
+            this.stats.entries++;
+            const location = this.getLocation(entry);
+
+            // Scan the key with the value so key=value rules see the name
+            const entryFindings = await this.scanner.scanWithPatterns(`${entry.keyPath}=${value}`, patterns, { location });
+            entryFindings.forEach(finding => {
+                finding.sourceType = STORAGE_SOURCE_TYPE;
+                finding.storage = { store: entry.store, keyPath: entry.keyPath };
+            });
+            findings.push(...entryFindings);
+        }
+
+        this.stats.findings += findings.length;
+        return findings;
+    }
+
+    /**
+     * Location of a storage entry, used for fingerprints and suppressions
+     * @param {Object} entry - { store, keyPath }
+     * @returns {string} storage://<host>/<store>/<key path>
+     */
+    getLocation(entry) {
+        let host = '';
+        try {
+            host = new URL(this.pageUrl).host;
+        } catch (error) {
+            // Pages without a host (file:, about:) share one location per store
+        }
+        return `storage://${host}/${entry.store}/${encodeURIComponent(entry.keyPath)}`;
+    }
+
+    /**
+     * Gets scan statistics
+     * @returns {Object} { entries, skipped, findings, errors }
+     */
+    getStats() {
+        return { ...this.stats, errors: [...this.stats.errors] };
+    }
+
+    /**
+     * Asks the main-world collector for IndexedDB and Cache Storage entries
+     * @private
+     */
+    _requestMainWorld(limits) {
+        BrowserStorageScanner._injectCollector();
+
+        const requestId = `storage-${Date.now()}-${Math.random().toString(36).slice(2)}`;
+        return new Promise(resolve => {
+            const finish = entries => {
+                clearTimeout(timer);
+                window.removeEventListener('message', onMessage);
+                resolve(entries);
+            };
+            const onMessage = event => {
+                if (event.source !== window || !event.data ||
+                    event.data.type !== STORAGE_MESSAGE_TYPES.RESPONSE || event.data.requestId !== requestId) {
+                    return;
+                }
+                this.stats.errors.push(...(event.data.errors || []));
+                finish(Array.isArray(event.data.entries) ? event.data.entries : []);
+            };
+            const timer = setTimeout(() => {
+                this.stats.errors.push('Main-world storage collector did not respond');
+                finish([]);
+            }, this.timeout);
+
+            window.addEventListener('message', onMessage);
+            // The collector script loads asynchronously and misses messages sent before it listens
+            BrowserStorageScanner._whenCollectorReady(() => {
+                window.postMessage({ type: STORAGE_MESSAGE_TYPES.REQUEST, requestId, limits }, '*');
+            });
+        });
+    }
+
+    /**
+     * Injects utils/storage-collector.js into the page once
+     * @private
+     */
+    static _injectCollector() {
+        if (BrowserStorageScanner._collector) {
+            return;
+        }
+
+        const api = typeof browser !== 'undefined' ? browser : chrome;
+        const script = document.createElement('script');
+        BrowserStorageScanner._collector = { ready: false, callbacks: [] };
+
+        script.src = api.runtime.getURL('utils/storage-collector.js');
+        script.onload = script.onerror = function () {
+            this.remove();
+            const collector = BrowserStorageScanner._collector;
+            collector.ready = true;
+            collector.callbacks.splice(0).forEach(callback => callback());
+        };
+        (document.head || document.documentElement).appendChild(script);
+    }
+
+    /**
+     * @private
+     */
+    static _whenCollectorReady(callback) {
+        const collector = BrowserStorageScanner._collector;
+        if (collector.ready) {
+            callback();
+        } else {
+            collector.callbacks.push(callback);
+        }
+    }
+}
+
+BrowserStorageScanner._collector = null;
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { BrowserStorageScanner, STORAGE_SOURCE_TYPE, STORAGE_MESSAGE_TYPES };
+}
+
+// For browser environment
+if (typeof window !== 'undefined') {
+    window.BrowserStorageScanner = BrowserStorageScanner;
+}
@@ -40,6 +40,8 @@ const DEFAULT_SETTINGS = {
     // Pattern toggles
     enabledCategories: {
         aws: true,
+        azure: true,
+        gcp: true,
         github: true,
         slack: true,
         discord: true,
@@ -47,13 +49,46 @@ const DEFAULT_SETTINGS = {
         database: true,
         auth: true,
         ssh: true,
-        passwords: true
+        passwords: true,
+        generic: true,
+        custom: true
     },
     
     // Scanning preferences
     scanningMode: 'progressive', // 'progressive' | 'full' | 'visible-only'
     scanDelay: 500, // milliseconds
     enableDebounce: true,
+    keywordPrefilter: true, // skip regexes whose keywords don't occur in the content
+    scanInWorker: true, // run pattern regexes in a worker instead of on the page's main thread
+    streamingScan: true, // scan content longer than scanChunkSize in overlapping chunks
+    scanChunkSize: 524288, // characters per chunk
+    maxChunkOverlap: 8192, // cap on the chunk overlap (otherwise the longest match a rule can produce)
+    maxScanBytes: 16777216, // page markup and shadow roots scanned per scan; the popup status reports the rest
+    decodeContent: true, // decode base64, URL-encoded, escaped and hex spans and scan the output
+    maxDecodeDepth: 3, // decodings applied to nested encodings (e.g. base64 of URL-encoded text)
+    scanExternalScripts: true, // fetch <script src> bundles and scan them too
+    maxExternalScripts: 25, // scripts fetched per scan
+    maxScriptSize: 5242880, // bytes; larger scripts are skipped
+    scanApiTraffic: true, // scan captured fetch/XHR headers and bodies
+    maxTrafficBodySize: 1048576, // characters; larger bodies are skipped
+    captureRealtime: true, // record WebSocket/EventSource connections for the API Explorer
+    scanRealtimeTraffic: true, // scan text frames of WebSocket/EventSource connections
+    detectHeaderLeaks: true, // background page reports credentials sent to third-party hosts
+    scanBrowserStorage: true, // scan Web Storage, cookies, IndexedDB and Cache Storage
+    maxStorageEntries: 500, // entries read per scan across all stores
+    scanSourceMaps: true, // follow script source maps and scan the original sources
+    maxSourceMaps: 10,
+    maxSourceMapSize: 20971520, // characters
+    liveScanning: false, // scan DOM changes as they happen (single-page apps)
+    liveScanThrottle: 1000, // ms between live scans
+    liveScanCpuBudget: 100, // ms of scanning allowed per second
+    rescanOnRouteChange: false, // rescan after pushState / hash navigations (single-page apps)
+    routeRescanDelay: 1000, // ms to let the new route render before rescanning
+    scanFrames: true, // scan same-origin iframes and add their findings to the tab's results
+    scanCrossOriginFrames: false, // also scan third-party iframes (ads, widgets)
+    scanShadowDom: true, // scan open and closed shadow roots
+    maxShadowRoots: 500, // shadow roots scanned per scan
+    scanHydrationState: true, // parse __NEXT_DATA__, window.__INITIAL_STATE__, JSON-LD and similar JSON
     
     // Notification preferences
     showNotifications: true,
@@ -62,9 +97,12 @@ const DEFAULT_SETTINGS = {
     playSound: false,
     
     // Sensitivity settings
-    entropyThreshold: 3.5,
+    entropyThreshold: 3.5, // minimum Shannon entropy for generic secret assignments
+    minimumCharacterVariety: 0.25, // minimum unique/total character ratio for generic secrets
     minimumSecretLength: 10,
+    malformedTokenAction: 'demote', // 'demote' | 'drop' - tokens failing their embedded checksum
     enableContextFiltering: true,
+    ruleAllowlists: {}, // rule id -> allowlists ({ regexes, regexTarget, stopwords, domains, urls, condition })
     
     // Domain management
     whitelistedDomains: [],
@@ -72,6 +110,7 @@ const DEFAULT_SETTINGS = {
     
     // Advanced settings
     maxFindings: 10,
+    ruleTimeBudget: 250, // ms a single rule may spend on one scan; custom rules over it are disabled
     enableHighlighting: false,
     debugMode: false,
 
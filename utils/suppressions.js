@@ -0,0 +1,150 @@
+/**
+ * Finding suppression utilities
+ * Persists findings the user dismissed so later scans stop reporting them.
+ * Suppressions are keyed by the finding fingerprint (utils/fingerprint.js),
+ * so a dismissal applies to that rule, value and location; the secret itself
+ * is never written to storage. Keys stored before fingerprints existed are
+ * SHA-256("ruleId:value") and still suppress the pair everywhere
+ *
+ * Stored format:
+ * {
+ *   "<fingerprint>": { "ruleId": "githubToken", "type": "GitHub Token",
+ *                      "location": "https://example.com/app",
+ *                      "url": "https://example.com/app?tab=1", "createdAt": "..." }
+ * }
+ */
+
+const SUPPRESSION_STORAGE_KEY = 'findingSuppressions';
+
+class SuppressionManager {
+    /**
+     * Builds the suppression key for a rule, value and location
+     * @param {string} ruleId - Pattern id that produced the finding
+     * @param {string} value - Raw matched value
+     * @param {string} url - URL the value was found at
+     * @returns {string} Finding fingerprint
+     */
+    static createKey(ruleId, value, url) {
+        return SuppressionManager._getFingerprint().create(ruleId, value, url);
+    }
+
+    /**
+     * Builds the suppression key for a finding as reported by the scanner
+     * @param {Object} finding - Scanner finding
+     * @returns {string|null} Finding fingerprint, or null if the finding has no rule id
+     */
+    static createKeyForFinding(finding) {
+        return SuppressionManager._getFingerprint().forFinding(finding);
+    }
+
+    /**
+     * Loads stored suppressions
+     * @returns {Promise<Object>} Suppression metadata keyed by hash
+     */
+    static async loadSuppressions() {
+        try {
+            const result = await SuppressionManager._getStorage().get([SUPPRESSION_STORAGE_KEY]);
+            const stored = result[SUPPRESSION_STORAGE_KEY];
+            return stored && typeof stored === 'object' && !Array.isArray(stored) ? stored : {};
+        } catch (error) {
+            console.warn('Failed to load finding suppressions:', error);
+            return {};
+        }
+    }
+
+    /**
+     * Loads the stored suppression keys
+     * @returns {Promise<Array<string>>} SHA-256 keys
+     */
+    static async loadSuppressionKeys() {
+        return Object.keys(await SuppressionManager.loadSuppressions());
+    }
+
+    /**
+     * Suppresses a finding at its location on every later scan
+     * @param {Object} finding - Scanner finding (needs fingerprint, or ruleId and value)
+     * @param {string} url - Page the finding was dismissed on; locates findings that carry no location
+     * @returns {Promise<string|null>} The suppression key, or null if the finding cannot be suppressed
+     */
+    static async addSuppression(finding, url) {
+        const key = SuppressionManager.createKeyForFinding({ ...finding, url: finding.url || url });
+        if (!key) {
+            return null;
+        }
+
+        const suppressions = await SuppressionManager.loadSuppressions();
+        suppressions[key] = {
+            ruleId: finding.ruleId,
+            type: finding.type || null,
+            location: SuppressionManager._getFingerprint().normalizeLocation(finding.location || finding.url || url),
+            url: url || null,
+            createdAt: new Date().toISOString()
+        };
+        await SuppressionManager._getStorage().set({ [SUPPRESSION_STORAGE_KEY]: suppressions });
+
+        return key;
+    }
+
+    /**
+     * Removes a suppression by key
+     * @param {string} key - Finding fingerprint or legacy SHA-256 key
+     * @returns {Promise<boolean>} True if a suppression was removed
+     */
+    static async removeSuppression(key) {
+        const suppressions = await SuppressionManager.loadSuppressions();
+        if (!Object.prototype.hasOwnProperty.call(suppressions, key)) {
+            return false;
+        }
+
+        delete suppressions[key];
+        await SuppressionManager._getStorage().set({ [SUPPRESSION_STORAGE_KEY]: suppressions });
+        return true;
+    }
+
+    /**
+     * Removes all suppressions
+     * @returns {Promise<void>}
+     */
+    static async clearSuppressions() {
+        await SuppressionManager._getStorage().set({ [SUPPRESSION_STORAGE_KEY]: {} });
+    }
+
+    /**
+     * Gets the finding fingerprint implementation
+     * @private
+     */
+    static _getFingerprint() {
+        if (typeof FindingFingerprint !== 'undefined') {
+            return FindingFingerprint;
+        }
+        if (typeof window !== 'undefined' && window.FindingFingerprint) {
+            return window.FindingFingerprint;
+        }
+        if (typeof require !== 'undefined') {
+            return require('./fingerprint.js').FindingFingerprint;
+        }
+        throw new Error('FindingFingerprint not available');
+    }
+
+    /**
+     * Gets the extension storage area
+     * @private
+     */
+    static _getStorage() {
+        const api = typeof browser !== 'undefined' ? browser : (typeof chrome !== 'undefined' ? chrome : null);
+        if (!api || !api.storage) {
+            throw new Error('Extension storage API not available');
+        }
+        return api.storage.local;
+    }
+}
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { SuppressionManager, SUPPRESSION_STORAGE_KEY };
+}
+
+// For browser environment
+if (typeof window !== 'undefined') {
+    window.SuppressionManager = SuppressionManager;
+}
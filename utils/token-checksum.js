@@ -0,0 +1,187 @@
+/**
+ * Offline checksum validation for tokens that embed one
+ * Lets the scanner tell structurally valid tokens apart from malformed,
+ * truncated or hand-written example values without contacting the provider
+ */
+
+const BASE62_ALPHABET = '0123456789ABCDEFGHIJKLMNOPQRSTUVWXYZabcdefghijklmnopqrstuvwxyz';
+const BECH32_ALPHABET = 'qpzry9x8gf2tvdw0s3jn54khce6mua7l';
+const BECH32_GENERATORS = [0x3b6a57b2, 0x26508e6d, 0x1ea119fa, 0x3d4233dd, 0x2a1462b3];
+
+const CHECKSUM_STATUS = {
+    VALID: 'valid',
+    MALFORMED: 'malformed'
+};
+
+let crc32Table = null;
+
+class TokenChecksum {
+    /**
+     * Checks a token against the checksum scheme named by its pattern
+     * @param {string} token - Extracted token
+     * @param {Object} patternConfig - Pattern config with an optional `checksum` scheme
+     * @returns {string|null} 'valid', 'malformed', or null when the pattern has no scheme
+     */
+    static verify(token, patternConfig) {
+        if (!token || !patternConfig || !patternConfig.checksum) {
+            return null;
+        }
+
+        let isValid;
+        switch (patternConfig.checksum) {
+            case 'crc32Base62':
+                isValid = this.verifyCrc32Base62(token);
+                break;
+            case 'bech32':
+                isValid = this.verifyBech32(token);
+                break;
+            case 'discord':
+                isValid = this.verifyDiscordToken(token);
+                break;
+            default:
+                return null;
+        }
+
+        return isValid ? CHECKSUM_STATUS.VALID : CHECKSUM_STATUS.MALFORMED;
+    }
+
+    /**
+     * GitHub (ghp_, gho_, ghu_, ghs_, ghr_) and npm (npm_) tokens: 30 random
+     * base62 characters followed by their CRC32, base62-encoded and zero-padded to 6
+     * @param {string} token - Token including its prefix
+     * @returns {boolean} True if the checksum matches
+     */
+    static verifyCrc32Base62(token) {
+        const body = token.slice(token.indexOf('_') + 1);
+        if (body.length !== 36 || !/^[0-9A-Za-z]+$/.test(body)) {
+            return false;
+        }
+
+        const expected = this.encodeBase62(this.crc32(body.slice(0, 30))).padStart(6, '0');
+        return body.slice(30) === expected;
+    }
+
+    /**
+     * Bech32 strings (BIP 173), e.g. age secret keys (AGE-SECRET-KEY-1...)
+     * @param {string} value - Bech32 string, either all upper or all lower case
+     * @returns {boolean} True if the checksum matches
+     */
+    static verifyBech32(value) {
+        if (value !== value.toLowerCase() && value !== value.toUpperCase()) {
+            return false;
+        }
+
+        const lower = value.toLowerCase();
+        const separator = lower.lastIndexOf('1');
+        if (separator < 1 || separator + 7 > lower.length) {
+            return false;
+        }
+
+        const hrp = lower.slice(0, separator);
+        const data = [];
+        for (const char of lower.slice(separator + 1)) {
+            const index = BECH32_ALPHABET.indexOf(char);
+            if (index === -1) {
+                return false;
+            }
+            data.push(index);
+        }
+
+        const expanded = [];
+        for (let i = 0; i < hrp.length; i++) {
+            expanded.push(hrp.charCodeAt(i) >> 5);
+        }
+        expanded.push(0);
+        for (let i = 0; i < hrp.length; i++) {
+            expanded.push(hrp.charCodeAt(i) & 31);
+        }
+
+        return this._bech32Polymod(expanded.concat(data)) === 1;
+    }
+
+    /**
+     * Discord bot tokens: the first segment is the base64-encoded numeric bot id
+     * @param {string} token - Token
+     * @returns {boolean} True if the id segment decodes to a snowflake
+     */
+    static verifyDiscordToken(token) {
+        const segment = token.split('.')[0];
+        let decoded;
+        try {
+            const normalized = segment.replace(/-/g, '+').replace(/_/g, '/');
+            const padded = normalized + '='.repeat((4 - (normalized.length % 4)) % 4);
+            decoded = typeof atob === 'function' ? atob(padded) : Buffer.from(padded, 'base64').toString('binary');
+        } catch {
+            return false;
+        }
+        return /^\d{17,20}$/.test(decoded);
+    }
+
+    /**
+     * CRC32 (IEEE 802.3) of an ASCII string
+     * @param {string} text - Input
+     * @returns {number} Unsigned CRC32
+     */
+    static crc32(text) {
+        if (!crc32Table) {
+            crc32Table = new Uint32Array(256);
+            for (let n = 0; n < 256; n++) {
+                let c = n;
+                for (let k = 0; k < 8; k++) {
+                    c = c & 1 ? 0xedb88320 ^ (c >>> 1) : c >>> 1;
+                }
+                crc32Table[n] = c >>> 0;
+            }
+        }
+
+        let crc = 0xffffffff;
+        for (let i = 0; i < text.length; i++) {
+            crc = crc32Table[(crc ^ text.charCodeAt(i)) & 0xff] ^ (crc >>> 8);
+        }
+        return (crc ^ 0xffffffff) >>> 0;
+    }
+
+    /**
+     * Encodes a non-negative integer in base62 (0-9A-Za-z)
+     * @param {number} value - Integer
+     * @returns {string} Base62 digits
+     */
+    static encodeBase62(value) {
+        if (value === 0) {
+            return '0';
+        }
+        let encoded = '';
+        while (value > 0) {
+            encoded = BASE62_ALPHABET[value % 62] + encoded;
+            value = Math.floor(value / 62);
+        }
+        return encoded;
+    }
+
+    /**
+     * @private
+     */
+    static _bech32Polymod(values) {
+        let checksum = 1;
+        for (const value of values) {
+            const top = checksum >>> 25;
+            checksum = ((checksum & 0x1ffffff) << 5) ^ value;
+            for (let i = 0; i < 5; i++) {
+                if ((top >>> i) & 1) {
+                    checksum ^= BECH32_GENERATORS[i];
+                }
+            }
+        }
+        return checksum;
+    }
+}
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { TokenChecksum, CHECKSUM_STATUS };
+}
+
+// For browser environment
+if (typeof window !== 'undefined') {
+    window.TokenChecksum = TokenChecksum;
+}
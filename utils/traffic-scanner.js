@@ -0,0 +1,199 @@
+/**
+ * API traffic scanner
+ * Runs the secret patterns over the request and response headers and bodies
+ * that utils/network-interceptor.js captures for fetch and XHR. Config
+ * endpoints (/api/config, /env.json) often return keys the page never renders.
+ * Findings are located by request URL and carry the method and URL the API
+ * Explorer uses to find the request again. Text frames of WebSocket and
+ * EventSource connections are scanned the same way, located by socket URL
+ */
+
+const TRAFFIC_SOURCE_TYPE = 'api-traffic';
+const REALTIME_SOURCE_TYPE = 'realtime';
+
+// Explorer "methods" for realtime connections
+const REALTIME_METHODS = { websocket: 'WS', sse: 'SSE' };
+
+// Parts of an exchange, in the order they are scanned
+const TRAFFIC_PARTS = ['requestHeaders', 'requestBody', 'responseHeaders', 'responseBody'];
+
+class TrafficScanner {
+    /**
+     * @param {ProgressiveScanner} scanner - Scanner that runs the patterns
+     * @param {Object} options - Optional { maxBodySize, getPageUrl() }
+     */
+    constructor(scanner, options = {}) {
+        this.scanner = scanner;
+        this.maxBodySize = options.maxBodySize || 1024 * 1024;
+        // Read on every capture: the scanner outlives pushState route changes
+        this.getPageUrl = options.getPageUrl || (() => (typeof window !== 'undefined' && window.location ? window.location.href : ''));
+        this.reported = new Set();
+        this.stats = { exchanges: 0, frames: 0, skippedBodies: 0, findings: 0 };
+    }
+
+    /**
+     * Scans one captured request or response
+     * Matches already reported for the same request URL are not reported again
+     * @param {Object} exchange - Interceptor data: { method, url, timestamp } plus any of
+     *   headers/body (request) and responseHeaders/responseBody (response)
+     * @param {Array<Object>} patterns - Patterns to run
+     * @returns {Promise<Array<Object>>} New findings
+     */
+    async scanExchange(exchange, patterns) {
+        if (!exchange || !exchange.url) {
+            return [];
+        }
+
+        this.stats.exchanges++;
+        const sourceUrl = this.resolveUrl(exchange.url);
+        const findings = [];
+
+        for (const { part, content } of this.getParts(exchange)) {
+            const partFindings = await this.scanner.scanWithPatterns(content, patterns, {
+                sourceUrl,
+                sourceType: TRAFFIC_SOURCE_TYPE
+            });
+
+            partFindings.forEach(finding => {
+                const key = finding.fingerprint || `${finding.ruleId}:${finding.value}:${sourceUrl}`;
+                if (this.reported.has(key)) {
+                    return;
+                }
+                this.reported.add(key);
+
+                finding.apiRequest = {
+                    method: (exchange.method || 'GET').toUpperCase(),
+                    url: exchange.url,
+                    part,
+                    status: exchange.status,
+                    timestamp: exchange.timestamp || Date.now()
+                };
+                findings.push(finding);
+            });
+        }
+
+        this.stats.findings += findings.length;
+        return findings;
+    }
+
+    /**
+     * Scans one WebSocket or EventSource frame
+     * Binary frames are not scanned; matches already reported for the same
+     * socket URL are not reported again
+     * @param {Object} frame - Interceptor data: { kind, connectionId, url, direction,
+     *   format, data, eventName, timestamp }
+     * @param {Array<Object>} patterns - Patterns to run
+     * @returns {Promise<Array<Object>>} New findings
+     */
+    async scanFrame(frame, patterns) {
+        if (!frame || !frame.url || frame.format !== 'text' || typeof frame.data !== 'string' || !frame.data) {
+            return [];
+        }
+        if (frame.data.length > this.maxBodySize) {
+            this.stats.skippedBodies++;
+            return [];
+        }
+
+        this.stats.frames++;
+        const sourceUrl = this.resolveUrl(frame.url);
+        const frameFindings = await this.scanner.scanWithPatterns(frame.data, patterns, {
+            sourceUrl,
+            sourceType: REALTIME_SOURCE_TYPE
+        });
+
+        const findings = frameFindings.filter(finding => {
+            const key = finding.fingerprint || `${finding.ruleId}:${finding.value}:${sourceUrl}`;
+            if (this.reported.has(key)) {
+                return false;
+            }
+            this.reported.add(key);
+
+            finding.realtimeFrame = {
+                kind: frame.kind,
+                method: REALTIME_METHODS[frame.kind] || 'WS',
+                url: frame.url,
+                connectionId: frame.connectionId,
+                direction: frame.direction,
+                eventName: frame.eventName,
+                timestamp: frame.timestamp || Date.now()
+            };
+            return true;
+        });
+
+        this.stats.findings += findings.length;
+        return findings;
+    }
+
+    /**
+     * Extracts the scannable text of each part of an exchange
+     * Headers become "name: value" lines; oversized bodies are skipped
+     * @param {Object} exchange - Interceptor data
+     * @returns {Array<Object>} { part, content }
+     */
+    getParts(exchange) {
+        const parts = {
+            requestHeaders: TrafficScanner.serializeHeaders(exchange.headers),
+            requestBody: typeof exchange.body === 'string' ? exchange.body : '',
+            responseHeaders: TrafficScanner.serializeHeaders(exchange.responseHeaders),
+            responseBody: typeof exchange.responseBody === 'string' ? exchange.responseBody : ''
+        };
+
+        return TRAFFIC_PARTS
+            .filter(part => {
+                if (!parts[part]) {
+                    return false;
+                }
+                if (parts[part].length > this.maxBodySize) {
+                    this.stats.skippedBodies++;
+                    return false;
+                }
+                return true;
+            })
+            .map(part => ({ part, content: parts[part] }));
+    }
+
+    /**
+     * Resolves a captured (possibly relative) URL against the current page URL
+     * @param {string} url - Captured URL
+     * @returns {string} Absolute URL, or the input if it cannot be resolved
+     */
+    resolveUrl(url) {
+        try {
+            return new URL(url, this.getPageUrl()).href;
+        } catch (error) {
+            return url;
+        }
+    }
+
+    /**
+     * Gets scan statistics
+     * @returns {Object} { exchanges, frames, skippedBodies, findings }
+     */
+    getStats() {
+        return { ...this.stats };
+    }
+
+    /**
+     * Serializes a header object as "name: value" lines
+     * @param {Object} headers - Header map
+     * @returns {string} Header text
+     */
+    static serializeHeaders(headers) {
+        if (!headers || typeof headers !== 'object') {
+            return '';
+        }
+        return Object.entries(headers)
+            .map(([name, value]) => `${name}: ${value}`)
+            .join('\n');
+    }
+}
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { TrafficScanner, TRAFFIC_SOURCE_TYPE, TRAFFIC_PARTS, REALTIME_SOURCE_TYPE, REALTIME_METHODS };
+}
+
+// For browser environment
+if (typeof window !== 'undefined') {
+    window.TrafficScanner = TrafficScanner;
+}